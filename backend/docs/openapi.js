@@ -0,0 +1,521 @@
+const j2s = require('joi-to-swagger');
+const { schemas } = require('../middleware/validation');
+const { ERROR_CODES } = require('../services/errors');
+const { EVIDENCE_FIELD } = require('../services/evidence');
+const { CASE_ACTIONS } = require('../services/caseStatus');
+const { version, description } = require('../package.json');
+
+// Routes and the Joi schemas their validators enforce. Paths use OpenAPI {param} syntax.
+const OPERATIONS = [
+  {
+    method: 'get', path: '/health', tag: 'System',
+    summary: 'Service health'
+  },
+  {
+    method: 'get', path: '/health/live', tag: 'System',
+    summary: 'Liveness probe: the process is serving requests'
+  },
+  {
+    method: 'get', path: '/health/ready', tag: 'System',
+    summary: 'Readiness probe: status and latency of every dependency',
+    responses: { 200: 'Ready (possibly degraded)', 503: 'A critical dependency is down' }
+  },
+  {
+    method: 'get', path: '/metrics', tag: 'System',
+    summary: 'Prometheus metrics',
+    produces: 'text/plain'
+  },
+  {
+    method: 'get', path: '/api/contract', tag: 'System',
+    summary: 'Contract address, network and FIR count'
+  },
+  {
+    method: 'get', path: '/api/roles/{address}', tag: 'Auth',
+    summary: 'Contract roles held by a wallet',
+    params: schemas.walletAddress
+  },
+  {
+    method: 'get', path: '/api/auth/nonce', tag: 'Auth',
+    summary: 'Issue a single-use Sign-In-With-Ethereum nonce'
+  },
+  {
+    method: 'post', path: '/api/auth/login', tag: 'Auth',
+    summary: 'Exchange a signed SIWE message for a session token',
+    body: schemas.signature,
+    responses: { 401: 'Nonce or signature rejected' }
+  },
+  {
+    method: 'get', path: '/api/auth/session', tag: 'Auth',
+    summary: 'Address and roles of the current session',
+    auth: true
+  },
+  {
+    method: 'post', path: '/api/submitFIR', tag: 'Submissions',
+    summary: 'Queue a FIR submission (complaint image + voice statement + optional evidence attachments)',
+    auth: true,
+    headers: schemas.idempotencyHeaders,
+    form: schemas.firSubmission,
+    files: ['image', 'audio'],
+    fileArrays: [EVIDENCE_FIELD],
+    responses: {
+      200: 'Duplicate of a completed submission; returns its result',
+      202: 'Submission queued (or duplicate of one still in progress)',
+      403: 'victimAddress is not the signed-in wallet',
+      422: 'Idempotency-Key was already used for different evidence'
+    }
+  },
+  {
+    method: 'get', path: '/api/jobs/{id}', tag: 'Submissions',
+    summary: 'Submission job status and per-stage results',
+    auth: true,
+    params: schemas.jobId,
+    responses: { 403: 'Job belongs to another victim', 404: 'Job not found' }
+  },
+  {
+    method: 'get', path: '/api/jobs/{id}/events', tag: 'Submissions',
+    summary: 'Stream pipeline stage events (Server-Sent Events)',
+    auth: true,
+    params: schemas.jobId,
+    produces: 'text/event-stream',
+    responses: { 403: 'Job belongs to another victim', 404: 'Job not found' }
+  },
+  {
+    method: 'get', path: '/api/firs', tag: 'FIRs',
+    summary: 'List indexed FIRs with filters, sorting and pagination; officers only see their station\'s FIRs, victims their own',
+    auth: true,
+    query: schemas.firQuery
+  },
+  {
+    method: 'get', path: '/api/firs/{id}', tag: 'FIRs',
+    summary: 'FIR details with its decrypted IPFS record and amendment history',
+    auth: true,
+    params: schemas.firId,
+    responses: { 403: 'Caller is neither the victim nor government staff', 404: 'FIR not found' }
+  },
+  {
+    method: 'post', path: '/api/firs/{id}/amendments', tag: 'FIRs',
+    summary: 'Add a supplementary statement, linked to the latest version of the FIR',
+    auth: true,
+    params: schemas.firId,
+    body: schemas.amendment,
+    responses: {
+      201: 'Amendment pinned and recorded on-chain',
+      403: 'Caller is not the victim of this FIR',
+      404: 'FIR not found',
+      409: 'Another amendment was recorded first'
+    }
+  },
+  {
+    method: 'get', path: '/api/firs/{id}/media/{cid}', tag: 'FIRs',
+    summary: 'Original complaint image, audio or evidence file of a FIR, decrypted',
+    auth: true,
+    params: schemas.firMedia,
+    produces: 'application/octet-stream',
+    responses: { 403: 'Caller is neither the victim nor government staff', 404: 'FIR or media file not found' }
+  },
+  {
+    method: 'post', path: '/api/firs/{id}/verify-evidence', tag: 'FIRs',
+    summary: 'Check a file against the hashes recorded for a FIR and the document against its on-chain CID',
+    auth: true,
+    params: schemas.firId,
+    files: ['file'],
+    responses: { 403: 'Caller is neither the victim nor government staff', 404: 'FIR not found' }
+  },
+  {
+    method: 'post', path: '/api/firs/{id}/verify', tag: 'FIRs',
+    summary: 'Verify or reject a FIR with a reason code and explanation; the reason hash is recorded on-chain',
+    auth: true,
+    roles: ['GOV_ROLE'],
+    params: schemas.firId,
+    body: schemas.verification,
+    responses: { 400: 'Missing reason, or reason code not valid for the decision', 404: 'FIR not found' }
+  },
+  ...Object.entries(CASE_ACTIONS).map(([action, { from, to, roles, summary }]) => ({
+    method: 'post', path: `/api/firs/{id}/${action}`, tag: 'FIRs',
+    summary: `${summary} (${from.join(' or ')} → ${to})`,
+    auth: true,
+    roles,
+    params: schemas.firId,
+    responses: { 404: 'FIR not found', 409: `FIR is not ${from.join(' or ')}` }
+  })),
+  {
+    method: 'get', path: '/api/firs/{id}/notes', tag: 'FIRs',
+    summary: 'Case notes of a FIR, with signature, chain and audited-head checks; internal notes for gov staff only',
+    auth: true,
+    params: schemas.firId,
+    responses: { 403: 'Caller is neither the victim nor government staff', 404: 'FIR not found' }
+  },
+  {
+    method: 'post', path: '/api/firs/{id}/notes', tag: 'FIRs',
+    summary: 'Post a wallet-signed case note, internal or shared with the complainant',
+    auth: true,
+    params: schemas.firId,
+    body: schemas.note,
+    responses: {
+      201: 'Note pinned and added to the thread',
+      403: 'Caller cannot read the FIR, or a complainant posted an internal note',
+      404: 'FIR not found',
+      409: 'The signed note was already recorded'
+    }
+  },
+  {
+    method: 'get', path: '/api/firs/{id}/assignment', tag: 'Stations',
+    summary: 'Current station and officer assignment of a FIR, with every earlier one',
+    auth: true,
+    roles: ['GOV_ROLE'],
+    params: schemas.firId
+  },
+  {
+    method: 'put', path: '/api/firs/{id}/assignment', tag: 'Stations',
+    summary: 'Assign or reassign a FIR to a police station and optionally one of its officers',
+    auth: true,
+    roles: ['GOV_ROLE'],
+    params: schemas.firId,
+    body: schemas.assignment,
+    responses: {
+      403: 'FIR or target station is outside the caller\'s jurisdiction',
+      404: 'FIR or station not found',
+      422: 'Officer is not posted at the station'
+    }
+  },
+  {
+    method: 'post', path: '/api/firs/{id}/station-transfer', tag: 'Stations',
+    summary: "Transfer a FIR to another police station's jurisdiction without changing its case status",
+    auth: true,
+    roles: ['GOV_ROLE'],
+    params: schemas.firId,
+    body: schemas.stationTransfer,
+    responses: {
+      403: 'FIR is outside the caller\'s jurisdiction',
+      404: 'FIR or station not found',
+      409: 'FIR is already with that station'
+    }
+  },
+  {
+    method: 'get', path: '/api/stations', tag: 'Stations',
+    summary: 'Police stations and the officers posted at each',
+    auth: true,
+    roles: ['GOV_ROLE', 'DEFAULT_ADMIN_ROLE']
+  },
+  {
+    method: 'post', path: '/api/stations', tag: 'Stations',
+    summary: 'Register a police station',
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    body: schemas.station,
+    responses: { 201: 'Station registered', 409: 'Station code already taken' }
+  },
+  {
+    method: 'put', path: '/api/officers/{address}', tag: 'Stations',
+    summary: 'Register an investigating officer or post them to another station',
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    params: schemas.walletAddress,
+    body: schemas.officer,
+    responses: { 404: 'Station not found', 422: 'Wallet does not hold GOV_ROLE' }
+  },
+  {
+    method: 'get', path: '/api/victim/{address}/firs', tag: 'FIRs',
+    summary: 'IDs of the FIRs filed by a victim',
+    auth: true,
+    params: schemas.walletAddress,
+    responses: { 403: 'Address is not the signed-in wallet' }
+  },
+  {
+    method: 'get', path: '/api/notifications', tag: 'Notifications',
+    summary: 'In-app notifications of the signed-in wallet, newest first, with the unread count',
+    auth: true,
+    query: schemas.notificationQuery
+  },
+  {
+    method: 'get', path: '/api/notifications/preferences', tag: 'Notifications',
+    summary: 'Notification language, channel opt-ins and contact details of the signed-in wallet',
+    auth: true
+  },
+  {
+    method: 'put', path: '/api/notifications/preferences', tag: 'Notifications',
+    summary: 'Replace the notification preferences of the signed-in wallet',
+    auth: true,
+    body: schemas.notificationPreferences
+  },
+  {
+    method: 'post', path: '/api/notifications/{id}/read', tag: 'Notifications',
+    summary: 'Mark an in-app notification as read',
+    auth: true,
+    params: schemas.notificationId,
+    responses: { 404: 'No such notification for the signed-in wallet' }
+  },
+  {
+    method: 'get', path: '/api/admin/notifications', tag: 'Notifications',
+    summary: 'Page through notification sends on every channel, newest first; status=dead lists the dead letters',
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    query: schemas.notificationSendQuery
+  },
+  {
+    method: 'post', path: '/api/admin/notifications/{id}/retry', tag: 'Notifications',
+    summary: 'Send a notification again with a fresh set of attempts',
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    params: schemas.notificationId,
+    responses: { 404: 'Notification not found' }
+  },
+  {
+    method: 'get', path: '/api/admin/submissions', tag: 'Admin',
+    summary: 'Submissions that need operator attention',
+    auth: true,
+    roles: ['GOV_ROLE', 'DEFAULT_ADMIN_ROLE'],
+    query: schemas.submissionQuery
+  },
+  {
+    method: 'get', path: '/api/admin/submissions/{id}', tag: 'Admin',
+    summary: 'Submission with its stage journal',
+    auth: true,
+    roles: ['GOV_ROLE', 'DEFAULT_ADMIN_ROLE'],
+    params: schemas.jobId,
+    responses: { 404: 'Submission not found' }
+  },
+  {
+    method: 'post', path: '/api/admin/submissions/{id}/retry', tag: 'Admin',
+    summary: 'Re-queue a failed submission now',
+    auth: true,
+    roles: ['GOV_ROLE', 'DEFAULT_ADMIN_ROLE'],
+    params: schemas.jobId,
+    responses: { 202: 'Submission re-queued', 409: 'Submission is not failed' }
+  },
+  {
+    method: 'post', path: '/api/admin/submissions/{id}/abandon', tag: 'Admin',
+    summary: 'Abandon a failed submission and release its uploads and pins',
+    auth: true,
+    roles: ['GOV_ROLE', 'DEFAULT_ADMIN_ROLE'],
+    params: schemas.jobId,
+    body: schemas.abandonment,
+    responses: { 409: 'Submission is not failed' }
+  },
+  {
+    method: 'get', path: '/api/admin/audit', tag: 'Admin',
+    summary: 'Page through the hash-chained audit log, newest first',
+    auth: true,
+    roles: ['GOV_ROLE', 'DEFAULT_ADMIN_ROLE'],
+    query: schemas.auditQuery
+  },
+  {
+    method: 'get', path: '/api/admin/audit/verify', tag: 'Admin',
+    summary: 'Check the audit hash chain against its local and on-chain anchors',
+    auth: true,
+    roles: ['GOV_ROLE', 'DEFAULT_ADMIN_ROLE'],
+    query: schemas.auditVerifyQuery
+  },
+  {
+    method: 'post', path: '/api/admin/audit/anchor', tag: 'Admin',
+    summary: 'Anchor the current audit log head on-chain',
+    auth: true,
+    roles: ['GOV_ROLE', 'DEFAULT_ADMIN_ROLE']
+  },
+  {
+    method: 'get', path: '/api/admin/webhooks', tag: 'Webhooks',
+    summary: 'Registered partner webhooks with their delivery counts',
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE']
+  },
+  {
+    method: 'post', path: '/api/admin/webhooks', tag: 'Webhooks',
+    summary: 'Register a partner webhook; the response holds its signing secret, shown only once',
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    body: schemas.webhook,
+    responses: { 201: 'Webhook registered' }
+  },
+  {
+    method: 'put', path: '/api/admin/webhooks/{id}', tag: 'Webhooks',
+    summary: "Change a webhook's URL, events or description, or pause and resume it",
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    params: schemas.webhookId,
+    body: schemas.webhookUpdate,
+    responses: { 404: 'Webhook not found' }
+  },
+  {
+    method: 'delete', path: '/api/admin/webhooks/{id}', tag: 'Webhooks',
+    summary: 'Remove a webhook and its delivery history',
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    params: schemas.webhookId,
+    responses: { 404: 'Webhook not found' }
+  },
+  {
+    method: 'post', path: '/api/admin/webhooks/{id}/rotate-secret', tag: 'Webhooks',
+    summary: "Replace a webhook's signing secret",
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    params: schemas.webhookId,
+    responses: { 404: 'Webhook not found' }
+  },
+  {
+    method: 'get', path: '/api/admin/webhook-deliveries', tag: 'Webhooks',
+    summary: 'Page through webhook deliveries, newest first; status=dead lists the dead letters',
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    query: schemas.webhookDeliveryQuery
+  },
+  {
+    method: 'post', path: '/api/admin/webhook-deliveries/{id}/replay', tag: 'Webhooks',
+    summary: 'Send a delivery again with a fresh set of attempts',
+    auth: true,
+    roles: ['DEFAULT_ADMIN_ROLE'],
+    params: schemas.webhookDeliveryId,
+    responses: { 404: 'Delivery not found' }
+  }
+];
+
+/**
+ * Convert the properties of a Joi object schema to OpenAPI parameters
+ * @param {Object} schema - Joi object schema
+ * @param {string} location - path, query or header
+ * @returns {Object[]}
+ */
+function toParameters(schema, location) {
+  const { swagger } = j2s(schema);
+  const required = swagger.required || [];
+
+  return Object.entries(swagger.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: property
+  }));
+}
+
+/**
+ * Build the OpenAPI operation object for a route
+ * @param {Object} operation - Entry from OPERATIONS
+ * @returns {Object}
+ */
+function toOperation(operation) {
+  const parameters = [
+    ...(operation.params ? toParameters(operation.params, 'path') : []),
+    ...(operation.query ? toParameters(operation.query, 'query') : []),
+    ...(operation.headers ? toParameters(operation.headers, 'header') : [])
+  ];
+
+  let requestBody;
+  if (operation.body) {
+    requestBody = {
+      required: true,
+      content: { 'application/json': { schema: j2s(operation.body).swagger } }
+    };
+  } else if (operation.form || operation.files) {
+    const { swagger } = operation.form ? j2s(operation.form) : { swagger: { type: 'object', properties: {} } };
+    requestBody = {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            ...swagger,
+            properties: {
+              ...swagger.properties,
+              ...Object.fromEntries(operation.files.map(name => [name, { type: 'string', format: 'binary' }])),
+              ...Object.fromEntries((operation.fileArrays || []).map(name =>
+                [name, { type: 'array', items: { type: 'string', format: 'binary' } }]
+              ))
+            },
+            required: [...(swagger.required || []), ...operation.files]
+          }
+        }
+      }
+    };
+  }
+
+  const specific = operation.responses || {};
+  const responses = {};
+
+  if (!Object.keys(specific).some(status => status < 300)) {
+    responses[200] = { description: 'OK', content: { [operation.produces || 'application/json']: {} } };
+  }
+  if (parameters.length > 0 || requestBody) responses[400] = errorResponse('Validation failed');
+  if (operation.auth) responses[401] = errorResponse('Missing or invalid session token');
+  if (operation.roles) responses[403] = errorResponse(`Requires one of: ${operation.roles.join(', ')}`);
+  responses[500] = errorResponse('Internal server error');
+
+  // Route-specific descriptions win over the generic ones
+  for (const [status, text] of Object.entries(specific)) {
+    responses[status] = status < 300 ? { description: text } : errorResponse(text);
+  }
+
+  return {
+    tags: [operation.tag],
+    summary: operation.summary,
+    ...(operation.auth && { security: [{ bearerAuth: [] }] }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses
+  };
+}
+
+/**
+ * Error response referencing the shared Error schema
+ * @param {string} text - Response description
+ * @returns {Object}
+ */
+function errorResponse(text) {
+  return {
+    description: text,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  };
+}
+
+let document = null;
+
+/**
+ * Build (once) the OpenAPI 3 document for the API
+ * @returns {Object}
+ */
+function buildOpenAPIDocument() {
+  if (document) return document;
+
+  const paths = {};
+  for (const operation of OPERATIONS) {
+    paths[operation.path] = {
+      ...paths[operation.path],
+      [operation.method]: toOperation(operation)
+    };
+  }
+
+  document = {
+    openapi: '3.0.3',
+    info: {
+      title: 'De-FIR API',
+      version,
+      description
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Session token from POST /api/auth/login'
+        }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: { type: 'string', description: 'Message safe to show end users' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable machine-readable code' },
+            retryable: { type: 'boolean', description: 'Whether repeating the request may succeed' },
+            details: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['error', 'code', 'retryable']
+        }
+      }
+    }
+  };
+
+  return document;
+}
+
+module.exports = {
+  buildOpenAPIDocument
+};
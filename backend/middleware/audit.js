@@ -0,0 +1,63 @@
+const auditService = require('../services/audit');
+const { identify } = require('./auth');
+
+// Served to browsers for the interactive docs; not actions worth auditing
+const UNAUDITED_PATHS = ['/api/docs', '/api/openapi.json'];
+
+/**
+ * Record every API request in the audit log once its response has been sent.
+ * Routes name the action and resource with audit(); anything else (including
+ * unknown endpoints) is recorded by method and path.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const auditTrail = (req, res, next) => {
+  if (UNAUDITED_PATHS.some(path => req.originalUrl.startsWith(path))) {
+    return next();
+  }
+
+  res.once('close', () => {
+    const path = req.originalUrl.split('?')[0];
+
+    try {
+      const described = req.audit?.describe ? req.audit.describe(req, res) : {};
+
+      auditService.record({
+        action: req.audit?.action || `${req.method} ${path}`,
+        actor: described.actor || identify(req)?.address,
+        resource: described.resource,
+        status: res.statusCode,
+        details: {
+          method: req.method,
+          path,
+          ...(res.locals.errorCode && { errorCode: res.locals.errorCode }),
+          ...(!res.writableFinished && { aborted: true }),
+          ...described.details
+        },
+        ip: req.ip
+      });
+    } catch (error) {
+      console.error(`Error recording audit entry for ${req.method} ${path}:`, error);
+    }
+  });
+
+  next();
+};
+
+/**
+ * Name the action a route performs in the audit log
+ * @param {string} action - Action name (e.g. fir.verify)
+ * @param {Function} [describe] - Called once the response is sent with (req, res);
+ *   returns {resource?, actor?, details?}
+ * @returns {Function} - Express middleware
+ */
+const audit = (action, describe) => (req, res, next) => {
+  req.audit = { action, describe };
+  next();
+};
+
+module.exports = {
+  auditTrail,
+  audit
+};
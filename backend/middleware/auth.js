@@ -0,0 +1,135 @@
+const authService = require('../services/auth');
+const stationService = require('../services/stations');
+const { AuthError, ForbiddenError } = require('../services/errors');
+
+/**
+ * Extract the bearer token from a request.
+ * EventSource cannot send headers, so SSE requests may pass ?access_token= instead.
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+const getToken = (req) => {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+
+  if (req.query.access_token && req.get('Accept')?.includes('text/event-stream')) {
+    return req.query.access_token;
+  }
+
+  return null;
+};
+
+/**
+ * Require a valid session token issued by POST /api/auth/login
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticate = (req, res, next) => {
+  const token = getToken(req);
+
+  if (!token) {
+    return next(new AuthError(
+      'Sign in with your wallet and send the session token as a Bearer token',
+      'AUTH_REQUIRED'
+    ));
+  }
+
+  try {
+    req.auth = authService.verifyToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Session of a request that may or may not be signed in
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - Verified session, or null if there is no valid token
+ */
+const identify = (req) => {
+  if (req.auth) return req.auth;
+
+  const token = getToken(req);
+  if (!token) return null;
+
+  try {
+    return authService.verifyToken(token);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Require the authenticated wallet to hold at least one of the given roles
+ * @param {...string} roles - Contract role names (e.g. 'GOV_ROLE')
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.auth) {
+    return next(new AuthError(null, 'AUTH_REQUIRED'));
+  }
+
+  if (!roles.some(role => req.auth.roles.includes(role))) {
+    return next(new ForbiddenError('FORBIDDEN', [`Requires one of: ${roles.join(', ')}`]));
+  }
+
+  next();
+};
+
+/**
+ * Require the authenticated wallet to match the address a route is scoped to
+ * @param {Function} getAddress - Returns the scoped address from the request
+ * @returns {Function} - Express middleware
+ */
+const requireWallet = (getAddress) => (req, res, next) => {
+  if (!req.auth) {
+    return next(new AuthError(null, 'AUTH_REQUIRED'));
+  }
+
+  if (!isSameAddress(req.auth.address, getAddress(req))) {
+    return next(new ForbiddenError('WALLET_MISMATCH'));
+  }
+
+  next();
+};
+
+/**
+ * Require the FIR a route acts on to be within the session's jurisdiction.
+ * Officers posted at a station may only act on FIRs assigned to it.
+ * @param {Function} getFirId - Returns the FIR ID from the request
+ * @returns {Function} - Express middleware
+ */
+const requireJurisdiction = (getFirId) => (req, res, next) => {
+  if (!req.auth) {
+    return next(new AuthError(null, 'AUTH_REQUIRED'));
+  }
+
+  try {
+    stationService.checkJurisdiction(req.auth, getFirId(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compare two Ethereum addresses case-insensitively
+ * @param {string} a - First address
+ * @param {string} b - Second address
+ * @returns {boolean}
+ */
+const isSameAddress = (a, b) =>
+  typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+module.exports = {
+  authenticate,
+  identify,
+  requireRole,
+  requireWallet,
+  requireJurisdiction,
+  isSameAddress
+};
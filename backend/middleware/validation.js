@@ -1,13 +1,18 @@
 const Joi = require('joi');
+const { ValidationError } = require('../services/errors');
+const { EVIDENCE_FIELD, checkEvidenceLimits } = require('../services/evidence');
+const { CASE_STATUSES } = require('../services/caseStatus');
+const { NOTE_VISIBILITIES } = require('../services/notes');
+const { DECISION_REASONS } = require('../services/decisions');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_LANGUAGES, NOTIFICATION_STATUSES } = require('../services/notifications');
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('../services/webhooks');
 
 /**
- * Validate FIR submission request
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Request schemas, shared by the validators below and the OpenAPI document
  */
-const validateFIRSubmission = (req, res, next) => {
-  const schema = Joi.object({
+const schemas = {
+  // FIR submission form fields
+  firSubmission: Joi.object({
     victimAddress: Joi.string()
       .pattern(/^0x[a-fA-F0-9]{40}$/)
       .required()
@@ -19,91 +24,46 @@ const validateFIRSubmission = (req, res, next) => {
     // Optional additional fields
     incidentDate: Joi.date().optional(),
     location: Joi.string().max(500).optional(),
-    description: Joi.string().max(2000).optional()
-  });
-
-  const { error, value } = schema.validate(req.body);
-  
-  if (error) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: error.details.map(detail => detail.message)
-    });
-  }
-
-  // Check if required files are present
-  if (!req.files || !req.files.image || !req.files.audio) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: ['Both image and audio files are required']
-    });
-  }
-
-  // Validate image file
-  const imageFile = req.files.image[0];
-  if (!imageFile) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: ['Image file is required']
-    });
-  }
-
-  // Validate audio file
-  const audioFile = req.files.audio[0];
-  if (!audioFile) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: ['Audio file is required']
-    });
-  }
-
-  // Validate file sizes (10MB limit)
-  const maxSize = 10 * 1024 * 1024; // 10MB
-  if (imageFile.size > maxSize) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: ['Image file size exceeds 10MB limit']
-    });
-  }
+    description: Joi.string().max(2000).optional(),
 
-  if (audioFile.size > maxSize) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: ['Audio file size exceeds 10MB limit']
-    });
-  }
-
-  // Validate file types
-  const allowedImageTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff'];
-  const allowedAudioTypes = ['audio/wav', 'audio/mp3', 'audio/mpeg', 'audio/ogg', 'audio/webm'];
+    // Where the incident happened, used to route the FIR to a police station
+    pincode: Joi.string().trim().pattern(/^[1-9][0-9]{5}$/).optional()
+      .messages({
+        'string.pattern.base': 'Pincode must be a 6-digit Indian postal code'
+      }),
 
-  if (!allowedImageTypes.includes(imageFile.mimetype)) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: [`Invalid image file type: ${imageFile.mimetype}. Allowed types: ${allowedImageTypes.join(', ')}`]
-    });
-  }
+    latitude: Joi.number().min(-90).max(90).optional()
+      .messages({
+        'number.base': 'Latitude must be a number',
+        'number.min': 'Latitude must be between -90 and 90',
+        'number.max': 'Latitude must be between -90 and 90'
+      }),
 
-  if (!allowedAudioTypes.includes(audioFile.mimetype)) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: [`Invalid audio file type: ${audioFile.mimetype}. Allowed types: ${allowedAudioTypes.join(', ')}`]
-    });
-  }
+    longitude: Joi.number().min(-180).max(180).optional()
+      .messages({
+        'number.base': 'Longitude must be a number',
+        'number.min': 'Longitude must be between -180 and 180',
+        'number.max': 'Longitude must be between -180 and 180'
+      })
+  }).and('latitude', 'longitude')
+    .messages({
+      'object.and': 'Latitude and longitude must be given together'
+    }),
 
-  // Add validated data to request
-  req.validatedData = value;
-  next();
-};
+  // Idempotency-Key request header
+  idempotencyHeaders: Joi.object({
+    'idempotency-key': Joi.string()
+      .max(255)
+      .pattern(/^[\x21-\x7e]+$/)
+      .optional()
+      .messages({
+        'string.max': 'Idempotency-Key must not exceed 255 characters',
+        'string.pattern.base': 'Idempotency-Key must contain only printable ASCII characters'
+      })
+  }).unknown(true),
 
-/**
- * Validate FIR ID parameter
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
- */
-const validateFIRId = (req, res, next) => {
-  const schema = Joi.object({
+  // FIR ID path parameter
+  firId: Joi.object({
     id: Joi.number().integer().min(1).required()
       .messages({
         'number.base': 'FIR ID must be a number',
@@ -111,29 +71,37 @@ const validateFIRId = (req, res, next) => {
         'number.min': 'FIR ID must be greater than 0',
         'any.required': 'FIR ID is required'
       })
-  });
+  }),
 
-  const { error, value } = schema.validate(req.params);
-  
-  if (error) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: error.details.map(detail => detail.message)
-    });
-  }
+  // FIR ID and media CID path parameters
+  firMedia: Joi.object({
+    id: Joi.number().integer().min(1).required()
+      .messages({
+        'number.base': 'FIR ID must be a number',
+        'number.integer': 'FIR ID must be an integer',
+        'number.min': 'FIR ID must be greater than 0',
+        'any.required': 'FIR ID is required'
+      }),
+    cid: Joi.string().alphanum().min(46).max(100).required()
+      .messages({
+        'string.alphanum': 'CID must be a valid IPFS content identifier',
+        'string.min': 'CID must be a valid IPFS content identifier',
+        'string.max': 'CID must be a valid IPFS content identifier',
+        'any.required': 'CID is required'
+      })
+  }),
 
-  req.validatedParams = value;
-  next();
-};
+  // Job ID path parameter
+  jobId: Joi.object({
+    id: Joi.string().guid({ version: 'uuidv4' }).required()
+      .messages({
+        'string.guid': 'Job ID must be a valid UUID',
+        'any.required': 'Job ID is required'
+      })
+  }),
 
-/**
- * Validate victim address parameter
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
- */
-const validateVictimAddress = (req, res, next) => {
-  const schema = Joi.object({
+  // Wallet address path parameter
+  walletAddress: Joi.object({
     address: Joi.string()
       .pattern(/^0x[a-fA-F0-9]{40}$/)
       .required()
@@ -141,29 +109,125 @@ const validateVictimAddress = (req, res, next) => {
         'string.pattern.base': 'Address must be a valid Ethereum address',
         'any.required': 'Victim address is required'
       })
-  });
+  }),
 
-  const { error, value } = schema.validate(req.params);
-  
-  if (error) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: error.details.map(detail => detail.message)
-    });
-  }
+  // Signed case note. The body is signed as sent, so it is neither trimmed nor sanitised.
+  note: Joi.object({
+    body: Joi.string().min(1).max(5000).required()
+      .messages({
+        'string.empty': 'Note cannot be empty',
+        'string.max': 'Note must not exceed 5000 characters',
+        'any.required': 'Note is required'
+      }),
 
-  req.validatedParams = value;
-  next();
-};
+    visibility: Joi.string().valid(...NOTE_VISIBILITIES).default('internal')
+      .messages({
+        'any.only': `Visibility must be one of ${NOTE_VISIBILITIES.join(', ')}`
+      }),
 
-/**
- * Validate verification request
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
- */
-const validateVerification = (req, res, next) => {
-  const schema = Joi.object({
+    signedAt: Joi.string().isoDate().required()
+      .messages({
+        'string.isoDate': 'Signed at must be an ISO 8601 date',
+        'any.required': 'Signed at is required'
+      }),
+
+    signature: Joi.string().pattern(/^0x[a-fA-F0-9]{130}$/).required()
+      .messages({
+        'string.pattern.base': 'Signature must be a 65-byte hex string',
+        'any.required': 'Signature is required'
+      })
+  }),
+
+  // Police station in the assignment registry
+  station: Joi.object({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]{2,32}$/).required()
+      .messages({
+        'string.pattern.base': 'Station code must be 2-32 letters, digits or dashes',
+        'any.required': 'Station code is required'
+      }),
+
+    name: Joi.string().trim().min(1).max(200).required()
+      .messages({
+        'string.empty': 'Station name cannot be empty',
+        'any.required': 'Station name is required'
+      }),
+
+    district: Joi.string().trim().max(200).optional()
+  }),
+
+  // Investigating officer, keyed by their gov wallet address
+  officer: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required()
+      .messages({
+        'string.empty': 'Officer name cannot be empty',
+        'any.required': 'Officer name is required'
+      }),
+
+    rank: Joi.string().trim().max(100).optional(),
+
+    stationCode: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]{2,32}$/).required()
+      .messages({
+        'string.pattern.base': 'Station code must be 2-32 letters, digits or dashes',
+        'any.required': 'Station code is required'
+      })
+  }),
+
+  // Assignment of a FIR to a station and, optionally, one of its officers
+  assignment: Joi.object({
+    stationCode: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]{2,32}$/).required()
+      .messages({
+        'string.pattern.base': 'Station code must be 2-32 letters, digits or dashes',
+        'any.required': 'Station code is required'
+      }),
+
+    officer: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional()
+      .messages({
+        'string.pattern.base': 'Officer must be a valid Ethereum address'
+      }),
+
+    reason: Joi.string().trim().max(500).optional()
+      .messages({
+        'string.max': 'Reason must not exceed 500 characters'
+      })
+  }),
+
+  // Move a FIR to another police station's jurisdiction
+  stationTransfer: Joi.object({
+    stationCode: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]{2,32}$/).required()
+      .messages({
+        'string.pattern.base': 'Station code must be 2-32 letters, digits or dashes',
+        'any.required': 'Station code is required'
+      }),
+
+    reason: Joi.string().trim().min(1).max(500).required()
+      .messages({
+        'string.empty': 'A reason for the transfer is required',
+        'string.max': 'Reason must not exceed 500 characters',
+        'any.required': 'A reason for the transfer is required'
+      })
+  }),
+
+  // Verification request body
+  // Supplementary statement added to a FIR after filing
+  amendment: Joi.object({
+    statement: Joi.string().trim().min(1).max(10000).required()
+      .messages({
+        'string.empty': 'Statement cannot be empty',
+        'string.max': 'Statement must not exceed 10000 characters',
+        'any.required': 'Statement is required'
+      }),
+
+    items: Joi.array().max(100).items(Joi.object({
+      description: Joi.string().trim().min(1).max(500).required(),
+      quantity: Joi.number().integer().min(1).optional(),
+      estimatedValue: Joi.number().min(0).optional()
+    })).optional()
+      .messages({
+        'array.max': 'At most 100 items may be listed'
+      })
+  }),
+
+  verification: Joi.object({
     verified: Joi.boolean().required()
       .messages({
         'boolean.base': 'Verified field must be a boolean',
@@ -175,37 +239,46 @@ const validateVerification = (req, res, next) => {
         'string.base': 'Signature must be a string'
       }),
     
-    reason: Joi.string().max(500).optional()
-      .messages({
-        'string.max': 'Reason must not exceed 500 characters'
+    reasonCode: Joi.string().required()
+      .when('verified', {
+        is: true,
+        then: Joi.valid(...DECISION_REASONS.verify),
+        otherwise: Joi.valid(...DECISION_REASONS.reject)
       })
-  });
-
-  const { error, value } = schema.validate(req.body);
-  
-  if (error) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: error.details.map(detail => detail.message)
-    });
-  }
+      .messages({
+        'any.only': 'Reason code is not valid for this decision',
+        'any.required': 'Reason code is required'
+      }),
 
-  req.validatedData = value;
-  next();
-};
+    reason: Joi.string().trim().min(1).max(500).required()
+      .messages({
+        'string.empty': 'Reason cannot be empty',
+        'string.max': 'Reason must not exceed 500 characters',
+        'any.required': 'Reason is required'
+      })
+  }),
 
-/**
- * Validate query parameters for FIR listing
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
- */
-const validateFIRQuery = (req, res, next) => {
-  const schema = Joi.object({
+  // FIR listing query parameters
+  firQuery: Joi.object({
     verified: Joi.string().valid('true', 'false').optional()
       .messages({
         'any.only': 'Verified parameter must be "true" or "false"'
       }),
+
+    status: Joi.string().valid(...CASE_STATUSES).optional()
+      .messages({
+        'any.only': `Status must be one of ${CASE_STATUSES.join(', ')}`
+      }),
+
+    station: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]{2,32}$/).optional()
+      .messages({
+        'string.pattern.base': 'Station code must be 2-32 letters, digits or dashes'
+      }),
+
+    assignedTo: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional()
+      .messages({
+        'string.pattern.base': 'Assigned officer must be a valid Ethereum address'
+      }),
     
     limit: Joi.number().integer().min(1).max(100).default(10)
       .messages({
@@ -229,64 +302,915 @@ const validateFIRQuery = (req, res, next) => {
         'string.pattern.base': 'Victim address must be a valid Ethereum address'
       }),
     
-    sortBy: Joi.string().valid('timestamp', 'id', 'similarityScore').default('timestamp')
+    minScore: Joi.number().integer().min(0).max(100).optional()
+      .messages({
+        'number.base': 'Minimum score must be a number',
+        'number.integer': 'Minimum score must be an integer',
+        'number.min': 'Minimum score must be between 0 and 100',
+        'number.max': 'Minimum score must be between 0 and 100'
+      }),
+
+    maxScore: Joi.number().integer().min(0).max(100).optional()
+      .min(Joi.ref('minScore', { adjust: minScore => minScore ?? 0 }))
+      .messages({
+        'number.base': 'Maximum score must be a number',
+        'number.integer': 'Maximum score must be an integer',
+        'number.min': 'Maximum score must be between minScore and 100',
+        'number.max': 'Maximum score must be between minScore and 100'
+      }),
+
+    fromDate: Joi.date().iso().optional()
+      .messages({
+        'date.base': 'From date must be a valid date',
+        'date.format': 'From date must be an ISO 8601 date'
+      }),
+
+    toDate: Joi.date().iso().optional()
+      .min(Joi.ref('fromDate', { adjust: fromDate => fromDate ?? new Date(0) }))
+      .messages({
+        'date.base': 'To date must be a valid date',
+        'date.format': 'To date must be an ISO 8601 date',
+        'date.min': 'To date must not be before from date'
+      }),
+    
+    sortBy: Joi.string().valid('timestamp', 'id', 'similarityScore', 'statusUpdatedAt').default('timestamp')
       .messages({
-        'any.only': 'Sort by must be one of: timestamp, id, similarityScore'
+        'any.only': 'Sort by must be one of: timestamp, id, similarityScore, statusUpdatedAt'
       }),
     
     sortOrder: Joi.string().valid('asc', 'desc').default('desc')
       .messages({
         'any.only': 'Sort order must be "asc" or "desc"'
       })
-  });
+  }),
 
-  const { error, value } = schema.validate(req.query);
-  
-  if (error) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: error.details.map(detail => detail.message)
-    });
-  }
+  // Notification ID path parameter
+  notificationId: Joi.object({
+    id: Joi.number().integer().min(1).required()
+      .messages({
+        'number.base': 'Notification ID must be a number',
+        'number.integer': 'Notification ID must be an integer',
+        'number.min': 'Notification ID must be greater than 0',
+        'any.required': 'Notification ID is required'
+      })
+  }),
 
-  req.validatedQuery = value;
-  next();
-};
+  // In-app notification listing query parameters
+  notificationQuery: Joi.object({
+    unreadOnly: Joi.boolean().default(false)
+      .messages({
+        'boolean.base': 'unreadOnly must be true or false'
+      }),
 
-/**
- * Validate wallet signature
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
- */
-const validateSignature = (req, res, next) => {
-  const schema = Joi.object({
-    signature: Joi.string().required()
+    limit: Joi.number().integer().min(1).max(100).default(20)
       .messages({
-        'any.required': 'Signature is required'
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit must not exceed 100'
       }),
-    
-    message: Joi.string().required()
+
+    offset: Joi.number().integer().min(0).default(0)
       .messages({
-        'any.required': 'Message is required'
+        'number.base': 'Offset must be a number',
+        'number.integer': 'Offset must be an integer',
+        'number.min': 'Offset must not be negative'
+      })
+  }),
+
+  // Admin listing of notification sends
+  notificationSendQuery: Joi.object({
+    status: Joi.string().valid(...NOTIFICATION_STATUSES)
+      .messages({
+        'any.only': `Status must be one of: ${NOTIFICATION_STATUSES.join(', ')}`
       }),
-    
-    address: Joi.string()
-      .pattern(/^0x[a-fA-F0-9]{40}$/)
-      .required()
+
+    channel: Joi.string().valid(...NOTIFICATION_CHANNELS)
       .messages({
-        'string.pattern.base': 'Address must be a valid Ethereum address',
-        'any.required': 'Address is required'
+        'any.only': `Channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`
+      }),
+
+    limit: Joi.number().integer().min(1).max(100).default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit must not exceed 100'
+      }),
+
+    offset: Joi.number().integer().min(0).default(0)
+      .messages({
+        'number.base': 'Offset must be a number',
+        'number.integer': 'Offset must be an integer',
+        'number.min': 'Offset must not be negative'
+      })
+  }),
+
+  // A victim's notification language, channel opt-ins and contact details
+  notificationPreferences: Joi.object({
+    language: Joi.string().valid(...NOTIFICATION_LANGUAGES).required()
+      .messages({
+        'any.only': `Language must be one of ${NOTIFICATION_LANGUAGES.join(', ')}`,
+        'any.required': 'Language is required'
+      }),
+
+    channels: Joi.object({
+      inApp: Joi.boolean().default(true),
+      email: Joi.boolean().default(false),
+      sms: Joi.boolean().default(false)
+    }).required()
+      .messages({
+        'boolean.base': 'Channel opt-ins must be true or false',
+        'any.required': 'Channels are required'
+      }),
+
+    email: Joi.string().trim().email().max(254).allow('', null)
+      .when('channels.email', { is: true, then: Joi.required().invalid('', null) })
+      .messages({
+        'string.email': 'Email must be a valid email address',
+        'any.required': 'Email is required to receive email notifications',
+        'any.invalid': 'Email is required to receive email notifications'
+      }),
+
+    phone: Joi.string().trim().pattern(/^\+[1-9][0-9]{7,14}$/).allow('', null)
+      .when('channels.sms', { is: true, then: Joi.required().invalid('', null) })
+      .messages({
+        'string.pattern.base': 'Phone must be in international format, e.g. +919876543210',
+        'any.required': 'Phone is required to receive SMS notifications',
+        'any.invalid': 'Phone is required to receive SMS notifications'
+      })
+  }),
+
+  // Webhook ID path parameter
+  webhookId: Joi.object({
+    id: Joi.number().integer().min(1).required()
+      .messages({
+        'number.base': 'Webhook ID must be a number',
+        'number.integer': 'Webhook ID must be an integer',
+        'number.min': 'Webhook ID must be greater than 0',
+        'any.required': 'Webhook ID is required'
       })
-  });
+  }),
+
+  // Webhook delivery ID path parameter
+  webhookDeliveryId: Joi.object({
+    id: Joi.number().integer().min(1).required()
+      .messages({
+        'number.base': 'Delivery ID must be a number',
+        'number.integer': 'Delivery ID must be an integer',
+        'number.min': 'Delivery ID must be greater than 0',
+        'any.required': 'Delivery ID is required'
+      })
+  }),
+
+  // A partner endpoint and the FIR events it receives
+  webhook: Joi.object({
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048).required()
+      .messages({
+        'string.uri': 'URL must be an http or https URL',
+        'string.uriCustomScheme': 'URL must be an http or https URL',
+        'string.max': 'URL must not exceed 2048 characters',
+        'any.required': 'URL is required'
+      }),
+
+    events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique().required()
+      .messages({
+        'any.only': `Events must be among ${WEBHOOK_EVENTS.join(', ')}`,
+        'array.min': 'Subscribe to at least one event',
+        'array.unique': 'Events must not repeat',
+        'any.required': 'Events are required'
+      }),
+
+    description: Joi.string().trim().max(200).allow('')
+      .messages({
+        'string.max': 'Description must not exceed 200 characters'
+      })
+  }),
+
+  // Changes to a webhook; at least one field
+  webhookUpdate: Joi.object({
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048)
+      .messages({
+        'string.uri': 'URL must be an http or https URL',
+        'string.uriCustomScheme': 'URL must be an http or https URL',
+        'string.max': 'URL must not exceed 2048 characters'
+      }),
+
+    events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique()
+      .messages({
+        'any.only': `Events must be among ${WEBHOOK_EVENTS.join(', ')}`,
+        'array.min': 'Subscribe to at least one event',
+        'array.unique': 'Events must not repeat'
+      }),
+
+    description: Joi.string().trim().max(200).allow('')
+      .messages({
+        'string.max': 'Description must not exceed 200 characters'
+      }),
+
+    active: Joi.boolean()
+      .messages({
+        'boolean.base': 'Active must be true or false'
+      })
+  }).min(1)
+    .messages({
+      'object.min': 'Nothing to change'
+    }),
+
+  // Webhook delivery listing query parameters; status=dead is the dead-letter list
+  webhookDeliveryQuery: Joi.object({
+    status: Joi.string().valid(...DELIVERY_STATUSES)
+      .messages({
+        'any.only': `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      }),
+
+    webhookId: Joi.number().integer().min(1)
+      .messages({
+        'number.base': 'Webhook ID must be a number',
+        'number.integer': 'Webhook ID must be an integer',
+        'number.min': 'Webhook ID must be greater than 0'
+      }),
+
+    limit: Joi.number().integer().min(1).max(100).default(20)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit must not exceed 100'
+      }),
+
+    offset: Joi.number().integer().min(0).default(0)
+      .messages({
+        'number.base': 'Offset must be a number',
+        'number.integer': 'Offset must be an integer',
+        'number.min': 'Offset must not be negative'
+      })
+  }),
+
+  // Admin submission listing query parameters
+  submissionQuery: Joi.object({
+    state: Joi.string().valid('failed', 'stuck', 'orphaned', 'abandoned').default('failed')
+      .messages({
+        'any.only': 'State must be one of: failed, stuck, orphaned, abandoned'
+      }),
+
+    limit: Joi.number().integer().min(1).max(100).default(50)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit must not exceed 100'
+      }),
+
+    offset: Joi.number().integer().min(0).default(0)
+      .messages({
+        'number.base': 'Offset must be a number',
+        'number.integer': 'Offset must be an integer',
+        'number.min': 'Offset must not be negative'
+      })
+  }),
+
+  // Admin audit log listing
+  auditQuery: Joi.object({
+    action: Joi.string().max(100).optional(),
+
+    actor: Joi.string()
+      .pattern(/^0x[a-fA-F0-9]{40}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Actor must be a valid Ethereum address'
+      }),
+
+    limit: Joi.number().integer().min(1).max(200).default(50)
+      .messages({
+        'number.base': 'Limit must be a number',
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit must not exceed 200'
+      }),
+
+    offset: Joi.number().integer().min(0).default(0)
+      .messages({
+        'number.base': 'Offset must be a number',
+        'number.integer': 'Offset must be an integer',
+        'number.min': 'Offset must not be negative'
+      })
+  }),
+
+  // Range of audit entries to verify
+  auditVerifyQuery: Joi.object({
+    fromSeq: Joi.number().integer().min(1).default(1)
+      .messages({
+        'number.base': 'fromSeq must be a number',
+        'number.min': 'fromSeq must be at least 1'
+      }),
+
+    toSeq: Joi.number().integer().min(Joi.ref('fromSeq')).optional()
+      .messages({
+        'number.base': 'toSeq must be a number',
+        'number.min': 'toSeq must not be less than fromSeq'
+      })
+  }),
+
+  // Abandon request body
+  abandonment: Joi.object({
+    reason: Joi.string().trim().max(500).required()
+      .messages({
+        'string.empty': 'Reason is required',
+        'string.max': 'Reason must not exceed 500 characters',
+        'any.required': 'Reason is required'
+      })
+  }),
+
+  // Wallet sign-in request body
+  signature: Joi.object({
+    signature: Joi.string().required()
+      .messages({
+        'any.required': 'Signature is required'
+      }),
+    
+    message: Joi.string().required()
+      .messages({
+        'any.required': 'Message is required'
+      }),
+    
+    address: Joi.string()
+      .pattern(/^0x[a-fA-F0-9]{40}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Address must be a valid Ethereum address',
+        'any.required': 'Address is required'
+      })
+  })
+};
+
+/**
+ * Validate FIR submission request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateFIRSubmission = (req, res, next) => {
+
+  const { error, value } = schemas.firSubmission.validate(req.body);
+  
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  // Check if required files are present
+  if (!req.files || !req.files.image || !req.files.audio) {
+    return next(new ValidationError(['Both image and audio files are required']));
+  }
+
+  // Validate image file
+  const imageFile = req.files.image[0];
+  if (!imageFile) {
+    return next(new ValidationError(['Image file is required']));
+  }
+
+  // Validate audio file
+  const audioFile = req.files.audio[0];
+  if (!audioFile) {
+    return next(new ValidationError(['Audio file is required']));
+  }
+
+  // Validate file sizes (10MB limit)
+  const maxSize = 10 * 1024 * 1024; // 10MB
+  if (imageFile.size > maxSize) {
+    return next(new ValidationError(['Image file size exceeds 10MB limit'], 'FILE_TOO_LARGE'));
+  }
+
+  if (audioFile.size > maxSize) {
+    return next(new ValidationError(['Audio file size exceeds 10MB limit'], 'FILE_TOO_LARGE'));
+  }
+
+  // Validate file types
+  const allowedImageTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff'];
+  const allowedAudioTypes = ['audio/wav', 'audio/mp3', 'audio/mpeg', 'audio/ogg', 'audio/webm'];
+
+  if (!allowedImageTypes.includes(imageFile.mimetype)) {
+    return next(new ValidationError(
+      [`Invalid image file type: ${imageFile.mimetype}. Allowed types: ${allowedImageTypes.join(', ')}`],
+      'UNSUPPORTED_FILE_TYPE'
+    ));
+  }
+
+  if (!allowedAudioTypes.includes(audioFile.mimetype)) {
+    return next(new ValidationError(
+      [`Invalid audio file type: ${audioFile.mimetype}. Allowed types: ${allowedAudioTypes.join(', ')}`],
+      'UNSUPPORTED_FILE_TYPE'
+    ));
+  }
+
+  // Validate evidence attachments against their per-type limits
+  const evidenceViolation = checkEvidenceLimits(req.files[EVIDENCE_FIELD] || []);
+  if (evidenceViolation) {
+    return next(new ValidationError([evidenceViolation.message], evidenceViolation.code));
+  }
+
+  // Add validated data to request
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate the optional Idempotency-Key header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateIdempotencyKey = (req, res, next) => {
+
+  const { error, value } = schemas.idempotencyHeaders.validate(req.headers);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.idempotencyKey = value['idempotency-key'] || null;
+  next();
+};
+
+/**
+ * Validate FIR ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateFIRId = (req, res, next) => {
+
+  const { error, value } = schemas.firId.validate(req.params);
+  
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedParams = value;
+  next();
+};
+
+/**
+ * Validate FIR ID and media CID parameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateFIRMedia = (req, res, next) => {
+  const { error, value } = schemas.firMedia.validate(req.params);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedParams = value;
+  next();
+};
+
+/**
+ * Validate an evidence integrity check: FIR ID plus the file to compare
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateEvidenceVerification = (req, res, next) => {
+  const { error, value } = schemas.firId.validate(req.params);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  if (!req.files?.file?.[0]) {
+    return next(new ValidationError(['A file to verify is required']));
+  }
+
+  req.validatedParams = value;
+  next();
+};
+
+/**
+ * Validate job ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateJobId = (req, res, next) => {
+  const { error, value } = schemas.jobId.validate(req.params);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedParams = value;
+  next();
+};
+
+/**
+ * Validate victim address parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateVictimAddress = (req, res, next) => {
+
+  const { error, value } = schemas.walletAddress.validate(req.params);
+  
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedParams = value;
+  next();
+};
+
+/**
+ * Validate verification request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateVerification = (req, res, next) => {
+
+  const { error, value } = schemas.verification.validate(req.body);
+  
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate a FIR amendment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateAmendment = (req, res, next) => {
+  const { error, value } = schemas.amendment.validate(req.body);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate a signed case note
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateNote = (req, res, next) => {
+  // No conversion, so the fields stay exactly as they were signed
+  const { error, value } = schemas.note.validate(req.body, { convert: false });
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate a new police station
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateStation = (req, res, next) => {
+  const { error, value } = schemas.station.validate(req.body);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate an officer's wallet address parameter and registry details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateOfficer = (req, res, next) => {
+  const params = schemas.walletAddress.validate(req.params);
+  const body = schemas.officer.validate(req.body);
+  const errors = [params.error, body.error].filter(Boolean);
+
+  if (errors.length > 0) {
+    return next(new ValidationError(errors.flatMap(error => error.details.map(detail => detail.message))));
+  }
+
+  req.validatedParams = params.value;
+  req.validatedData = body.value;
+  next();
+};
+
+/**
+ * Validate a FIR assignment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateAssignment = (req, res, next) => {
+  const { error, value } = schemas.assignment.validate(req.body);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate a station transfer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateStationTransfer = (req, res, next) => {
+  const { error, value } = schemas.stationTransfer.validate(req.body);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate query parameters for FIR listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateFIRQuery = (req, res, next) => {
+
+  const { error, value } = schemas.firQuery.validate(req.query);
+  
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+/**
+ * Validate a notification ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateNotificationId = (req, res, next) => {
+
+  const { error, value } = schemas.notificationId.validate(req.params);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedParams = value;
+  next();
+};
+
+/**
+ * Validate query parameters for the in-app notification listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateNotificationQuery = (req, res, next) => {
+
+  const { error, value } = schemas.notificationQuery.validate(req.query);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+/**
+ * Validate notification preferences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateNotificationPreferences = (req, res, next) => {
+
+  const { error, value } = schemas.notificationPreferences.validate(req.body);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate a webhook ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateWebhookId = (req, res, next) => {
+
+  const { error, value } = schemas.webhookId.validate(req.params);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedParams = value;
+  next();
+};
+
+/**
+ * Validate a webhook delivery ID parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateWebhookDeliveryId = (req, res, next) => {
+
+  const { error, value } = schemas.webhookDeliveryId.validate(req.params);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedParams = value;
+  next();
+};
+
+/**
+ * Validate a new webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateWebhook = (req, res, next) => {
+
+  const { error, value } = schemas.webhook.validate(req.body);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate changes to a webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateWebhookUpdate = (req, res, next) => {
+
+  const { error, value } = schemas.webhookUpdate.validate(req.body);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedData = value;
+  next();
+};
+
+/**
+ * Validate query parameters for the webhook delivery listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateWebhookDeliveryQuery = (req, res, next) => {
+
+  const { error, value } = schemas.webhookDeliveryQuery.validate(req.query);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+/**
+ * Validate query parameters for the admin notification send listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateNotificationSendQuery = (req, res, next) => {
+
+  const { error, value } = schemas.notificationSendQuery.validate(req.query);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+/**
+ * Validate query parameters for the admin submission listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateSubmissionQuery = (req, res, next) => {
+
+  const { error, value } = schemas.submissionQuery.validate(req.query);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+/**
+ * Validate query parameters for the audit log listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateAuditQuery = (req, res, next) => {
+
+  const { error, value } = schemas.auditQuery.validate(req.query);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+/**
+ * Validate the range of an audit log verification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateAuditVerifyQuery = (req, res, next) => {
+
+  const { error, value } = schemas.auditVerifyQuery.validate(req.query);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+/**
+ * Validate the body of an abandon request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateAbandonment = (req, res, next) => {
+
+  const { error, value } = schemas.abandonment.validate(req.body);
+
+  if (error) {
+    return next(new ValidationError(error.details.map(detail => detail.message)));
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate wallet signature
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateSignature = (req, res, next) => {
 
-  const { error, value } = schema.validate(req.body);
+  const { error, value } = schemas.signature.validate(req.body);
   
   if (error) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: error.details.map(detail => detail.message)
-    });
+    return next(new ValidationError(error.details.map(detail => detail.message)));
   }
 
   req.validatedSignature = value;
@@ -367,11 +1291,35 @@ const sanitizeInput = (req, res, next) => {
 };
 
 module.exports = {
+  schemas,
   validateFIRSubmission,
+  validateIdempotencyKey,
   validateFIRId,
+  validateFIRMedia,
+  validateEvidenceVerification,
+  validateJobId,
   validateVictimAddress,
   validateVerification,
+  validateAmendment,
+  validateNote,
+  validateStation,
+  validateOfficer,
+  validateAssignment,
+  validateStationTransfer,
   validateFIRQuery,
+  validateNotificationId,
+  validateNotificationQuery,
+  validateNotificationSendQuery,
+  validateNotificationPreferences,
+  validateWebhookId,
+  validateWebhookDeliveryId,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookDeliveryQuery,
+  validateSubmissionQuery,
+  validateAbandonment,
+  validateAuditQuery,
+  validateAuditVerifyQuery,
   validateSignature,
   validateRateLimit,
   sanitizeInput
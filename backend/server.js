@@ -3,8 +3,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer');
+const swaggerUi = require('swagger-ui-express');
 const path = require('path');
 const fs = require('fs').promises;
+const { pipeline } = require('stream');
 require('dotenv').config();
 
 // Import our modules
@@ -13,10 +15,46 @@ const ipfsService = require('./services/ipfs');
 const ocrService = require('./services/ocr');
 const sttService = require('./services/stt');
 const mlService = require('./services/ml');
-const { validateFIRSubmission } = require('./middleware/validation');
+const database = require('./services/database');
+const jobQueue = require('./services/jobQueue');
+const { JOB_STATUS } = jobQueue;
+const eventBus = require('./services/eventBus');
+const { FIR_SUBMISSION_JOB, FIR_PIPELINE_STAGES, processFIRSubmission, removeUploads, removeStrayUploads } = require('./services/firPipeline');
+const authService = require('./services/auth');
+const idempotencyService = require('./services/idempotency');
+const recoveryService = require('./services/recovery');
+const firIndexer = require('./services/indexer');
+const auditService = require('./services/audit');
+const metricsService = require('./services/metrics');
+const healthService = require('./services/health');
+const encryptionService = require('./services/encryption');
+const { fileAmendment, getHistory } = require('./services/amendments');
+const { CASE_ACTIONS, availableActions } = require('./services/caseStatus');
+const stationService = require('./services/stations');
+const jurisdictionService = require('./services/jurisdictions');
+const noteService = require('./services/notes');
+const decisionService = require('./services/decisions');
+const notificationService = require('./services/notifications');
+const { NOTIFICATION_LANGUAGES } = require('./services/notifications');
+const webhookService = require('./services/webhooks');
+const { EVIDENCE_FIELD, MAX_EVIDENCE_FILES, MAX_EVIDENCE_SIZE, evidenceTypeOf, hashFile, describeEvidence, listMedia, recordedFiles, openMedia } = require('./services/evidence');
+const { validateFIRSubmission, validateIdempotencyKey, validateSignature, validateSubmissionQuery, validateAbandonment, validateFIRQuery,
+  validateAuditQuery, validateAuditVerifyQuery, validateFIRId, validateFIRMedia, validateEvidenceVerification, validateJobId, validateVictimAddress, validateVerification, validateAmendment,
+  validateNote, validateStation, validateOfficer, validateAssignment, validateStationTransfer, validateNotificationId, validateNotificationQuery,
+  validateNotificationSendQuery, validateNotificationPreferences, validateWebhookId, validateWebhookDeliveryId, validateWebhook, validateWebhookUpdate,
+  validateWebhookDeliveryQuery, sanitizeInput } = require('./middleware/validation');
+const { authenticate, requireRole, requireWallet, requireJurisdiction, isSameAddress } = require('./middleware/auth');
+const { auditTrail, audit } = require('./middleware/audit');
+const { buildOpenAPIDocument } = require('./docs/openapi');
+const { AppError, AuthError, ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('./services/errors');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30 * 1000;
+
+let server = null;
+let shuttingDown = false;
 
 // Security middleware
 app.use(helmet());
@@ -25,6 +63,16 @@ app.use(cors({
   credentials: true
 }));
 
+// Refuse new work once shutdown has begun; in-flight requests still complete
+app.use((req, res, next) => {
+  if (!shuttingDown) return next();
+  res.set('Connection', 'close');
+  next(new AppError('SERVICE_SHUTTING_DOWN'));
+});
+
+// Every API request is recorded in the hash-chained audit log, including rejected ones
+app.use('/api/', auditTrail);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -40,9 +88,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // File upload configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
-    fs.mkdir(uploadDir, { recursive: true }).then(() => {
-      cb(null, uploadDir);
+    fs.mkdir(UPLOAD_DIR, { recursive: true }).then(() => {
+      cb(null, UPLOAD_DIR);
     }).catch(err => {
       cb(err, null);
     });
@@ -56,10 +103,17 @@ const storage = multer.diskStorage({
 const upload = multer({ 
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 2 // Max 2 files (image + audio)
+    // Per-type limits are checked by validateFIRSubmission; this only bounds the largest evidence type
+    fileSize: MAX_EVIDENCE_SIZE,
+    files: 2 + MAX_EVIDENCE_FILES // image + audio + evidence[]
   },
   fileFilter: (req, file, cb) => {
+    if (file.fieldname === EVIDENCE_FIELD) {
+      return evidenceTypeOf(file.mimetype)
+        ? cb(null, true)
+        : cb(new ValidationError([`Unsupported evidence file type: ${file.mimetype}`], 'UNSUPPORTED_FILE_TYPE'), false);
+    }
+
     const allowedTypes = {
       'image/jpeg': '.jpg',
       'image/png': '.png',
@@ -76,11 +130,17 @@ const upload = multer({
     if (allowedTypes[file.mimetype]) {
       cb(null, true);
     } else {
-      cb(new Error(`Invalid file type: ${file.mimetype}`), false);
+      cb(new ValidationError([`Invalid file type: ${file.mimetype}`], 'UNSUPPORTED_FILE_TYPE'), false);
     }
   }
 });
 
+// A file compared against a FIR's recorded hashes is only hashed, so any type is accepted
+const verificationUpload = multer({
+  storage: storage,
+  limits: { fileSize: MAX_EVIDENCE_SIZE, files: 1 }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -90,8 +150,44 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Liveness: the process is up and the event loop is serving requests
+app.get('/health/live', (req, res) => {
+  res.json(healthService.checkLiveness());
+});
+
+// Readiness: every dependency answers; 503 while a critical one is down
+app.get('/health/ready', async (req, res, next) => {
+  try {
+    const report = await healthService.checkReadiness();
+    res.status(report.ready ? 200 : 503).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Prometheus metrics: pipeline stage latency and failures, transactions, similarity and STT paths
+app.get('/metrics', async (req, res, next) => {
+  try {
+    res.set('Content-Type', metricsService.contentType);
+    res.send(await metricsService.render());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// OpenAPI document generated from the Joi request schemas
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildOpenAPIDocument());
+});
+
+// Interactive API docs
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: 'De-FIR API',
+  swaggerOptions: { url: '/api/openapi.json' }
+}));
+
 // Roles for an address
-app.get('/api/roles/:address', async (req, res) => {
+app.get('/api/roles/:address', audit('roles.view', req => ({ resource: `wallet:${req.params.address}` })), validateVictimAddress, async (req, res, next) => {
   try {
     const address = req.params.address;
     const roles = {
@@ -101,145 +197,320 @@ app.get('/api/roles/:address', async (req, res) => {
     };
     res.json({ success: true, address, roles });
   } catch (error) {
-    console.error('Error fetching roles:', error);
-    res.status(500).json({ error: 'Failed to fetch roles' });
+    next(error);
   }
 });
 
 // Contract info
-app.get('/api/contract', async (req, res) => {
+app.get('/api/contract', audit('contract.view'), async (req, res, next) => {
   try {
     const info = await blockchainService.getContractInfo();
     res.json({ success: true, ...info });
   } catch (error) {
-    console.error('Error fetching contract info:', error);
-    res.status(500).json({ error: 'Failed to fetch contract info' });
+    next(error);
+  }
+});
+
+/**
+ * Issue a nonce for Sign-In-With-Ethereum
+ * GET /api/auth/nonce
+ */
+app.get('/api/auth/nonce', audit('auth.nonce'), (req, res, next) => {
+  try {
+    const { nonce, expiresAt } = authService.issueNonce();
+    res.json({ success: true, nonce, expiresAt, domain: authService.domain });
+  } catch (error) {
+    next(error);
   }
 });
 
+/**
+ * Sign in with a signed SIWE (EIP-4361) message
+ * POST /api/auth/login
+ * Body: { message: string, signature: string, address: string }
+ */
+app.post('/api/auth/login', audit('auth.login', (req, res) => ({
+  actor: res.statusCode === 200 ? req.validatedSignature?.address : undefined
+})), validateSignature, async (req, res, next) => {
+  try {
+    const { message, signature, address } = req.validatedSignature;
+    const session = await authService.login(message, signature);
+
+    if (!isSameAddress(session.address, address)) {
+      throw new AuthError('Signed message was issued for a different address');
+    }
+
+    res.json({ success: true, ...session });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the current session
+ * GET /api/auth/session
+ */
+app.get('/api/auth/session', audit('auth.session'), authenticate, (req, res) => {
+  res.json({ success: true, address: req.auth.address, roles: req.auth.roles });
+});
+
+/**
+ * Check whether a session may read a job (its victim or government staff)
+ * @param {Object} auth - Authenticated session
+ * @param {Object} job - Job record
+ * @returns {boolean}
+ */
+function canAccessJob(auth, job) {
+  return isSameAddress(auth.address, job.payload.victimAddress) || auth.roles.includes('GOV_ROLE');
+}
+
+/**
+ * Build the response for a queued or previously seen submission
+ * @param {Object} job - Job processing the submission
+ * @param {boolean} duplicate - Whether this is a repeat of an earlier submission
+ * @returns {Object}
+ */
+function submissionResponse(job, duplicate) {
+  const response = {
+    success: true,
+    duplicate,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`
+  };
+
+  if (job.status === JOB_STATUS.COMPLETED) {
+    response.firId = job.result.firId;
+    response.cid = job.result.cid;
+    response.txHash = job.result.txHash;
+    response.result = job.result;
+  }
+
+  return response;
+}
+
 /**
  * Submit FIR with OCR + STT + ML verification
  * POST /api/submitFIR
- * Body: FormData with 'image' and 'audio' files, plus 'victimAddress'
+ * Body: FormData with 'image' and 'audio' files, plus 'victimAddress'; any number of
+ *   'evidence[]' attachments (photos, PDFs, audio, video) within the per-type limits, and
+ *   optionally the incident 'location' (address), 'pincode' and 'latitude'/'longitude'
+ * Requires a session for the victim's own wallet.
+ * Headers: optional 'Idempotency-Key'
+ * The pipeline runs in the background; poll GET /api/jobs/:id for progress.
+ * Repeating a submission (same Idempotency-Key, or same image, audio, evidence and victim)
+ * returns the original job instead of filing a second FIR.
  */
-app.post('/api/submitFIR', upload.fields([
+app.post('/api/submitFIR', audit('fir.submit', (req, res) => ({
+  resource: res.locals.jobId && `job:${res.locals.jobId}`
+})), authenticate, validateIdempotencyKey, upload.fields([
   { name: 'image', maxCount: 1 },
-  { name: 'audio', maxCount: 1 }
-]), validateFIRSubmission, async (req, res) => {
+  { name: 'audio', maxCount: 1 },
+  { name: EVIDENCE_FIELD, maxCount: MAX_EVIDENCE_FILES }
+]), sanitizeInput, validateFIRSubmission, requireWallet(req => req.body.victimAddress), async (req, res, next) => {
   try {
-    const { victimAddress } = req.body;
+    const { victimAddress, location, pincode, latitude, longitude } = req.validatedData;
     const imageFile = req.files?.image?.[0];
     const audioFile = req.files?.audio?.[0];
+    const evidenceFiles = req.files?.[EVIDENCE_FIELD] || [];
+
+    const uploads = [imageFile.path, audioFile.path, ...evidenceFiles.map(file => file.path)];
+    const [imageHash, audioHash, evidence] = await Promise.all([
+      ocrService.calculateImageHash(imageFile.path),
+      sttService.calculateAudioHash(audioFile.path),
+      describeEvidence(evidenceFiles)
+    ]);
+    const naturalKey = idempotencyService.naturalKey(imageHash, audioHash, victimAddress, evidence.map(item => item.hash));
+
+    const existing = idempotencyService.findSubmission({
+      idempotencyKey: req.idempotencyKey,
+      naturalKey,
+      victimAddress: req.auth.address
+    });
+
+    if (existing?.conflict) {
+      throw new ValidationError(['Idempotency-Key was already used for a different submission'], 'IDEMPOTENCY_KEY_REUSED');
+    }
 
-    if (!imageFile || !audioFile) {
-      return res.status(400).json({
-        error: 'Both image and audio files are required'
+    if (existing) {
+      // A failed or abandoned original is resumed with the fresh upload; stages that
+      // already pinned to IPFS or created the FIR keep their results and are not repeated
+      let job = recoveryService.resubmit(existing.jobId, {
+        imagePath: imageFile.path,
+        imageMimeType: imageFile.mimetype,
+        audioPath: audioFile.path,
+        audioMimeType: audioFile.mimetype,
+        evidence
       });
+      if (!job) {
+        job = jobQueue.getJob(existing.jobId);
+        await removeUploads(uploads);
+      }
+
+      console.log(`Repeat FIR submission for victim ${victimAddress} matched job ${job.id}`);
+      res.locals.jobId = job.id;
+      return res.status(job.status === JOB_STATUS.COMPLETED ? 200 : 202).json(submissionResponse(job, true));
     }
 
-    console.log(`Processing FIR submission for victim: ${victimAddress}`);
+    const job = jobQueue.enqueue(FIR_SUBMISSION_JOB, {
+      victimAddress,
+      imagePath: imageFile.path,
+      imageMimeType: imageFile.mimetype,
+      audioPath: audioFile.path,
+      audioMimeType: audioFile.mimetype,
+      evidence,
+      // Routes the FIR to a station (services/jurisdictions.js)
+      location: (location || pincode || latitude !== undefined) ? { address: location, pincode, latitude, longitude } : null,
+      submittedAt: new Date().toISOString()
+    });
 
-    // Step 1: OCR - Extract text from image
-    console.log('Step 1: Running OCR on image...');
-    const ocrResult = await ocrService.extractText(imageFile.path);
-    
-    // Step 2: STT - Transcribe audio to text
-    console.log('Step 2: Transcribing audio to text...');
-    const sttResult = await sttService.transcribeAudio(audioFile.path);
-    
-    // Step 3: ML - Calculate similarity score
-    console.log('Step 3: Calculating similarity score...');
-    const similarityResult = await mlService.calculateSimilarity(
-      ocrResult.text, 
-      sttResult.text
-    );
-    
-    // Step 4: Prepare data for IPFS
-    const firData = {
+    idempotencyService.recordSubmission({
+      naturalKey,
+      idempotencyKey: req.idempotencyKey,
       victimAddress,
-      ocrText: ocrResult.text,
-      sttText: sttResult.text,
-      similarityScore: similarityResult.score,
-      verified: similarityResult.score >= (parseInt(process.env.SIMILARITY_THRESHOLD) || 75),
-      timestamp: new Date().toISOString(),
-      imageHash: ocrResult.imageHash,
-      audioHash: sttResult.audioHash
-    };
+      jobId: job.id
+    });
 
-    // Step 5: Upload to IPFS
-    console.log('Step 5: Uploading to IPFS...');
-    const ipfsResult = await ipfsService.uploadToIPFS(firData);
-    
-    // Step 6: Create FIR on blockchain
-    console.log('Step 6: Creating FIR on blockchain...');
-    const blockchainResult = await blockchainService.createFIR(
-      ipfsResult.cid,
-      similarityResult.score,
-      victimAddress
-    );
-
-    // Step 7: Auto-verify if similarity score is high enough
-    if (firData.verified) {
-      await blockchainService.setVerification(blockchainResult.firId, true);
+    console.log(`FIR submission for victim ${victimAddress} queued as job ${job.id}`);
+    res.locals.jobId = job.id;
+
+    res.status(202).json(submissionResponse(job, false));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the status of a background job
+ * GET /api/jobs/:id
+ */
+app.get('/api/jobs/:id', audit('job.view', req => ({ resource: `job:${req.params.id}` })), authenticate, validateJobId, (req, res, next) => {
+  try {
+    const job = jobQueue.getJob(req.params.id);
+
+    if (!job) {
+      throw new NotFoundError('JOB_NOT_FOUND');
     }
 
-    // Cleanup uploaded files
-    await fs.unlink(imageFile.path);
-    await fs.unlink(audioFile.path);
+    if (!canAccessJob(req.auth, job)) {
+      throw new ForbiddenError('FORBIDDEN', ['Not allowed to view this job']);
+    }
 
-    // Return comprehensive result
     res.json({
       success: true,
-      firId: blockchainResult.firId,
-      cid: ipfsResult.cid,
-      ipfsUrl: ipfsResult.url,
-      txHash: blockchainResult.txHash,
-      ocrText: ocrResult.text,
-      sttText: sttResult.text,
-      similarityScore: similarityResult.score,
-      verified: firData.verified,
-      timestamp: firData.timestamp,
-      gatewayUrl: `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/'}${ipfsResult.cid}`
+      job: {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        stages: job.stages,
+        result: job.result,
+        error: job.error,
+        errorCode: job.errorCode,
+        attempts: job.attempts,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt
+      }
     });
 
   } catch (error) {
-    console.error('Error processing FIR submission:', error);
-    
-    // Cleanup files on error
-    try {
-      if (req.files?.image?.[0]) await fs.unlink(req.files.image[0].path);
-      if (req.files?.audio?.[0]) await fs.unlink(req.files.audio[0].path);
-    } catch (cleanupError) {
-      console.error('Error cleaning up files:', cleanupError);
-    }
+    next(error);
+  }
+});
 
-    res.status(500).json({
-      error: 'Failed to process FIR submission',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+/**
+ * Stream a job's pipeline events as Server-Sent Events
+ * GET /api/jobs/:id/events
+ * Stored events are replayed first (after Last-Event-ID when reconnecting),
+ * then live events are pushed until the job completes or fails.
+ * EventSource cannot set headers, so the session token may be passed as ?access_token=.
+ */
+app.get('/api/jobs/:id/events', audit('job.events', req => ({ resource: `job:${req.params.id}` })), authenticate, validateJobId, (req, res, next) => {
+  const job = jobQueue.getJob(req.params.id);
+
+  if (!job) {
+    return next(new NotFoundError('JOB_NOT_FOUND'));
   }
+
+  if (!canAccessJob(req.auth, job)) {
+    return next(new ForbiddenError('FORBIDDEN', ['Not allowed to view this job']));
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event) => {
+    if (event.id) res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+  };
+
+  const isFinal = (type) => ['job-completed', 'job-failed', 'job-abandoned'].includes(type);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  const replayed = jobQueue.getEvents(job.id, lastEventId);
+  replayed.forEach(sendEvent);
+
+  if (replayed.some(event => isFinal(event.type))) {
+    return res.end();
+  }
+
+  const onJobEvent = (event) => {
+    if (event.jobId !== job.id) return;
+    sendEvent(event);
+    if (isFinal(event.type)) res.end();
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  // Clients reconnect with Last-Event-ID to another node
+  const onShutdown = () => res.end();
+
+  eventBus.on('job-event', onJobEvent);
+  eventBus.once('shutdown', onShutdown);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    eventBus.off('job-event', onJobEvent);
+    eventBus.off('shutdown', onShutdown);
+  });
 });
 
 /**
- * Get all FIRs from blockchain
+ * List FIRs from the local event index
  * GET /api/firs
- * Query params: ?verified=true/false&limit=10&offset=0
+ * Query params: ?victim=0x..&verified=true/false&status=UNDER_INVESTIGATION&station=PS-01&assignedTo=0x..
+ *   &minScore&maxScore&fromDate&toDate
+ *   &sortBy=timestamp|id|similarityScore|statusUpdatedAt&sortOrder=asc|desc&limit=10&offset=0
+ * Each FIR lists the lifecycle `actions` its current status allows.
+ * Requires a session. Officers posted at a station only see the FIRs assigned to it,
+ * whatever `station` they ask for; wallets without GOV_ROLE or DEFAULT_ADMIN_ROLE
+ * only see the FIRs they submitted, whatever `victim` they ask for.
  */
-app.get('/api/firs', async (req, res) => {
+app.get('/api/firs', audit('fir.list'), authenticate, validateFIRQuery, (req, res, next) => {
   try {
-    const { verified, limit = 10, offset = 0 } = req.query;
-    
-    let firs;
-    if (verified !== undefined) {
-      const isVerified = verified === 'true';
-      firs = await blockchainService.getFIRsByStatus(isVerified, parseInt(limit), parseInt(offset));
-    } else {
-      firs = await blockchainService.getAllFIRs(parseInt(limit), parseInt(offset));
+    const jurisdiction = stationService.jurisdictionOf(req.auth);
+    const isStaff = ['GOV_ROLE', 'DEFAULT_ADMIN_ROLE'].some(role => req.auth.roles.includes(role));
+    let query = req.validatedQuery;
+    if (jurisdiction) {
+      query = { ...query, station: jurisdiction };
+    } else if (!isStaff) {
+      query = { ...query, victim: req.auth.address };
     }
+    const { firs, total } = firIndexer.listFIRs(query);
 
     // Enhance FIR data with IPFS URLs
     const enhancedFIRs = firs.map(fir => ({
       ...fir,
+      actions: availableActions(fir.status),
       gatewayUrl: `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/'}${fir.ipfsCid}`,
       ipfsUrl: `ipfs://${fir.ipfsCid}`
     }));
@@ -247,149 +518,926 @@ app.get('/api/firs', async (req, res) => {
     res.json({
       success: true,
       firs: enhancedFIRs,
-      total: firs.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+      total,
+      limit: query.limit,
+      offset: query.offset,
+      jurisdiction,
+      indexedBlock: firIndexer.getIndexedBlock()
     });
 
   } catch (error) {
-    console.error('Error fetching FIRs:', error);
-    res.status(500).json({
-      error: 'Failed to fetch FIRs',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
 /**
  * Get specific FIR details
  * GET /api/firs/:id
+ * Requires a session; the encrypted IPFS document is only decrypted for the
+ * FIR's victim and government staff. `history` lists the original filing and
+ * every amendment in order; `actions` the lifecycle actions the current status allows;
+ * `assignment` the station and officer currently handling it. `timestamp` is the
+ * on-chain filing time (unix seconds); `submittedAt` the document's submission time (ISO).
  */
-app.get('/api/firs/:id', async (req, res) => {
+app.get('/api/firs/:id', audit('fir.view', req => ({ resource: `fir:${req.params.id}` })), authenticate, validateFIRId, async (req, res, next) => {
   try {
     const { id } = req.params;
     const fir = await blockchainService.getFIR(parseInt(id));
     
     if (!fir.exists) {
-      return res.status(404).json({
-        error: 'FIR not found'
-      });
+      throw new NotFoundError('FIR_NOT_FOUND');
     }
 
-    // Fetch IPFS data
-    const ipfsData = await ipfsService.fetchFromIPFS(fir.ipfsCid);
+    // Fetch and decrypt IPFS data; gov staff outside the FIR's jurisdiction read it as an ordinary wallet
+    const reader = stationService.readerFor(req.auth, fir.id);
+    const { timestamp: submittedAt, ...ipfsData } = await ipfsService.fetchFromIPFS(fir.ipfsCid, { reader });
+    const history = await getHistory(fir, reader);
 
     res.json({
       success: true,
       fir: {
         ...fir,
         ...ipfsData,
-        gatewayUrl: `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/'}${fir.ipfsCid}`
+        // The chain records the relayer that sent the transaction; the document names the victim
+        victim: ipfsData.victimAddress,
+        submittedAt,
+        // The document records the verdict at submission; the chain has the latest decision
+        verified: fir.verified,
+        gatewayUrl: `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/'}${fir.ipfsCid}`,
+        actions: availableActions(fir.status),
+        assignment: stationService.getAssignment(fir.id),
+        decision: decisionService.getDecision(fir.id),
+        history
       }
     });
 
   } catch (error) {
-    console.error('Error fetching FIR:', error);
-    res.status(500).json({
-      error: 'Failed to fetch FIR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    next(error);
+  }
+});
+
+/**
+ * Add a supplementary statement to a FIR
+ * POST /api/firs/:id/amendments
+ * Body: { statement, items?: [{description, quantity?, estimatedValue?}] }
+ * Requires a session for the FIR's victim. The amendment is pinned as a new
+ * document linked to the latest version and recorded against the FIR on-chain.
+ */
+app.post('/api/firs/:id/amendments', audit('fir.amend', (req, res) => ({
+  resource: `fir:${req.params.id}`,
+  details: res.locals.amendment && { version: res.locals.amendment.version, cid: res.locals.amendment.cid }
+})), authenticate, validateFIRId, sanitizeInput, validateAmendment, async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+    const fir = await blockchainService.getFIR(id);
+
+    if (!fir.exists) {
+      throw new NotFoundError('FIR_NOT_FOUND');
+    }
+
+    const original = await ipfsService.fetchFromIPFS(fir.ipfsCid, { reader: req.auth });
+    const amendment = await fileAmendment(fir, original, req.validatedData, req.auth);
+
+    console.log(`FIR ${id} amended to version ${amendment.version} by ${req.auth.address}`);
+    res.locals.amendment = amendment;
+
+    res.status(201).json({ success: true, ...amendment });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stream an original media file of a FIR: the complaint image or audio, or an evidence attachment
+ * GET /api/firs/:id/media/:cid
+ * Requires a session that can read the FIR document; the CID must be one the document lists.
+ * The file is returned decrypted, with its recorded SHA-256 in X-Content-SHA256.
+ */
+app.get('/api/firs/:id/media/:cid', audit('fir.media', req => ({
+  resource: `fir:${req.params.id}`,
+  details: { cid: req.params.cid }
+})), authenticate, validateFIRMedia, async (req, res, next) => {
+  try {
+    const { id, cid } = req.validatedParams;
+    const fir = await blockchainService.getFIR(id);
+
+    if (!fir.exists) {
+      throw new NotFoundError('FIR_NOT_FOUND');
+    }
+
+    // Decrypting the document is the access check
+    const document = await ipfsService.fetchFromIPFS(fir.ipfsCid, { reader: stationService.readerFor(req.auth, fir.id) });
+    const entry = listMedia(document).find(item => item.cid === cid);
+    if (!entry) {
+      throw new NotFoundError('MEDIA_NOT_FOUND');
+    }
+
+    const content = await openMedia(entry);
+    res.set({
+      'Content-Type': entry.mimeType,
+      'Content-Length': entry.size,
+      'Cache-Control': 'private, no-store',
+      'X-Content-SHA256': entry.hash
     });
+
+    pipeline(content, res, error => {
+      // Headers are already sent; a truncated response is all the client can be told
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`Error streaming ${cid} of FIR ${id}:`, error);
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check a file against the hashes recorded for a FIR
+ * POST /api/firs/:id/verify-evidence
+ * Body: FormData with a 'file'
+ * Requires a session that can read the FIR document. The file's SHA-256 is compared with
+ * the image, audio and evidence hashes in the document, and the document fetched from
+ * IPFS is checked against the CID recorded on-chain.
+ */
+app.post('/api/firs/:id/verify-evidence', audit('fir.verify-evidence', req => ({
+  resource: `fir:${req.params.id}`
+})), authenticate, verificationUpload.fields([{ name: 'file', maxCount: 1 }]), validateEvidenceVerification, async (req, res, next) => {
+  const file = req.files.file[0];
+
+  try {
+    const { id } = req.validatedParams;
+    const fir = await blockchainService.getFIR(id);
+
+    if (!fir.exists) {
+      throw new NotFoundError('FIR_NOT_FOUND');
+    }
+
+    const content = await ipfsService.fetchContent(fir.ipfsCid);
+    const document = ipfsService.openDocument(content, { reader: stationService.readerFor(req.auth, fir.id) });
+    const [hash, computedCid] = await Promise.all([
+      hashFile(file.path),
+      ipfsService.computeCid(content, fir.ipfsCid)
+    ]);
+
+    const matches = recordedFiles(document).filter(recorded => recorded.hash === hash);
+
+    res.json({
+      success: true,
+      firId: id,
+      file: { name: file.originalname, size: file.size, hash },
+      match: matches.length > 0,
+      matches: matches.map(({ kind, cid, mimeType }) => ({ kind, cid, mimeType })),
+      document: {
+        cid: fir.ipfsCid,
+        computedCid,
+        // null when only a gateway is configured and the CID cannot be recomputed
+        cidMatches: computedCid === null ? null : computedCid === fir.ipfsCid
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  } finally {
+    await removeUploads([file.path]);
   }
 });
 
 /**
  * Verify or reject a FIR (Government staff only)
  * POST /api/firs/:id/verify
- * Body: { verified: boolean, signature: string }
+ * Body: { verified: boolean, reasonCode, reason }
+ * Requires a session holding GOV_ROLE. The reason is stored off-chain and its
+ * hash recorded in the FIRVerified event.
  */
-app.post('/api/firs/:id/verify', async (req, res) => {
+app.post('/api/firs/:id/verify', audit('fir.verify', (req, res) => ({
+  resource: `fir:${req.params.id}`,
+  details: res.locals.decision && {
+    verified: res.locals.decision.verified,
+    reasonCode: res.locals.decision.reasonCode,
+    reasonHash: res.locals.decision.reasonHash
+  }
+})), authenticate, requireRole('GOV_ROLE'), validateFIRId, requireJurisdiction(req => req.validatedParams.id),
+  sanitizeInput, validateVerification, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { verified, signature } = req.body;
+    const { id } = req.validatedParams;
+    const { verified, reasonCode, reason } = req.validatedData;
+
+    console.log(`FIR ${id} ${verified ? 'verified' : 'rejected'} by ${req.auth.address} (${reasonCode})`);
+
+    const decision = await decisionService.decide(id, { verified, reasonCode, reason }, req.auth.address);
+    res.locals.decision = decision;
 
-    if (typeof verified !== 'boolean') {
-      return res.status(400).json({
-        error: 'verified field must be a boolean'
+    res.json({
+      success: true,
+      firId: id,
+      verified,
+      verifiedBy: req.auth.address,
+      reasonCode,
+      reasonHash: decision.reasonHash,
+      txHash: decision.txHash
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Move a FIR through its case lifecycle, one endpoint per action in CASE_ACTIONS
+ * POST /api/firs/:id/investigate | file-chargesheet | close | reopen | transfer
+ * Requires a session holding one of the action's roles. Responds 409
+ * INVALID_STATUS_TRANSITION when the FIR's current status is not one the action starts from.
+ */
+for (const [action, { from, to, roles }] of Object.entries(CASE_ACTIONS)) {
+  app.post(`/api/firs/:id/${action}`, audit(`fir.${action}`, (req, res) => ({
+    resource: `fir:${req.params.id}`,
+    details: res.locals.transition
+  })), authenticate, requireRole(...roles), validateFIRId, requireJurisdiction(req => req.validatedParams.id), async (req, res, next) => {
+    try {
+      const { id } = req.validatedParams;
+      const result = await blockchainService.updateStatus(id, to, { from });
+
+      console.log(`FIR ${id} moved from ${result.previousStatus} to ${result.status} by ${req.auth.address}`);
+      res.locals.transition = { from: result.previousStatus, to: result.status };
+
+      res.json({
+        success: true,
+        firId: id,
+        previousStatus: result.previousStatus,
+        status: result.status,
+        changedBy: req.auth.address,
+        txHash: result.txHash
       });
+
+    } catch (error) {
+      next(error);
     }
+  });
+}
 
-    // Verify government signature (implement signature verification)
-    // const isValidSignature = await verifyGovernmentSignature(signature, id, verified);
-    // if (!isValidSignature) {
-    //   return res.status(403).json({
-    //     error: 'Invalid government signature'
-    //   });
-    // }
+/**
+ * Case notes of a FIR, oldest first
+ * GET /api/firs/:id/notes
+ * Requires a session that can read the FIR document. Gov staff see every note,
+ * the complainant only notes shared with them.
+ */
+app.get('/api/firs/:id/notes', audit('fir.notes', req => ({ resource: `fir:${req.params.id}` })), authenticate, validateFIRId, async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+    const fir = await blockchainService.getFIR(id);
+
+    if (!fir.exists) {
+      throw new NotFoundError('FIR_NOT_FOUND');
+    }
 
-    const result = await blockchainService.setVerification(parseInt(id), verified);
+    // Only readers of the FIR may see its thread
+    const reader = stationService.readerFor(req.auth, fir.id);
+    await ipfsService.fetchFromIPFS(fir.ipfsCid, { reader });
+    const { notes, complete } = await noteService.listNotes(fir, reader);
+
+    res.json({ success: true, firId: id, notes, complete });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Post a signed case note
+ * POST /api/firs/:id/notes
+ * Body: { body, visibility: internal|shared, signedAt, signature }
+ * `signature` is the author's personal_sign over the note text (see noteMessage in
+ * services/notes.js). Gov staff may post either visibility; the complainant only shared notes.
+ */
+app.post('/api/firs/:id/notes', audit('fir.note', (req, res) => ({
+  resource: `fir:${req.params.id}`,
+  details: res.locals.note
+})), authenticate, validateFIRId, validateNote, async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+    const fir = await blockchainService.getFIR(id);
+
+    if (!fir.exists) {
+      throw new NotFoundError('FIR_NOT_FOUND');
+    }
+
+    const author = stationService.readerFor(req.auth, fir.id);
+    const original = await ipfsService.fetchFromIPFS(fir.ipfsCid, { reader: author });
+    const note = await noteService.addNote(fir, original, req.validatedData, author);
+
+    console.log(`Note ${note.cid} added to FIR ${id} by ${req.auth.address}`);
+    res.locals.note = { cid: note.cid, visibility: note.visibility };
+
+    res.status(201).json({ success: true, firId: id, note });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Current assignment of a FIR and every earlier one
+ * GET /api/firs/:id/assignment
+ * Requires a session holding GOV_ROLE.
+ */
+app.get('/api/firs/:id/assignment', audit('fir.assignment.view', req => ({ resource: `fir:${req.params.id}` })), authenticate, requireRole('GOV_ROLE'), validateFIRId,
+  requireJurisdiction(req => req.validatedParams.id), (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
 
     res.json({
       success: true,
-      firId: parseInt(id),
-      verified,
-      txHash: result.txHash
+      firId: id,
+      assignment: stationService.getAssignment(id),
+      history: stationService.getAssignmentHistory(id)
     });
 
   } catch (error) {
-    console.error('Error verifying FIR:', error);
-    res.status(500).json({
-      error: 'Failed to verify FIR',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
+  }
+});
+
+/**
+ * Assign or reassign a FIR to a police station and, optionally, one of its officers
+ * PUT /api/firs/:id/assignment
+ * Body: { stationCode, officer?, reason? }
+ * Requires a session holding GOV_ROLE. Earlier assignments are kept as history.
+ * Officers posted at a station may only assign within it; other stations get FIRs by transfer.
+ */
+app.put('/api/firs/:id/assignment', audit('fir.assign', (req, res) => ({
+  resource: `fir:${req.params.id}`,
+  details: res.locals.assignment
+})), authenticate, requireRole('GOV_ROLE'), validateFIRId, requireJurisdiction(req => req.validatedParams.id),
+  sanitizeInput, validateAssignment, async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+    const fir = await blockchainService.getFIR(id);
+
+    if (!fir.exists) {
+      throw new NotFoundError('FIR_NOT_FOUND');
+    }
+
+    const jurisdiction = stationService.jurisdictionOf(req.auth);
+    if (jurisdiction && req.validatedData.stationCode !== jurisdiction) {
+      throw new ForbiddenError('OUTSIDE_JURISDICTION', [`Transfer the FIR to move it from ${jurisdiction} to another station`]);
+    }
+
+    const { assignment, previous } = stationService.assign(id, req.validatedData, req.auth.address);
+
+    console.log(`FIR ${id} assigned to ${assignment.stationCode}${assignment.officer ? ` / ${assignment.officer}` : ''} by ${req.auth.address}`);
+    res.locals.assignment = {
+      station: assignment.stationCode,
+      officer: assignment.officer,
+      ...(previous && { previousStation: previous.stationCode, previousOfficer: previous.officer })
+    };
+
+    res.json({ success: true, firId: id, assignment, previous });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Transfer a FIR to another police station's jurisdiction
+ * POST /api/firs/:id/station-transfer
+ * Body: { stationCode, reason }
+ * Requires a session holding GOV_ROLE and jurisdiction over the FIR. The FIR leaves
+ * the officer it was assigned to; the receiving station assigns its own. Unlike
+ * POST /api/firs/:id/transfer, the case status does not change.
+ */
+app.post('/api/firs/:id/station-transfer', audit('fir.station-transfer', (req, res) => ({
+  resource: `fir:${req.params.id}`,
+  details: res.locals.transfer
+})), authenticate, requireRole('GOV_ROLE'), validateFIRId, requireJurisdiction(req => req.validatedParams.id),
+  sanitizeInput, validateStationTransfer, async (req, res, next) => {
+  try {
+    const { id } = req.validatedParams;
+    const fir = await blockchainService.getFIR(id);
+
+    if (!fir.exists) {
+      throw new NotFoundError('FIR_NOT_FOUND');
+    }
+
+    const { assignment, previous } = stationService.transfer(id, req.validatedData, req.auth.address);
+
+    console.log(`FIR ${id} transferred from ${previous ? previous.stationCode : 'no station'} to ${assignment.stationCode} by ${req.auth.address}`);
+    res.locals.transfer = {
+      station: assignment.stationCode,
+      previousStation: previous ? previous.stationCode : null,
+      reason: assignment.reason
+    };
+
+    res.json({ success: true, firId: id, assignment, previous });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List police stations and the officers posted at each
+ * GET /api/stations
+ * Requires a session holding GOV_ROLE or DEFAULT_ADMIN_ROLE.
+ */
+app.get('/api/stations', audit('station.list'), authenticate, requireRole('GOV_ROLE', 'DEFAULT_ADMIN_ROLE'), (req, res, next) => {
+  try {
+    res.json({ success: true, stations: stationService.listStations() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Register a police station
+ * POST /api/stations
+ * Body: { code, name, district? }
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.post('/api/stations', audit('station.create', req => ({
+  resource: req.validatedData && `station:${req.validatedData.code}`
+})), authenticate, requireRole('DEFAULT_ADMIN_ROLE'), sanitizeInput, validateStation, (req, res, next) => {
+  try {
+    const station = stationService.createStation(req.validatedData);
+    res.status(201).json({ success: true, station });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Register an investigating officer or post them to another station
+ * PUT /api/officers/:address
+ * Body: { name, rank?, stationCode }
+ * Requires a session holding DEFAULT_ADMIN_ROLE. The officer's wallet must hold GOV_ROLE.
+ */
+app.put('/api/officers/:address', audit('officer.save', req => ({
+  resource: `wallet:${req.params.address}`,
+  details: req.validatedData && { station: req.validatedData.stationCode }
+})), authenticate, requireRole('DEFAULT_ADMIN_ROLE'), sanitizeInput, validateOfficer, async (req, res, next) => {
+  try {
+    const officer = await stationService.saveOfficer(req.validatedParams.address, req.validatedData);
+    res.json({ success: true, officer });
+  } catch (error) {
+    next(error);
   }
 });
 
 /**
  * Get victim's FIRs
  * GET /api/victim/:address/firs
+ * Requires a session for the same wallet. Served from the index, which knows the
+ * submitting wallet; on-chain every FIR belongs to the relayer.
  */
-app.get('/api/victim/:address/firs', async (req, res) => {
+app.get('/api/victim/:address/firs', audit('victim.firs', req => ({ resource: `wallet:${req.params.address}` })), authenticate, validateVictimAddress, requireWallet(req => req.params.address), (req, res, next) => {
   try {
     const { address } = req.params;
-    const firs = await blockchainService.getVictimFIRs(address);
+    // SQLite reads a negative LIMIT as no limit
+    const { firs } = firIndexer.listFIRs({ victim: address, sortBy: 'id', sortOrder: 'asc', limit: -1 });
 
     res.json({
       success: true,
       victim: address,
-      firs
+      firs: firs.map(fir => fir.id)
     });
 
   } catch (error) {
-    console.error('Error fetching victim FIRs:', error);
-    res.status(500).json({
-      error: 'Failed to fetch victim FIRs',
-      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    next(error);
+  }
+});
+
+/**
+ * In-app notifications of the signed-in wallet, newest first
+ * GET /api/notifications?unreadOnly=true|false&limit&offset
+ */
+app.get('/api/notifications', audit('notification.list'), authenticate, validateNotificationQuery, (req, res, next) => {
+  try {
+    const { limit, offset } = req.validatedQuery;
+    const { notifications, total, unread } = notificationService.listNotifications(req.auth.address, req.validatedQuery);
+
+    res.json({
+      success: true,
+      notifications,
+      unread,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + notifications.length < total
+      }
     });
+
+  } catch (error) {
+    next(error);
   }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        error: 'File too large. Maximum size is 10MB.'
-      });
+/**
+ * Notification language, channel opt-ins and contact details of the signed-in wallet
+ * GET /api/notifications/preferences
+ */
+app.get('/api/notifications/preferences', audit('notification.preferences.view'), authenticate, (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      preferences: notificationService.getPreferences(req.auth.address),
+      availableChannels: notificationService.availableChannels(),
+      languages: NOTIFICATION_LANGUAGES
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Replace the signed-in wallet's notification preferences
+ * PUT /api/notifications/preferences
+ * Body: { language, channels: { inApp, email, sms }, email?, phone? }
+ */
+app.put('/api/notifications/preferences', audit('notification.preferences.update', req => ({
+  details: req.validatedData && { language: req.validatedData.language, channels: req.validatedData.channels }
+})), authenticate, validateNotificationPreferences, (req, res, next) => {
+  try {
+    const preferences = notificationService.savePreferences(req.auth.address, req.validatedData);
+    res.json({ success: true, preferences, availableChannels: notificationService.availableChannels() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Mark one of the signed-in wallet's in-app notifications as read
+ * POST /api/notifications/:id/read
+ */
+app.post('/api/notifications/:id/read', audit('notification.read', req => ({
+  resource: `notification:${req.params.id}`
+})), authenticate, validateNotificationId, (req, res, next) => {
+  try {
+    const notification = notificationService.markRead(req.auth.address, req.validatedParams.id);
+    res.json({ success: true, notification });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Page through notification sends on every channel, newest first; status=dead lists the dead letters
+ * GET /api/admin/notifications?status=&channel=&limit=20&offset=0
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.get('/api/admin/notifications', audit('notification.sends'), authenticate, requireRole('DEFAULT_ADMIN_ROLE'),
+  validateNotificationSendQuery, (req, res, next) => {
+  try {
+    const { limit, offset } = req.validatedQuery;
+    const { notifications, total } = notificationService.listSends(req.validatedQuery);
+
+    res.json({
+      success: true,
+      notifications,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + notifications.length < total
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a notification again, typically a dead letter once the channel is back up
+ * POST /api/admin/notifications/:id/retry
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.post('/api/admin/notifications/:id/retry', audit('notification.retry', req => ({ resource: `notification:${req.params.id}` })),
+  authenticate, requireRole('DEFAULT_ADMIN_ROLE'), validateNotificationId, (req, res, next) => {
+  try {
+    const notification = notificationService.retry(req.validatedParams.id);
+    res.json({ success: true, notification });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List submissions that need operator attention
+ * GET /api/admin/submissions?state=failed|stuck|orphaned|abandoned
+ */
+app.get('/api/admin/submissions', audit('submission.list'), authenticate, requireRole('GOV_ROLE', 'DEFAULT_ADMIN_ROLE'), validateSubmissionQuery, (req, res, next) => {
+  try {
+    const { state, limit, offset } = req.validatedQuery;
+    const { submissions, total } = recoveryService.listSubmissions({ state, limit, offset });
+
+    res.json({
+      success: true,
+      state,
+      submissions,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + submissions.length < total
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a submission with its stage journal
+ * GET /api/admin/submissions/:id
+ */
+app.get('/api/admin/submissions/:id', audit('submission.view', req => ({ resource: `job:${req.params.id}` })), authenticate, requireRole('GOV_ROLE', 'DEFAULT_ADMIN_ROLE'), validateJobId, (req, res, next) => {
+  try {
+    const submission = recoveryService.getSubmission(req.params.id);
+    if (!submission) {
+      throw new NotFoundError('JOB_NOT_FOUND');
     }
-    if (error.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({
-        error: 'Too many files. Maximum is 2 files (image + audio).'
-      });
+
+    res.json({
+      success: true,
+      submission
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Retry a failed submission immediately
+ * POST /api/admin/submissions/:id/retry
+ */
+app.post('/api/admin/submissions/:id/retry', audit('submission.retry', req => ({ resource: `job:${req.params.id}` })), authenticate, requireRole('GOV_ROLE', 'DEFAULT_ADMIN_ROLE'), validateJobId, (req, res, next) => {
+  try {
+    const submission = recoveryService.retry(req.params.id, req.auth.address);
+    if (!submission) {
+      throw new ConflictError('INVALID_STATE', ['Only failed submissions can be retried']);
     }
+
+    res.status(202).json({
+      success: true,
+      submission,
+      statusUrl: `/api/jobs/${submission.jobId}`
+    });
+
+  } catch (error) {
+    next(error);
   }
+});
 
-  console.error('Unhandled error:', error);
-  res.status(500).json({
-    error: 'Internal server error',
-    details: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
-  });
+/**
+ * Abandon a failed submission, removing its uploads and unpinning orphaned evidence
+ * POST /api/admin/submissions/:id/abandon
+ */
+app.post('/api/admin/submissions/:id/abandon', audit('submission.abandon', req => ({
+  resource: `job:${req.params.id}`,
+  details: req.body?.reason && { reason: req.body.reason }
+})), authenticate, requireRole('GOV_ROLE', 'DEFAULT_ADMIN_ROLE'), validateJobId,
+  sanitizeInput, validateAbandonment, async (req, res, next) => {
+  try {
+    const submission = await recoveryService.abandon(req.params.id, {
+      actor: req.auth.address,
+      reason: req.body.reason
+    });
+    if (!submission) {
+      throw new ConflictError('INVALID_STATE', ['Only failed submissions can be abandoned']);
+    }
+
+    res.json({
+      success: true,
+      submission
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Page through the audit log, newest first
+ * GET /api/admin/audit?action=&actor=&limit=50&offset=0
+ */
+app.get('/api/admin/audit', audit('audit.list'), authenticate, requireRole('GOV_ROLE', 'DEFAULT_ADMIN_ROLE'), validateAuditQuery, (req, res, next) => {
+  try {
+    const { action, actor, limit, offset } = req.validatedQuery;
+    const { entries, total } = auditService.list({ action, actor, limit, offset });
+
+    res.json({
+      success: true,
+      entries,
+      head: auditService.getHead(),
+      latestAnchor: auditService.getLatestAnchor(),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + entries.length < total
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Recompute the audit hash chain and compare it with the local and on-chain anchors
+ * GET /api/admin/audit/verify?fromSeq=1&toSeq=
+ */
+app.get('/api/admin/audit/verify', audit('audit.verify'), authenticate, requireRole('GOV_ROLE', 'DEFAULT_ADMIN_ROLE'), validateAuditVerifyQuery, async (req, res, next) => {
+  try {
+    const report = await auditService.verify(req.validatedQuery);
+
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Anchor the current audit log head on-chain now
+ * POST /api/admin/audit/anchor
+ */
+app.post('/api/admin/audit/anchor', audit('audit.anchor'), authenticate, requireRole('GOV_ROLE', 'DEFAULT_ADMIN_ROLE'), async (req, res, next) => {
+  try {
+    const anchor = await auditService.anchor();
+
+    res.json({
+      success: true,
+      anchored: Boolean(anchor),
+      anchor: anchor || auditService.getLatestAnchor()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List registered webhooks with their delivery counts
+ * GET /api/admin/webhooks
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.get('/api/admin/webhooks', audit('webhook.list'), authenticate, requireRole('DEFAULT_ADMIN_ROLE'), (req, res, next) => {
+  try {
+    res.json({ success: true, webhooks: webhookService.listWebhooks() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Register a partner webhook. The response carries the signing secret, which is not shown again.
+ * POST /api/admin/webhooks
+ * Body: { url, events[], description? }
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.post('/api/admin/webhooks', audit('webhook.create', (req, res) => ({
+  resource: res.locals.webhook && `webhook:${res.locals.webhook.id}`,
+  details: req.validatedData && { url: req.validatedData.url, events: req.validatedData.events }
+})), authenticate, requireRole('DEFAULT_ADMIN_ROLE'), validateWebhook, (req, res, next) => {
+  try {
+    const { webhook, secret } = webhookService.createWebhook(req.validatedData, req.auth.address);
+    res.locals.webhook = webhook;
+    res.status(201).json({ success: true, webhook, secret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change a webhook's URL, events or description, or pause and resume it
+ * PUT /api/admin/webhooks/:id
+ * Body: { url?, events[]?, description?, active? }
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.put('/api/admin/webhooks/:id', audit('webhook.update', req => ({
+  resource: `webhook:${req.params.id}`,
+  details: req.validatedData
+})), authenticate, requireRole('DEFAULT_ADMIN_ROLE'), validateWebhookId, validateWebhookUpdate, (req, res, next) => {
+  try {
+    const webhook = webhookService.updateWebhook(req.validatedParams.id, req.validatedData);
+    res.json({ success: true, webhook });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Remove a webhook and its delivery history
+ * DELETE /api/admin/webhooks/:id
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.delete('/api/admin/webhooks/:id', audit('webhook.delete', req => ({ resource: `webhook:${req.params.id}` })),
+  authenticate, requireRole('DEFAULT_ADMIN_ROLE'), validateWebhookId, (req, res, next) => {
+  try {
+    webhookService.deleteWebhook(req.validatedParams.id);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Replace a webhook's signing secret. The response carries the new secret.
+ * POST /api/admin/webhooks/:id/rotate-secret
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.post('/api/admin/webhooks/:id/rotate-secret', audit('webhook.rotate-secret', req => ({ resource: `webhook:${req.params.id}` })),
+  authenticate, requireRole('DEFAULT_ADMIN_ROLE'), validateWebhookId, (req, res, next) => {
+  try {
+    const { webhook, secret } = webhookService.rotateSecret(req.validatedParams.id);
+    res.json({ success: true, webhook, secret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Page through webhook deliveries, newest first; status=dead lists the dead letters
+ * GET /api/admin/webhook-deliveries?status=&webhookId=&limit=20&offset=0
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.get('/api/admin/webhook-deliveries', audit('webhook.deliveries'), authenticate, requireRole('DEFAULT_ADMIN_ROLE'),
+  validateWebhookDeliveryQuery, (req, res, next) => {
+  try {
+    const { limit, offset } = req.validatedQuery;
+    const { deliveries, total } = webhookService.listDeliveries(req.validatedQuery);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + deliveries.length < total
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a delivery again, typically a dead letter once the partner is back up
+ * POST /api/admin/webhook-deliveries/:id/replay
+ * Requires a session holding DEFAULT_ADMIN_ROLE.
+ */
+app.post('/api/admin/webhook-deliveries/:id/replay', audit('webhook.replay', req => ({ resource: `webhook-delivery:${req.params.id}` })),
+  authenticate, requireRole('DEFAULT_ADMIN_ROLE'), validateWebhookDeliveryId, (req, res, next) => {
+  try {
+    const delivery = webhookService.replay(req.validatedParams.id);
+    res.json({ success: true, delivery });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Endpoint not found'
-  });
+app.use('*', (req, res, next) => {
+  next(new NotFoundError('ENDPOINT_NOT_FOUND'));
+});
+
+// Error handling middleware: every failure is answered as {error, code, retryable, details?}
+app.use(async (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const code = {
+      LIMIT_FILE_SIZE: 'FILE_TOO_LARGE',
+      LIMIT_FILE_COUNT: 'TOO_MANY_FILES',
+      LIMIT_UNEXPECTED_FILE: 'TOO_MANY_FILES'
+    }[error.code];
+    error = new ValidationError([error.message], code);
+  } else if (!(error instanceof AppError)) {
+    error = new AppError(error.type === 'entity.parse.failed' ? 'VALIDATION_FAILED' : 'INTERNAL_ERROR', error.message, { cause: error });
+  }
+
+  res.locals.errorCode = error.code;
+
+  if (error.status >= 500) {
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, error.cause || error);
+  }
+
+  // Uploads of a rejected submission are not needed
+  if (req.files) {
+    await removeUploads(Object.values(req.files).flat().map(file => file.path));
+  }
+
+  if (res.headersSent) return;
+  res.status(error.status).json(error.toJSON(process.env.NODE_ENV === 'development'));
 });
 
 // Initialize services and start server
@@ -400,17 +1448,33 @@ async function startServer() {
     // Initialize blockchain connection
     await blockchainService.initialize();
     
-    // Initialize IPFS connection
+    // Initialize IPFS connection and the keys FIR documents are encrypted with
     await ipfsService.initialize();
+    await encryptionService.initialize();
     
     // Initialize services
     await ocrService.initialize();
     await sttService.initialize();
     await mlService.initialize();
 
-    app.listen(PORT, () => {
+    // Initialize the local job store and start processing queued submissions
+    await database.initialize();
+    await authService.initialize();
+    await jurisdictionService.initialize();
+    jobQueue.registerHandler(FIR_SUBMISSION_JOB, {
+      stages: FIR_PIPELINE_STAGES,
+      run: processFIRSubmission
+    });
+    await jobQueue.initialize();
+    await recoveryService.initialize();
+    await notificationService.initialize();
+    await webhookService.initialize();
+    await firIndexer.initialize();
+    await auditService.initialize();
+
+    server = app.listen(PORT, () => {
       console.log(`🚀 De-FIR Backend Server running on port ${PORT}`);
-      console.log(`📋 Health check: http://localhost:${PORT}/health`);
+      console.log(`📋 Health check: http://localhost:${PORT}/health/ready`);
       console.log(`🔗 API base URL: http://localhost:${PORT}/api`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
@@ -421,16 +1485,76 @@ async function startServer() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+/**
+ * Stop accepting requests, let running submissions and transactions finish
+ * (up to SHUTDOWN_TIMEOUT_MS), then release services and stray uploads.
+ * A second signal exits immediately.
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.warn(`${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down gracefully`);
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  const remaining = () => Math.max(deadline - Date.now(), 0);
+  let exitCode = 0;
+
+  healthService.markShuttingDown();
+
+  // Stop accepting connections; open SSE streams end so their clients reconnect elsewhere
+  const serverClosed = server
+    ? new Promise(resolve => server.close(resolve))
+    : Promise.resolve();
+  server?.closeIdleConnections();
+  eventBus.emit('shutdown');
+
+  try {
+    // Background work that could start new transactions
+    await Promise.all([recoveryService.stop(), firIndexer.stop(), auditService.stop()]);
+
+    const drained = await jobQueue.stop({ timeoutMs: remaining() });
+
+    let timer;
+    const requestsDone = await Promise.race([
+      serverClosed.then(() => true),
+      new Promise(resolve => { timer = setTimeout(() => resolve(false), remaining()); })
+    ]);
+    clearTimeout(timer);
+    if (!requestsDone) {
+      console.warn('⚠️ Timed out waiting for in-flight requests; closing their connections');
+      server.closeAllConnections();
+    }
+    if (!drained || !requestsDone) exitCode = 1;
+
+    // Deliver what the last requests and submissions triggered
+    await Promise.all([notificationService.stop(), webhookService.stop()]);
+
+    await ocrService.cleanup();
+    await sttService.cleanup();
+    await mlService.cleanup();
+    await ipfsService.close();
+
+    if (database.db) {
+      const removed = await removeStrayUploads(UPLOAD_DIR);
+      if (removed > 0) console.log(`🧹 Removed ${removed} stray upload(s)`);
+    }
+    await database.close();
+
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+    exitCode = 1;
+  }
+
+  console.log('👋 Shutdown complete');
+  process.exit(exitCode);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 startServer();
 
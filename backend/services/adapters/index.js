@@ -0,0 +1,154 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { LocalChain, CHAIN_ID } = require('./localChain');
+const { LocalIPFSClient } = require('./localIPFS');
+const { LocalOCRWorker } = require('./localOCR');
+const {
+  InAppChannel, SmtpEmailChannel, SmsGatewayChannel, FileEmailChannel, ConsoleSmsChannel
+} = require('./notificationChannels');
+
+/**
+ * Backends the services talk to. `live` uses the configured RPC node, IPFS
+ * daemon, Tesseract and Google STT; `local` swaps them for in-process stand-ins
+ * so the whole server runs offline for development.
+ */
+const MODES = {
+  LIVE: 'live',
+  LOCAL: 'local'
+};
+
+const mode = process.env.DEFIR_MODE || MODES.LIVE;
+if (!Object.values(MODES).includes(mode)) {
+  throw new Error(`Unknown DEFIR_MODE "${mode}" (expected ${Object.values(MODES).join(' or ')})`);
+}
+
+const isLocalMode = () => mode === MODES.LOCAL;
+
+const parseAddressList = (value) =>
+  (value || '').split(',').map(address => address.trim()).filter(Boolean).map(address => ethers.getAddress(address));
+
+/**
+ * Provider, relayer wallets and registry address for the current mode
+ * @returns {{provider: Object, wallet: ethers.Wallet, govWallet: ethers.Wallet, contractAddress: string}}
+ */
+function createChainConnection() {
+  if (!isLocalMode()) {
+    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+    return {
+      provider,
+      wallet: new ethers.Wallet(process.env.PRIVATE_KEY, provider),
+      govWallet: new ethers.Wallet(process.env.GOV_PRIVATE_KEY, provider),
+      contractAddress: process.env.CONTRACT_ADDRESS
+    };
+  }
+
+  // Fixed development keys unless real ones are configured, so addresses stay stable across restarts
+  const victimKey = process.env.PRIVATE_KEY || ethers.id('defir-local:victim');
+  const govKey = process.env.GOV_PRIVATE_KEY || ethers.id('defir-local:gov');
+
+  const chain = new LocalChain({
+    deployer: new ethers.Wallet(govKey).address,
+    victims: [new ethers.Wallet(victimKey).address, ...parseAddressList(process.env.LOCAL_VICTIM_ADDRESSES)],
+    govStaff: parseAddressList(process.env.LOCAL_GOV_ADDRESSES)
+  });
+  const provider = new ethers.BrowserProvider(chain, { name: 'defir-local', chainId: CHAIN_ID }, { cacheTimeout: -1 });
+
+  return {
+    provider,
+    wallet: new ethers.Wallet(victimKey, provider),
+    govWallet: new ethers.Wallet(govKey, provider),
+    contractAddress: chain.contractAddress
+  };
+}
+
+/**
+ * IPFS client for the current mode. ipfs-http-client is ESM-only, so it is
+ * imported on demand and never loaded in local mode.
+ * @returns {Promise<Object>} - ipfs-http-client compatible client
+ */
+async function createIPFSClient() {
+  if (isLocalMode()) {
+    return new LocalIPFSClient(process.env.LOCAL_IPFS_DIR || path.join(__dirname, '../../data/ipfs'));
+  }
+
+  const { create } = await import('ipfs-http-client');
+  return create({ url: process.env.IPFS_API_URL || 'http://localhost:5001' });
+}
+
+/**
+ * OCR worker for the current mode. Live mode starts a Tesseract worker, which
+ * loads `<language>.traineddata.gz` from TESSERACT_LANG_PATH or the tesseract.js CDN.
+ * @param {{language?: string, oem?: number, logger?: Function}} [options] - Worker options
+ * @returns {Promise<Object>} - Tesseract worker compatible object
+ * @throws {Error} if the language data cannot be loaded
+ */
+async function createOCRWorker({ language = 'eng', oem = 1, logger } = {}) {
+  if (isLocalMode()) {
+    return new LocalOCRWorker({ text: process.env.LOCAL_OCR_TEXT });
+  }
+
+  // tesseract.js throws job failures out of its message handler unless given an errorHandler, and
+  // never settles createWorker() when the language data fails to load. So the worker starts with no
+  // language and loads it afterwards, where a failure rejects and the worker can be terminated.
+  const Tesseract = require('tesseract.js');
+  const worker = await Tesseract.createWorker([], oem, {
+    ...(process.env.TESSERACT_LANG_PATH && { langPath: process.env.TESSERACT_LANG_PATH }),
+    ...(logger && { logger }),
+    errorHandler: () => {}
+  });
+
+  try {
+    await worker.reinitialize(language, oem);
+    return worker;
+  } catch (error) {
+    await worker.terminate();
+    throw error instanceof Error ? error : new Error(String(error));
+  }
+}
+
+/**
+ * Notification channels for the current mode. Local mode writes email and SMS
+ * to LOCAL_OUTBOX_DIR; live mode sends through SMTP and the SMS gateway, and a
+ * channel without its settings is left out.
+ * @returns {{inApp: Object, email?: Object, sms?: Object}}
+ */
+function createNotificationChannels() {
+  if (isLocalMode()) {
+    const outbox = process.env.LOCAL_OUTBOX_DIR || path.join(__dirname, '../../data/outbox');
+    return {
+      inApp: new InAppChannel(),
+      email: new FileEmailChannel(outbox),
+      sms: new ConsoleSmsChannel(outbox)
+    };
+  }
+
+  const channels = { inApp: new InAppChannel() };
+  if (process.env.SMTP_HOST) {
+    channels.email = new SmtpEmailChannel({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.NOTIFY_EMAIL_FROM || 'De-FIR <no-reply@localhost>'
+    });
+  }
+  if (process.env.SMS_GATEWAY_URL) {
+    channels.sms = new SmsGatewayChannel({
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      senderId: process.env.SMS_SENDER_ID
+    });
+  }
+  return channels;
+}
+
+module.exports = {
+  MODES,
+  mode,
+  isLocalMode,
+  createChainConnection,
+  createIPFSClient,
+  createOCRWorker,
+  createNotificationChannels
+};
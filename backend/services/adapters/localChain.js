@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const FIRRegistryABI = require('../../contracts/FIRRegistry.json');
+const { CASE_STATUSES, canTransition } = require('../caseStatus');
+
+const CHAIN_ID = 1337;
+const GAS_PRICE = 1000000000n; // 1 gwei
+const BLOCK_GAS_LIMIT = 30000000n;
+
+// Flat gas charged per call, close to what FIRRegistry uses on a real chain
+const GAS_COSTS = {
+  createFIR: 180000n,
+  setVerification: 35000n,
+  amendFIR: 120000n,
+  updateStatus: 45000n,
+  anchorAuditHead: 50000n,
+  grantVictimRole: 52000n,
+  grantGovRole: 52000n
+};
+
+const ROLES = {
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+  VICTIM_ROLE: ethers.id('VICTIM_ROLE'),
+  GOV_ROLE: ethers.id('GOV_ROLE')
+};
+
+const toHex = (value) => ethers.toQuantity(value);
+
+/**
+ * A contract revert, reported over JSON-RPC the way an Ethereum node does
+ * (code 3 with Error(string) revert data) so ethers decodes the reason.
+ */
+class RevertError extends Error {
+  constructor(reason) {
+    super(`execution reverted: ${reason}`);
+    this.code = 3;
+    this.data = ethers.concat([
+      ethers.id('Error(string)').slice(0, 10),
+      ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])
+    ]);
+  }
+}
+
+class RPCError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * FIRRegistry state and functions, mirroring contracts/FIRRegistry.sol.
+ * Each function receives the call context ({from, timestamp, emit}) and decoded arguments.
+ */
+const REGISTRY_FUNCTIONS = {
+  createFIR(state, ctx, [ipfsCid, similarityScore]) {
+    requireRole(state, ROLES.VICTIM_ROLE, ctx.from);
+    if (ipfsCid.length === 0) throw new RevertError('IPFS CID cannot be empty');
+    if (similarityScore > 100n) throw new RevertError('Similarity score cannot exceed 100');
+
+    const id = BigInt(state.firs.size + 1);
+    state.firs.set(id, {
+      id,
+      victim: ctx.from,
+      ipfsCid,
+      timestamp: BigInt(ctx.timestamp),
+      verified: false,
+      exists: true,
+      similarityScore,
+      status: 0n,
+      statusUpdatedAt: BigInt(ctx.timestamp)
+    });
+    const victimKey = ctx.from.toLowerCase();
+    state.victimFIRs.set(victimKey, [...(state.victimFIRs.get(victimKey) || []), id]);
+
+    ctx.emit('FIRCreated', [id, ctx.from, ipfsCid, BigInt(ctx.timestamp), similarityScore]);
+    return [id];
+  },
+
+  setVerification(state, ctx, [id, verified, reasonHash]) {
+    requireRole(state, ROLES.GOV_ROLE, ctx.from);
+    const fir = getExistingFIR(state, id);
+    if (reasonHash === ethers.ZeroHash) throw new RevertError('Decision reason required');
+    fir.verified = verified;
+    ctx.emit('FIRVerified', [id, verified, ctx.from, reasonHash]);
+    return [];
+  },
+
+  updateStatus(state, ctx, [id, status]) {
+    requireRole(state, ROLES.GOV_ROLE, ctx.from);
+    const fir = getExistingFIR(state, id);
+    if (!isTransitionAllowed(fir.status, status)) throw new RevertError('Status transition not allowed');
+
+    const previous = fir.status;
+    fir.status = status;
+    fir.statusUpdatedAt = BigInt(ctx.timestamp);
+    ctx.emit('FIRStatusChanged', [id, previous, status, ctx.from, BigInt(ctx.timestamp)]);
+    return [];
+  },
+
+  isTransitionAllowed(state, ctx, [from, to]) {
+    return [isTransitionAllowed(from, to)];
+  },
+
+  amendFIR(state, ctx, [id, previousCid, ipfsCid]) {
+    requireRole(state, ROLES.VICTIM_ROLE, ctx.from);
+    const fir = getExistingFIR(state, id);
+    if (ipfsCid.length === 0) throw new RevertError('IPFS CID cannot be empty');
+    if (fir.victim.toLowerCase() !== ctx.from.toLowerCase()) throw new RevertError('Only the filing victim can amend this FIR');
+
+    const amendments = state.amendments.get(id) || [];
+    const latestCid = amendments.length === 0 ? fir.ipfsCid : amendments[amendments.length - 1].ipfsCid;
+    if (previousCid !== latestCid) throw new RevertError('Amendment must follow the latest version');
+
+    state.amendments.set(id, [...amendments, { ipfsCid, timestamp: BigInt(ctx.timestamp), amendedBy: ctx.from }]);
+    const version = BigInt(amendments.length + 1);
+    ctx.emit('FIRAmended', [id, version, ipfsCid, latestCid, ctx.from, BigInt(ctx.timestamp)]);
+    return [version];
+  },
+
+  getAmendments(state, ctx, [id]) {
+    getExistingFIR(state, id);
+    return [(state.amendments.get(id) || []).map(({ ipfsCid, timestamp, amendedBy }) => [ipfsCid, timestamp, amendedBy])];
+  },
+
+  getFIR(state, ctx, [id]) {
+    return [toFIRTuple(getExistingFIR(state, id))];
+  },
+
+  getTotalFIRs(state) {
+    return [BigInt(state.firs.size)];
+  },
+
+  getFIRsByStatus(state, ctx, [verified, limit, offset]) {
+    if (limit === 0n || limit > 100n) throw new RevertError('Invalid limit');
+    const matches = [...state.firs.values()].filter(fir => fir.verified === verified);
+    return [matches.slice(Number(offset), Number(offset + limit)).map(toFIRTuple)];
+  },
+
+  getVictimFIRs(state, ctx, [victim]) {
+    return [state.victimFIRs.get(victim.toLowerCase()) || []];
+  },
+
+  hasRole(state, ctx, [role, account]) {
+    return [hasRole(state, role, account)];
+  },
+
+  anchorAuditHead(state, ctx, [sequence, headHash]) {
+    requireRole(state, ROLES.GOV_ROLE, ctx.from);
+    if (sequence <= state.auditSequence) throw new RevertError('Audit sequence must increase');
+    state.auditSequence = sequence;
+    state.auditHeadHash = headHash;
+    ctx.emit('AuditAnchored', [sequence, headHash, ctx.from]);
+    return [];
+  },
+
+  auditSequence(state) {
+    return [state.auditSequence];
+  },
+
+  auditHeadHash(state) {
+    return [state.auditHeadHash];
+  },
+
+  grantVictimRole(state, ctx, [account]) {
+    requireRole(state, ROLES.DEFAULT_ADMIN_ROLE, ctx.from);
+    grantRole(state, ROLES.VICTIM_ROLE, account);
+    return [];
+  },
+
+  grantGovRole(state, ctx, [account]) {
+    requireRole(state, ROLES.DEFAULT_ADMIN_ROLE, ctx.from);
+    grantRole(state, ROLES.GOV_ROLE, account);
+    return [];
+  }
+};
+
+function hasRole(state, role, account) {
+  return Boolean(state.roles.get(role)?.has(account.toLowerCase()));
+}
+
+function grantRole(state, role, account) {
+  if (!state.roles.has(role)) state.roles.set(role, new Set());
+  state.roles.get(role).add(account.toLowerCase());
+}
+
+// Same message as OpenZeppelin AccessControl v4, so revert decoding is exercised
+function requireRole(state, role, account) {
+  if (!hasRole(state, role, account)) {
+    throw new RevertError(`AccessControl: account ${account.toLowerCase()} is missing role ${role}`);
+  }
+}
+
+function getExistingFIR(state, id) {
+  const fir = state.firs.get(id);
+  if (!fir) throw new RevertError('FIR does not exist');
+  return fir;
+}
+
+// Enum values arrive as bigints; anything out of range is never an allowed transition
+function isTransitionAllowed(from, to) {
+  return canTransition(CASE_STATUSES[Number(from)], CASE_STATUSES[Number(to)]);
+}
+
+function toFIRTuple(fir) {
+  return [
+    fir.id, fir.victim, fir.ipfsCid, fir.timestamp, fir.verified, fir.exists, fir.similarityScore,
+    fir.status, fir.statusUpdatedAt
+  ];
+}
+
+function cloneState(state) {
+  return {
+    roles: new Map([...state.roles].map(([role, members]) => [role, new Set(members)])),
+    firs: new Map([...state.firs].map(([id, fir]) => [id, { ...fir }])),
+    victimFIRs: new Map([...state.victimFIRs].map(([victim, ids]) => [victim, [...ids]])),
+    amendments: new Map([...state.amendments].map(([id, amendments]) => [id, [...amendments]])),
+    auditSequence: state.auditSequence,
+    auditHeadHash: state.auditHeadHash
+  };
+}
+
+/**
+ * In-process chain with a single FIRRegistry deployment, exposed as an EIP-1193
+ * provider so ethers (and everything built on it) works unchanged.
+ * Every transaction is mined immediately into its own block. State lives in
+ * memory only: a restart starts a fresh chain, which the indexer treats as a reorg.
+ */
+class LocalChain {
+  /**
+   * @param {Object} options - Deployment options
+   * @param {string} options.deployer - Address that deploys the registry (gets DEFAULT_ADMIN_ROLE and GOV_ROLE)
+   * @param {string[]} [options.victims] - Addresses granted VICTIM_ROLE
+   * @param {string[]} [options.govStaff] - Addresses granted GOV_ROLE
+   */
+  constructor({ deployer, victims = [], govStaff = [] }) {
+    this.interface = new ethers.Interface(FIRRegistryABI.abi);
+    this.contractAddress = ethers.getCreateAddress({ from: deployer, nonce: 0 });
+    this.state = {
+      roles: new Map(),
+      firs: new Map(),
+      victimFIRs: new Map(),
+      amendments: new Map(),
+      auditSequence: 0n,
+      auditHeadHash: ethers.ZeroHash
+    };
+    this.blocks = [];
+    this.transactions = new Map();
+    this.nonces = new Map([[deployer.toLowerCase(), 1]]);
+
+    grantRole(this.state, ROLES.DEFAULT_ADMIN_ROLE, deployer);
+    grantRole(this.state, ROLES.GOV_ROLE, deployer);
+    victims.forEach(account => grantRole(this.state, ROLES.VICTIM_ROLE, account));
+    govStaff.forEach(account => grantRole(this.state, ROLES.GOV_ROLE, account));
+
+    // A random genesis makes every process a distinct chain
+    this.mineBlock([], crypto.randomBytes(32));
+  }
+
+  /**
+   * EIP-1193 entry point
+   * @param {{method: string, params?: Array}} request - JSON-RPC request
+   * @returns {Promise<*>}
+   */
+  async request({ method, params = [] }) {
+    switch (method) {
+      case 'eth_chainId': return toHex(CHAIN_ID);
+      case 'net_version': return String(CHAIN_ID);
+      case 'eth_accounts': return [];
+      case 'eth_blockNumber': return toHex(this.blocks.length - 1);
+      case 'eth_gasPrice': return toHex(GAS_PRICE);
+      case 'eth_maxPriorityFeePerGas': return toHex(0);
+      case 'eth_getBalance': return toHex(ethers.parseEther('1000'));
+      case 'eth_getCode':
+        return params[0].toLowerCase() === this.contractAddress.toLowerCase() ? '0xfe' : '0x';
+      case 'eth_getTransactionCount': return toHex(this.nonces.get(params[0].toLowerCase()) || 0);
+      case 'eth_getBlockByNumber': return this.formatBlock(this.resolveBlock(params[0]));
+      case 'eth_getBlockByHash': return this.formatBlock(this.blocks.find(block => block.hash === params[0]));
+      case 'eth_call': return this.call(params[0]);
+      case 'eth_estimateGas': return this.estimateGas(params[0]);
+      case 'eth_sendRawTransaction': return this.sendRawTransaction(params[0]);
+      case 'eth_getTransactionByHash': return this.transactions.get(params[0])?.transaction || null;
+      case 'eth_getTransactionReceipt': return this.transactions.get(params[0])?.receipt || null;
+      case 'eth_getLogs': return this.getLogs(params[0]);
+      default:
+        throw new RPCError(-32601, `Method ${method} is not supported by the local chain`);
+    }
+  }
+
+  /**
+   * Run a contract function against the current state
+   * @param {Object} call - {from, to, data}
+   * @param {boolean} commit - Keep state changes and logs
+   * @returns {{name: string, result: string, logs: Object[]}}
+   */
+  execute({ from, to, data }, commit) {
+    if (!to || to.toLowerCase() !== this.contractAddress.toLowerCase()) {
+      throw new RPCError(-32000, 'Only the FIRRegistry contract exists on the local chain');
+    }
+
+    const parsed = this.interface.parseTransaction({ data });
+    const fn = parsed && REGISTRY_FUNCTIONS[parsed.name];
+    if (!fn) throw new RevertError('Unknown function');
+
+    const state = commit ? this.state : cloneState(this.state);
+    const logs = [];
+    const ctx = {
+      from: ethers.getAddress(from || ethers.ZeroAddress),
+      timestamp: Math.floor(Date.now() / 1000),
+      emit: (name, args) => logs.push({ ...this.interface.encodeEventLog(name, args), address: this.contractAddress })
+    };
+
+    const values = fn(state, ctx, [...parsed.args]);
+    return {
+      name: parsed.name,
+      result: this.interface.encodeFunctionResult(parsed.name, values),
+      logs
+    };
+  }
+
+  call(call) {
+    return this.execute(call, false).result;
+  }
+
+  estimateGas(call) {
+    const { name } = this.execute(call, false);
+    return toHex(GAS_COSTS[name] || 21000n);
+  }
+
+  sendRawTransaction(raw) {
+    const tx = ethers.Transaction.from(raw);
+    const from = tx.from.toLowerCase();
+    const expectedNonce = this.nonces.get(from) || 0;
+    if (tx.nonce !== expectedNonce) {
+      throw new RPCError(-32000, `nonce too ${tx.nonce < expectedNonce ? 'low' : 'high'}`);
+    }
+    this.nonces.set(from, expectedNonce + 1);
+
+    // A reverting transaction is still mined, with status 0 and no state change
+    let outcome;
+    try {
+      outcome = this.execute({ from: tx.from, to: tx.to, data: tx.data }, true);
+    } catch (error) {
+      if (!(error instanceof RevertError)) throw error;
+      outcome = { name: null, logs: [], failed: true };
+    }
+
+    const gasUsed = GAS_COSTS[outcome.name] || 21000n;
+    const block = this.mineBlock([tx.hash]);
+    const logs = outcome.logs.map((log, index) => ({
+      address: log.address,
+      topics: log.topics,
+      data: log.data,
+      blockNumber: toHex(block.number),
+      blockHash: block.hash,
+      transactionHash: tx.hash,
+      transactionIndex: '0x0',
+      logIndex: toHex(index),
+      removed: false
+    }));
+
+    this.transactions.set(tx.hash, {
+      transaction: {
+        hash: tx.hash,
+        type: toHex(tx.type),
+        from: tx.from,
+        to: tx.to,
+        nonce: toHex(tx.nonce),
+        gas: toHex(tx.gasLimit),
+        gasPrice: toHex(GAS_PRICE),
+        maxFeePerGas: tx.maxFeePerGas !== null ? toHex(tx.maxFeePerGas) : undefined,
+        maxPriorityFeePerGas: tx.maxPriorityFeePerGas !== null ? toHex(tx.maxPriorityFeePerGas) : undefined,
+        value: toHex(tx.value),
+        input: tx.data,
+        chainId: toHex(CHAIN_ID),
+        v: toHex(tx.signature.v),
+        r: tx.signature.r,
+        s: tx.signature.s,
+        blockNumber: toHex(block.number),
+        blockHash: block.hash,
+        transactionIndex: '0x0'
+      },
+      receipt: {
+        transactionHash: tx.hash,
+        transactionIndex: '0x0',
+        blockHash: block.hash,
+        blockNumber: toHex(block.number),
+        from: tx.from,
+        to: tx.to,
+        contractAddress: null,
+        gasUsed: toHex(gasUsed),
+        cumulativeGasUsed: toHex(gasUsed),
+        effectiveGasPrice: toHex(GAS_PRICE),
+        logsBloom: ethers.zeroPadValue('0x', 256),
+        logs,
+        status: outcome.failed ? '0x0' : '0x1',
+        type: toHex(tx.type)
+      }
+    });
+    block.gasUsed = gasUsed;
+    block.logs = logs;
+
+    return tx.hash;
+  }
+
+  getLogs({ address, fromBlock = 'earliest', toBlock = 'latest', topics = [], blockHash }) {
+    // Like a node, a range reaching past the head stops at the head
+    const blocks = blockHash
+      ? this.blocks.filter(block => block.hash === blockHash)
+      : this.blocks.slice(this.blockNumberOf(fromBlock), this.blockNumberOf(toBlock) + 1);
+    const addresses = [].concat(address || []).map(value => value.toLowerCase());
+
+    return blocks.flatMap(block => block.logs).filter(log =>
+      (addresses.length === 0 || addresses.includes(log.address.toLowerCase())) &&
+      topics.every((topic, i) => topic === null || [].concat(topic).includes(log.topics[i]))
+    );
+  }
+
+  mineBlock(transactions, seed) {
+    const parent = this.blocks[this.blocks.length - 1];
+    const number = this.blocks.length;
+    const block = {
+      number,
+      hash: ethers.keccak256(ethers.concat([seed || parent.hash, ethers.toBeHex(number, 32), ...transactions])),
+      parentHash: parent ? parent.hash : ethers.ZeroHash,
+      timestamp: Math.floor(Date.now() / 1000),
+      transactions,
+      gasUsed: 0n,
+      logs: []
+    };
+    this.blocks.push(block);
+    return block;
+  }
+
+  resolveBlock(tag) {
+    if (tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized') {
+      return this.blocks[this.blocks.length - 1];
+    }
+    if (tag === 'earliest') return this.blocks[0];
+    return this.blocks[Number(tag)] || null;
+  }
+
+  blockNumberOf(tag) {
+    const block = this.resolveBlock(tag);
+    return block ? block.number : Number(tag);
+  }
+
+  formatBlock(block) {
+    if (!block) return null;
+    return {
+      number: toHex(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: toHex(block.timestamp),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: toHex(BLOCK_GAS_LIMIT),
+      gasUsed: toHex(block.gasUsed),
+      miner: ethers.ZeroAddress,
+      extraData: '0x',
+      baseFeePerGas: toHex(GAS_PRICE),
+      transactions: block.transactions
+    };
+  }
+}
+
+module.exports = {
+  LocalChain,
+  CHAIN_ID
+};
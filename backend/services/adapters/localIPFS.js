@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const RAW_CODEC = 0x55;
+const SHA256_CODE = 0x12;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function toBase32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * CIDv1 of a raw block (sha2-256, base32). This is what
+ * `ipfs add --cid-version=1 --raw-leaves` returns for content up to one chunk (256 KiB).
+ * @param {Buffer} content - Block contents
+ * @returns {string}
+ */
+function computeCid(content) {
+  const digest = crypto.createHash('sha256').update(content).digest();
+  const bytes = Buffer.concat([Buffer.from([0x01, RAW_CODEC, SHA256_CODE, digest.length]), digest]);
+  return `b${toBase32(bytes)}`;
+}
+
+/**
+ * Content-addressed store on the local filesystem with the subset of the
+ * ipfs-http-client API that IPFSService uses. Content is always kept, so
+ * pinning only tracks which CIDs were asked to stay.
+ */
+class LocalIPFSClient {
+  /**
+   * @param {string} directory - Where blocks are stored
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.pinsPath = path.join(directory, 'pins.json');
+    this.pinning = Promise.resolve();
+  }
+
+  async add(content, { pin = true, onlyHash = false } = {}) {
+    const buffer = Buffer.from(content);
+    const cid = computeCid(buffer);
+    if (onlyHash) {
+      return { cid: { toString: () => cid }, path: cid, size: buffer.length };
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.blockPath(cid), buffer);
+    if (pin) await this.pin.add(cid);
+
+    return { cid: { toString: () => cid }, path: cid, size: buffer.length };
+  }
+
+  async *cat(cid) {
+    const key = cid.toString();
+    try {
+      yield await fs.readFile(this.blockPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`block ${key} not found in local store`);
+      }
+      throw error;
+    }
+  }
+
+  get pin() {
+    return {
+      add: async (cid) => this.updatePins(pins => pins.add(cid.toString())),
+      rm: async (cid) => this.updatePins(pins => pins.delete(cid.toString()))
+    };
+  }
+
+  async id() {
+    return { id: 'defir-local', addresses: [`file://${path.resolve(this.directory)}`] };
+  }
+
+  async version() {
+    return { version: 'local' };
+  }
+
+  async stop() {}
+
+  blockPath(cid) {
+    // Keep lookups inside the store whatever the caller passes
+    return path.join(this.directory, path.basename(cid));
+  }
+
+  // Pin updates rewrite one file, so they run one after another
+  updatePins(update) {
+    const next = this.pinning.then(() => this.writePins(update));
+    this.pinning = next.catch(() => {});
+    return next;
+  }
+
+  async writePins(update) {
+    let pins;
+    try {
+      pins = new Set(JSON.parse(await fs.readFile(this.pinsPath, 'utf8')));
+    } catch {
+      pins = new Set();
+    }
+    update(pins);
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.pinsPath, JSON.stringify([...pins], null, 2));
+  }
+}
+
+module.exports = {
+  LocalIPFSClient,
+  computeCid
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+// Statements the local stub picks from, so a given image always reads the same way
+const LOCAL_STUB_TEXTS = [
+  'I wish to report that my motorcycle was stolen from outside my office on the main road this afternoon.',
+  'My purse containing cash and my identity cards was snatched by two men on a scooter near the railway station.',
+  'A group of people damaged my shop and threatened my staff late last night.',
+  'I received messages demanding money and threatening to publish my photographs online.'
+];
+
+/**
+ * Stand-in for a Tesseract worker: `recognize` returns LOCAL_OCR_TEXT if set,
+ * otherwise one of a few canned statements chosen by the image hash. Nothing
+ * is downloaded, so OCR works offline.
+ */
+class LocalOCRWorker {
+  constructor({ text } = {}) {
+    this.text = text || null;
+  }
+
+  /**
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<{data: {text: string, confidence: number, words: Object[], lines: Object[]}}>}
+   */
+  async recognize(imagePath) {
+    const digest = crypto.createHash('sha256').update(await fs.readFile(imagePath)).digest('hex');
+    const text = this.text || LOCAL_STUB_TEXTS[parseInt(digest.slice(0, 8), 16) % LOCAL_STUB_TEXTS.length];
+    const bbox = { x0: 0, y0: 0, x1: 0, y1: 0 };
+
+    return {
+      data: {
+        text,
+        confidence: 100,
+        words: text.split(/\s+/).map(word => ({ text: word, confidence: 100, bbox })),
+        lines: [{ text, confidence: 100, bbox }]
+      }
+    };
+  }
+
+  async setParameters() {}
+
+  async terminate() {}
+}
+
+module.exports = { LocalOCRWorker };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Notification delivery channels. Every channel has `send({to, subject, body})`
+ * resolving to `{messageId}` (or null when the channel has none) and throwing
+ * when the message could not be handed over.
+ */
+
+// The notification row is the in-app message; nothing else to deliver
+class InAppChannel {
+  async send() {
+    return { messageId: null };
+  }
+}
+
+class SmtpEmailChannel {
+  /**
+   * @param {Object} config - SMTP settings
+   * @param {string} config.host - SMTP server
+   * @param {number} config.port - SMTP port
+   * @param {boolean} config.secure - Use TLS from the start (port 465)
+   * @param {string} [config.user] - SMTP user
+   * @param {string} [config.pass] - SMTP password
+   * @param {string} config.from - From address
+   */
+  constructor({ host, port, secure, user, pass, from }) {
+    // Only loaded when SMTP is configured
+    const nodemailer = require('nodemailer');
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send({ to, subject, body }) {
+    const info = await this.transport.sendMail({ from: this.from, to, subject, text: body });
+    return { messageId: info.messageId };
+  }
+}
+
+class SmsGatewayChannel {
+  /**
+   * @param {Object} config - Gateway settings
+   * @param {string} config.url - Endpoint accepting POST {to, from, message}
+   * @param {string} [config.apiKey] - Sent as a bearer token
+   * @param {string} [config.senderId] - Sender ID shown to the recipient
+   */
+  constructor({ url, apiKey, senderId }) {
+    this.url = url;
+    this.apiKey = apiKey;
+    this.senderId = senderId;
+  }
+
+  async send({ to, body }) {
+    const { data } = await axios.post(this.url, { to, from: this.senderId, message: body }, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: 10000
+    });
+    return { messageId: data?.id || data?.messageId || null };
+  }
+}
+
+// Development stand-in: writes each email as an .eml file
+class FileEmailChannel {
+  constructor(directory) {
+    this.directory = path.join(directory, 'email');
+  }
+
+  async send({ to, subject, body }) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const message = [
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      body
+    ].join('\r\n');
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, `${messageId}.eml`), message);
+    console.log(`📧 Email to ${to} written to ${this.directory}`);
+    return { messageId };
+  }
+}
+
+// Development stand-in: prints each SMS and appends it to sms.log
+class ConsoleSmsChannel {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send({ to, body }) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    console.log(`📱 SMS to ${to}: ${body.replace(/\n+/g, ' ')}`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.appendFile(path.join(this.directory, 'sms.log'), `${JSON.stringify({ messageId, to, body, sentAt: new Date().toISOString() })}\n`);
+    return { messageId };
+  }
+}
+
+module.exports = {
+  InAppChannel,
+  SmtpEmailChannel,
+  SmsGatewayChannel,
+  FileEmailChannel,
+  ConsoleSmsChannel
+};
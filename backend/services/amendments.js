@@ -0,0 +1,104 @@
+const blockchainService = require('./blockchain');
+const ipfsService = require('./ipfs');
+const encryptionService = require('./encryption');
+const eventBus = require('./eventBus');
+const { ForbiddenError } = require('./errors');
+
+/**
+ * File a supplementary statement for a FIR. The amendment is pinned as its own
+ * encrypted document pointing to the CID of the latest version, then recorded
+ * against the FIR on-chain. The contract rejects an amendment whose predecessor
+ * is no longer the latest version, so concurrent amendments cannot fork the chain.
+ * @param {Object} fir - FIR from blockchainService.getFIR()
+ * @param {Object} original - The FIR's decrypted document
+ * @param {Object} amendment - Validated amendment ({statement, items})
+ * @param {{address: string, roles: string[]}} author - Authenticated session filing the amendment
+ * @returns {Promise<{firId: number, version: number, cid: string, previousCid: string, txHash: string}>}
+ * @throws {ForbiddenError} FORBIDDEN unless the author is the FIR's victim
+ */
+async function fileAmendment(fir, original, { statement, items = [] }, author) {
+  if (original.victimAddress?.toLowerCase() !== author.address.toLowerCase()) {
+    throw new ForbiddenError('FORBIDDEN', ['Only the victim can amend this FIR']);
+  }
+
+  const amendments = await blockchainService.getAmendments(fir.id);
+  const previousCid = amendments.length > 0 ? amendments[amendments.length - 1].ipfsCid : fir.ipfsCid;
+
+  const document = {
+    type: 'amendment',
+    firId: fir.id,
+    version: amendments.length + 1,
+    previousCid,
+    victimAddress: original.victimAddress,
+    statement,
+    items,
+    timestamp: new Date().toISOString()
+  };
+
+  const { cid } = await ipfsService.uploadToIPFS(encryptionService.encryptDocument(document, original.victimAddress));
+
+  let result;
+  try {
+    result = await blockchainService.amendFIR(fir.id, previousCid, cid);
+  } catch (error) {
+    // Nothing on-chain references the document
+    await ipfsService.unpinFromIPFS(cid).catch(unpinError =>
+      console.error(`Error unpinning orphaned amendment ${cid}:`, unpinError)
+    );
+    throw error;
+  }
+
+  const recorded = {
+    firId: fir.id,
+    version: result.version,
+    cid,
+    previousCid,
+    txHash: result.txHash
+  };
+  eventBus.emit('fir-event', { key: `amendment:${fir.id}:${result.version}`, name: 'FIRAmended', firId: fir.id, args: recorded, source: 'backend' });
+  return recorded;
+}
+
+/**
+ * Ordered version history of a FIR: the original filing (version 0), then every
+ * amendment with its decrypted content. `linked` says whether the document points
+ * to the CID of the version before it, as recorded on-chain.
+ * @param {Object} fir - FIR from blockchainService.getFIR()
+ * @param {{address: string, roles: string[]}} reader - Authenticated session that may read the FIR
+ * @returns {Promise<Object[]>}
+ */
+async function getHistory(fir, reader) {
+  const history = [{
+    version: 0,
+    type: 'original',
+    cid: fir.ipfsCid,
+    previousCid: null,
+    timestamp: fir.timestamp,
+    linked: true
+  }];
+
+  for (const amendment of await blockchainService.getAmendments(fir.id)) {
+    const previousCid = history[history.length - 1].cid;
+    const document = await ipfsService.fetchFromIPFS(amendment.ipfsCid, { reader });
+
+    history.push({
+      version: amendment.version,
+      type: 'amendment',
+      cid: amendment.ipfsCid,
+      previousCid,
+      timestamp: amendment.timestamp,
+      amendedBy: amendment.amendedBy,
+      statement: document.statement,
+      items: document.items || [],
+      filedAt: document.timestamp,
+      linked: document.previousCid === previousCid
+    });
+  }
+
+  return history;
+}
+
+module.exports = {
+  fileAmendment,
+  getHistory
+};
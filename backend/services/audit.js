@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const database = require('./database');
+const blockchainService = require('./blockchain');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Hash of an audit entry. Every field that is shown to an auditor is covered,
+ * and prev_hash links the entry to the one before it.
+ * @param {Object} row - audit_log row
+ * @returns {string} - Hex sha256
+ */
+function hashEntry(row) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([
+      row.seq, row.created_at, row.actor, row.action, row.resource,
+      row.status, row.details, row.ip, row.prev_hash
+    ]))
+    .digest('hex');
+}
+
+class AuditService {
+  constructor() {
+    this.anchorIntervalMs = parseInt(process.env.AUDIT_ANCHOR_INTERVAL_MS) || 60 * 60 * 1000;
+    this.anchoring = null;
+    this.timer = null;
+  }
+
+  async initialize() {
+    try {
+      this.timer = setInterval(() => this.anchor().catch(() => {}), this.anchorIntervalMs);
+      this.timer.unref();
+
+      const head = this.getHead();
+      console.log('✅ Audit service initialized');
+      console.log(`🧾 Audit log head: ${head ? `#${head.seq}` : 'empty'}, anchoring every ${this.anchorIntervalMs}ms`);
+
+    } catch (error) {
+      console.error('❌ Failed to initialize audit service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry to the audit log
+   * @param {Object} entry - What happened
+   * @param {string} entry.action - Action name (e.g. fir.verify)
+   * @param {string} [entry.actor] - Wallet address that acted, if known
+   * @param {string} [entry.resource] - Resource acted on (e.g. fir:12)
+   * @param {number} [entry.status] - HTTP status of the response
+   * @param {Object} [entry.details] - Extra context
+   * @param {string} [entry.ip] - Client IP address
+   * @returns {Object} - The stored entry
+   */
+  record({ action, actor = null, resource = null, status = null, details = null, ip = null }) {
+    const db = database.getConnection();
+
+    const row = db.transaction(() => {
+      const head = db.prepare('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1').get();
+      const entry = {
+        seq: head ? head.seq + 1 : 1,
+        created_at: new Date().toISOString(),
+        actor: actor ? actor.toLowerCase() : null,
+        action,
+        resource,
+        status,
+        details: details ? JSON.stringify(details) : null,
+        ip,
+        prev_hash: head ? head.hash : GENESIS_HASH
+      };
+      entry.hash = hashEntry(entry);
+
+      db.prepare(`
+        INSERT INTO audit_log (seq, created_at, actor, action, resource, status, details, ip, prev_hash, hash)
+        VALUES (@seq, @created_at, @actor, @action, @resource, @status, @details, @ip, @prev_hash, @hash)
+      `).run(entry);
+      return entry;
+    }).immediate();
+
+    return this.rowToEntry(row);
+  }
+
+  /**
+   * Page through the audit log, newest first
+   * @param {Object} query - Filters and pagination
+   * @param {string} [query.action] - Only this action
+   * @param {string} [query.actor] - Only this wallet address
+   * @param {string} [query.resource] - Only this resource
+   * @param {number} [query.limit] - Maximum number of entries
+   * @param {number} [query.offset] - Number of entries to skip
+   * @returns {{entries: Object[], total: number}}
+   */
+  list({ action, actor, resource, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (action) { conditions.push('action = ?'); params.push(action); }
+    if (actor) { conditions.push('actor = ? COLLATE NOCASE'); params.push(actor); }
+    if (resource) { conditions.push('resource = ?'); params.push(resource); }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const db = database.getConnection();
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM audit_log ${where}`).get(...params);
+    const rows = db.prepare(`SELECT * FROM audit_log ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+
+    return { entries: rows.map(row => this.rowToEntry(row)), total };
+  }
+
+  /**
+   * Latest entry of the log
+   * @returns {{seq: number, hash: string}|null}
+   */
+  getHead() {
+    return database.getConnection()
+      .prepare('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1')
+      .get() || null;
+  }
+
+  /**
+   * Latest anchor recorded locally
+   * @returns {Object|null}
+   */
+  getLatestAnchor() {
+    const row = database.getConnection()
+      .prepare('SELECT * FROM audit_anchors ORDER BY seq DESC LIMIT 1')
+      .get();
+    return row ? this.rowToAnchor(row) : null;
+  }
+
+  /**
+   * Recompute the hash chain and compare it against the local and on-chain anchors
+   * @param {Object} [range] - Entries to check (defaults to the whole log)
+   * @param {number} [range.fromSeq] - First entry
+   * @param {number} [range.toSeq] - Last entry
+   * @returns {Promise<Object>} - Verification report
+   */
+  async verify({ fromSeq = 1, toSeq } = {}) {
+    const db = database.getConnection();
+    const head = this.getHead();
+    const lastSeq = Math.min(toSeq ?? Infinity, head ? head.seq : 0);
+
+    const report = {
+      valid: true,
+      fromSeq,
+      toSeq: lastSeq,
+      checked: 0,
+      head,
+      failures: [],
+      anchors: { checked: 0, onChain: null }
+    };
+    const fail = (seq, reason) => {
+      report.valid = false;
+      report.failures.push({ seq, reason });
+    };
+
+    // The entry before the range vouches for the first prev_hash
+    let expectedPrev = fromSeq > 1
+      ? db.prepare('SELECT hash FROM audit_log WHERE seq = ?').get(fromSeq - 1)?.hash
+      : GENESIS_HASH;
+    let expectedSeq = fromSeq;
+
+    const rows = db.prepare('SELECT * FROM audit_log WHERE seq BETWEEN ? AND ? ORDER BY seq').iterate(fromSeq, lastSeq);
+    for (const row of rows) {
+      if (row.seq !== expectedSeq) fail(expectedSeq, `entries ${expectedSeq}-${row.seq - 1} are missing`);
+      if (expectedPrev !== undefined && row.prev_hash !== expectedPrev) fail(row.seq, 'prev_hash does not match the previous entry');
+      if (hashEntry(row) !== row.hash) fail(row.seq, 'entry contents do not match its hash');
+
+      expectedPrev = row.hash;
+      expectedSeq = row.seq + 1;
+      report.checked++;
+    }
+    if (expectedSeq <= lastSeq) fail(expectedSeq, `entries ${expectedSeq}-${lastSeq} are missing`);
+
+    // Anchors past the current head mean entries were deleted from the end
+    const anchors = db.prepare('SELECT * FROM audit_anchors WHERE seq BETWEEN ? AND ? ORDER BY seq')
+      .all(fromSeq, toSeq ?? Number.MAX_SAFE_INTEGER);
+    for (const anchor of anchors) {
+      const entry = db.prepare('SELECT hash FROM audit_log WHERE seq = ?').get(anchor.seq);
+      if (!entry || entry.hash !== anchor.head_hash) fail(anchor.seq, `does not match the anchor in tx ${anchor.tx_hash}`);
+      report.anchors.checked++;
+    }
+
+    try {
+      const onChain = await blockchainService.getAuditAnchor();
+      report.anchors.onChain = onChain;
+
+      if (onChain.headHash) {
+        const entry = db.prepare('SELECT hash FROM audit_log WHERE seq = ?').get(onChain.sequence);
+        if (!entry) {
+          // Entries up to the on-chain anchor existed when it was written
+          fail(onChain.sequence, 'anchored on-chain but missing from the log');
+        } else if (entry.hash !== onChain.headHash) {
+          fail(onChain.sequence, 'does not match the on-chain anchor');
+        }
+      }
+    } catch (error) {
+      report.anchors.onChain = { error: error.userMessage || error.message };
+    }
+
+    return report;
+  }
+
+  /**
+   * Anchor the current head on-chain if it has moved since the last anchor.
+   * Concurrent calls share one transaction.
+   * @returns {Promise<Object|null>} - The new anchor, or null if there was nothing to anchor
+   */
+  anchor() {
+    if (!this.anchoring) {
+      this.anchoring = this.anchorHead()
+        .catch(error => {
+          console.error('Error anchoring audit log:', error);
+          throw error;
+        })
+        .finally(() => { this.anchoring = null; });
+    }
+    return this.anchoring;
+  }
+
+  async anchorHead() {
+    const head = this.getHead();
+    const latest = this.getLatestAnchor();
+    if (!head || (latest && latest.seq >= head.seq)) return null;
+
+    const { txHash, blockNumber } = await blockchainService.anchorAuditHead(head.seq, head.hash);
+
+    const anchor = {
+      seq: head.seq,
+      head_hash: head.hash,
+      tx_hash: txHash,
+      block_number: blockNumber,
+      anchored_at: new Date().toISOString()
+    };
+    database.getConnection().prepare(`
+      INSERT OR REPLACE INTO audit_anchors (seq, head_hash, tx_hash, block_number, anchored_at)
+      VALUES (@seq, @head_hash, @tx_hash, @block_number, @anchored_at)
+    `).run(anchor);
+
+    console.log(`🧾 Anchored audit log head #${head.seq} in tx ${txHash}`);
+    return this.rowToAnchor(anchor);
+  }
+
+  /**
+   * Convert a database row to the API shape
+   * @param {Object} row - audit_log row
+   * @returns {Object}
+   */
+  rowToEntry(row) {
+    return {
+      seq: row.seq,
+      createdAt: row.created_at,
+      actor: row.actor,
+      action: row.action,
+      resource: row.resource,
+      status: row.status,
+      details: row.details ? JSON.parse(row.details) : null,
+      ip: row.ip,
+      prevHash: row.prev_hash,
+      hash: row.hash
+    };
+  }
+
+  /**
+   * Convert a database row to the API shape
+   * @param {Object} row - audit_anchors row
+   * @returns {Object}
+   */
+  rowToAnchor(row) {
+    return {
+      seq: row.seq,
+      headHash: row.head_hash,
+      txHash: row.tx_hash,
+      blockNumber: row.block_number,
+      anchoredAt: row.anchored_at
+    };
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return (this.anchoring || Promise.resolve()).catch(() => {});
+  }
+}
+
+module.exports = new AuditService();
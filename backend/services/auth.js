@@ -0,0 +1,146 @@
+const { SiweMessage, generateNonce } = require('siwe');
+const jwt = require('jsonwebtoken');
+const database = require('./database');
+const blockchainService = require('./blockchain');
+const { AuthError } = require('./errors');
+
+const ROLES = ['VICTIM_ROLE', 'GOV_ROLE', 'DEFAULT_ADMIN_ROLE'];
+
+class AuthService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET;
+    this.tokenTtl = process.env.JWT_EXPIRES_IN || '1h';
+    this.nonceTtlMs = parseInt(process.env.SIWE_NONCE_TTL_MS) || 5 * 60 * 1000;
+    this.domain = process.env.SIWE_DOMAIN || new URL(process.env.FRONTEND_URL || 'http://localhost:5173').host;
+  }
+
+  async initialize() {
+    try {
+      if (!this.jwtSecret) {
+        throw new Error('JWT_SECRET must be set to issue session tokens');
+      }
+
+      // Expired nonces are useless; drop them on startup
+      database.getConnection().prepare('DELETE FROM auth_nonces WHERE expires_at < ?')
+        .run(new Date().toISOString());
+
+      console.log('✅ Auth service initialized');
+      console.log(`🔐 SIWE domain: ${this.domain}, token lifetime: ${this.tokenTtl}`);
+
+    } catch (error) {
+      console.error('❌ Failed to initialize auth service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a single-use nonce for a Sign-In-With-Ethereum message
+   * @returns {{nonce: string, expiresAt: string}}
+   */
+  issueNonce() {
+    const nonce = generateNonce();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.nonceTtlMs).toISOString();
+
+    database.getConnection().prepare(`
+      INSERT INTO auth_nonces (nonce, created_at, expires_at) VALUES (?, ?, ?)
+    `).run(nonce, now.toISOString(), expiresAt);
+
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Verify a signed SIWE (EIP-4361) message and issue a session token
+   * @param {string} message - The prepared SIWE message
+   * @param {string} signature - Wallet signature over the message
+   * @returns {Promise<{token: string, address: string, roles: string[], expiresAt: string}>}
+   */
+  async login(message, signature) {
+    let siweMessage;
+    try {
+      siweMessage = new SiweMessage(message);
+    } catch (error) {
+      throw new AuthError(`Malformed SIWE message: ${error.message || error}`);
+    }
+
+    if (!this.consumeNonce(siweMessage.nonce)) {
+      throw new AuthError('Nonce is invalid, expired or already used');
+    }
+
+    try {
+      await siweMessage.verify({ signature, domain: this.domain, nonce: siweMessage.nonce });
+    } catch (result) {
+      const reason = result?.error?.type || result?.message || 'verification failed';
+      throw new AuthError(`Invalid SIWE signature: ${reason}`);
+    }
+
+    const address = siweMessage.address;
+    const roles = await this.resolveRoles(address);
+
+    const token = jwt.sign({ roles }, this.jwtSecret, {
+      subject: address,
+      expiresIn: this.tokenTtl
+    });
+    const { exp } = jwt.decode(token);
+
+    console.log(`🔑 ${address} signed in with roles: ${roles.join(', ') || 'none'}`);
+
+    return {
+      token,
+      address,
+      roles,
+      expiresAt: new Date(exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Mark a nonce as used
+   * @param {string} nonce - Nonce from the SIWE message
+   * @returns {boolean} - True if the nonce was valid and unused
+   */
+  consumeNonce(nonce) {
+    const result = database.getConnection().prepare(`
+      UPDATE auth_nonces SET used_at = ? WHERE nonce = ? AND used_at IS NULL AND expires_at >= ?
+    `).run(new Date().toISOString(), nonce, new Date().toISOString());
+
+    return result.changes === 1;
+  }
+
+  /**
+   * Resolve the contract roles held by an address
+   * @param {string} address - Wallet address
+   * @returns {Promise<string[]>}
+   */
+  async resolveRoles(address) {
+    const roles = [];
+    for (const role of ROLES) {
+      if (await blockchainService.hasRole(address, role)) {
+        roles.push(role);
+      }
+    }
+    return roles;
+  }
+
+  /**
+   * Verify a session token
+   * @param {string} token - JWT issued by login()
+   * @returns {{address: string, roles: string[]}}
+   */
+  verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, this.jwtSecret);
+      return {
+        address: payload.sub,
+        roles: payload.roles || []
+      };
+    } catch (error) {
+      throw new AuthError(`Invalid session token: ${error.message}`);
+    }
+  }
+}
+
+const authService = new AuthService();
+
+module.exports = authService;
+module.exports.AuthError = AuthError;
+module.exports.ROLES = ROLES;
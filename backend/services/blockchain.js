@@ -1,5 +1,66 @@
 const { ethers } = require('ethers');
 const FIRRegistryABI = require('../contracts/FIRRegistry.json');
+const { AppError, BlockchainError, ConflictError } = require('./errors');
+const { CASE_STATUSES, canTransition } = require('./caseStatus');
+const metricsService = require('./metrics');
+const adapters = require('./adapters');
+
+const ROLE_HASHES = {
+  VICTIM_ROLE: ethers.keccak256(ethers.toUtf8Bytes('VICTIM_ROLE')),
+  GOV_ROLE: ethers.keccak256(ethers.toUtf8Bytes('GOV_ROLE')),
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash
+};
+
+// Revert reasons raised by FIRRegistry (and OpenZeppelin AccessControl) mapped to error codes
+const REVERT_REASONS = [
+  {
+    pattern: /AccessControl: account (0x[0-9a-fA-F]{40}) is missing role (0x[0-9a-fA-F]{64})/,
+    code: 'CONTRACT_MISSING_ROLE',
+    details: ([, account, role]) => [`${account} is missing ${roleName(role)}`]
+  },
+  { pattern: /FIR does not exist/, code: 'CONTRACT_FIR_NOT_FOUND' },
+  { pattern: /IPFS CID cannot be empty/, code: 'CONTRACT_INVALID_CID' },
+  { pattern: /Similarity score cannot exceed 100/, code: 'CONTRACT_INVALID_SCORE' },
+  { pattern: /Only the filing victim can amend this FIR/, code: 'CONTRACT_NOT_FIR_VICTIM' },
+  { pattern: /Amendment must follow the latest version/, code: 'CONTRACT_STALE_AMENDMENT' },
+  { pattern: /Status transition not allowed/, code: 'INVALID_STATUS_TRANSITION' },
+  { pattern: /Decision reason required/, code: 'CONTRACT_MISSING_REASON' }
+];
+
+// Indexed events and how their arguments are decoded
+const EVENT_ARGS = {
+  FIRCreated: (args) => ({
+    victim: args.victim,
+    ipfsCid: args.ipfsCid,
+    timestamp: Number(args.timestamp),
+    similarityScore: Number(args.similarityScore)
+  }),
+  FIRVerified: (args) => ({
+    verified: args.verified,
+    verifiedBy: args.verifiedBy,
+    reasonHash: args.reasonHash
+  }),
+  FIRStatusChanged: (args) => ({
+    fromStatus: CASE_STATUSES[Number(args.fromStatus)],
+    toStatus: CASE_STATUSES[Number(args.toStatus)],
+    changedBy: args.changedBy,
+    timestamp: Number(args.timestamp)
+  })
+};
+
+// ethers error codes that mean the node, not the contract, is the problem
+const PROVIDER_ERROR_CODES = {
+  INSUFFICIENT_FUNDS: 'CHAIN_INSUFFICIENT_FUNDS',
+  NONCE_EXPIRED: 'CHAIN_NONCE_CONFLICT',
+  REPLACEMENT_UNDERPRICED: 'CHAIN_NONCE_CONFLICT',
+  TRANSACTION_REPLACED: 'CHAIN_NONCE_CONFLICT',
+  NETWORK_ERROR: 'CHAIN_UNAVAILABLE',
+  SERVER_ERROR: 'CHAIN_UNAVAILABLE',
+  TIMEOUT: 'CHAIN_UNAVAILABLE'
+};
+
+const roleName = (hash) =>
+  Object.keys(ROLE_HASHES).find(name => ROLE_HASHES[name] === hash.toLowerCase()) || hash;
 
 class BlockchainService {
   constructor() {
@@ -12,14 +73,12 @@ class BlockchainService {
 
   async initialize() {
     try {
-      // Initialize provider
-      this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-      
-      // Initialize victim wallet (for FIR creation)
-      this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-      
-      // Initialize government wallet (for verification)
-      this.govWallet = new ethers.Wallet(process.env.GOV_PRIVATE_KEY, this.provider);
+      // Provider and relayer wallets (victim for FIR creation, government for verification)
+      const connection = adapters.createChainConnection();
+      this.provider = connection.provider;
+      this.wallet = connection.wallet;
+      this.govWallet = connection.govWallet;
+      this.contractAddress = connection.contractAddress;
       
       // Initialize contract
       this.contract = new ethers.Contract(
@@ -28,7 +87,7 @@ class BlockchainService {
         this.wallet
       );
       
-      console.log('✅ Blockchain service initialized');
+      console.log(`✅ Blockchain service initialized${adapters.isLocalMode() ? ' (local in-memory chain)' : ''}`);
       console.log(`📋 Contract address: ${this.contractAddress}`);
       console.log(`👤 Victim wallet: ${this.wallet.address}`);
       console.log(`🏛️ Gov wallet: ${this.govWallet.address}`);
@@ -50,9 +109,11 @@ class BlockchainService {
    * @param {string} ipfsCid - IPFS content identifier
    * @param {number} similarityScore - OCR-STT similarity score (0-100)
    * @param {string} victimAddress - Victim's wallet address
+   * @param {Object} options - Transaction options
+   * @param {Function} [options.onSubmitted] - Called with the tx hash once broadcast
    * @returns {Promise<{firId: number, txHash: string}>}
    */
-  async createFIR(ipfsCid, similarityScore, victimAddress) {
+  async createFIR(ipfsCid, similarityScore, victimAddress, { onSubmitted } = {}) {
     try {
       console.log(`Creating FIR for victim ${victimAddress} with CID ${ipfsCid}`);
       
@@ -75,9 +136,10 @@ class BlockchainService {
       );
       
       console.log(`Transaction submitted: ${tx.hash}`);
+      if (onSubmitted) onSubmitted(tx.hash);
       
       // Wait for confirmation
-      const receipt = await tx.wait();
+      const receipt = await this.waitForReceipt('createFIR', tx);
       
       if (receipt.status === 1) {
         // Extract FIR ID from events
@@ -110,7 +172,34 @@ class BlockchainService {
       
     } catch (error) {
       console.error('❌ Failed to create FIR:', error);
-      throw error;
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Find the FIR created for an IPFS CID by the backend's wallet
+   * Used to reconcile a createFIR call whose receipt was lost (RPC outage, crash).
+   * @param {string} ipfsCid - IPFS content identifier
+   * @returns {Promise<{firId: number, txHash: string, blockNumber: number}|null>}
+   */
+  async findFIRByCid(ipfsCid) {
+    try {
+      const filter = this.contract.filters.FIRCreated(null, this.wallet.address);
+      const fromBlock = parseInt(process.env.CONTRACT_DEPLOY_BLOCK) || 0;
+      const events = await this.contract.queryFilter(filter, fromBlock);
+
+      const match = events.find(event => event.args.ipfsCid === ipfsCid);
+      if (!match) return null;
+
+      return {
+        firId: parseInt(match.args.id.toString()),
+        txHash: match.transactionHash,
+        blockNumber: match.blockNumber
+      };
+
+    } catch (error) {
+      console.error(`❌ Failed to look up FIR for CID ${ipfsCid}:`, error);
+      throw this.toError(error);
     }
   }
 
@@ -118,9 +207,12 @@ class BlockchainService {
    * Set verification status of a FIR
    * @param {number} firId - FIR ID
    * @param {boolean} verified - Verification status
+   * @param {string} reasonHash - bytes32 hash of the decision's reason record (see services/decisions.js)
+   * @param {Object} options - Transaction options
+   * @param {Function} [options.onSubmitted] - Called with the tx hash once broadcast
    * @returns {Promise<{txHash: string}>}
    */
-  async setVerification(firId, verified) {
+  async setVerification(firId, verified, reasonHash, { onSubmitted } = {}) {
     try {
       console.log(`Setting verification for FIR ${firId} to ${verified}`);
       
@@ -128,21 +220,23 @@ class BlockchainService {
       const govContract = this.contract.connect(this.govWallet);
       
       // Estimate gas
-      const gasEstimate = await govContract.setVerification.estimateGas(firId, verified);
+      const gasEstimate = await govContract.setVerification.estimateGas(firId, verified, reasonHash);
       
       // Set verification transaction
       const tx = await govContract.setVerification(
         firId,
         verified,
+        reasonHash,
         {
           gasLimit: gasEstimate * 120n / 100n, // 20% buffer
         }
       );
       
       console.log(`Verification transaction submitted: ${tx.hash}`);
+      if (onSubmitted) onSubmitted(tx.hash);
       
       // Wait for confirmation
-      const receipt = await tx.wait();
+      const receipt = await this.waitForReceipt('setVerification', tx);
       
       if (receipt.status === 1) {
         console.log(`✅ Verification set successfully: TX ${tx.hash}`);
@@ -158,6 +252,212 @@ class BlockchainService {
       
     } catch (error) {
       console.error('❌ Failed to set verification:', error);
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Move a FIR to a new case status. The transition is checked against the
+   * current status first so an invalid request fails without spending gas;
+   * the contract enforces the same rule.
+   * @param {number} firId - FIR ID
+   * @param {string} status - One of CASE_STATUSES
+   * @param {Object} options - Transaction options
+   * @param {string[]} [options.from] - Statuses the caller's action starts from; others are refused
+   * @param {Function} [options.onSubmitted] - Called with the tx hash once broadcast
+   * @returns {Promise<{previousStatus: string, status: string, txHash: string, blockNumber: number}>}
+   * @throws {ConflictError} INVALID_STATUS_TRANSITION if the lifecycle or the action does not allow the move
+   */
+  async updateStatus(firId, status, { from, onSubmitted } = {}) {
+    try {
+      const { status: previousStatus } = await this.getFIR(firId);
+      if (!canTransition(previousStatus, status) || (from && !from.includes(previousStatus))) {
+        throw new ConflictError('INVALID_STATUS_TRANSITION', [`FIR ${firId} cannot move from ${previousStatus} to ${status}`]);
+      }
+
+      console.log(`Moving FIR ${firId} from ${previousStatus} to ${status}`);
+
+      const govContract = this.contract.connect(this.govWallet);
+      const statusIndex = CASE_STATUSES.indexOf(status);
+
+      const gasEstimate = await govContract.updateStatus.estimateGas(firId, statusIndex);
+      const tx = await govContract.updateStatus(firId, statusIndex, {
+        gasLimit: gasEstimate * 120n / 100n, // 20% buffer
+      });
+
+      console.log(`Status transaction submitted: ${tx.hash}`);
+      if (onSubmitted) onSubmitted(tx.hash);
+
+      const receipt = await this.waitForReceipt('updateStatus', tx);
+      if (receipt.status !== 1) {
+        throw new Error('Status transaction failed');
+      }
+
+      console.log(`✅ FIR ${firId} is now ${status}: TX ${tx.hash}`);
+
+      return {
+        previousStatus,
+        status,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber
+      };
+
+    } catch (error) {
+      console.error(`❌ Failed to update status of FIR ${firId}:`, error);
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Record an amendment to a FIR
+   * @param {number} firId - FIR ID
+   * @param {string} previousCid - CID of the version being amended (the original or the latest amendment)
+   * @param {string} ipfsCid - CID of the amendment document
+   * @param {Object} options - Transaction options
+   * @param {Function} [options.onSubmitted] - Called with the tx hash once broadcast
+   * @returns {Promise<{version: number, txHash: string, blockNumber: number}>}
+   */
+  async amendFIR(firId, previousCid, ipfsCid, { onSubmitted } = {}) {
+    try {
+      console.log(`Amending FIR ${firId} with CID ${ipfsCid}`);
+
+      // Amendments are sent from the same wallet that filed the FIR
+      const victimContract = this.contract.connect(this.wallet);
+
+      const gasEstimate = await victimContract.amendFIR.estimateGas(firId, previousCid, ipfsCid);
+      const tx = await victimContract.amendFIR(firId, previousCid, ipfsCid, {
+        gasLimit: gasEstimate * 120n / 100n, // 20% buffer
+      });
+
+      console.log(`Amendment transaction submitted: ${tx.hash}`);
+      if (onSubmitted) onSubmitted(tx.hash);
+
+      const receipt = await this.waitForReceipt('amendFIR', tx);
+      if (receipt.status !== 1) {
+        throw new Error('Amendment transaction failed');
+      }
+
+      const event = receipt.logs
+        .map(log => {
+          try {
+            return victimContract.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find(parsed => parsed?.name === 'FIRAmended');
+
+      const version = event ? Number(event.args.version) : null;
+      console.log(`✅ FIR ${firId} amended: version ${version}, TX ${tx.hash}`);
+
+      return {
+        version,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber
+      };
+
+    } catch (error) {
+      console.error(`❌ Failed to amend FIR ${firId}:`, error);
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Get the amendments of a FIR, oldest first
+   * @param {number} firId - FIR ID
+   * @returns {Promise<Object[]>} - [{version, ipfsCid, timestamp, amendedBy}]
+   */
+  async getAmendments(firId) {
+    try {
+      const amendments = await this.contract.getAmendments(firId);
+
+      return amendments.map((amendment, index) => ({
+        version: index + 1,
+        ipfsCid: amendment.ipfsCid,
+        timestamp: amendment.timestamp.toString(),
+        amendedBy: amendment.amendedBy
+      }));
+
+    } catch (error) {
+      console.error(`❌ Failed to get amendments of FIR ${firId}:`, error);
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Anchor the head of the audit log on-chain
+   * @param {number} sequence - Sequence number of the head entry
+   * @param {string} headHash - Hex sha256 of the head entry
+   * @param {Object} options - Transaction options
+   * @param {Function} [options.onSubmitted] - Called with the tx hash once broadcast
+   * @returns {Promise<{txHash: string, blockNumber: number}>}
+   */
+  async anchorAuditHead(sequence, headHash, { onSubmitted } = {}) {
+    try {
+      const govContract = this.contract.connect(this.govWallet);
+      const hash = headHash.startsWith('0x') ? headHash : `0x${headHash}`;
+
+      const gasEstimate = await govContract.anchorAuditHead.estimateGas(sequence, hash);
+      const tx = await govContract.anchorAuditHead(sequence, hash, {
+        gasLimit: gasEstimate * 120n / 100n, // 20% buffer
+      });
+
+      console.log(`Audit anchor transaction submitted: ${tx.hash}`);
+      if (onSubmitted) onSubmitted(tx.hash);
+
+      const receipt = await this.waitForReceipt('anchorAuditHead', tx);
+      if (receipt.status !== 1) {
+        throw new Error('Audit anchor transaction failed');
+      }
+
+      return {
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to anchor audit head:', error);
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Get the audit log head last anchored on-chain
+   * @returns {Promise<{sequence: number, headHash: string|null}>}
+   */
+  async getAuditAnchor() {
+    try {
+      const [sequence, headHash] = await Promise.all([
+        this.contract.auditSequence(),
+        this.contract.auditHeadHash()
+      ]);
+
+      return {
+        sequence: Number(sequence),
+        headHash: sequence > 0n ? headHash.slice(2) : null
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to get audit anchor:', error);
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Wait for a transaction receipt, recording confirmation time and gas used
+   * @param {string} operation - Contract function that sent the transaction
+   * @param {Object} tx - ethers transaction response
+   * @returns {Promise<Object>} - Transaction receipt
+   */
+  async waitForReceipt(operation, tx) {
+    const startedAt = Date.now();
+    try {
+      const receipt = await tx.wait();
+      metricsService.observeTransaction(operation, (Date.now() - startedAt) / 1000, receipt);
+      return receipt;
+    } catch (error) {
+      // Reverted transactions still carry a receipt with the gas they burned
+      metricsService.observeTransaction(operation, (Date.now() - startedAt) / 1000, error.receipt);
       throw error;
     }
   }
@@ -178,12 +478,14 @@ class BlockchainService {
         timestamp: fir.timestamp.toString(),
         verified: fir.verified,
         exists: fir.exists,
-        similarityScore: fir.similarityScore.toString()
+        similarityScore: fir.similarityScore.toString(),
+        status: CASE_STATUSES[Number(fir.status)],
+        statusUpdatedAt: fir.statusUpdatedAt.toString()
       };
       
     } catch (error) {
       console.error(`❌ Failed to get FIR ${firId}:`, error);
-      throw error;
+      throw this.toError(error);
     }
   }
 
@@ -199,7 +501,7 @@ class BlockchainService {
       
     } catch (error) {
       console.error(`❌ Failed to get victim FIRs for ${victimAddress}:`, error);
-      throw error;
+      throw this.toError(error);
     }
   }
 
@@ -220,12 +522,14 @@ class BlockchainService {
         ipfsCid: fir.ipfsCid,
         timestamp: fir.timestamp.toString(),
         verified: fir.verified,
-        similarityScore: fir.similarityScore.toString()
+        similarityScore: fir.similarityScore.toString(),
+        status: CASE_STATUSES[Number(fir.status)],
+        statusUpdatedAt: fir.statusUpdatedAt.toString()
       }));
       
     } catch (error) {
       console.error(`❌ Failed to get FIRs by status ${verified}:`, error);
-      throw error;
+      throw this.toError(error);
     }
   }
 
@@ -263,7 +567,7 @@ class BlockchainService {
       
     } catch (error) {
       console.error('❌ Failed to get all FIRs:', error);
-      throw error;
+      throw this.toError(error);
     }
   }
 
@@ -278,7 +582,65 @@ class BlockchainService {
       
     } catch (error) {
       console.error('❌ Failed to get total FIRs:', error);
-      throw error;
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Get the latest block number
+   * @returns {Promise<number>}
+   */
+  async getBlockNumber() {
+    return this.provider.getBlockNumber();
+  }
+
+  /**
+   * Get the hash of a block
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<string|null>} - Null if the block does not exist (yet)
+   */
+  async getBlockHash(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block ? block.hash : null;
+  }
+
+  /**
+   * Get FIRCreated, FIRVerified and FIRStatusChanged events in a block range
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @returns {Promise<Object[]>} - Events ordered by block and log index
+   */
+  async getFIREvents(fromBlock, toBlock) {
+    try {
+      const logs = await this.provider.getLogs({
+        address: this.contractAddress,
+        fromBlock,
+        toBlock
+      });
+
+      const events = [];
+      for (const log of logs) {
+        const parsed = this.contract.interface.parseLog(log);
+        if (!parsed || !EVENT_ARGS[parsed.name]) continue;
+
+        const args = EVENT_ARGS[parsed.name](parsed.args);
+
+        events.push({
+          name: parsed.name,
+          firId: Number(parsed.args.id),
+          args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          txHash: log.transactionHash,
+          logIndex: log.index
+        });
+      }
+
+      return events;
+
+    } catch (error) {
+      console.error(`❌ Failed to get FIR events for blocks ${fromBlock}-${toBlock}:`, error);
+      throw this.toError(error);
     }
   }
 
@@ -290,23 +652,62 @@ class BlockchainService {
    */
   async hasRole(address, role) {
     try {
-      const roleHash = role === 'VICTIM_ROLE' ? 
-        ethers.keccak256(ethers.toUtf8Bytes('VICTIM_ROLE')) :
-        role === 'GOV_ROLE' ? 
-        ethers.keccak256(ethers.toUtf8Bytes('GOV_ROLE')) :
-        role === 'DEFAULT_ADMIN_ROLE' ? 
-        ethers.ZeroHash : null;
+      const roleHash = ROLE_HASHES[role] || null;
       
       if (!roleHash) {
-        throw new Error(`Invalid role: ${role}`);
+        throw new AppError('INTERNAL_ERROR', `Invalid role: ${role}`);
       }
       
       return await this.contract.hasRole(roleHash, address);
       
     } catch (error) {
       console.error(`❌ Failed to check role ${role} for ${address}:`, error);
-      throw error;
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Translate an ethers error into a BlockchainError with a stable code,
+   * decoding contract revert reasons where present
+   * @param {Error} error - Error thrown by ethers
+   * @returns {AppError}
+   */
+  toError(error) {
+    if (error instanceof AppError) return error;
+
+    if (error.code === 'CALL_EXCEPTION') {
+      const reason = error.reason || error.revert?.args?.[0] || error.shortMessage || '';
+      const match = REVERT_REASONS
+        .map(revert => ({ revert, groups: reason.match(revert.pattern) }))
+        .find(({ groups }) => groups);
+
+      if (match) {
+        return new BlockchainError(match.revert.code, `Contract reverted: ${reason}`, {
+          details: match.revert.details ? match.revert.details(match.groups) : undefined,
+          cause: error
+        });
+      }
+      return new BlockchainError('CONTRACT_REVERTED', `Contract reverted: ${reason || 'no reason given'}`, { cause: error });
+    }
+
+    return new BlockchainError(PROVIDER_ERROR_CODES[error.code] || 'CHAIN_UNAVAILABLE', error.message, { cause: error });
+  }
+
+  /**
+   * Probe the RPC node and the deployed contract
+   * @returns {Promise<{blockNumber: number, contractAddress: string}>}
+   */
+  async healthCheck() {
+    const [blockNumber, code] = await Promise.all([
+      this.provider.getBlockNumber(),
+      this.provider.getCode(this.contractAddress)
+    ]);
+
+    if (code === '0x') {
+      throw new Error(`Contract not deployed at ${this.contractAddress}`);
     }
+
+    return { blockNumber, contractAddress: this.contractAddress };
   }
 
   /**
@@ -329,7 +730,7 @@ class BlockchainService {
       
     } catch (error) {
       console.error('❌ Failed to get contract info:', error);
-      throw error;
+      throw this.toError(error);
     }
   }
 }
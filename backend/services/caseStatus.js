@@ -0,0 +1,71 @@
+// Case lifecycle states, in the order of FIRRegistry.CaseStatus
+const CASE_STATUSES = [
+  'REGISTERED',
+  'UNDER_INVESTIGATION',
+  'CHARGESHEET_FILED',
+  'CLOSED_UNDETECTED',
+  'TRANSFERRED'
+];
+
+/**
+ * Transitions, one API endpoint (POST /api/firs/:id/<action>) each. The contract
+ * enforces the same from → to pairs; `roles` gate who may call the endpoint.
+ */
+const CASE_ACTIONS = {
+  investigate: {
+    from: ['REGISTERED'],
+    to: 'UNDER_INVESTIGATION',
+    roles: ['GOV_ROLE'],
+    summary: 'Open an investigation into a registered FIR'
+  },
+  'file-chargesheet': {
+    from: ['UNDER_INVESTIGATION'],
+    to: 'CHARGESHEET_FILED',
+    roles: ['GOV_ROLE'],
+    summary: 'Record that a chargesheet was filed'
+  },
+  close: {
+    from: ['UNDER_INVESTIGATION'],
+    to: 'CLOSED_UNDETECTED',
+    roles: ['GOV_ROLE'],
+    summary: 'Close an investigation as undetected'
+  },
+  reopen: {
+    from: ['CLOSED_UNDETECTED'],
+    to: 'UNDER_INVESTIGATION',
+    roles: ['GOV_ROLE'],
+    summary: 'Reopen a case closed as undetected'
+  },
+  transfer: {
+    from: ['REGISTERED', 'UNDER_INVESTIGATION'],
+    to: 'TRANSFERRED',
+    roles: ['GOV_ROLE'],
+    summary: 'Transfer a case to another jurisdiction'
+  }
+};
+
+/**
+ * Whether the lifecycle allows moving from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return Object.values(CASE_ACTIONS).some(action => action.from.includes(from) && action.to === to);
+}
+
+/**
+ * Actions available to a case in a given status
+ * @param {string} status - Current status
+ * @returns {string[]} - Keys of CASE_ACTIONS
+ */
+function availableActions(status) {
+  return Object.keys(CASE_ACTIONS).filter(action => CASE_ACTIONS[action].from.includes(status));
+}
+
+module.exports = {
+  CASE_STATUSES,
+  CASE_ACTIONS,
+  canTransition,
+  availableActions
+};
@@ -0,0 +1,425 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Ordered schema migrations. Each entry is applied once and recorded in
+ * SQLite's user_version pragma, so new tables are added by appending here.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'jobs',
+    sql: `
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        stages TEXT NOT NULL,
+        result TEXT,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        started_at TEXT,
+        completed_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status, created_at);
+    `
+  },
+  {
+    version: 2,
+    name: 'job_events',
+    sql: `
+      CREATE TABLE IF NOT EXISTS job_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL REFERENCES jobs (id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        data TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_job_events_job ON job_events (job_id, id);
+    `
+  },
+  {
+    version: 3,
+    name: 'auth_nonces',
+    sql: `
+      CREATE TABLE IF NOT EXISTS auth_nonces (
+        nonce TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+      );
+    `
+  },
+  {
+    version: 4,
+    name: 'submission_keys',
+    sql: `
+      CREATE TABLE IF NOT EXISTS submission_keys (
+        natural_key TEXT PRIMARY KEY,
+        idempotency_key TEXT,
+        victim_address TEXT NOT NULL COLLATE NOCASE,
+        job_id TEXT NOT NULL REFERENCES jobs (id),
+        created_at TEXT NOT NULL,
+        UNIQUE (victim_address, idempotency_key)
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'job_journal',
+    sql: `
+      CREATE TABLE IF NOT EXISTS job_journal (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL REFERENCES jobs (id) ON DELETE CASCADE,
+        stage TEXT,
+        outcome TEXT NOT NULL,
+        details TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_job_journal_job ON job_journal (job_id, id);
+    `
+  },
+  {
+    version: 6,
+    name: 'fir_index',
+    sql: `
+      CREATE TABLE IF NOT EXISTS fir_events (
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        fir_id INTEGER NOT NULL,
+        args TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+      );
+      CREATE INDEX IF NOT EXISTS idx_fir_events_fir ON fir_events (fir_id, block_number, log_index);
+
+      CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+        block_number INTEGER PRIMARY KEY,
+        block_hash TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS firs (
+        id INTEGER PRIMARY KEY,
+        victim TEXT NOT NULL,
+        ipfs_cid TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        similarity_score INTEGER NOT NULL,
+        verified INTEGER NOT NULL DEFAULT 0,
+        verified_by TEXT,
+        block_number INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_firs_victim ON firs (victim COLLATE NOCASE);
+      CREATE INDEX IF NOT EXISTS idx_firs_verified ON firs (verified, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_firs_timestamp ON firs (timestamp);
+
+      CREATE TABLE IF NOT EXISTS fir_submissions (
+        ipfs_cid TEXT PRIMARY KEY,
+        victim TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      -- Submissions already uploaded; createFIR is sent by the relayer, so this is where their victims come from
+      INSERT OR IGNORE INTO fir_submissions (ipfs_cid, victim, created_at)
+        SELECT json_extract(stage.value, '$.result.cid'), json_extract(jobs.payload, '$.victimAddress'), jobs.created_at
+        FROM jobs, json_each(jobs.stages) AS stage
+        WHERE json_extract(stage.value, '$.name') = 'ipfs'
+          AND json_extract(stage.value, '$.result.cid') IS NOT NULL
+          AND json_extract(jobs.payload, '$.victimAddress') IS NOT NULL;
+    `
+  },
+  {
+    version: 7,
+    name: 'job_error_codes',
+    sql: `
+      ALTER TABLE jobs ADD COLUMN error_code TEXT;
+    `
+  },
+  {
+    version: 8,
+    name: 'audit_log',
+    sql: `
+      CREATE TABLE IF NOT EXISTS audit_log (
+        seq INTEGER PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        actor TEXT,
+        action TEXT NOT NULL,
+        resource TEXT,
+        status INTEGER,
+        details TEXT,
+        ip TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action, seq);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor COLLATE NOCASE, seq);
+      CREATE TABLE IF NOT EXISTS audit_anchors (
+        seq INTEGER PRIMARY KEY,
+        head_hash TEXT NOT NULL,
+        tx_hash TEXT NOT NULL,
+        block_number INTEGER,
+        anchored_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 9,
+    name: 'fir_case_status',
+    sql: `
+      ALTER TABLE firs ADD COLUMN status TEXT NOT NULL DEFAULT 'REGISTERED';
+      ALTER TABLE firs ADD COLUMN status_updated_at INTEGER;
+      UPDATE firs SET status_updated_at = timestamp;
+      CREATE INDEX IF NOT EXISTS idx_firs_status ON firs (status, status_updated_at);
+    `
+  },
+  {
+    version: 10,
+    name: 'stations_and_assignments',
+    sql: `
+      CREATE TABLE IF NOT EXISTS stations (
+        code TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        district TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS officers (
+        address TEXT PRIMARY KEY COLLATE NOCASE,
+        name TEXT NOT NULL,
+        rank TEXT,
+        station_code TEXT NOT NULL REFERENCES stations (code),
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_officers_station ON officers (station_code);
+      CREATE TABLE IF NOT EXISTS fir_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fir_id INTEGER NOT NULL,
+        station_code TEXT NOT NULL REFERENCES stations (code),
+        officer TEXT,
+        reason TEXT,
+        assigned_by TEXT NOT NULL,
+        assigned_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_fir_assignments_fir ON fir_assignments (fir_id, id);
+      CREATE TABLE IF NOT EXISTS fir_current_assignments (
+        fir_id INTEGER PRIMARY KEY,
+        assignment_id INTEGER NOT NULL REFERENCES fir_assignments (id),
+        station_code TEXT NOT NULL,
+        officer TEXT COLLATE NOCASE
+      );
+      CREATE INDEX IF NOT EXISTS idx_fir_current_assignments_officer ON fir_current_assignments (officer);
+      CREATE INDEX IF NOT EXISTS idx_fir_current_assignments_station ON fir_current_assignments (station_code);
+    `
+  },
+  {
+    version: 11,
+    name: 'fir_notes',
+    sql: `
+      CREATE TABLE IF NOT EXISTS fir_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fir_id INTEGER NOT NULL,
+        cid TEXT NOT NULL UNIQUE,
+        previous_cid TEXT,
+        author TEXT NOT NULL,
+        author_role TEXT NOT NULL,
+        visibility TEXT NOT NULL,
+        signature TEXT NOT NULL UNIQUE,
+        signed_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_fir_notes_fir ON fir_notes (fir_id, id);
+    `
+  },
+  {
+    version: 12,
+    name: 'fir_decisions',
+    sql: `
+      CREATE TABLE IF NOT EXISTS fir_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        fir_id INTEGER NOT NULL,
+        verified INTEGER NOT NULL,
+        reason_code TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        decided_by TEXT,
+        decided_at TEXT NOT NULL,
+        reason_hash TEXT NOT NULL,
+        tx_hash TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_fir_decisions_fir ON fir_decisions (fir_id, id);
+    `
+  },
+  {
+    version: 13,
+    name: 'notifications',
+    sql: `
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        address TEXT PRIMARY KEY COLLATE NOCASE,
+        language TEXT NOT NULL,
+        in_app INTEGER NOT NULL DEFAULT 1,
+        email_enabled INTEGER NOT NULL DEFAULT 0,
+        sms_enabled INTEGER NOT NULL DEFAULT 0,
+        email TEXT,
+        phone TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_key TEXT NOT NULL,
+        recipient TEXT NOT NULL COLLATE NOCASE,
+        fir_id INTEGER,
+        type TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        language TEXT NOT NULL,
+        destination TEXT,
+        subject TEXT NOT NULL,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        error TEXT,
+        message_id TEXT,
+        created_at TEXT NOT NULL,
+        sent_at TEXT,
+        read_at TEXT,
+        UNIQUE (event_key, recipient, channel)
+      );
+      CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON notifications (recipient, channel, id);
+      CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications (status, next_attempt_at);
+    `
+  },
+  {
+    version: 14,
+    name: 'webhooks',
+    sql: `
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        description TEXT,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+        event_key TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        fir_id INTEGER,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT,
+        UNIQUE (webhook_id, event_key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+    `
+  },
+  {
+    version: 15,
+    name: 'assignment_kinds',
+    sql: `
+      ALTER TABLE fir_assignments ADD COLUMN kind TEXT NOT NULL DEFAULT 'assigned';
+    `
+  }
+];
+
+class DatabaseService {
+  constructor() {
+    this.db = null;
+    this.dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../data/defir.db');
+  }
+
+  async initialize() {
+    try {
+      if (this.dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+      }
+
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+
+      const applied = this.migrate();
+
+      console.log('✅ Database service initialized');
+      console.log(`🗄️ Database path: ${this.dbPath}`);
+      if (applied > 0) {
+        console.log(`📐 Applied ${applied} migration(s)`);
+      }
+
+    } catch (error) {
+      console.error('❌ Failed to initialize database service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply pending schema migrations
+   * @returns {number} - Number of migrations applied
+   */
+  migrate() {
+    const currentVersion = this.db.pragma('user_version', { simple: true });
+    const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+
+    for (const migration of pending) {
+      this.db.transaction(() => {
+        this.db.exec(migration.sql);
+        this.db.pragma(`user_version = ${migration.version}`);
+      })();
+      console.log(`📐 Migration ${migration.version} (${migration.name}) applied`);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Get the open database connection
+   * @returns {import('better-sqlite3').Database}
+   */
+  getConnection() {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+    return this.db;
+  }
+
+  /**
+   * Check the database answers queries
+   * @returns {{path: string, schemaVersion: number}}
+   */
+  healthCheck() {
+    this.getConnection().prepare('SELECT 1').get();
+    return {
+      path: this.dbPath,
+      schemaVersion: this.db.pragma('user_version', { simple: true })
+    };
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    try {
+      if (this.db) {
+        this.db.close();
+        this.db = null;
+        console.log('✅ Database connection closed');
+      }
+    } catch (error) {
+      console.error('❌ Error closing database:', error);
+    }
+  }
+}
+
+module.exports = new DatabaseService();
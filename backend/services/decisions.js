@@ -0,0 +1,129 @@
+const { ethers } = require('ethers');
+const database = require('./database');
+const blockchainService = require('./blockchain');
+const eventBus = require('./eventBus');
+
+// Reason codes staff pick from when verifying or rejecting a FIR
+const DECISION_REASONS = {
+  verify: [
+    'STATEMENTS_CONSISTENT',
+    'EVIDENCE_CORROBORATES',
+    'IDENTITY_CONFIRMED',
+    'OTHER'
+  ],
+  reject: [
+    'STATEMENTS_INCONSISTENT',
+    'INSUFFICIENT_DETAIL',
+    'NOT_COGNIZABLE',
+    'DUPLICATE_COMPLAINT',
+    'OUTSIDE_JURISDICTION',
+    'OTHER'
+  ]
+};
+
+// Recorded by the submission pipeline when the similarity score clears the threshold
+const AUTO_VERIFY_REASON = 'AUTO_SIMILARITY';
+
+/**
+ * Hash of a decision's reason record, as emitted in FIRVerified. The fields are
+ * serialised in a fixed order so anyone holding the record can recompute it.
+ * @param {Object} decision - Decision fields
+ * @param {number} decision.firId - FIR ID
+ * @param {boolean} decision.verified - Verified or rejected
+ * @param {string} decision.reasonCode - One of DECISION_REASONS, or AUTO_VERIFY_REASON
+ * @param {string} decision.reason - Free-text explanation
+ * @param {string|null} decision.decidedBy - Staff wallet, or null for the pipeline
+ * @param {string} decision.decidedAt - ISO 8601 time of the decision
+ * @returns {string} - bytes32 hex
+ */
+function decisionHash({ firId, verified, reasonCode, reason, decidedBy, decidedAt }) {
+  const record = JSON.stringify({ firId, verified, reasonCode, reason, decidedBy, decidedAt });
+  return ethers.keccak256(ethers.toUtf8Bytes(record));
+}
+
+/**
+ * Verify and reject decisions on FIRs. The reason behind each decision is kept
+ * here, off-chain, and its hash goes on-chain with the FIRVerified event, so the
+ * stored reason can be checked against the chain but never edited silently.
+ */
+class DecisionService {
+  /**
+   * Verify or reject a FIR on-chain and record the reason
+   * @param {number} firId - FIR ID
+   * @param {{verified: boolean, reasonCode: string, reason: string}} decision - Validated decision
+   * @param {string|null} decidedBy - Staff wallet making the decision, or null for the pipeline
+   * @param {Object} options - Transaction options, passed to blockchainService.setVerification()
+   * @returns {Promise<Object>} - The recorded decision
+   */
+  async decide(firId, { verified, reasonCode, reason }, decidedBy, options = {}) {
+    const decision = {
+      firId,
+      verified,
+      reasonCode,
+      reason,
+      decidedBy: decidedBy && ethers.getAddress(decidedBy),
+      decidedAt: new Date().toISOString()
+    };
+    const reasonHash = decisionHash(decision);
+
+    const result = await blockchainService.setVerification(firId, verified, reasonHash, options);
+
+    const { lastInsertRowid } = database.getConnection().prepare(`
+      INSERT INTO fir_decisions (fir_id, verified, reason_code, reason, decided_by, decided_at, reason_hash, tx_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(firId, verified ? 1 : 0, reasonCode, reason, decision.decidedBy, decision.decidedAt, reasonHash, result.txHash);
+
+    const recorded = { ...decision, reasonHash, txHash: result.txHash, blockNumber: result.blockNumber };
+    eventBus.emit('fir-event', { key: `decision:${lastInsertRowid}`, name: 'FIRDecision', firId, args: recorded, source: 'backend' });
+    return recorded;
+  }
+
+  /**
+   * Latest decision on a FIR
+   * @param {number} firId - FIR ID
+   * @returns {Object|null}
+   */
+  getDecision(firId) {
+    const row = database.getConnection()
+      .prepare('SELECT * FROM fir_decisions WHERE fir_id = ? ORDER BY id DESC LIMIT 1')
+      .get(firId);
+    return row ? this.rowToDecision(row) : null;
+  }
+
+  /**
+   * Every decision on a FIR, oldest first
+   * @param {number} firId - FIR ID
+   * @returns {Object[]}
+   */
+  getDecisions(firId) {
+    return database.getConnection()
+      .prepare('SELECT * FROM fir_decisions WHERE fir_id = ? ORDER BY id')
+      .all(firId)
+      .map(row => this.rowToDecision(row));
+  }
+
+  rowToDecision(row) {
+    const decision = {
+      firId: row.fir_id,
+      verified: row.verified === 1,
+      reasonCode: row.reason_code,
+      reason: row.reason,
+      decidedBy: row.decided_by,
+      decidedAt: row.decided_at
+    };
+    return {
+      ...decision,
+      reasonHash: row.reason_hash,
+      txHash: row.tx_hash,
+      // False if the stored reason no longer matches the hash sent on-chain
+      intact: decisionHash(decision) === row.reason_hash
+    };
+  }
+}
+
+const decisionService = new DecisionService();
+
+module.exports = decisionService;
+module.exports.DECISION_REASONS = DECISION_REASONS;
+module.exports.AUTO_VERIFY_REASON = AUTO_VERIFY_REASON;
+module.exports.decisionHash = decisionHash;
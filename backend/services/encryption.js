@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { AppError, ForbiddenError } = require('./errors');
+const { isLocalMode } = require('./adapters');
+
+const ENVELOPE_VERSION = 1;
+const CONTENT_ALGORITHM = 'aes-256-gcm';
+const WRAP_INFO = 'defir-fir-key-wrap';
+const MEDIA_KEY_SALT = 'defir-media-key';
+
+// DER prefixes for raw 32-byte X25519 keys
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+const toBase64 = (buffer) => buffer.toString('base64');
+const fromBase64 = (value) => Buffer.from(value, 'base64');
+
+function privateKeyFromRaw(raw) {
+  return crypto.createPrivateKey({ key: Buffer.concat([X25519_PKCS8_PREFIX, raw]), format: 'der', type: 'pkcs8' });
+}
+
+function publicKeyFromRaw(raw) {
+  return crypto.createPublicKey({ key: Buffer.concat([X25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+function rawPublicKey(key) {
+  const publicKey = key.type === 'private' ? crypto.createPublicKey(key) : key;
+  return publicKey.export({ format: 'der', type: 'spki' }).subarray(X25519_SPKI_PREFIX.length);
+}
+
+function aesEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CONTENT_ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: toBase64(iv), tag: toBase64(cipher.getAuthTag()), ciphertext: toBase64(ciphertext) };
+}
+
+function aesDecrypt(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv(CONTENT_ALGORITHM, key, fromBase64(iv));
+  decipher.setAuthTag(fromBase64(tag));
+  return Buffer.concat([decipher.update(fromBase64(ciphertext)), decipher.final()]);
+}
+
+/**
+ * Key-encryption key shared between an ephemeral key and a recipient key (X25519 + HKDF-SHA256)
+ */
+function deriveWrapKey(privateKey, publicKey, ephemeralPublicRaw, recipientPublicRaw) {
+  const shared = crypto.diffieHellman({ privateKey, publicKey });
+  return Buffer.from(crypto.hkdfSync(
+    'sha256', shared, Buffer.concat([ephemeralPublicRaw, recipientPublicRaw]), WRAP_INFO, 32
+  ));
+}
+
+/**
+ * Server-side encryption of FIR documents. Each document gets a random AES-256-GCM
+ * content key, wrapped for every key in FIR_GOV_KEYS (ECIES over X25519). The server
+ * holds all of these keys and victims hold none: encryption keeps documents
+ * unreadable on IPFS and public gateways, not from the operator.
+ *
+ * Who may read a document is decided here. The wallet it was sealed for (the
+ * victim, or nobody for gov-only documents) is stored inside the ciphertext, so it
+ * is authenticated with the document and never appears in the clear. Government
+ * staff read every document; any other session only the ones sealed for its wallet.
+ *
+ * Complaint media (image, audio, evidence) is encrypted unless MEDIA_ENCRYPTION=false,
+ * under a key derived from the secret and the file's SHA-256, so re-pinning the same
+ * file after a retry yields the same CID. Only the server can decrypt media; it
+ * streams it to readers who can open the FIR document that references it.
+ */
+class EncryptionService {
+  constructor() {
+    this.secret = null;
+    this.govKeys = [];
+    this.mediaEncryption = true;
+  }
+
+  async initialize() {
+    try {
+      let secret = process.env.FIR_ENCRYPTION_SECRET;
+      let govKeys = process.env.FIR_GOV_KEYS;
+
+      // Fixed development keys, like the local wallets
+      if (isLocalMode()) {
+        secret = secret || ethers.id('defir-local:fir-encryption');
+        govKeys = govKeys || `local-gov:${ethers.id('defir-local:gov-encryption')}`;
+      }
+
+      if (!secret || !govKeys) {
+        throw new AppError('ENCRYPTION_NOT_CONFIGURED', 'FIR_ENCRYPTION_SECRET and FIR_GOV_KEYS must be set');
+      }
+
+      this.secret = Buffer.from(ethers.getBytes(secret));
+      this.mediaEncryption = process.env.MEDIA_ENCRYPTION !== 'false';
+      this.govKeys = govKeys.split(',').map(entry => {
+        const [kid, hexKey] = entry.trim().split(':');
+        const raw = Buffer.from(ethers.getBytes(hexKey));
+        if (!kid || raw.length !== 32) {
+          throw new AppError('ENCRYPTION_NOT_CONFIGURED', `FIR_GOV_KEYS entry "${kid}" must be keyId:0x<32-byte X25519 private key>`);
+        }
+        const privateKey = privateKeyFromRaw(raw);
+        return { kid, privateKey, publicKey: crypto.createPublicKey(privateKey) };
+      });
+
+      console.log('✅ Encryption service initialized');
+      console.log(`🔐 FIR documents encrypted under gov keys: ${this.govKeys.map(key => key.kid).join(', ')}`);
+      console.log(`🔐 Complaint media pinned ${this.mediaEncryption ? 'encrypted' : 'unencrypted (MEDIA_ENCRYPTION=false)'}`);
+
+    } catch (error) {
+      console.error('❌ Failed to initialize encryption service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a document fetched from IPFS is an encryption envelope
+   * @param {Object} document - Parsed JSON
+   * @returns {boolean}
+   */
+  isEnvelope(document) {
+    return Boolean(document && document.envelope === ENVELOPE_VERSION && Array.isArray(document.recipients));
+  }
+
+  /**
+   * Encrypt a FIR document, sealed for its victim
+   * @param {Object} document - FIR document
+   * @param {string|null} victimAddress - Victim's wallet address, or null for a document only gov staff may read
+   * @returns {Object} - Envelope to pin in place of the document
+   */
+  encryptDocument(document, victimAddress) {
+    const contentKey = crypto.randomBytes(32);
+    const sealed = { victim: victimAddress || null, document };
+    const content = aesEncrypt(contentKey, Buffer.from(JSON.stringify(sealed), 'utf8'));
+
+    const recipients = this.govKeys.map(({ kid, publicKey }) => ({ type: 'gov', kid, ...this.wrapKey(contentKey, publicKey) }));
+    contentKey.fill(0);
+
+    return { envelope: ENVELOPE_VERSION, alg: 'A256GCM', ...content, recipients };
+  }
+
+  /**
+   * Decrypt an envelope for a reader: government staff, or the wallet the
+   * document was sealed for
+   * @param {Object} envelope - Envelope from encryptDocument()
+   * @param {{address: string, roles: string[]}|null} reader - Authenticated session
+   * @returns {Object} - The FIR document
+   */
+  decryptDocument(envelope, reader) {
+    if (!reader) {
+      throw new ForbiddenError('FIR_ACCESS_DENIED');
+    }
+
+    const contentKey = this.unwrap(envelope);
+    if (!contentKey) {
+      throw new AppError('FIR_DECRYPTION_FAILED', 'No configured gov key can unwrap this document');
+    }
+
+    let sealed;
+    try {
+      sealed = JSON.parse(aesDecrypt(contentKey, envelope).toString('utf8'));
+    } catch (error) {
+      throw new AppError('FIR_DECRYPTION_FAILED', error.message, { cause: error });
+    } finally {
+      contentKey.fill(0);
+    }
+
+    const isVictim = typeof sealed.victim === 'string' && typeof reader.address === 'string' &&
+      sealed.victim.toLowerCase() === reader.address.toLowerCase();
+    if (!reader.roles?.includes('GOV_ROLE') && !isVictim) {
+      throw new ForbiddenError('FIR_ACCESS_DENIED');
+    }
+    return sealed.document;
+  }
+
+  /**
+   * Content key of an envelope, unwrapped with whichever configured gov key it names
+   * @returns {Buffer|null}
+   */
+  unwrap(envelope) {
+    for (const key of this.govKeys) {
+      const recipient = envelope.recipients.find(entry => entry.type === 'gov' && entry.kid === key.kid);
+      const contentKey = recipient && this.unwrapKey(recipient, key.privateKey);
+      if (contentKey) return contentKey;
+    }
+    return null;
+  }
+
+  wrapKey(contentKey, recipientPublicKey) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('x25519');
+    const ephemeralRaw = rawPublicKey(publicKey);
+    const wrapKey = deriveWrapKey(privateKey, recipientPublicKey, ephemeralRaw, rawPublicKey(recipientPublicKey));
+
+    const { iv, tag, ciphertext } = aesEncrypt(wrapKey, contentKey);
+    return { epk: toBase64(ephemeralRaw), iv, tag, wrappedKey: ciphertext };
+  }
+
+  // GCM authentication fails unless the key is the one the entry was wrapped for
+  unwrapKey(recipient, privateKey) {
+    try {
+      const ephemeralRaw = fromBase64(recipient.epk);
+      const wrapKey = deriveWrapKey(privateKey, publicKeyFromRaw(ephemeralRaw), ephemeralRaw, rawPublicKey(privateKey));
+      return aesDecrypt(wrapKey, { iv: recipient.iv, tag: recipient.tag, ciphertext: recipient.wrappedKey });
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Encrypt a media file for pinning
+   * @param {Buffer} content - File contents
+   * @param {string} hash - SHA-256 of the contents (hex)
+   * @returns {{ciphertext: Buffer, encryption: {alg: string, iv: string, tag: string}}}
+   */
+  encryptMedia(content, hash) {
+    const { key, iv } = this.mediaKey(hash);
+    const cipher = crypto.createCipheriv(CONTENT_ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(content), cipher.final()]);
+    return { ciphertext, encryption: { alg: 'A256GCM', iv: toBase64(iv), tag: toBase64(cipher.getAuthTag()) } };
+  }
+
+  /**
+   * Decrypting stream for a media file pinned by encryptMedia(). It errors at the
+   * end of the stream if the content does not authenticate.
+   * @param {string} hash - SHA-256 recorded for the file
+   * @param {{iv: string, tag: string}} encryption - Parameters recorded for the file
+   * @returns {crypto.Decipher}
+   */
+  createMediaDecipher(hash, { iv, tag }) {
+    const decipher = crypto.createDecipheriv(CONTENT_ALGORITHM, this.mediaKey(hash).key, fromBase64(iv));
+    decipher.setAuthTag(fromBase64(tag));
+    return decipher;
+  }
+
+  // Deterministic per file: the key never encrypts anything but this content
+  mediaKey(hash) {
+    const material = Buffer.from(crypto.hkdfSync('sha256', this.secret, MEDIA_KEY_SALT, hash, 44));
+    return { key: material.subarray(0, 32), iv: material.subarray(32) };
+  }
+}
+
+module.exports = new EncryptionService();
@@ -0,0 +1,184 @@
+// Stable error codes returned to API clients. `message` is safe to show end users;
+// the Error's own message may carry internal detail and is only exposed in development.
+const ERROR_CODES = {
+  // Request
+  VALIDATION_FAILED: { status: 400, retryable: false, message: 'The request is invalid' },
+  FILE_TOO_LARGE: { status: 400, retryable: false, message: 'File too large for its type' },
+  TOO_MANY_FILES: { status: 400, retryable: false, message: 'Too many files attached' },
+  UNSUPPORTED_FILE_TYPE: { status: 400, retryable: false, message: 'Unsupported file type' },
+  NOT_FOUND: { status: 404, retryable: false, message: 'Resource not found' },
+  ENDPOINT_NOT_FOUND: { status: 404, retryable: false, message: 'Endpoint not found' },
+  FIR_NOT_FOUND: { status: 404, retryable: false, message: 'FIR not found' },
+  MEDIA_NOT_FOUND: { status: 404, retryable: false, message: 'This FIR has no such media file' },
+  JOB_NOT_FOUND: { status: 404, retryable: false, message: 'Job not found' },
+  STATION_NOT_FOUND: { status: 404, retryable: false, message: 'Police station not found' },
+  OFFICER_NOT_FOUND: { status: 404, retryable: false, message: 'Officer not found' },
+  NOTIFICATION_NOT_FOUND: { status: 404, retryable: false, message: 'Notification not found' },
+  WEBHOOK_NOT_FOUND: { status: 404, retryable: false, message: 'Webhook not found' },
+  WEBHOOK_DELIVERY_NOT_FOUND: { status: 404, retryable: false, message: 'Webhook delivery not found' },
+  INVALID_STATE: { status: 409, retryable: false, message: 'The resource is not in a state that allows this action' },
+  INVALID_STATUS_TRANSITION: { status: 409, retryable: false, message: 'The case cannot move to that status from its current one' },
+  STATION_EXISTS: { status: 409, retryable: false, message: 'A police station with this code already exists' },
+  OFFICER_NOT_AT_STATION: { status: 422, retryable: false, message: 'The officer is not posted at that police station' },
+  OFFICER_NOT_GOV_STAFF: { status: 422, retryable: false, message: 'Officers must use a wallet holding GOV_ROLE' },
+  NOTE_SIGNATURE_INVALID: { status: 400, retryable: false, message: 'The note signature does not match your wallet' },
+  NOTE_SIGNATURE_EXPIRED: { status: 400, retryable: false, message: 'The note was signed too long ago; sign it again' },
+  DUPLICATE_NOTE: { status: 409, retryable: false, message: 'This signed note was already recorded' },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, retryable: false, message: 'Idempotency-Key was already used for a different submission' },
+
+  // Authentication and authorisation
+  AUTH_REQUIRED: { status: 401, retryable: false, message: 'Sign in with your wallet to continue' },
+  AUTH_FAILED: { status: 401, retryable: false, message: 'Your session is invalid or has expired; sign in again' },
+  FORBIDDEN: { status: 403, retryable: false, message: 'You do not have permission to do this' },
+  OUTSIDE_JURISDICTION: { status: 403, retryable: false, message: 'This FIR is not assigned to your police station' },
+  WALLET_MISMATCH: { status: 403, retryable: false, message: 'This resource belongs to a different wallet' },
+  FIR_ACCESS_DENIED: { status: 403, retryable: false, message: 'Only the victim and authorised government staff can read this FIR' },
+
+  // Blockchain
+  CHAIN_UNAVAILABLE: { status: 503, retryable: true, message: 'The blockchain network is unreachable; try again shortly' },
+  CHAIN_INSUFFICIENT_FUNDS: { status: 503, retryable: true, message: 'The service wallet cannot pay for gas right now; try again later' },
+  CHAIN_NONCE_CONFLICT: { status: 503, retryable: true, message: 'A conflicting transaction is pending; try again shortly' },
+  CONTRACT_MISSING_ROLE: { status: 403, retryable: false, message: 'The wallet lacks the contract role required for this action' },
+  CONTRACT_FIR_NOT_FOUND: { status: 404, retryable: false, message: 'FIR not found on-chain' },
+  CONTRACT_INVALID_CID: { status: 422, retryable: false, message: 'The FIR record has no IPFS CID' },
+  CONTRACT_INVALID_SCORE: { status: 422, retryable: false, message: 'The similarity score is out of range' },
+  CONTRACT_NOT_FIR_VICTIM: { status: 403, retryable: false, message: 'Only the account that filed the FIR can amend it' },
+  CONTRACT_STALE_AMENDMENT: { status: 409, retryable: true, message: 'The FIR was amended in the meantime; try again' },
+  CONTRACT_MISSING_REASON: { status: 422, retryable: false, message: 'The verification decision has no reason hash' },
+  CONTRACT_REVERTED: { status: 422, retryable: false, message: 'The contract rejected the transaction' },
+
+  // IPFS
+  IPFS_UNAVAILABLE: { status: 503, retryable: true, message: 'Evidence storage is unreachable; try again shortly' },
+  IPFS_NOT_CONFIGURED: { status: 503, retryable: false, message: 'Evidence storage is not configured' },
+  IPFS_CONTENT_NOT_FOUND: { status: 404, retryable: false, message: 'The FIR record could not be found on IPFS' },
+  IPFS_CONTENT_INVALID: { status: 502, retryable: false, message: 'The FIR record on IPFS is not valid JSON' },
+
+  // FIR document encryption
+  ENCRYPTION_NOT_CONFIGURED: { status: 503, retryable: false, message: 'FIR encryption keys are not configured' },
+  FIR_DECRYPTION_FAILED: { status: 502, retryable: false, message: 'The FIR record could not be decrypted' },
+
+  // Evidence processing
+  OCR_NO_TEXT: { status: 422, retryable: false, message: 'No readable text was found in the complaint image' },
+  OCR_FAILED: { status: 500, retryable: true, message: 'The complaint image could not be read' },
+  OCR_UNAVAILABLE: { status: 503, retryable: true, message: 'Text recognition is not available; try again shortly' },
+  STT_NO_SPEECH: { status: 422, retryable: false, message: 'No speech was recognised in the voice statement' },
+  STT_UNSUPPORTED_AUDIO: { status: 422, retryable: false, message: 'The voice statement format is not supported' },
+  STT_FAILED: { status: 500, retryable: true, message: 'The voice statement could not be transcribed' },
+  SIMILARITY_FAILED: { status: 500, retryable: true, message: 'The statements could not be compared' },
+  PIPELINE_FAILED: { status: 500, retryable: true, message: 'The submission could not be processed' },
+
+  SERVICE_SHUTTING_DOWN: { status: 503, retryable: true, message: 'The server is restarting; try again shortly' },
+  INTERNAL_ERROR: { status: 500, retryable: false, message: 'Internal server error' }
+};
+
+/**
+ * Base class for errors with a stable, machine-readable code
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_CODES
+   * @param {string} [message] - Internal message (defaults to the user message)
+   * @param {Object} [options] - Extra fields
+   * @param {string[]} [options.details] - User-safe details (e.g. validation messages)
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(code, message, { details, cause } = {}) {
+    const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    super(message || definition.message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = definition.status;
+    this.retryable = definition.retryable;
+    this.userMessage = definition.message;
+    this.details = details || null;
+  }
+
+  /**
+   * Response body for API clients
+   * @param {boolean} [includeInternal] - Include the internal message (development only)
+   * @returns {{error: string, code: string, retryable: boolean, details?: string[]}}
+   */
+  toJSON(includeInternal = false) {
+    const details = this.details || (includeInternal && this.message !== this.userMessage ? [this.message] : null);
+    return {
+      error: this.userMessage,
+      code: this.code,
+      retryable: this.retryable,
+      ...(details && { details })
+    };
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(details, code = 'VALIDATION_FAILED') {
+    super(code, `Validation failed: ${details.join('; ')}`, { details });
+  }
+}
+
+class AuthError extends AppError {
+  constructor(message, code = 'AUTH_FAILED') {
+    super(code, message, { details: message ? [message] : undefined });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(code = 'FORBIDDEN', details) {
+    super(code, undefined, { details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(code = 'NOT_FOUND') {
+    super(code);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(code = 'INVALID_STATE', details) {
+    super(code, undefined, { details });
+  }
+}
+
+class BlockchainError extends AppError {}
+class IPFSError extends AppError {}
+class OCRError extends AppError {}
+class STTError extends AppError {}
+class SimilarityError extends AppError {}
+
+/**
+ * Wrap an unknown error in the given class unless it already carries a code
+ * @param {Error} error - Caught error
+ * @param {Function} ErrorClass - AppError subclass to wrap with
+ * @param {string} code - Code to use when wrapping
+ * @returns {AppError}
+ */
+function wrapError(error, ErrorClass, code) {
+  if (error instanceof AppError) return error;
+  return new ErrorClass(code, error?.message, { cause: error });
+}
+
+/**
+ * Whether a failure with this code may succeed if tried again
+ * @param {string} code - Key of ERROR_CODES
+ * @returns {boolean}
+ */
+function isRetryable(code) {
+  return ERROR_CODES[code]?.retryable ?? true;
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BlockchainError,
+  IPFSError,
+  OCRError,
+  STTError,
+  SimilarityError,
+  wrapError,
+  isRetryable
+};
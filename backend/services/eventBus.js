@@ -0,0 +1,19 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process event bus shared by the backend services.
+ * Job stage events are published on the 'job-event' channel. FIR events go on
+ * 'fir-event' as {key, name, firId, args, source}: contract events once the
+ * indexer has stored them (source 'chain', key txHash:logIndex) and backend
+ * records such as decisions and assignments (source 'backend'). `key` is unique
+ * per event but the same event may be published again, e.g. after a reorg.
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    // Every open SSE stream adds a listener
+    this.setMaxListeners(0);
+  }
+}
+
+module.exports = new EventBus();
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const ipfsService = require('./ipfs');
+const encryptionService = require('./encryption');
+
+const MB = 1024 * 1024;
+
+// Multipart field evidence attachments are sent in
+const EVIDENCE_FIELD = 'evidence[]';
+
+// Attachment types accepted in evidence[] and how many of each, and how large, a submission may carry
+const EVIDENCE_TYPES = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff', 'image/webp'],
+    maxSize: 10 * MB,
+    maxCount: 10
+  },
+  document: {
+    mimeTypes: ['application/pdf'],
+    maxSize: 20 * MB,
+    maxCount: 5
+  },
+  audio: {
+    mimeTypes: ['audio/wav', 'audio/mp3', 'audio/mpeg', 'audio/ogg', 'audio/webm'],
+    maxSize: 20 * MB,
+    maxCount: 5
+  },
+  video: {
+    mimeTypes: ['video/mp4', 'video/webm', 'video/quicktime'],
+    maxSize: 100 * MB,
+    maxCount: 3
+  }
+};
+
+const MAX_EVIDENCE_FILES = parseInt(process.env.EVIDENCE_MAX_FILES) || 20;
+
+// Largest file any evidence type allows; multer rejects anything bigger outright
+const MAX_EVIDENCE_SIZE = Math.max(...Object.values(EVIDENCE_TYPES).map(type => type.maxSize));
+
+/**
+ * Evidence type a MIME type belongs to
+ * @param {string} mimeType - MIME type reported for the upload
+ * @returns {string|null} - Key of EVIDENCE_TYPES, or null if not accepted
+ */
+function evidenceTypeOf(mimeType) {
+  return Object.keys(EVIDENCE_TYPES).find(type => EVIDENCE_TYPES[type].mimeTypes.includes(mimeType)) || null;
+}
+
+/**
+ * Check uploaded evidence against the per-type limits
+ * @param {Object[]} files - multer files from evidence[]
+ * @returns {{code: string, message: string}|null} - The first violation, or null if all files are acceptable
+ */
+function checkEvidenceLimits(files) {
+  if (files.length > MAX_EVIDENCE_FILES) {
+    return { code: 'TOO_MANY_FILES', message: `At most ${MAX_EVIDENCE_FILES} evidence files may be attached` };
+  }
+
+  const counts = {};
+  for (const file of files) {
+    const type = evidenceTypeOf(file.mimetype);
+    if (!type) {
+      return { code: 'UNSUPPORTED_FILE_TYPE', message: `Unsupported evidence file type: ${file.mimetype}` };
+    }
+
+    const { maxSize, maxCount } = EVIDENCE_TYPES[type];
+    if (file.size > maxSize) {
+      return { code: 'FILE_TOO_LARGE', message: `Evidence ${type} ${file.originalname} exceeds the ${maxSize / MB}MB limit` };
+    }
+
+    counts[type] = (counts[type] || 0) + 1;
+    if (counts[type] > maxCount) {
+      return { code: 'TOO_MANY_FILES', message: `At most ${maxCount} evidence ${type} files may be attached` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * SHA-256 of a file, streamed so large videos are not read into memory
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Describe uploaded evidence for the job payload
+ * @param {Object[]} files - multer files from evidence[]
+ * @returns {Promise<Object[]>} - [{path, mimeType, type, size, hash}]
+ */
+async function describeEvidence(files) {
+  return Promise.all(files.map(async file => ({
+    path: file.path,
+    mimeType: file.mimetype,
+    type: evidenceTypeOf(file.mimetype),
+    size: file.size,
+    hash: await hashFile(file.path)
+  })));
+}
+
+/**
+ * Store a complaint media file on IPFS, encrypted unless MEDIA_ENCRYPTION=false
+ * @param {{path: string, hash: string, mimeType: string}} item - Uploaded file and its SHA-256
+ * @returns {Promise<Object>} - {cid, hash, mimeType, size, encryption}; encryption is null for plaintext pins
+ */
+async function pinMedia({ path: filePath, hash, mimeType }) {
+  const content = await fs.promises.readFile(filePath);
+  const name = path.basename(filePath);
+
+  if (!encryptionService.mediaEncryption) {
+    const { cid } = await ipfsService.uploadContent(content, { name, mimeType });
+    return { cid, hash, mimeType, size: content.length, encryption: null };
+  }
+
+  const { ciphertext, encryption } = encryptionService.encryptMedia(content, hash);
+  const { cid } = await ipfsService.uploadContent(ciphertext, { name: `${name}.enc` });
+  return { cid, hash, mimeType, size: content.length, encryption };
+}
+
+/**
+ * Store each evidence file on IPFS under its own CID
+ * @param {Object[]} evidence - Entries from describeEvidence()
+ * @returns {Promise<Object[]>} - [{cid, hash, mimeType, size, encryption, type}], as listed in the FIR document
+ */
+async function pinEvidence(evidence) {
+  const pinned = [];
+  for (const item of evidence) {
+    pinned.push({ ...(await pinMedia(item)), type: item.type });
+  }
+  return pinned;
+}
+
+/**
+ * Media files a FIR document references: the complaint image and audio, then evidence attachments.
+ * Documents filed before the originals were pinned only carry evidence.
+ * @param {Object} document - Decrypted FIR document
+ * @returns {Object[]} - Entries as returned by pinMedia()
+ */
+function listMedia(document) {
+  return [document.media?.image, document.media?.audio, ...(document.evidence || [])].filter(Boolean);
+}
+
+/**
+ * Every file a FIR document records a SHA-256 for. Documents filed before the
+ * originals were pinned only have imageHash/audioHash, without a CID.
+ * @param {Object} document - Decrypted FIR document
+ * @returns {Object[]} - [{kind: 'image'|'audio'|'evidence', hash, cid, mimeType}]
+ */
+function recordedFiles(document) {
+  const files = [];
+  if (document.imageHash) {
+    files.push({ kind: 'image', hash: document.imageHash, cid: document.media?.image?.cid || null, mimeType: document.media?.image?.mimeType || null });
+  }
+  if (document.audioHash) {
+    files.push({ kind: 'audio', hash: document.audioHash, cid: document.media?.audio?.cid || null, mimeType: document.media?.audio?.mimeType || null });
+  }
+  for (const item of document.evidence || []) {
+    files.push({ kind: 'evidence', hash: item.hash, cid: item.cid, mimeType: item.mimeType });
+  }
+  return files;
+}
+
+/**
+ * Stream a pinned media file back as originally uploaded
+ * @param {Object} entry - Entry from listMedia()
+ * @returns {Promise<Readable>} - Plaintext stream; errors at the end if encrypted content fails authentication
+ */
+async function openMedia(entry) {
+  const stored = await ipfsService.fetchStream(entry.cid);
+  if (!entry.encryption) {
+    return stored;
+  }
+  return pipeline(stored, encryptionService.createMediaDecipher(entry.hash, entry.encryption), () => {});
+}
+
+module.exports = {
+  EVIDENCE_FIELD,
+  EVIDENCE_TYPES,
+  MAX_EVIDENCE_FILES,
+  MAX_EVIDENCE_SIZE,
+  evidenceTypeOf,
+  checkEvidenceLimits,
+  hashFile,
+  describeEvidence,
+  pinMedia,
+  pinEvidence,
+  listMedia,
+  recordedFiles,
+  openMedia
+};
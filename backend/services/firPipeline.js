@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchain');
+const ipfsService = require('./ipfs');
+const ocrService = require('./ocr');
+const sttService = require('./stt');
+const mlService = require('./ml');
+const { pinMedia, pinEvidence } = require('./evidence');
+const encryptionService = require('./encryption');
+const decisionService = require('./decisions');
+const stationService = require('./stations');
+const jurisdictionService = require('./jurisdictions');
+const { AUTO_VERIFY_REASON } = require('./decisions');
+const jobQueue = require('./jobQueue');
+const firIndexer = require('./indexer');
+
+const { JOB_STATUS } = jobQueue;
+
+// Recorded as the assigner of FIRs routed by incident location
+const ROUTING_ACTOR = ethers.ZeroAddress;
+
+const FIR_SUBMISSION_JOB = 'submitFIR';
+
+// Stage order of the submission pipeline, as reported by GET /api/jobs/:id
+const FIR_PIPELINE_STAGES = ['ocr', 'stt', 'similarity', 'media', 'evidence', 'ipfs', 'createFIR', 'route', 'setVerification'];
+
+/**
+ * Run a queued FIR submission: OCR → STT → ML → media → evidence → IPFS → createFIR → route → setVerification
+ * @param {Object} payload - Job payload ({victimAddress, imagePath, imageMimeType, audioPath, audioMimeType, evidence, location, submittedAt})
+ * @param {Object} context - Job context with runStage/skipStage/emit helpers
+ * @returns {Promise<Object>} - Submission result
+ */
+async function processFIRSubmission(payload, { job, runStage, skipStage, emit }) {
+  const { victimAddress, imagePath, imageMimeType, audioPath, audioMimeType, evidence = [], location = null, submittedAt } = payload;
+
+  console.log(`Processing FIR submission for victim: ${victimAddress}`);
+
+  // Step 1: OCR - Extract text from image
+  const ocrResult = await runStage('ocr', async () => {
+    emit('ocr-started', { stage: 'ocr' });
+    let lastProgress = -1;
+    const { text, confidence, imageHash } = await ocrService.extractText(imagePath, {
+      onProgress: progress => {
+        if (progress === lastProgress) return;
+        lastProgress = progress;
+        emit('ocr-progress', { stage: 'ocr', progress });
+      }
+    });
+    return { text, confidence, imageHash };
+  });
+
+  // Step 2: STT - Transcribe audio to text
+  const sttResult = await runStage('stt', async () => {
+    const { text, confidence, audioHash, provider } = await sttService.transcribeAudio(audioPath);
+    emit('stt-done', { stage: 'stt', provider, confidence });
+    return { text, confidence, audioHash, provider };
+  });
+
+  // Step 3: ML - Calculate similarity score
+  const similarityResult = await runStage('similarity', async () => {
+    const result = await mlService.calculateSimilarity(ocrResult.text, sttResult.text);
+    emit('similarity-computed', { stage: 'similarity', score: result.score, method: result.details.method });
+    return result;
+  });
+
+  // Step 4: Keep the original complaint image and audio on IPFS
+  const media = await runStage('media', async () => {
+    // Jobs queued before MIME types were recorded fall back to a generic type
+    const image = await pinMedia({ path: imagePath, hash: ocrResult.imageHash, mimeType: imageMimeType || 'application/octet-stream' });
+    const audio = await pinMedia({ path: audioPath, hash: sttResult.audioHash, mimeType: audioMimeType || 'application/octet-stream' });
+    emit('media-pinned', { stage: 'media', image: image.cid, audio: audio.cid, encrypted: Boolean(image.encryption) });
+    return { image, audio };
+  });
+
+  // Step 5: Store each evidence attachment on IPFS under its own CID
+  let pinnedEvidence = [];
+  if (evidence.length > 0) {
+    pinnedEvidence = await runStage('evidence', async () => {
+      const result = await pinEvidence(evidence);
+      emit('evidence-pinned', { stage: 'evidence', count: result.length, cids: result.map(item => item.cid) });
+      return result;
+    });
+  } else {
+    skipStage('evidence', 'No evidence attached');
+  }
+
+  // Step 6: Prepare data for IPFS
+  const firData = {
+    victimAddress,
+    ocrText: ocrResult.text,
+    sttText: sttResult.text,
+    similarityScore: similarityResult.score,
+    verified: similarityResult.score >= (parseInt(process.env.SIMILARITY_THRESHOLD) || 75),
+    timestamp: submittedAt,
+    imageHash: ocrResult.imageHash,
+    audioHash: sttResult.audioHash,
+    media,
+    evidence: pinnedEvidence,
+    location
+  };
+
+  // Step 7: Encrypt, sealed for the victim, then upload to IPFS
+  const ipfsResult = await runStage('ipfs', async () => {
+    const result = await ipfsService.uploadToIPFS(encryptionService.encryptDocument(firData, victimAddress));
+    // Before the FIR exists on-chain, so the indexer never lists it under the relayer
+    firIndexer.recordSubmission(result.cid, victimAddress);
+    emit('ipfs-pinned', { stage: 'ipfs', cid: result.cid });
+    return result;
+  });
+
+  // Step 8: Create FIR on blockchain
+  const blockchainResult = await runStage('createFIR', async () => {
+    // A previous attempt may have been mined even though we never saw the receipt
+    if (job.attempts > 1) {
+      const existing = await blockchainService.findFIRByCid(ipfsResult.cid);
+      if (existing) {
+        console.log(`♻️ FIR ${existing.firId} for CID ${ipfsResult.cid} already on-chain, not creating again`);
+        emit('tx-confirmed', { stage: 'createFIR', txHash: existing.txHash, blockNumber: existing.blockNumber, firId: existing.firId });
+        return existing;
+      }
+    }
+
+    const result = await blockchainService.createFIR(ipfsResult.cid, similarityResult.score, victimAddress, {
+      onSubmitted: txHash => emit('tx-submitted', { stage: 'createFIR', txHash })
+    });
+    emit('tx-confirmed', { stage: 'createFIR', txHash: result.txHash, blockNumber: result.blockNumber, firId: result.firId });
+    return result;
+  });
+
+  // Step 9: Assign the FIR to the station whose jurisdiction covers the incident location
+  let routing = null;
+  const jurisdiction = jurisdictionService.match(location);
+  if (jurisdiction) {
+    routing = await runStage('route', async () => {
+      // Staff may have assigned it already while an earlier attempt was retried
+      const current = stationService.getAssignment(blockchainResult.firId);
+      if (current) return { stationCode: current.stationCode, matchedBy: null };
+
+      stationService.assign(blockchainResult.firId, {
+        stationCode: jurisdiction.stationCode,
+        reason: `Incident location matched by ${jurisdiction.matchedBy}`
+      }, ROUTING_ACTOR, 'routed');
+      emit('fir-routed', { stage: 'route', ...jurisdiction });
+      return jurisdiction;
+    });
+  } else {
+    skipStage('route', location ? 'No station jurisdiction covers the incident location' : 'No incident location given');
+  }
+
+  // Step 10: Auto-verify if similarity score is high enough
+  if (firData.verified) {
+    await runStage('setVerification', async () => {
+      const result = await decisionService.decide(blockchainResult.firId, {
+        verified: true,
+        reasonCode: AUTO_VERIFY_REASON,
+        reason: `Statement similarity score ${similarityResult.score} met the auto-verification threshold`
+      }, null, {
+        onSubmitted: txHash => emit('tx-submitted', { stage: 'setVerification', txHash })
+      });
+      emit('tx-confirmed', { stage: 'setVerification', txHash: result.txHash, blockNumber: result.blockNumber });
+      return result;
+    });
+  } else {
+    skipStage('setVerification', 'Similarity score below threshold');
+  }
+
+  // Uploaded files are kept until the submission succeeds so a retry can resume
+  await removeUploads(submissionUploads(payload));
+
+  return {
+    firId: blockchainResult.firId,
+    cid: ipfsResult.cid,
+    ipfsUrl: ipfsResult.url,
+    txHash: blockchainResult.txHash,
+    ocrText: ocrResult.text,
+    sttText: sttResult.text,
+    similarityScore: similarityResult.score,
+    verified: firData.verified,
+    media,
+    evidence: pinnedEvidence,
+    stationCode: routing ? routing.stationCode : null,
+    timestamp: firData.timestamp,
+    gatewayUrl: `${process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/'}${ipfsResult.cid}`
+  };
+}
+
+/**
+ * Uploaded files a submission needs until it completes
+ * @param {Object} payload - Job payload
+ * @returns {string[]}
+ */
+function submissionUploads(payload) {
+  return [payload.imagePath, payload.audioPath, ...(payload.evidence || []).map(item => item.path)].filter(Boolean);
+}
+
+/**
+ * Remove uploaded files, ignoring ones that are already gone
+ * @param {string[]} filePaths - Paths to remove
+ */
+async function removeUploads(filePaths) {
+  for (const filePath of filePaths) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error cleaning up ${filePath}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Remove files in the upload directory that no unfinished submission needs:
+ * leftovers of rejected requests and intermediate OCR images. Uploads of queued,
+ * running and failed submissions are kept so they can still be processed or retried.
+ * @param {string} uploadDir - Directory multer stores uploads in
+ * @returns {Promise<number>} - Number of files removed
+ */
+async function removeStrayUploads(uploadDir) {
+  let files;
+  try {
+    files = await fs.readdir(uploadDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  const referenced = new Set();
+  const pageSize = 500;
+  for (let offset = 0; ; offset += pageSize) {
+    const { jobs } = jobQueue.listJobs({
+      status: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.FAILED],
+      type: FIR_SUBMISSION_JOB,
+      limit: pageSize,
+      offset
+    });
+    for (const job of jobs) {
+      submissionUploads(job.payload).forEach(filePath => referenced.add(path.resolve(filePath)));
+    }
+    if (jobs.length < pageSize) break;
+  }
+
+  const stray = files
+    .map(file => path.resolve(uploadDir, file))
+    .filter(filePath => !referenced.has(filePath));
+  await removeUploads(stray);
+  return stray.length;
+}
+
+module.exports = {
+  FIR_SUBMISSION_JOB,
+  FIR_PIPELINE_STAGES,
+  processFIRSubmission,
+  submissionUploads,
+  removeUploads,
+  removeStrayUploads
+};
@@ -0,0 +1,131 @@
+const blockchainService = require('./blockchain');
+const ipfsService = require('./ipfs');
+const ocrService = require('./ocr');
+const sttService = require('./stt');
+const mlService = require('./ml');
+const database = require('./database');
+
+/**
+ * Dependencies probed by the readiness check. A failing critical component makes
+ * the node unready; the others have fallbacks and only degrade it.
+ */
+const COMPONENTS = [
+  { name: 'blockchain', critical: true, check: () => blockchainService.healthCheck() },
+  { name: 'ipfs', critical: true, check: () => ipfsService.getNodeInfo() },
+  { name: 'ocr', critical: true, check: () => ocrService.healthCheck() },
+  { name: 'database', critical: true, check: () => database.healthCheck() },
+  { name: 'stt', critical: false, check: () => sttService.healthCheck() },
+  { name: 'similarity', critical: false, check: () => mlService.healthCheck() }
+];
+
+const COMPONENT_STATUS = {
+  UP: 'up',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
+};
+
+class HealthService {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000;
+    this.cacheTtlMs = parseInt(process.env.HEALTH_CACHE_TTL_MS) || 5000;
+    this.startedAt = Date.now();
+    this.lastReport = null;
+    this.checking = null;
+    this.shuttingDown = false;
+  }
+
+  /**
+   * Report not ready from now on, so the orchestrator stops routing traffic here
+   */
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+
+  /**
+   * Whether the process is up and serving requests
+   * @returns {{status: string, uptimeSeconds: number, timestamp: string}}
+   */
+  checkLiveness() {
+    return {
+      status: 'alive',
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Probe every dependency. Probes run in parallel; results are reused for
+   * HEALTH_CACHE_TTL_MS so frequent orchestrator polls do not pile up.
+   * @returns {Promise<{ready: boolean, status: string, components: Object, checkedAt: string}>}
+   */
+  checkReadiness() {
+    if (this.shuttingDown) {
+      return Promise.resolve({ ready: false, status: 'shutting_down', components: {}, checkedAt: new Date().toISOString() });
+    }
+
+    if (this.lastReport && Date.now() - new Date(this.lastReport.checkedAt).getTime() < this.cacheTtlMs) {
+      return Promise.resolve(this.lastReport);
+    }
+
+    if (!this.checking) {
+      this.checking = this.runChecks()
+        .then(report => {
+          this.lastReport = report;
+          return report;
+        })
+        .finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  async runChecks() {
+    const results = await Promise.all(COMPONENTS.map(component => this.probe(component)));
+    const components = Object.fromEntries(COMPONENTS.map((component, i) => [component.name, results[i]]));
+
+    const statuses = results.map(result => result.status);
+    const ready = !statuses.includes(COMPONENT_STATUS.DOWN);
+    const status = !ready ? 'not_ready' : statuses.includes(COMPONENT_STATUS.DEGRADED) ? 'degraded' : 'ready';
+
+    return { ready, status, components, checkedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Run one component check with a timeout
+   * @param {Object} component - Entry from COMPONENTS
+   * @returns {Promise<{status: string, critical: boolean, latencyMs: number, details?: Object, error?: string}>}
+   */
+  async probe({ name, critical, check }) {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} check timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      });
+      const { degraded, ...details } = (await Promise.race([check(), timeout])) || {};
+
+      return {
+        status: degraded ? COMPONENT_STATUS.DEGRADED : COMPONENT_STATUS.UP,
+        critical,
+        latencyMs: Date.now() - startedAt,
+        details,
+        ...(degraded && { reason: degraded })
+      };
+
+    } catch (error) {
+      return {
+        status: critical ? COMPONENT_STATUS.DOWN : COMPONENT_STATUS.DEGRADED,
+        critical,
+        latencyMs: Date.now() - startedAt,
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+const healthService = new HealthService();
+
+module.exports = healthService;
+module.exports.COMPONENT_STATUS = COMPONENT_STATUS;
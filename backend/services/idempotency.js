@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const database = require('./database');
+
+class IdempotencyService {
+  /**
+   * Derive the natural key of a submission from its evidence and victim
+   * @param {string} imageHash - SHA-256 of the complaint image
+   * @param {string} audioHash - SHA-256 of the voice statement
+   * @param {string} victimAddress - Victim's wallet address
+   * @param {string[]} [evidenceHashes] - SHA-256 of each evidence attachment, in any order
+   * @returns {string}
+   */
+  naturalKey(imageHash, audioHash, victimAddress, evidenceHashes = []) {
+    // Submissions without attachments keep the key they had before evidence[] existed
+    const evidence = evidenceHashes.length > 0 ? `:${[...evidenceHashes].sort().join(',')}` : '';
+    return crypto.createHash('sha256')
+      .update(`${imageHash}:${audioHash}:${victimAddress.toLowerCase()}${evidence}`)
+      .digest('hex');
+  }
+
+  /**
+   * Find an earlier submission by client key or natural key. Client keys are
+   * scoped to the submitting wallet, so one wallet never sees another's keys.
+   * @param {Object} keys - Lookup keys
+   * @param {string} [keys.idempotencyKey] - Client-supplied Idempotency-Key header
+   * @param {string} keys.naturalKey - Natural key from naturalKey()
+   * @param {string} keys.victimAddress - Wallet making the submission
+   * @returns {{jobId: string, naturalKey: string, idempotencyKey: string|null, conflict: boolean}|null}
+   *   conflict is true when the wallet already used the client key for different evidence
+   */
+  findSubmission({ idempotencyKey, naturalKey, victimAddress }) {
+    const db = database.getConnection();
+
+    if (idempotencyKey) {
+      const byClientKey = db.prepare('SELECT * FROM submission_keys WHERE victim_address = ? AND idempotency_key = ?')
+        .get(victimAddress, idempotencyKey);
+      if (byClientKey) {
+        return {
+          ...this.rowToSubmission(byClientKey),
+          conflict: byClientKey.natural_key !== naturalKey
+        };
+      }
+    }
+
+    const byNaturalKey = db.prepare('SELECT * FROM submission_keys WHERE natural_key = ?').get(naturalKey);
+    return byNaturalKey ? { ...this.rowToSubmission(byNaturalKey), conflict: false } : null;
+  }
+
+  /**
+   * Record the job created for a submission
+   * @param {Object} submission - Submission keys and job
+   * @param {string} submission.naturalKey - Natural key from naturalKey()
+   * @param {string} [submission.idempotencyKey] - Client-supplied Idempotency-Key header
+   * @param {string} submission.victimAddress - Victim's wallet address
+   * @param {string} submission.jobId - Job processing the submission
+   */
+  recordSubmission({ naturalKey, idempotencyKey, victimAddress, jobId }) {
+    database.getConnection().prepare(`
+      INSERT INTO submission_keys (natural_key, idempotency_key, victim_address, job_id, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(naturalKey, idempotencyKey || null, victimAddress, jobId, new Date().toISOString());
+  }
+
+  /**
+   * Convert a database row to a submission record
+   * @param {Object} row - Database row
+   * @returns {Object}
+   */
+  rowToSubmission(row) {
+    return {
+      jobId: row.job_id,
+      naturalKey: row.natural_key,
+      idempotencyKey: row.idempotency_key,
+      victimAddress: row.victim_address,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new IdempotencyService();
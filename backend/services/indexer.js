@@ -0,0 +1,306 @@
+const database = require('./database');
+const blockchainService = require('./blockchain');
+const eventBus = require('./eventBus');
+
+const SORT_COLUMNS = {
+  id: 'id',
+  timestamp: 'timestamp',
+  similarityScore: 'similarity_score',
+  statusUpdatedAt: 'status_updated_at'
+};
+
+class FIRIndexer {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.INDEXER_POLL_INTERVAL_MS) || 5000;
+    this.batchSize = parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+    this.reorgDepth = parseInt(process.env.INDEXER_REORG_DEPTH) || 12;
+    this.startBlock = parseInt(process.env.CONTRACT_DEPLOY_BLOCK) || 0;
+    this.headBlock = null;
+    this.syncing = null;
+    this.timer = null;
+  }
+
+  async initialize() {
+    try {
+      this.timer = setInterval(() => this.sync(), this.pollIntervalMs);
+
+      // Catching up can take a while on a long chain; serve what is indexed meanwhile
+      this.sync();
+
+      console.log('✅ FIR indexer initialized');
+      console.log(`📚 Indexed up to block ${this.getIndexedBlock() ?? 'none'}, reorg depth ${this.reorgDepth}`);
+
+    } catch (error) {
+      console.error('❌ Failed to initialize FIR indexer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Index new blocks up to the chain head. Concurrent calls share one run.
+   * @returns {Promise<void>}
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.catchUp()
+        .catch(error => console.error('Error indexing FIR events:', error))
+        .finally(() => { this.syncing = null; });
+    }
+    return this.syncing;
+  }
+
+  async catchUp() {
+    await this.handleReorg();
+
+    this.headBlock = await blockchainService.getBlockNumber();
+    let fromBlock = (this.getIndexedBlock() ?? this.startBlock - 1) + 1;
+
+    while (fromBlock <= this.headBlock) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, this.headBlock);
+      const events = await blockchainService.getFIREvents(fromBlock, toBlock);
+      const toBlockHash = await blockchainService.getBlockHash(toBlock);
+
+      this.applyBatch(events, toBlock, toBlockHash);
+      if (events.length > 0) {
+        console.log(`📚 Indexed ${events.length} FIR event(s) in blocks ${fromBlock}-${toBlock}`);
+      }
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  /**
+   * Roll back blocks that are no longer on the canonical chain
+   */
+  async handleReorg() {
+    const checkpoints = database.getConnection()
+      .prepare('SELECT block_number, block_hash FROM indexer_checkpoints ORDER BY block_number DESC')
+      .all();
+    if (checkpoints.length === 0) return;
+
+    for (const checkpoint of checkpoints) {
+      const hash = await blockchainService.getBlockHash(checkpoint.block_number);
+      if (hash === checkpoint.block_hash) {
+        if (checkpoint !== checkpoints[0]) {
+          console.warn(`⚠️ Chain reorganisation detected; rolling back to block ${checkpoint.block_number}`);
+          this.rollback(checkpoint.block_number);
+        }
+        return;
+      }
+    }
+
+    // Deeper than any checkpoint we kept: start over
+    console.warn('⚠️ Chain reorganisation deeper than the indexer checkpoints; re-indexing from scratch');
+    this.rollback(this.startBlock - 1);
+  }
+
+  /**
+   * Store a batch of events and the hash of the last block scanned
+   * @param {Object[]} events - Events from blockchainService.getFIREvents()
+   * @param {number} toBlock - Last block scanned
+   * @param {string} toBlockHash - Hash of the last block scanned
+   */
+  applyBatch(events, toBlock, toBlockHash) {
+    const db = database.getConnection();
+
+    db.transaction(() => {
+      const insertEvent = db.prepare(`
+        INSERT OR REPLACE INTO fir_events (block_number, block_hash, log_index, tx_hash, name, fir_id, args)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const event of events) {
+        insertEvent.run(event.blockNumber, event.blockHash, event.logIndex, event.txHash, event.name,
+          event.firId, JSON.stringify(event.args));
+        this.project(event);
+      }
+
+      // Blocks with events are checkpoints too, so a reorg rolls back no further than needed
+      const insertCheckpoint = db.prepare(
+        'INSERT OR REPLACE INTO indexer_checkpoints (block_number, block_hash) VALUES (?, ?)'
+      );
+      for (const event of events) {
+        insertCheckpoint.run(event.blockNumber, event.blockHash);
+      }
+      insertCheckpoint.run(toBlock, toBlockHash);
+      db.prepare('DELETE FROM indexer_checkpoints WHERE block_number < ?')
+        .run(toBlock - this.reorgDepth);
+    })();
+
+    for (const event of events) {
+      eventBus.emit('fir-event', {
+        key: `${event.txHash}:${event.logIndex}`,
+        name: event.name,
+        firId: event.firId,
+        args: event.args,
+        source: 'chain'
+      });
+    }
+  }
+
+  /**
+   * Record the victim who submitted a FIR document. FIRCreated names the relayer
+   * that sent the transaction, so the victim is looked up by the document's CID.
+   * @param {string} ipfsCid - CID of the uploaded FIR document
+   * @param {string} victim - Victim wallet
+   */
+  recordSubmission(ipfsCid, victim) {
+    const db = database.getConnection();
+
+    db.transaction(() => {
+      db.prepare('INSERT OR REPLACE INTO fir_submissions (ipfs_cid, victim, created_at) VALUES (?, ?, ?)')
+        .run(ipfsCid, victim, new Date().toISOString());
+      db.prepare('UPDATE firs SET victim = ? WHERE ipfs_cid = ?').run(victim, ipfsCid);
+    })();
+  }
+
+  /**
+   * Apply an event to the firs table
+   * @param {Object} event - Event from blockchainService.getFIREvents()
+   */
+  project(event) {
+    const db = database.getConnection();
+
+    if (event.name === 'FIRCreated') {
+      // FIRs created outside the submission pipeline keep the transaction sender
+      const submission = db.prepare('SELECT victim FROM fir_submissions WHERE ipfs_cid = ?').get(event.args.ipfsCid);
+      db.prepare(`
+        INSERT OR REPLACE INTO firs (
+          id, victim, ipfs_cid, timestamp, similarity_score, verified, status, status_updated_at, block_number, tx_hash
+        )
+        VALUES (?, ?, ?, ?, ?, 0, 'REGISTERED', ?, ?, ?)
+      `).run(event.firId, submission?.victim ?? event.args.victim, event.args.ipfsCid, event.args.timestamp,
+        event.args.similarityScore, event.args.timestamp, event.blockNumber, event.txHash);
+    } else if (event.name === 'FIRVerified') {
+      db.prepare('UPDATE firs SET verified = ?, verified_by = ? WHERE id = ?')
+        .run(event.args.verified ? 1 : 0, event.args.verifiedBy, event.firId);
+    } else if (event.name === 'FIRStatusChanged') {
+      db.prepare('UPDATE firs SET status = ?, status_updated_at = ? WHERE id = ?')
+        .run(event.args.toStatus, event.args.timestamp, event.firId);
+    }
+  }
+
+  /**
+   * Drop everything indexed after a block and rebuild the affected FIRs
+   * @param {number} blockNumber - Last block to keep
+   */
+  rollback(blockNumber) {
+    const db = database.getConnection();
+
+    db.transaction(() => {
+      const affected = db.prepare('SELECT DISTINCT fir_id FROM fir_events WHERE block_number > ?')
+        .all(blockNumber)
+        .map(row => row.fir_id);
+
+      db.prepare('DELETE FROM fir_events WHERE block_number > ?').run(blockNumber);
+      db.prepare('DELETE FROM indexer_checkpoints WHERE block_number > ?').run(blockNumber);
+
+      for (const firId of affected) {
+        db.prepare('DELETE FROM firs WHERE id = ?').run(firId);
+        const remaining = db.prepare(`
+          SELECT * FROM fir_events WHERE fir_id = ? ORDER BY block_number, log_index
+        `).all(firId);
+        for (const row of remaining) {
+          this.project({
+            name: row.name,
+            firId: row.fir_id,
+            args: JSON.parse(row.args),
+            blockNumber: row.block_number,
+            txHash: row.tx_hash
+          });
+        }
+      }
+    })();
+  }
+
+  /**
+   * Last block the index covers
+   * @returns {number|null}
+   */
+  getIndexedBlock() {
+    const row = database.getConnection()
+      .prepare('SELECT MAX(block_number) AS block_number FROM indexer_checkpoints')
+      .get();
+    return row.block_number;
+  }
+
+  /**
+   * Query indexed FIRs
+   * @param {Object} query - Filters, sorting and pagination
+   * @param {string} [query.victim] - Wallet of the victim who submitted the FIR
+   * @param {string} [query.verified] - 'true' or 'false'
+   * @param {string} [query.status] - Case status (one of CASE_STATUSES)
+   * @param {string} [query.station] - Code of the station the FIR is assigned to
+   * @param {string} [query.assignedTo] - Wallet of the officer the FIR is assigned to
+   * @param {number} [query.minScore] - Minimum similarity score
+   * @param {number} [query.maxScore] - Maximum similarity score
+   * @param {Date} [query.fromDate] - Filed at or after
+   * @param {Date} [query.toDate] - Filed at or before
+   * @param {string} [query.sortBy] - id, timestamp, similarityScore or statusUpdatedAt
+   * @param {string} [query.sortOrder] - asc or desc
+   * @param {number} [query.limit] - Maximum number of FIRs
+   * @param {number} [query.offset] - Number of FIRs to skip
+   * @returns {{firs: Object[], total: number}}
+   */
+  listFIRs({
+    victim, verified, status, station, assignedTo, minScore, maxScore, fromDate, toDate,
+    sortBy = 'timestamp', sortOrder = 'desc', limit = 10, offset = 0
+  } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (victim) { conditions.push('victim = ? COLLATE NOCASE'); params.push(victim); }
+    if (verified !== undefined) { conditions.push('verified = ?'); params.push(verified === 'true' ? 1 : 0); }
+    if (status) { conditions.push('status = ?'); params.push(status); }
+    if (station) { conditions.push('assignment.station_code = ?'); params.push(station); }
+    if (assignedTo) { conditions.push('assignment.officer = ?'); params.push(assignedTo); }
+    if (minScore !== undefined) { conditions.push('similarity_score >= ?'); params.push(minScore); }
+    if (maxScore !== undefined) { conditions.push('similarity_score <= ?'); params.push(maxScore); }
+    if (fromDate) { conditions.push('timestamp >= ?'); params.push(Math.floor(fromDate.getTime() / 1000)); }
+    if (toDate) { conditions.push('timestamp <= ?'); params.push(Math.floor(toDate.getTime() / 1000)); }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const order = `${SORT_COLUMNS[sortBy]} ${sortOrder === 'asc' ? 'ASC' : 'DESC'}, id ${sortOrder === 'asc' ? 'ASC' : 'DESC'}`;
+    const db = database.getConnection();
+
+    // Assignments live next to the index (services/stations.js); a FIR has at most one current one
+    const from = 'firs LEFT JOIN fir_current_assignments assignment ON assignment.fir_id = firs.id';
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${from} ${where}`).get(...params);
+    const rows = db.prepare(`
+      SELECT firs.*, assignment.station_code AS assigned_station, assignment.officer AS assigned_officer
+      FROM ${from} ${where} ORDER BY ${order} LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { firs: rows.map(row => this.rowToFIR(row)), total };
+  }
+
+  /**
+   * Convert a database row to the shape returned by blockchainService.getFIR()
+   * @param {Object} row - Database row
+   * @returns {Object}
+   */
+  rowToFIR(row) {
+    return {
+      id: row.id,
+      victim: row.victim,
+      ipfsCid: row.ipfs_cid,
+      timestamp: row.timestamp.toString(),
+      verified: row.verified === 1,
+      verifiedBy: row.verified_by,
+      similarityScore: row.similarity_score.toString(),
+      status: row.status,
+      statusUpdatedAt: row.status_updated_at.toString(),
+      assignment: row.assigned_station ? { stationCode: row.assigned_station, officer: row.assigned_officer } : null,
+      blockNumber: row.block_number,
+      txHash: row.tx_hash
+    };
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return this.syncing || Promise.resolve();
+  }
+}
+
+module.exports = new FIRIndexer();
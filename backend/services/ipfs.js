@@ -1,5 +1,8 @@
-const { create } = require('ipfs-http-client');
 const axios = require('axios');
+const { Readable } = require('stream');
+const { AppError, IPFSError } = require('./errors');
+const adapters = require('./adapters');
+const encryptionService = require('./encryption');
 
 class IPFSService {
   constructor() {
@@ -11,9 +14,8 @@ class IPFSService {
 
   async initialize() {
     try {
-      // Initialize IPFS client
-      const ipfsApiUrl = process.env.IPFS_API_URL || 'http://localhost:5001';
-      this.client = create({ url: ipfsApiUrl });
+      // Initialize IPFS client (the IPFS daemon, or the local content store in DEFIR_MODE=local)
+      this.client = await adapters.createIPFSClient();
       
       // Test connection
       const version = await this.client.version();
@@ -71,33 +73,70 @@ class IPFSService {
         console.log(`📤 Uploaded to Pinata: ${cid}`);
         
       } else {
-        throw new Error('No IPFS client available and Pinata not configured');
+        throw new IPFSError('IPFS_NOT_CONFIGURED', 'No IPFS client available and Pinata not configured');
       }
       
       return { cid, url };
       
     } catch (error) {
       console.error('❌ Failed to upload to IPFS:', error);
-      throw error;
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Upload a file's content (e.g. complaint media, possibly encrypted) to IPFS
+   * @param {Buffer} content - Content to upload
+   * @param {Object} options - Upload options
+   * @param {string} options.name - Name used in logs and the Pinata metadata
+   * @param {string} [options.mimeType] - MIME type recorded with Pinata
+   * @returns {Promise<{cid: string, url: string}>}
+   */
+  async uploadContent(content, { name, mimeType = 'application/octet-stream' }) {
+    try {
+      let cid;
+      
+      if (this.client) {
+        const result = await this.client.add(content, { pin: true });
+        cid = result.cid.toString();
+        console.log(`📤 Uploaded ${name} to local IPFS: ${cid}`);
+        
+      } else if (this.pinataApiKey && this.pinataSecretKey) {
+        const result = await this.uploadToPinata(content, name, { mimeType, type: 'fir-evidence' });
+        cid = result.IpfsHash;
+        console.log(`📤 Uploaded ${name} to Pinata: ${cid}`);
+        
+      } else {
+        throw new IPFSError('IPFS_NOT_CONFIGURED', 'No IPFS client available and Pinata not configured');
+      }
+      
+      return { cid, url: `${this.gatewayUrl}${cid}` };
+      
+    } catch (error) {
+      console.error(`❌ Failed to upload ${name} to IPFS:`, error);
+      throw this.toError(error);
     }
   }
 
   /**
    * Upload to Pinata
-   * @param {string} content - Content to upload
+   * @param {string|Buffer} content - Content to upload
    * @param {string} filename - Filename for the upload
+   * @param {Object} [options] - Upload options
+   * @param {string} [options.mimeType] - MIME type of the content
+   * @param {string} [options.type] - Kind of content, recorded in the pin metadata
    * @returns {Promise<Object>}
    */
-  async uploadToPinata(content, filename) {
+  async uploadToPinata(content, filename, { mimeType = 'application/json', type = 'fir-data' } = {}) {
     try {
       const formData = new FormData();
-      const blob = new Blob([content], { type: 'application/json' });
+      const blob = new Blob([content], { type: mimeType });
       
       formData.append('file', blob, filename);
       formData.append('pinataMetadata', JSON.stringify({
         name: filename,
         keyvalues: {
-          type: 'fir-data',
+          type,
           timestamp: new Date().toISOString()
         }
       }));
@@ -119,40 +158,136 @@ class IPFSService {
       
     } catch (error) {
       console.error('❌ Failed to upload to Pinata:', error);
-      throw error;
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Fetch a FIR document from IPFS, decrypting it for the reader
+   * @param {string} cid - IPFS content identifier
+   * @param {Object} [options] - Fetch options
+   * @param {{address: string, roles: string[]}|null} [options.reader] - Authenticated session reading the document
+   * @returns {Promise<Object>}
+   * @throws {ForbiddenError} FIR_ACCESS_DENIED if the document is encrypted and the reader is neither gov staff nor the wallet it was sealed for
+   */
+  async fetchFromIPFS(cid, { reader = null } = {}) {
+    return this.openDocument(await this.fetchContent(cid), { reader });
+  }
+
+  /**
+   * Parse a fetched FIR document, decrypting it for the reader
+   * @param {Buffer} content - Document as stored on IPFS
+   * @param {Object} [options] - Options
+   * @param {{address: string, roles: string[]}|null} [options.reader] - Authenticated session reading the document
+   * @returns {Object}
+   * @throws {ForbiddenError} FIR_ACCESS_DENIED if the document is encrypted and the reader is neither gov staff nor the wallet it was sealed for
+   */
+  openDocument(content, { reader = null } = {}) {
+    const document = this.parseJSON(content);
+
+    // Documents pinned before envelope encryption was introduced are plaintext
+    if (!encryptionService.isEnvelope(document)) {
+      return document;
     }
+    return encryptionService.decryptDocument(document, reader);
   }
 
   /**
-   * Fetch data from IPFS
+   * Fetch and parse JSON from IPFS as stored (envelopes are not decrypted)
    * @param {string} cid - IPFS content identifier
    * @returns {Promise<Object>}
    */
-  async fetchFromIPFS(cid) {
+  async fetchJSON(cid) {
+    return this.parseJSON(await this.fetchContent(cid));
+  }
+
+  parseJSON(content) {
+    try {
+      return JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Fetch content from IPFS byte for byte
+   * @param {string} cid - IPFS content identifier
+   * @returns {Promise<Buffer>}
+   */
+  async fetchContent(cid) {
     try {
-      let content;
-      
       if (this.client) {
         // Use local IPFS
         const chunks = [];
         for await (const chunk of this.client.cat(cid)) {
           chunks.push(chunk);
         }
-        content = Buffer.concat(chunks).toString('utf8');
-        
-      } else {
-        // Use gateway
-        const response = await axios.get(`${this.gatewayUrl}${cid}`, {
-          timeout: 10000
-        });
-        content = response.data;
+        return Buffer.concat(chunks);
       }
-      
-      return JSON.parse(content);
-      
+
+      // Use gateway
+      const response = await axios.get(`${this.gatewayUrl}${cid}`, {
+        timeout: 10000,
+        responseType: 'arraybuffer'
+      });
+      return Buffer.from(response.data);
+
     } catch (error) {
       console.error(`❌ Failed to fetch from IPFS (${cid}):`, error);
-      throw error;
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Recompute the CID of content with the settings the expected CID was made with:
+   * CIDv0 (default chunking, as the daemon and Pinata pin) or CIDv1 with raw leaves.
+   * Needs an IPFS client; with only a gateway nothing can be recomputed.
+   * @param {Buffer} content - Content as fetched
+   * @param {string} expectedCid - CID the content is supposed to have
+   * @returns {Promise<string|null>} - The recomputed CID, or null without an IPFS client
+   */
+  async computeCid(content, expectedCid) {
+    if (!this.client) return null;
+
+    try {
+      const cidVersion = expectedCid.startsWith('Qm') ? 0 : 1;
+      const result = await this.client.add(content, { onlyHash: true, pin: false, cidVersion, rawLeaves: cidVersion === 1 });
+      return result.cid.toString();
+
+    } catch (error) {
+      console.error(`❌ Failed to compute CID for ${expectedCid}:`, error);
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Stream content from IPFS as stored, without buffering it in memory
+   * @param {string} cid - IPFS content identifier
+   * @returns {Promise<Readable>}
+   */
+  async fetchStream(cid) {
+    try {
+      if (this.client) {
+        // Pull the first chunk so a missing CID fails here rather than mid-response
+        const iterator = this.client.cat(cid)[Symbol.asyncIterator]();
+        const first = await iterator.next();
+        return Readable.from((async function* () {
+          if (!first.done) yield first.value;
+          for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+            yield next.value;
+          }
+        })());
+      }
+
+      const response = await axios.get(`${this.gatewayUrl}${cid}`, {
+        timeout: 10000,
+        responseType: 'stream'
+      });
+      return response.data;
+
+    } catch (error) {
+      console.error(`❌ Failed to stream from IPFS (${cid}):`, error);
+      throw this.toError(error);
     }
   }
 
@@ -172,12 +307,12 @@ class IPFSService {
         console.log(`📌 Pinned ${cid} to Pinata`);
         return true;
       } else {
-        throw new Error('No pinning service available');
+        throw new IPFSError('IPFS_NOT_CONFIGURED', 'No pinning service available');
       }
       
     } catch (error) {
       console.error(`❌ Failed to pin ${cid}:`, error);
-      throw error;
+      throw this.toError(error);
     }
   }
 
@@ -210,8 +345,55 @@ class IPFSService {
       
     } catch (error) {
       console.error(`❌ Failed to pin ${cid} to Pinata:`, error);
-      throw error;
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Unpin content from IPFS (e.g. an orphaned FIR document)
+   * @param {string} cid - IPFS content identifier
+   * @returns {Promise<boolean>}
+   */
+  async unpinFromIPFS(cid) {
+    try {
+      if (this.client) {
+        await this.client.pin.rm(cid);
+        console.log(`📍 Unpinned ${cid} from local IPFS`);
+        return true;
+      } else if (this.pinataApiKey && this.pinataSecretKey) {
+        await axios.delete(`https://api.pinata.cloud/pinning/unpin/${cid}`, {
+          headers: {
+            'pinata_api_key': this.pinataApiKey,
+            'pinata_secret_api_key': this.pinataSecretKey
+          }
+        });
+        console.log(`📍 Unpinned ${cid} from Pinata`);
+        return true;
+      } else {
+        throw new IPFSError('IPFS_NOT_CONFIGURED', 'No pinning service available');
+      }
+
+    } catch (error) {
+      console.error(`❌ Failed to unpin ${cid}:`, error);
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Translate an IPFS client, gateway or Pinata error into an IPFSError
+   * @param {Error} error - Caught error
+   * @returns {AppError}
+   */
+  toError(error) {
+    if (error instanceof AppError) return error;
+
+    if (error instanceof SyntaxError) {
+      return new IPFSError('IPFS_CONTENT_INVALID', error.message, { cause: error });
+    }
+    if (error.response?.status === 404) {
+      return new IPFSError('IPFS_CONTENT_NOT_FOUND', error.message, { cause: error });
     }
+    return new IPFSError('IPFS_UNAVAILABLE', error.message, { cause: error });
   }
 
   /**
@@ -230,7 +412,7 @@ class IPFSService {
    */
   async existsInIPFS(cid) {
     try {
-      await this.fetchFromIPFS(cid);
+      await this.fetchJSON(cid);
       return true;
     } catch (error) {
       return false;
@@ -262,7 +444,7 @@ class IPFSService {
       
     } catch (error) {
       console.error('❌ Failed to get IPFS node info:', error);
-      throw error;
+      throw this.toError(error);
     }
   }
 
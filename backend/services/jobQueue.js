@@ -0,0 +1,576 @@
+const crypto = require('crypto');
+const database = require('./database');
+const eventBus = require('./eventBus');
+const { AppError } = require('./errors');
+const metricsService = require('./metrics');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  ABANDONED: 'abandoned'
+};
+
+// Event types that are broadcast to listeners but not stored for replay
+const TRANSIENT_EVENTS = new Set(['ocr-progress']);
+
+const STAGE_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.active = new Map();
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 1;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.timer = null;
+    this.stopping = false;
+  }
+
+  async initialize() {
+    try {
+      // Jobs left running by a previous process are picked up again; stages
+      // that already completed keep their results and are not re-executed.
+      const db = database.getConnection();
+      const interrupted = db.prepare('SELECT id FROM jobs WHERE status = ?').all(JOB_STATUS.RUNNING);
+
+      db.transaction(() => {
+        for (const { id } of interrupted) {
+          db.prepare('UPDATE jobs SET status = ?, updated_at = ? WHERE id = ?')
+            .run(JOB_STATUS.QUEUED, new Date().toISOString(), id);
+          this.journal(id, null, 'requeued', { reason: 'interrupted by restart' });
+        }
+      })();
+
+      this.start();
+
+      console.log('✅ Job queue initialized');
+      console.log(`⚙️ Concurrency: ${this.concurrency}, poll interval: ${this.pollIntervalMs}ms`);
+      if (interrupted.length > 0) {
+        console.log(`🔁 Re-queued ${interrupted.length} interrupted job(s)`);
+      }
+
+    } catch (error) {
+      console.error('❌ Failed to initialize job queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type
+   * @param {{stages: string[], run: Function}} handler - Stage names and the run function
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  start() {
+    if (this.timer) return;
+    this.stopping = false;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.tick();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (must have a registered handler)
+   * @param {Object} payload - JSON-serializable job input
+   * @returns {Object} - The created job
+   */
+  enqueue(type, payload) {
+    const handler = this.handlers.get(type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: JOB_STATUS.QUEUED,
+      payload,
+      stages: handler.stages.map(name => ({ name, status: STAGE_STATUS.PENDING })),
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    database.getConnection().prepare(`
+      INSERT INTO jobs (id, type, status, payload, stages, attempts, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 0, ?, ?)
+    `).run(job.id, type, job.status, JSON.stringify(payload), JSON.stringify(job.stages), now, now);
+
+    console.log(`📥 Job ${job.id} (${type}) queued`);
+
+    // Pick the job up right away instead of waiting for the next poll
+    setImmediate(() => this.tick());
+
+    return job;
+  }
+
+  /**
+   * Put a failed job back on the queue. Completed stages keep their results,
+   * so the retry resumes from the stage that failed.
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Requeue options
+   * @param {Object} [options.payload] - Fields to merge into the payload (e.g. fresh upload paths)
+   * @param {string} [options.reason] - Why the job is retried, recorded in the journal
+   * @param {string[]} [options.from] - Job statuses that may be re-queued (failed only by default)
+   * @param {string[]} [options.resetStages] - Completed stages to run again instead of reusing their results
+   * @returns {Object|null} - The re-queued job, or null if it was not in one of the `from` statuses
+   */
+  requeue(jobId, { payload: payloadPatch = {}, reason = 'retry', from = [JOB_STATUS.FAILED], resetStages = [] } = {}) {
+    const db = database.getConnection();
+
+    const requeued = db.transaction(() => {
+      const job = this.getJob(jobId);
+      if (!job || !from.includes(job.status)) return false;
+
+      const stages = job.stages.map(stage =>
+        stage.status === STAGE_STATUS.COMPLETED && !resetStages.includes(stage.name)
+          ? stage
+          : { name: stage.name, status: STAGE_STATUS.PENDING }
+      );
+
+      db.prepare(`
+        UPDATE jobs
+        SET status = ?, payload = ?, stages = ?, error = NULL, error_code = NULL, result = NULL, completed_at = NULL, updated_at = ?
+        WHERE id = ?
+      `).run(
+        JOB_STATUS.QUEUED,
+        JSON.stringify({ ...job.payload, ...payloadPatch }),
+        JSON.stringify(stages),
+        new Date().toISOString(),
+        jobId
+      );
+      this.journal(jobId, null, 'requeued', { reason });
+      return true;
+    })();
+
+    if (!requeued) return null;
+
+    console.log(`🔁 Job ${jobId} re-queued`);
+    setImmediate(() => this.tick());
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Give up on a failed job for good
+   * @param {string} jobId - Job ID
+   * @param {Object} details - Who abandoned it and why, recorded in the journal
+   * @returns {Object|null} - The abandoned job, or null if it was not in a failed state
+   */
+  abandon(jobId, details = {}) {
+    const db = database.getConnection();
+    const now = new Date().toISOString();
+
+    const result = db.prepare(`
+      UPDATE jobs SET status = ?, completed_at = ?, updated_at = ? WHERE id = ? AND status = ?
+    `).run(JOB_STATUS.ABANDONED, now, now, jobId, JOB_STATUS.FAILED);
+
+    if (result.changes === 0) return null;
+
+    this.journal(jobId, null, 'abandoned', details);
+    this.emitEvent(jobId, 'job-abandoned', details);
+    console.log(`🗑️ Job ${jobId} abandoned`);
+    return this.getJob(jobId);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - Query filters
+   * @param {string|string[]} [filters.status] - Only jobs in this status (or any of these)
+   * @param {string} [filters.type] - Only jobs of this type
+   * @param {string} [filters.updatedBefore] - Only jobs last updated before this ISO timestamp
+   * @param {string} [filters.completedStage] - Only jobs where this stage completed
+   * @param {string} [filters.incompleteStage] - Only jobs where this stage did not complete
+   * @param {number} [filters.limit] - Maximum number of jobs
+   * @param {number} [filters.offset] - Number of jobs to skip
+   * @returns {{jobs: Object[], total: number}}
+   */
+  listJobs({ status, type, updatedBefore, completedStage, incompleteStage, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    const stageCompleted = `EXISTS (
+      SELECT 1 FROM json_each(jobs.stages) AS stage
+      WHERE json_extract(stage.value, '$.name') = ? AND json_extract(stage.value, '$.status') = '${STAGE_STATUS.COMPLETED}'
+    )`;
+
+    if (status) {
+      const statuses = [].concat(status);
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (type) { conditions.push('type = ?'); params.push(type); }
+    if (updatedBefore) { conditions.push('updated_at < ?'); params.push(updatedBefore); }
+    if (completedStage) { conditions.push(stageCompleted); params.push(completedStage); }
+    if (incompleteStage) { conditions.push(`NOT ${stageCompleted}`); params.push(incompleteStage); }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const db = database.getConnection();
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM jobs ${where}`).get(...params);
+    const rows = db.prepare(`
+      SELECT * FROM jobs ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { jobs: rows.map(row => this.rowToJob(row)), total };
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null}
+   */
+  getJob(jobId) {
+    const row = database.getConnection().prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+    return row ? this.rowToJob(row) : null;
+  }
+
+  /**
+   * Claim and run queued jobs up to the concurrency limit
+   */
+  tick() {
+    // Jobs queued while shutting down wait in the database for the next process
+    if (this.stopping) return;
+
+    while (this.active.size < this.concurrency) {
+      const job = this.claimNext();
+      if (!job) break;
+
+      const promise = this.runJob(job).finally(() => {
+        this.active.delete(job.id);
+        setImmediate(() => this.tick());
+      });
+      this.active.set(job.id, promise);
+    }
+  }
+
+  /**
+   * Atomically move the oldest queued job to running
+   * @returns {Object|null}
+   */
+  claimNext() {
+    if (!database.db) return null;
+    const db = database.getConnection();
+
+    return db.transaction(() => {
+      const row = db.prepare(`
+        SELECT * FROM jobs WHERE status = ? ORDER BY created_at ASC LIMIT 1
+      `).get(JOB_STATUS.QUEUED);
+
+      if (!row) return null;
+
+      const now = new Date().toISOString();
+      db.prepare(`
+        UPDATE jobs
+        SET status = ?, attempts = attempts + 1, started_at = COALESCE(started_at, ?), updated_at = ?
+        WHERE id = ?
+      `).run(JOB_STATUS.RUNNING, now, now, row.id);
+
+      return this.rowToJob({ ...row, status: JOB_STATUS.RUNNING, attempts: row.attempts + 1 });
+    })();
+  }
+
+  /**
+   * Run a claimed job through its handler
+   * @param {Object} job - Job to run
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    console.log(`▶️ Running job ${job.id} (${job.type}), attempt ${job.attempts}`);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      const context = {
+        job,
+        emit: (type, data) => this.emitEvent(job.id, type, data),
+        runStage: (name, fn) => this.runStage(job.id, name, fn),
+        skipStage: (name, reason) => {
+          this.updateStage(job.id, name, {
+            status: STAGE_STATUS.SKIPPED,
+            result: reason ? { reason } : null,
+            completedAt: new Date().toISOString()
+          });
+          this.journal(job.id, name, 'skipped', { reason });
+        }
+      };
+
+      const result = await handler.run(job.payload, context);
+      this.finishJob(job.id, JOB_STATUS.COMPLETED, { result });
+      this.journal(job.id, null, 'completed');
+      this.emitEvent(job.id, 'job-completed', { result });
+      console.log(`✅ Job ${job.id} completed`);
+
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error.cause || error);
+      const failure = this.toFailure(error);
+      this.finishJob(job.id, JOB_STATUS.FAILED, { error: failure.userMessage, errorCode: failure.code });
+
+      const failedStage = this.getJob(job.id)?.stages.find(s => s.status === STAGE_STATUS.FAILED);
+      this.journal(job.id, failedStage?.name || null, 'job-failed', { error: error.message, code: failure.code });
+      this.emitEvent(job.id, 'job-failed', {
+        stage: failedStage?.name || null,
+        error: failure.userMessage,
+        code: failure.code,
+        retryable: failure.retryable
+      });
+    }
+  }
+
+  /**
+   * Run a single stage of a job, reusing the stored result if it already completed
+   * @param {string} jobId - Job ID
+   * @param {string} name - Stage name
+   * @param {Function} fn - Async function producing a JSON-serializable result
+   * @returns {Promise<*>}
+   */
+  async runStage(jobId, name, fn) {
+    const job = this.getJob(jobId);
+    const stage = job?.stages.find(s => s.name === name);
+    if (stage?.status === STAGE_STATUS.COMPLETED) {
+      console.log(`⏭️ Job ${jobId}: stage ${name} already completed`);
+      return stage.result;
+    }
+
+    this.updateStage(jobId, name, {
+      status: STAGE_STATUS.RUNNING,
+      startedAt: new Date().toISOString(),
+      error: null,
+      code: null
+    });
+    this.journal(jobId, name, 'started');
+    const startedAt = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    try {
+      const result = await fn();
+      metricsService.observeStage(job.type, name, elapsed());
+      this.updateStage(jobId, name, {
+        status: STAGE_STATUS.COMPLETED,
+        result: result === undefined ? null : result,
+        completedAt: new Date().toISOString()
+      });
+      this.journal(jobId, name, 'succeeded', result);
+      return result;
+
+    } catch (error) {
+      const failure = this.toFailure(error);
+      metricsService.observeStage(job.type, name, elapsed(), failure.code);
+      this.updateStage(jobId, name, {
+        status: STAGE_STATUS.FAILED,
+        error: failure.userMessage,
+        code: failure.code,
+        completedAt: new Date().toISOString()
+      });
+      this.journal(jobId, name, 'failed', { error: error.message, code: failure.code });
+      throw failure;
+    }
+  }
+
+  /**
+   * Merge fields into a stage record
+   * @param {string} jobId - Job ID
+   * @param {string} name - Stage name
+   * @param {Object} patch - Fields to merge
+   */
+  updateStage(jobId, name, patch) {
+    const db = database.getConnection();
+
+    db.transaction(() => {
+      const row = db.prepare('SELECT stages FROM jobs WHERE id = ?').get(jobId);
+      if (!row) return;
+
+      const stages = JSON.parse(row.stages).map(stage =>
+        stage.name === name ? { ...stage, ...patch } : stage
+      );
+
+      db.prepare('UPDATE jobs SET stages = ?, updated_at = ? WHERE id = ?')
+        .run(JSON.stringify(stages), new Date().toISOString(), jobId);
+    })();
+  }
+
+  /**
+   * Mark a job as finished
+   * @param {string} jobId - Job ID
+   * @param {string} status - Final status
+   * @param {{result?: Object, error?: string, errorCode?: string}} outcome - Result, or error message and code
+   */
+  finishJob(jobId, status, { result = null, error = null, errorCode = null } = {}) {
+    const now = new Date().toISOString();
+    database.getConnection().prepare(`
+      UPDATE jobs SET status = ?, result = ?, error = ?, error_code = ?, completed_at = ?, updated_at = ? WHERE id = ?
+    `).run(status, result ? JSON.stringify(result) : null, error, errorCode, now, now, jobId);
+  }
+
+  /**
+   * Coded error for a pipeline failure; errors without a code are treated as transient
+   * @param {Error} error - Error thrown by a stage or handler
+   * @returns {AppError}
+   */
+  toFailure(error) {
+    return error instanceof AppError ? error : new AppError('PIPELINE_FAILED', error.message, { cause: error });
+  }
+
+  /**
+   * Append a stage or job outcome to the journal
+   * @param {string} jobId - Job ID
+   * @param {string|null} stage - Stage name, or null for job-level entries
+   * @param {string} outcome - e.g. 'started', 'succeeded', 'failed', 'requeued', 'abandoned'
+   * @param {Object} details - JSON-serializable details
+   */
+  journal(jobId, stage, outcome, details = null) {
+    database.getConnection().prepare(`
+      INSERT INTO job_journal (job_id, stage, outcome, details, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(jobId, stage, outcome, details === null || details === undefined ? null : JSON.stringify(details), new Date().toISOString());
+  }
+
+  /**
+   * Get the journal of a job in the order it was written
+   * @param {string} jobId - Job ID
+   * @returns {Object[]}
+   */
+  getJournal(jobId) {
+    return database.getConnection().prepare(`
+      SELECT * FROM job_journal WHERE job_id = ? ORDER BY id ASC
+    `).all(jobId).map(row => ({
+      id: row.id,
+      stage: row.stage,
+      outcome: row.outcome,
+      details: row.details ? JSON.parse(row.details) : null,
+      timestamp: row.created_at
+    }));
+  }
+
+  /**
+   * Record a job event and broadcast it on the event bus
+   * @param {string} jobId - Job ID
+   * @param {string} type - Event type (e.g. 'ocr-started', 'tx-confirmed')
+   * @param {Object} data - JSON-serializable event data
+   * @returns {Object} - The emitted event
+   */
+  emitEvent(jobId, type, data = {}) {
+    const event = {
+      id: null,
+      jobId,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      if (!TRANSIENT_EVENTS.has(type)) {
+        const info = database.getConnection().prepare(`
+          INSERT INTO job_events (job_id, type, data, created_at) VALUES (?, ?, ?, ?)
+        `).run(jobId, type, JSON.stringify(data), event.timestamp);
+        event.id = Number(info.lastInsertRowid);
+      }
+
+      eventBus.emit('job-event', event);
+
+    } catch (error) {
+      // Progress reporting must never break the pipeline itself
+      console.error(`❌ Failed to emit ${type} event for job ${jobId}:`, error);
+    }
+
+    return event;
+  }
+
+  /**
+   * Get stored events for a job
+   * @param {string} jobId - Job ID
+   * @param {number} afterId - Only return events with a greater ID
+   * @returns {Object[]}
+   */
+  getEvents(jobId, afterId = 0) {
+    return database.getConnection().prepare(`
+      SELECT * FROM job_events WHERE job_id = ? AND id > ? ORDER BY id ASC
+    `).all(jobId, afterId).map(row => ({
+      id: row.id,
+      jobId: row.job_id,
+      type: row.type,
+      data: row.data ? JSON.parse(row.data) : {},
+      timestamp: row.created_at
+    }));
+  }
+
+  /**
+   * Convert a database row to a job object
+   * @param {Object} row - Database row
+   * @returns {Object}
+   */
+  rowToJob(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      payload: JSON.parse(row.payload),
+      stages: JSON.parse(row.stages),
+      result: row.result ? JSON.parse(row.result) : null,
+      error: row.error,
+      errorCode: row.error_code,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  /**
+   * Stop claiming jobs and wait for running jobs to settle
+   * @param {Object} [options] - Stop options
+   * @param {number} [options.timeoutMs] - Give up waiting after this long (waits indefinitely if omitted)
+   * @returns {Promise<boolean>} - Whether every running job settled in time
+   */
+  async stop({ timeoutMs } = {}) {
+    this.stopping = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.active.size > 0) {
+      console.log(`⏳ Waiting for ${this.active.size} running job(s) to finish`);
+    }
+
+    let timer;
+    const settled = Promise.allSettled([...this.active.values()]).then(() => true);
+    const timedOut = new Promise(resolve => {
+      if (timeoutMs !== undefined) timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const drained = await Promise.race([settled, timedOut]);
+    clearTimeout(timer);
+
+    if (drained) {
+      console.log('✅ Job queue stopped');
+    } else {
+      // Still marked running; initialize() re-queues them on the next start
+      console.warn(`⚠️ Job queue stopped with ${this.active.size} job(s) still running; they resume on restart`);
+    }
+    return drained;
+  }
+}
+
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
+module.exports.JOB_STATUS = JOB_STATUS;
+module.exports.STAGE_STATUS = STAGE_STATUS;
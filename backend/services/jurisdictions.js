@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+const stationService = require('./stations');
+const { NotFoundError } = require('./errors');
+
+/**
+ * Whether a point lies inside a closed ring of [longitude, latitude] positions (ray casting)
+ * @param {number} longitude - Point longitude
+ * @param {number} latitude - Point latitude
+ * @param {number[][]} ring - GeoJSON linear ring
+ * @returns {boolean}
+ */
+function inRing(longitude, latitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > latitude) !== (yj > latitude) && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon's outer ring and outside its holes
+ * @param {number} longitude - Point longitude
+ * @param {number} latitude - Point latitude
+ * @param {number[][][]} rings - Polygon coordinates: outer ring, then holes
+ * @returns {boolean}
+ */
+function inPolygon(longitude, latitude, [outer, ...holes]) {
+  return inRing(longitude, latitude, outer) && !holes.some(hole => inRing(longitude, latitude, hole));
+}
+
+/**
+ * Police station jurisdictions, loaded from a GeoJSON FeatureCollection at
+ * JURISDICTIONS_PATH. Each feature names its station in `properties.stationCode`
+ * and covers the area of its Polygon/MultiPolygon geometry and/or the postal codes
+ * in `properties.pincodes`. Everything is matched offline; no geocoding service is called.
+ */
+class JurisdictionService {
+  constructor() {
+    this.filePath = process.env.JURISDICTIONS_PATH || null;
+    this.jurisdictions = [];
+    // Pincode -> station code; the first feature listing a pincode claims it
+    this.pincodes = new Map();
+    // Station codes in the file that are not registered, warned about once each
+    this.unknownStations = new Set();
+  }
+
+  async initialize() {
+    try {
+      if (!this.filePath) {
+        console.log('🗺️ JURISDICTIONS_PATH not set; new FIRs are not routed to stations automatically');
+        return;
+      }
+
+      const geojson = JSON.parse(await fs.readFile(path.resolve(this.filePath), 'utf8'));
+      this.load(geojson);
+
+      console.log('✅ Jurisdiction service initialized');
+      console.log(`🗺️ ${this.jurisdictions.length} station jurisdiction(s), ${this.pincodes.size} pincode(s) from ${this.filePath}`);
+
+    } catch (error) {
+      console.error('❌ Failed to initialize jurisdiction service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the jurisdictions with those of a GeoJSON FeatureCollection
+   * @param {Object} geojson - Parsed GeoJSON
+   * @throws {Error} if a feature has no station code or an unsupported geometry
+   */
+  load(geojson) {
+    if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+      throw new Error('Jurisdictions must be a GeoJSON FeatureCollection');
+    }
+
+    const jurisdictions = [];
+    const pincodes = new Map();
+
+    geojson.features.forEach((feature, index) => {
+      const stationCode = feature.properties?.stationCode?.toUpperCase();
+      if (!stationCode) {
+        throw new Error(`Jurisdiction feature ${index} has no properties.stationCode`);
+      }
+
+      const { geometry } = feature;
+      let polygons = [];
+      if (geometry?.type === 'Polygon') {
+        polygons = [geometry.coordinates];
+      } else if (geometry?.type === 'MultiPolygon') {
+        polygons = geometry.coordinates;
+      } else if (geometry) {
+        throw new Error(`Jurisdiction of ${stationCode} has unsupported geometry ${geometry.type}; use Polygon or MultiPolygon`);
+      }
+
+      for (const pincode of feature.properties.pincodes || []) {
+        if (pincodes.has(String(pincode))) {
+          console.warn(`⚠️ Pincode ${pincode} is listed for ${pincodes.get(String(pincode))} and ${stationCode}; using ${pincodes.get(String(pincode))}`);
+          continue;
+        }
+        pincodes.set(String(pincode), stationCode);
+      }
+
+      jurisdictions.push({ stationCode, polygons });
+    });
+
+    this.jurisdictions = jurisdictions;
+    this.pincodes = pincodes;
+    this.unknownStations.clear();
+  }
+
+  /**
+   * Station whose jurisdiction covers an incident location. Coordinates are tried
+   * first (the first polygon containing the point wins), then the pincode, then the
+   * last pincode in the free-text address. Stations that are not registered
+   * are passed over.
+   * @param {{address?: string, pincode?: string, latitude?: number, longitude?: number}|null} location - Incident location
+   * @returns {{stationCode: string, matchedBy: string}|null}
+   */
+  match(location) {
+    if (!location) return null;
+    const { address, pincode, latitude, longitude } = location;
+
+    if (latitude !== undefined && longitude !== undefined) {
+      const covering = this.jurisdictions.find(({ stationCode, polygons }) =>
+        polygons.some(polygon => inPolygon(longitude, latitude, polygon)) && this.isRegistered(stationCode));
+      if (covering) return { stationCode: covering.stationCode, matchedBy: 'coordinates' };
+    }
+
+    const addressPincode = address?.match(/\b[1-9][0-9]{5}\b/g)?.pop();
+    for (const [candidate, matchedBy] of [[pincode, 'pincode'], [addressPincode, 'address']]) {
+      const stationCode = candidate && this.pincodes.get(candidate);
+      if (stationCode && this.isRegistered(stationCode)) return { stationCode, matchedBy };
+    }
+
+    return null;
+  }
+
+  isRegistered(stationCode) {
+    try {
+      stationService.getStation(stationCode);
+      return true;
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+      if (!this.unknownStations.has(stationCode)) {
+        this.unknownStations.add(stationCode);
+        console.warn(`⚠️ Jurisdiction file names station ${stationCode}, which is not registered; FIRs are not routed to it`);
+      }
+      return false;
+    }
+  }
+}
+
+module.exports = new JurisdictionService();
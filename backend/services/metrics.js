@@ -0,0 +1,155 @@
+const client = require('prom-client');
+const database = require('./database');
+
+// Buckets (seconds) spanning a quick similarity check to a slow block confirmation
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const GAS_BUCKETS = [25000, 50000, 100000, 150000, 200000, 300000, 500000, 1000000];
+
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix: 'defir_' });
+
+    this.stageDuration = new client.Histogram({
+      name: 'defir_pipeline_stage_duration_seconds',
+      help: 'Time taken by each job stage, by outcome',
+      labelNames: ['job_type', 'stage', 'outcome'],
+      buckets: DURATION_BUCKETS,
+      registers: [this.registry]
+    });
+
+    this.stageFailures = new client.Counter({
+      name: 'defir_pipeline_stage_failures_total',
+      help: 'Job stage failures by error code',
+      labelNames: ['job_type', 'stage', 'code'],
+      registers: [this.registry]
+    });
+
+    this.txConfirmation = new client.Histogram({
+      name: 'defir_tx_confirmation_seconds',
+      help: 'Time from broadcasting a contract transaction to its receipt',
+      labelNames: ['operation', 'status'],
+      buckets: DURATION_BUCKETS,
+      registers: [this.registry]
+    });
+
+    this.gasUsed = new client.Histogram({
+      name: 'defir_tx_gas_used',
+      help: 'Gas used by confirmed contract transactions',
+      labelNames: ['operation'],
+      buckets: GAS_BUCKETS,
+      registers: [this.registry]
+    });
+
+    this.similarityMethod = new client.Counter({
+      name: 'defir_similarity_calculations_total',
+      help: 'Similarity calculations by method (python-ml or nlp-fallback)',
+      labelNames: ['method'],
+      registers: [this.registry]
+    });
+
+    this.sttProvider = new client.Counter({
+      name: 'defir_stt_transcriptions_total',
+      help: 'Speech-to-text transcriptions by provider',
+      labelNames: ['provider'],
+      registers: [this.registry]
+    });
+
+    const readVerificationCounts = () => {
+      try {
+        return database.getConnection()
+          .prepare('SELECT SUM(verified = 1) AS verified, SUM(verified = 0) AS unverified FROM firs')
+          .get();
+      } catch {
+        // Database not initialized yet
+        return null;
+      }
+    };
+
+    new client.Gauge({
+      name: 'defir_firs',
+      help: 'Indexed FIRs by verification status',
+      labelNames: ['verified'],
+      registers: [this.registry],
+      collect() {
+        const counts = readVerificationCounts();
+        if (!counts) return;
+        this.set({ verified: 'true' }, counts.verified || 0);
+        this.set({ verified: 'false' }, counts.unverified || 0);
+      }
+    });
+
+    new client.Gauge({
+      name: 'defir_firs_verified_ratio',
+      help: 'Share of indexed FIRs that are verified',
+      registers: [this.registry],
+      collect() {
+        const counts = readVerificationCounts();
+        if (!counts) return;
+        const total = (counts.verified || 0) + (counts.unverified || 0);
+        this.set(total > 0 ? counts.verified / total : 0);
+      }
+    });
+  }
+
+  /**
+   * Record how a job stage ended
+   * @param {string} jobType - Job type (e.g. submitFIR)
+   * @param {string} stage - Stage name
+   * @param {number} seconds - Time the stage took
+   * @param {string|null} [errorCode] - Error code if the stage failed
+   */
+  observeStage(jobType, stage, seconds, errorCode = null) {
+    this.stageDuration.observe({ job_type: jobType, stage, outcome: errorCode ? 'failed' : 'succeeded' }, seconds);
+    if (errorCode) {
+      this.stageFailures.inc({ job_type: jobType, stage, code: errorCode });
+    }
+  }
+
+  /**
+   * Record a contract transaction receipt
+   * @param {string} operation - Contract function (e.g. createFIR)
+   * @param {number} seconds - Time from broadcast to receipt
+   * @param {Object} [receipt] - ethers transaction receipt
+   */
+  observeTransaction(operation, seconds, receipt) {
+    this.txConfirmation.observe({ operation, status: receipt?.status === 1 ? 'success' : 'failed' }, seconds);
+    if (receipt?.gasUsed !== undefined) {
+      this.gasUsed.observe({ operation }, Number(receipt.gasUsed));
+    }
+  }
+
+  /**
+   * Count a similarity calculation
+   * @param {string} method - python-ml or nlp-fallback
+   */
+  countSimilarity(method) {
+    this.similarityMethod.inc({ method });
+  }
+
+  /**
+   * Count a transcription
+   * @param {string} provider - google-cloud, fallback or local-stub
+   */
+  countTranscription(provider) {
+    this.sttProvider.inc({ provider });
+  }
+
+  /**
+   * Content type of the exposition format
+   * @returns {string}
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {Promise<string>}
+   */
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new MetricsService();
@@ -2,6 +2,8 @@ const { spawn } = require('child_process');
 const path = require('path');
 const natural = require('natural');
 const fs = require('fs').promises;
+const { SimilarityError, wrapError } = require('./errors');
+const metricsService = require('./metrics');
 
 class MLService {
   constructor() {
@@ -62,6 +64,7 @@ class MLService {
         console.warn('⚠️ Python ML model failed, using fallback:', pythonError.message);
         similarityResult = await this.calculateSimilarityFallback(cleanOcrText, cleanSttText);
       }
+      metricsService.countSimilarity(similarityResult.method);
 
       console.log(`✅ Similarity calculation completed - Score: ${similarityResult.score}%`);
       
@@ -80,7 +83,7 @@ class MLService {
 
     } catch (error) {
       console.error('❌ Similarity calculation failed:', error);
-      throw error;
+      throw wrapError(error, SimilarityError, 'SIMILARITY_FAILED');
     }
   }
 
@@ -415,6 +418,20 @@ class MLService {
     return this.similarityThreshold;
   }
 
+  /**
+   * Run a trial similarity calculation through the Python script
+   * @returns {Promise<{method: string, degraded?: string}>}
+   */
+  async healthCheck() {
+    try {
+      const result = await this.calculateSimilarityWithPython('health check', 'health check');
+      return { method: result.method, score: result.score };
+    } catch (error) {
+      // Submissions still go through on the JavaScript fallback
+      return { method: 'nlp-fallback', degraded: error.message };
+    }
+  }
+
   /**
    * Cleanup ML service
    */
@@ -0,0 +1,196 @@
+const { ethers } = require('ethers');
+const database = require('./database');
+const ipfsService = require('./ipfs');
+const encryptionService = require('./encryption');
+const auditService = require('./audit');
+const { ValidationError, ForbiddenError, ConflictError } = require('./errors');
+
+const NOTE_VISIBILITIES = ['internal', 'shared'];
+
+// Audit log action that records each new head of a FIR's thread
+const HEAD_ACTION = 'fir.note.head';
+
+// How long a signed note stays postable, and how far ahead of the server clock it may be dated
+const SIGNATURE_MAX_AGE_MS = parseInt(process.env.NOTE_SIGNATURE_MAX_AGE_MS) || 10 * 60 * 1000;
+const SIGNATURE_CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Text the author signs (EIP-191 personal_sign) to post a note. The frontend
+ * builds the same string, so the wallet shows the whole note being signed.
+ * @param {Object} note - Note fields
+ * @param {number} note.firId - FIR ID
+ * @param {string} note.visibility - internal or shared
+ * @param {string} note.signedAt - ISO 8601 time of signing
+ * @param {string} note.body - Note text
+ * @returns {string}
+ */
+function noteMessage({ firId, visibility, signedAt, body }) {
+  return [
+    'De-FIR case note',
+    `FIR: ${firId}`,
+    `Visibility: ${visibility}`,
+    `Signed at: ${signedAt}`,
+    '',
+    body
+  ].join('\n');
+}
+
+/**
+ * Case notes on a FIR. Every note is pinned as its own encrypted document that
+ * carries the author's wallet signature and the CID of the note before it (the
+ * first note points to the FIR document), so the thread is a hash chain that
+ * cannot be edited or reordered without breaking a link. Each new head is also
+ * written to the audit log, whose own chain is anchored on-chain, so dropping
+ * notes from the end of the thread shows as a head the log does not know.
+ * Shared notes are sealed for the complainant; internal notes for nobody but gov staff.
+ */
+class NoteService {
+  constructor() {
+    // Notes are appended one at a time so each links to the latest one
+    this.appending = Promise.resolve();
+  }
+
+  /**
+   * Post a signed note to a FIR's thread
+   * @param {Object} fir - FIR from blockchainService.getFIR()
+   * @param {Object} original - The FIR's decrypted document
+   * @param {{body: string, visibility: string, signedAt: string, signature: string}} note - Validated note
+   * @param {{address: string, roles: string[]}} author - Authenticated session posting the note
+   * @returns {Promise<Object>} - The recorded note
+   * @throws {ForbiddenError} FORBIDDEN if a complainant posts an internal note
+   * @throws {ValidationError} NOTE_SIGNATURE_INVALID or NOTE_SIGNATURE_EXPIRED
+   */
+  async addNote(fir, original, note, author) {
+    const authorRole = author.roles.includes('GOV_ROLE') ? 'gov' : 'complainant';
+    if (note.visibility === 'internal' && authorRole !== 'gov') {
+      throw new ForbiddenError('FORBIDDEN', ['Only government staff can post internal notes']);
+    }
+
+    const signedAt = new Date(note.signedAt).getTime();
+    if (Date.now() - signedAt > SIGNATURE_MAX_AGE_MS || signedAt - Date.now() > SIGNATURE_CLOCK_SKEW_MS) {
+      throw new ValidationError([`Notes must be posted within ${SIGNATURE_MAX_AGE_MS / 60000} minutes of signing`], 'NOTE_SIGNATURE_EXPIRED');
+    }
+    if (!this.isSignedBy({ firId: fir.id, ...note }, author.address)) {
+      throw new ValidationError([`Signature is not from ${author.address}`], 'NOTE_SIGNATURE_INVALID');
+    }
+
+    const next = this.appending.then(() => this.append(fir, original.victimAddress, note, author.address, authorRole));
+    this.appending = next.catch(() => {});
+    return next;
+  }
+
+  async append(fir, victimAddress, { body, visibility, signedAt, signature }, author, authorRole) {
+    const db = database.getConnection();
+    if (db.prepare('SELECT 1 FROM fir_notes WHERE signature = ?').get(signature)) {
+      throw new ConflictError('DUPLICATE_NOTE');
+    }
+
+    const last = db.prepare('SELECT cid FROM fir_notes WHERE fir_id = ? ORDER BY id DESC LIMIT 1').get(fir.id);
+    const document = {
+      type: 'note',
+      firId: fir.id,
+      previousCid: last ? last.cid : fir.ipfsCid,
+      author: ethers.getAddress(author),
+      authorRole,
+      visibility,
+      body,
+      signedAt,
+      signature
+    };
+
+    const envelope = encryptionService.encryptDocument(document, visibility === 'shared' ? victimAddress : null);
+    const { cid } = await ipfsService.uploadToIPFS(envelope);
+    const createdAt = new Date().toISOString();
+
+    try {
+      db.transaction(() => {
+        db.prepare(`
+          INSERT INTO fir_notes (fir_id, cid, previous_cid, author, author_role, visibility, signature, signed_at, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(fir.id, cid, document.previousCid, document.author, authorRole, visibility, signature, signedAt, createdAt);
+        auditService.record({
+          action: HEAD_ACTION,
+          actor: document.author,
+          resource: `fir:${fir.id}`,
+          details: { cid, previousCid: document.previousCid }
+        });
+      })();
+    } catch (error) {
+      await ipfsService.unpinFromIPFS(cid).catch(unpinError =>
+        console.error(`Error unpinning unrecorded note ${cid}:`, unpinError)
+      );
+      throw error;
+    }
+
+    return this.toNote(cid, document, createdAt, true);
+  }
+
+  /**
+   * The notes of a FIR a reader may see, oldest first. Gov staff see every note;
+   * the complainant sees shared notes only. `linked` says whether a note points
+   * to the note recorded before it (or the FIR document, for the first note),
+   * `signatureValid` whether its signature matches its author. `complete` says
+   * whether the last recorded note is the head the audit log last recorded.
+   * @param {Object} fir - FIR from blockchainService.getFIR()
+   * @param {{address: string, roles: string[]}} reader - Authenticated session that may read the FIR
+   * @returns {Promise<{notes: Object[], complete: boolean}>}
+   */
+  async listNotes(fir, reader) {
+    const rows = database.getConnection()
+      .prepare('SELECT * FROM fir_notes WHERE fir_id = ? ORDER BY id')
+      .all(fir.id);
+    const isGov = reader.roles.includes('GOV_ROLE');
+
+    const notes = [];
+    let previousCid = fir.ipfsCid;
+    for (const row of rows) {
+      const expectedPreviousCid = previousCid;
+      previousCid = row.cid;
+      if (row.visibility === 'internal' && !isGov) continue;
+
+      const document = await ipfsService.fetchFromIPFS(row.cid, { reader });
+      const linked = document.firId === fir.id && document.previousCid === expectedPreviousCid;
+      notes.push(this.toNote(row.cid, document, row.created_at, linked));
+    }
+
+    const [audited] = auditService.list({ action: HEAD_ACTION, resource: `fir:${fir.id}`, limit: 1 }).entries;
+    const complete = (audited ? audited.details.cid : null) === (rows.length > 0 ? rows[rows.length - 1].cid : null);
+    return { notes, complete };
+  }
+
+  /**
+   * Whether a note's signature was made by the given wallet
+   * @param {Object} note - Note fields signed with noteMessage()
+   * @param {string} address - Expected signer
+   * @returns {boolean}
+   */
+  isSignedBy(note, address) {
+    try {
+      return ethers.verifyMessage(noteMessage(note), note.signature).toLowerCase() === address.toLowerCase();
+    } catch {
+      return false;
+    }
+  }
+
+  toNote(cid, document, recordedAt, linked) {
+    return {
+      cid,
+      previousCid: document.previousCid,
+      author: document.author,
+      authorRole: document.authorRole,
+      visibility: document.visibility,
+      body: document.body,
+      signedAt: document.signedAt,
+      signature: document.signature,
+      recordedAt,
+      signatureValid: this.isSignedBy(document, document.author),
+      linked
+    };
+  }
+}
+
+const noteService = new NoteService();
+
+module.exports = noteService;
+module.exports.NOTE_VISIBILITIES = NOTE_VISIBILITIES;
+module.exports.noteMessage = noteMessage;
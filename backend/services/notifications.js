@@ -0,0 +1,410 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const database = require('./database');
+const eventBus = require('./eventBus');
+const blockchainService = require('./blockchain');
+const ipfsService = require('./ipfs');
+const { createNotificationChannels } = require('./adapters');
+const { NotFoundError } = require('./errors');
+
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'sms'];
+
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'dead'];
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates/notifications');
+
+// One file per language (en.json, hi.json, ...), each with the same message types
+const TEMPLATES = Object.fromEntries(
+  fs.readdirSync(TEMPLATE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8'))])
+);
+const NOTIFICATION_LANGUAGES = Object.keys(TEMPLATES);
+
+// FIR documents are read with the gov keys to find the victim to notify
+const SYSTEM_READER = { address: ethers.ZeroAddress, roles: ['GOV_ROLE'] };
+
+/**
+ * Fill a template's {{placeholders}}; unknown ones become empty
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+function render(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? '');
+}
+
+/**
+ * Tells victims what happens to their FIRs. Listens to 'fir-event' on the event
+ * bus, renders the message in the victim's language and hands it to every
+ * channel they opted into. Each event is delivered at most once per channel,
+ * even when it is published again. Failed sends are retried with exponential
+ * backoff; after NOTIFY_MAX_ATTEMPTS they are dead-lettered until an admin retries them.
+ */
+class NotificationService {
+  constructor() {
+    this.defaultLanguage = process.env.NOTIFY_DEFAULT_LANGUAGE || 'en';
+    this.link = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/victim`;
+    this.intervalMs = parseInt(process.env.NOTIFY_POLL_INTERVAL_MS) || 15 * 1000;
+    this.maxAttempts = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 6;
+    this.baseDelayMs = parseInt(process.env.NOTIFY_RETRY_BASE_MS) || 60 * 1000;
+    this.channels = {};
+    this.timer = null;
+    this.retrying = null;
+    // FIR ID -> victim wallet, read from the FIR document once
+    this.victims = new Map();
+    // Events and retry passes are handled one at a time, events in the order they were published
+    this.delivering = Promise.resolve();
+    this.onEvent = event => {
+      this.delivering = this.delivering
+        .then(() => this.notify(event))
+        .catch(error => console.error(`Error sending notifications for ${event.name} ${event.key}:`, error));
+    };
+  }
+
+  async initialize() {
+    try {
+      if (!TEMPLATES[this.defaultLanguage]) {
+        throw new Error(`NOTIFY_DEFAULT_LANGUAGE "${this.defaultLanguage}" has no templates (have ${NOTIFICATION_LANGUAGES.join(', ')})`);
+      }
+      this.channels = createNotificationChannels();
+      eventBus.on('fir-event', this.onEvent);
+      this.timer = setInterval(() => this.retryDue(), this.intervalMs);
+      this.timer.unref();
+
+      console.log('✅ Notification service initialized');
+      console.log(`🔔 Channels: ${Object.keys(this.channels).join(', ')}; languages: ${NOTIFICATION_LANGUAGES.join(', ')}`);
+      console.log(`🔔 Retries: up to ${this.maxAttempts} attempts, base delay ${this.baseDelayMs}ms`);
+
+    } catch (error) {
+      console.error('❌ Failed to initialize notification service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render and deliver the notifications for one FIR event
+   * @param {Object} event - Event from the 'fir-event' channel
+   */
+  async notify(event) {
+    const message = this.describe(event);
+    if (!message) return;
+
+    const recipient = await this.victimOf(event);
+    if (!recipient) return;
+
+    const preferences = this.getPreferences(recipient);
+    const { subject, body } = this.render(preferences.language, message.type, { firId: event.firId, ...message.values });
+    const db = database.getConnection();
+
+    for (const channel of NOTIFICATION_CHANNELS) {
+      if (!preferences.channels[channel] || !this.channels[channel]) continue;
+
+      const destination = { inApp: recipient, email: preferences.email, sms: preferences.phone }[channel];
+      const now = new Date().toISOString();
+      const { changes, lastInsertRowid } = db.prepare(`
+        INSERT OR IGNORE INTO notifications (
+          event_key, recipient, fir_id, type, channel, language, destination, subject, body, status, next_attempt_at, created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+      `).run(event.key, recipient, event.firId, message.type, channel, preferences.language, destination, subject, body,
+        now, now);
+      if (changes === 0) continue;
+
+      await this.send(db.prepare('SELECT * FROM notifications WHERE id = ?').get(lastInsertRowid));
+    }
+  }
+
+  /**
+   * Hand one notification to its channel and record the outcome
+   * @param {Object} notification - notifications row
+   */
+  async send(notification) {
+    const db = database.getConnection();
+    const attempts = notification.attempts + 1;
+    const channel = this.channels[notification.channel];
+
+    try {
+      if (!channel) throw new Error(`The ${notification.channel} channel is not configured`);
+
+      const { messageId } = await channel.send({ to: notification.destination, subject: notification.subject, body: notification.body });
+      db.prepare(`
+        UPDATE notifications SET status = 'sent', attempts = ?, message_id = ?, error = NULL, next_attempt_at = NULL, sent_at = ?
+        WHERE id = ?
+      `).run(attempts, messageId, new Date().toISOString(), notification.id);
+    } catch (error) {
+      const dead = attempts >= this.maxAttempts;
+      const nextAttemptAt = dead ? null : new Date(Date.now() + this.baseDelayMs * 2 ** (attempts - 1)).toISOString();
+      db.prepare('UPDATE notifications SET status = ?, attempts = ?, error = ?, next_attempt_at = ? WHERE id = ?')
+        .run(dead ? 'dead' : 'pending', attempts, error.message, nextAttemptAt, notification.id);
+
+      if (dead) {
+        console.warn(`⚠️ ${notification.channel} notification ${notification.id} dead-lettered after ${attempts} attempts: ${error.message}`);
+      } else {
+        console.error(`❌ Failed to send ${notification.channel} notification ${notification.id} (attempt ${attempts}), retrying at ${nextAttemptAt}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Queue a pass over the sends whose retry is due, behind the events being handled.
+   * Calls made while a pass is waiting share it.
+   * @returns {Promise<void>}
+   */
+  retryDue() {
+    if (this.retrying) return this.retrying;
+
+    this.retrying = this.delivering
+      .then(async () => {
+        // Sends queued from here on need a pass of their own
+        this.retrying = null;
+        const due = database.getConnection().prepare(`
+          SELECT * FROM notifications WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 100
+        `).all(new Date().toISOString());
+
+        for (const notification of due) {
+          // Left pending for the next start
+          if (!this.timer) break;
+          await this.send(notification);
+        }
+      })
+      .catch(error => console.error('Error retrying notifications:', error));
+    this.delivering = this.retrying;
+    return this.retrying;
+  }
+
+  /**
+   * List notification sends on every channel, newest first; status 'dead' is the dead-letter list
+   * @param {{status?: string, channel?: string, limit: number, offset: number}} query - Validated query
+   * @returns {{notifications: Object[], total: number}}
+   */
+  listSends({ status, channel, limit, offset }) {
+    const conditions = [];
+    const params = [];
+    if (status) { conditions.push('status = ?'); params.push(status); }
+    if (channel) { conditions.push('channel = ?'); params.push(channel); }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const db = database.getConnection();
+    const rows = db.prepare(`SELECT * FROM notifications ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM notifications ${where}`).get(...params);
+
+    return { notifications: rows.map(row => this.rowToSend(row)), total };
+  }
+
+  /**
+   * Send a notification again, whatever its status, with a fresh attempt budget
+   * @param {number} id - Notification ID
+   * @returns {Object} - The notification, queued
+   * @throws {NotFoundError} NOTIFICATION_NOT_FOUND
+   */
+  retry(id) {
+    const db = database.getConnection();
+    const { changes } = db.prepare(`
+      UPDATE notifications SET status = 'pending', attempts = 0, next_attempt_at = ?, error = NULL WHERE id = ?
+    `).run(new Date().toISOString(), id);
+    if (changes === 0) throw new NotFoundError('NOTIFICATION_NOT_FOUND');
+
+    this.retryDue();
+    return this.rowToSend(db.prepare('SELECT * FROM notifications WHERE id = ?').get(id));
+  }
+
+  /**
+   * Message type and template values for an event, or null if victims are not told about it
+   * @param {Object} event - Event from the 'fir-event' channel
+   * @returns {{type: string, values: Object}|null}
+   */
+  describe(event) {
+    switch (event.name) {
+      case 'FIRCreated':
+        return { type: 'registered', values: {} };
+      // Decisions carry the reason; the FIRVerified contract event only its hash
+      case 'FIRDecision':
+        return {
+          type: event.args.verified ? 'verified' : 'rejected',
+          values: { reasonCode: event.args.reasonCode, reason: event.args.reason }
+        };
+      case 'FIRStatusChanged':
+        return { type: 'statusChanged', values: { statusCode: event.args.toStatus } };
+      case 'FIRAssigned':
+        return { type: 'assigned', values: { station: event.args.stationName } };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Subject and body of a message in a language, falling back to the default language
+   * @param {string} language - Language code
+   * @param {string} type - Message type (registered, verified, rejected, assigned, statusChanged)
+   * @param {Object} values - Placeholder values
+   * @returns {{subject: string, body: string}}
+   */
+  render(language, type, values) {
+    const templates = TEMPLATES[language]?.messages[type] ? TEMPLATES[language] : TEMPLATES[this.defaultLanguage];
+    const filled = {
+      ...values,
+      link: this.link,
+      status: templates.statuses[values.statusCode] || values.statusCode,
+      reasonLabel: templates.reasons[values.reasonCode] || values.reasonCode
+    };
+
+    return {
+      subject: render(templates.messages[type].subject, filled),
+      body: render(templates.messages[type].body, filled)
+    };
+  }
+
+  /**
+   * Wallet of the victim who filed a FIR. Contract calls come from the relayer,
+   * so the victim is only known from the FIR document.
+   * @param {Object} event - Event from the 'fir-event' channel
+   * @returns {Promise<string|null>}
+   */
+  async victimOf(event) {
+    if (!this.victims.has(event.firId)) {
+      const cid = event.name === 'FIRCreated' ? event.args.ipfsCid : (await blockchainService.getFIR(event.firId)).ipfsCid;
+      const document = await ipfsService.fetchFromIPFS(cid, { reader: SYSTEM_READER });
+      this.victims.set(event.firId, document.victimAddress ? ethers.getAddress(document.victimAddress) : null);
+    }
+    return this.victims.get(event.firId);
+  }
+
+  /**
+   * Notification preferences of a wallet; in-app only until the victim opts into more
+   * @param {string} address - Wallet address
+   * @returns {Object}
+   */
+  getPreferences(address) {
+    const row = database.getConnection().prepare('SELECT * FROM notification_preferences WHERE address = ?').get(address);
+    if (!row) {
+      return {
+        language: this.defaultLanguage,
+        channels: { inApp: true, email: false, sms: false },
+        email: null,
+        phone: null,
+        updatedAt: null
+      };
+    }
+
+    return {
+      language: row.language,
+      channels: { inApp: row.in_app === 1, email: row.email_enabled === 1, sms: row.sms_enabled === 1 },
+      email: row.email,
+      phone: row.phone,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Replace a wallet's notification preferences
+   * @param {string} address - Wallet address
+   * @param {{language: string, channels: Object, email?: string, phone?: string}} preferences - Validated preferences
+   * @returns {Object} - The saved preferences
+   */
+  savePreferences(address, { language, channels, email, phone }) {
+    database.getConnection().prepare(`
+      INSERT INTO notification_preferences (address, language, in_app, email_enabled, sms_enabled, email, phone, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (address) DO UPDATE SET
+        language = excluded.language, in_app = excluded.in_app, email_enabled = excluded.email_enabled,
+        sms_enabled = excluded.sms_enabled, email = excluded.email, phone = excluded.phone, updated_at = excluded.updated_at
+    `).run(ethers.getAddress(address), language, channels.inApp ? 1 : 0, channels.email ? 1 : 0, channels.sms ? 1 : 0,
+      email || null, phone || null, new Date().toISOString());
+
+    return this.getPreferences(address);
+  }
+
+  /**
+   * In-app notifications of a wallet, newest first
+   * @param {string} address - Wallet address
+   * @param {{unreadOnly?: boolean, limit: number, offset: number}} query - Validated query
+   * @returns {{notifications: Object[], total: number, unread: number}}
+   */
+  listNotifications(address, { unreadOnly = false, limit, offset }) {
+    const db = database.getConnection();
+    const where = `recipient = ? AND channel = 'inApp'${unreadOnly ? ' AND read_at IS NULL' : ''}`;
+
+    const rows = db.prepare(`SELECT * FROM notifications WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(address, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM notifications WHERE ${where}`).get(address);
+    const { unread } = db.prepare(
+      "SELECT COUNT(*) AS unread FROM notifications WHERE recipient = ? AND channel = 'inApp' AND read_at IS NULL"
+    ).get(address);
+
+    return { notifications: rows.map(row => this.rowToNotification(row)), total, unread };
+  }
+
+  /**
+   * Mark one of a wallet's in-app notifications as read
+   * @param {string} address - Wallet address
+   * @param {number} id - Notification ID
+   * @returns {Object} - The notification
+   * @throws {NotFoundError} NOTIFICATION_NOT_FOUND if it is not the wallet's
+   */
+  markRead(address, id) {
+    const db = database.getConnection();
+    db.prepare("UPDATE notifications SET read_at = COALESCE(read_at, ?) WHERE id = ? AND recipient = ? AND channel = 'inApp'")
+      .run(new Date().toISOString(), id, address);
+
+    const row = db.prepare("SELECT * FROM notifications WHERE id = ? AND recipient = ? AND channel = 'inApp'").get(id, address);
+    if (!row) throw new NotFoundError('NOTIFICATION_NOT_FOUND');
+    return this.rowToNotification(row);
+  }
+
+  /**
+   * Channels that can deliver in this deployment
+   * @returns {string[]}
+   */
+  availableChannels() {
+    return NOTIFICATION_CHANNELS.filter(channel => this.channels[channel]);
+  }
+
+  rowToNotification(row) {
+    return {
+      id: row.id,
+      firId: row.fir_id,
+      type: row.type,
+      language: row.language,
+      subject: row.subject,
+      body: row.body,
+      createdAt: row.created_at,
+      readAt: row.read_at
+    };
+  }
+
+  // Admin view of a send: delivery state, not the message text
+  rowToSend(row) {
+    return {
+      id: row.id,
+      firId: row.fir_id,
+      recipient: row.recipient,
+      type: row.type,
+      channel: row.channel,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      error: row.error,
+      createdAt: row.created_at,
+      sentAt: row.sent_at
+    };
+  }
+
+  stop() {
+    eventBus.off('fir-event', this.onEvent);
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return this.delivering;
+  }
+}
+
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+module.exports.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
+module.exports.NOTIFICATION_LANGUAGES = NOTIFICATION_LANGUAGES;
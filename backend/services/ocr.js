@@ -2,45 +2,84 @@ const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const { OCRError, wrapError } = require('./errors');
+const { isLocalMode, createOCRWorker } = require('./adapters');
 
 class OCRService {
   constructor() {
     this.worker = null;
+    this.progressHandler = null;
+    this.recognizing = 0;
+    this.starting = null;
   }
 
   async initialize() {
+    // A worker that cannot start (e.g. language data unreachable) leaves OCR unavailable, not the server down
+    if (await this.startWorker()) {
+      console.log(`✅ OCR service initialized${isLocalMode() ? ' (deterministic local stub)' : ''}`);
+    }
+  }
+
+  /**
+   * Start the shared worker; concurrent callers wait on the same attempt
+   * @returns {Promise<boolean>} - Whether the worker is running
+   */
+  startWorker() {
+    if (!this.starting) {
+      this.starting = this.createWorker().finally(() => { this.starting = null; });
+    }
+    return this.starting;
+  }
+
+  async createWorker() {
     try {
-      // Initialize Tesseract worker
-      this.worker = await Tesseract.createWorker('eng', 1, {
+      this.worker = await createOCRWorker({
         logger: m => {
           if (m.status === 'recognizing text') {
             console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+            if (this.progressHandler) {
+              this.progressHandler(Math.round(m.progress * 100));
+            }
           }
         }
       });
-      
-      console.log('✅ OCR service initialized');
-      
+      return true;
+
     } catch (error) {
-      console.error('❌ Failed to initialize OCR service:', error);
-      throw error;
+      console.error('❌ Failed to start OCR worker; OCR is unavailable until it starts:', error);
+      this.worker = null;
+      return false;
     }
   }
 
   /**
    * Extract text from image using OCR
    * @param {string} imagePath - Path to the image file
+   * @param {Object} options - Extraction options
+   * @param {Function} [options.onProgress] - Called with the recognition progress (0-100)
    * @returns {Promise<{text: string, confidence: number, imageHash: string}>}
    */
-  async extractText(imagePath) {
+  async extractText(imagePath, { onProgress } = {}) {
     try {
       console.log(`🔍 Starting OCR for image: ${imagePath}`);
+
+      if (!this.worker && !await this.startWorker()) {
+        throw new OCRError('OCR_UNAVAILABLE');
+      }
       
       // Preprocess image for better OCR results
       const processedImagePath = await this.preprocessImage(imagePath);
       
-      // Perform OCR
-      const { data: { text, confidence } } = await this.worker.recognize(processedImagePath);
+      // Perform OCR (the shared worker handles one image at a time)
+      let text, confidence;
+      this.progressHandler = onProgress || null;
+      this.recognizing++;
+      try {
+        ({ data: { text, confidence } } = await this.worker.recognize(processedImagePath));
+      } finally {
+        this.progressHandler = null;
+        this.recognizing--;
+      }
       
       // Clean up processed image
       if (processedImagePath !== imagePath) {
@@ -52,6 +91,9 @@ class OCRService {
       
       // Clean and normalize text
       const cleanedText = this.cleanText(text);
+      if (!cleanedText) {
+        throw new OCRError('OCR_NO_TEXT', `No text recognised in ${imagePath}`);
+      }
       
       console.log(`✅ OCR completed - Confidence: ${confidence.toFixed(2)}%`);
       console.log(`📝 Extracted text length: ${cleanedText.length} characters`);
@@ -65,7 +107,7 @@ class OCRService {
       
     } catch (error) {
       console.error('❌ OCR failed:', error);
-      throw error;
+      throw wrapError(error, OCRError, 'OCR_FAILED');
     }
   }
 
@@ -155,7 +197,7 @@ class OCRService {
       }
 
       // Create a new worker with custom settings
-      const customWorker = await Tesseract.createWorker(language, oem);
+      const customWorker = await createOCRWorker({ language, oem });
       
       try {
         await customWorker.setParameters({
@@ -284,6 +326,23 @@ class OCRService {
     }
   }
 
+  /**
+   * Check the Tesseract worker responds
+   * @returns {Promise<{busy: boolean}>}
+   */
+  async healthCheck() {
+    if (!this.worker) {
+      throw new Error('OCR worker is not running');
+    }
+
+    // A recognising worker cannot answer until it finishes; it is busy, not dead
+    if (this.recognizing === 0) {
+      await this.worker.setParameters({});
+    }
+
+    return { busy: this.recognizing > 0 };
+  }
+
   /**
    * Cleanup OCR service
    */
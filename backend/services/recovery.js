@@ -0,0 +1,260 @@
+const jobQueue = require('./jobQueue');
+const ipfsService = require('./ipfs');
+const { FIR_SUBMISSION_JOB, submissionUploads, removeUploads } = require('./firPipeline');
+const { isRetryable } = require('./errors');
+
+const { JOB_STATUS, STAGE_STATUS } = jobQueue;
+
+const SUBMISSION_STATES = ['failed', 'stuck', 'orphaned', 'abandoned'];
+
+class RecoveryService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.RECOVERY_INTERVAL_MS) || 60 * 1000;
+    this.maxAttempts = parseInt(process.env.RECOVERY_MAX_ATTEMPTS) || 5;
+    this.baseDelayMs = parseInt(process.env.RECOVERY_BASE_DELAY_MS) || 30 * 1000;
+    this.stuckAfterMs = parseInt(process.env.RECOVERY_STUCK_AFTER_MS) || 15 * 60 * 1000;
+    this.timer = null;
+  }
+
+  async initialize() {
+    try {
+      this.timer = setInterval(() => this.retryDue(), this.intervalMs);
+      this.timer.unref();
+
+      console.log('✅ Recovery service initialized');
+      console.log(`🩹 Automatic retries: up to ${this.maxAttempts} attempts, base delay ${this.baseDelayMs}ms`);
+
+    } catch (error) {
+      console.error('❌ Failed to initialize recovery service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-queue failed submissions whose backoff delay has elapsed
+   * @returns {number} - Number of jobs re-queued
+   */
+  retryDue() {
+    let retried = 0;
+
+    try {
+      const { jobs } = jobQueue.listJobs({
+        status: JOB_STATUS.FAILED,
+        type: FIR_SUBMISSION_JOB,
+        limit: 100
+      });
+
+      for (const job of jobs) {
+        const nextRetryAt = this.getNextRetryAt(job);
+        if (nextRetryAt && new Date(nextRetryAt) <= new Date()) {
+          if (jobQueue.requeue(job.id, { reason: `automatic retry (attempt ${job.attempts + 1})` })) {
+            retried++;
+          }
+        }
+      }
+
+      if (retried > 0) {
+        console.log(`🩹 Re-queued ${retried} failed submission(s)`);
+      }
+    } catch (error) {
+      console.error('Error retrying failed submissions:', error);
+    }
+
+    return retried;
+  }
+
+  /**
+   * When a failed job becomes eligible for an automatic retry
+   * @param {Object} job - Job from jobQueue.getJob()
+   * @returns {string|null} - ISO timestamp, or null if it will not be retried automatically
+   */
+  getNextRetryAt(job) {
+    // Failures such as an unreadable image or a missing role need a person, not another attempt
+    if (job.status !== JOB_STATUS.FAILED || job.attempts >= this.maxAttempts || !isRetryable(job.errorCode)) {
+      return null;
+    }
+
+    const delay = this.baseDelayMs * 2 ** Math.max(job.attempts - 1, 0);
+    return new Date(new Date(job.updatedAt).getTime() + delay).toISOString();
+  }
+
+  /**
+   * List submissions that need operator attention
+   * @param {Object} query - Query
+   * @param {string} query.state - One of failed, stuck, orphaned, abandoned
+   * @param {number} [query.limit] - Maximum number of submissions
+   * @param {number} [query.offset] - Number of submissions to skip
+   * @returns {{submissions: Object[], total: number}}
+   */
+  listSubmissions({ state, limit = 50, offset = 0 }) {
+    const filters = {
+      failed: { status: JOB_STATUS.FAILED },
+      abandoned: { status: JOB_STATUS.ABANDONED },
+      stuck: {
+        status: JOB_STATUS.RUNNING,
+        updatedBefore: new Date(Date.now() - this.stuckAfterMs).toISOString()
+      },
+      // Evidence pinned to IPFS but never registered on-chain; abandoning unpins it
+      orphaned: {
+        status: JOB_STATUS.FAILED,
+        completedStage: 'ipfs',
+        incompleteStage: 'createFIR'
+      }
+    }[state];
+
+    const { jobs, total } = jobQueue.listJobs({ ...filters, type: FIR_SUBMISSION_JOB, limit, offset });
+
+    return {
+      submissions: jobs.map(job => this.describe(job)),
+      total
+    };
+  }
+
+  /**
+   * Get a submission with its stage journal
+   * @param {string} jobId - Job ID
+   * @returns {Object|null}
+   */
+  getSubmission(jobId) {
+    const job = jobQueue.getJob(jobId);
+    if (!job || job.type !== FIR_SUBMISSION_JOB) return null;
+
+    return {
+      ...this.describe(job),
+      journal: jobQueue.getJournal(jobId)
+    };
+  }
+
+  /**
+   * Retry a failed submission now, regardless of backoff or attempt limits
+   * @param {string} jobId - Job ID
+   * @param {string} actor - Address of the operator
+   * @returns {Object|null} - The re-queued submission, or null if it is not failed
+   */
+  retry(jobId, actor) {
+    const job = jobQueue.requeue(jobId, { reason: `manual retry by ${actor}` });
+    return job ? this.describe(job) : null;
+  }
+
+  /**
+   * Resume a failed or abandoned submission when the victim sends it again.
+   * Abandoning a submission that never reached the contract unpinned its
+   * documents, so such a submission starts over from the new upload.
+   * @param {string} jobId - Job ID
+   * @param {Object} payload - Fields to merge into the payload (the fresh upload paths)
+   * @returns {Object|null} - The re-queued job, or null if it is queued, running or completed
+   */
+  resubmit(jobId, payload) {
+    const job = jobQueue.getJob(jobId);
+    if (!job) return null;
+
+    const createFIR = job.stages.find(stage => stage.name === 'createFIR');
+    const restart = job.status === JOB_STATUS.ABANDONED && createFIR?.status !== STAGE_STATUS.COMPLETED;
+
+    return jobQueue.requeue(jobId, {
+      payload,
+      reason: 'resubmitted',
+      from: [JOB_STATUS.FAILED, JOB_STATUS.ABANDONED],
+      resetStages: restart ? job.stages.map(stage => stage.name) : []
+    });
+  }
+
+  /**
+   * Give up on a failed submission and release what it left behind
+   * @param {string} jobId - Job ID
+   * @param {Object} details - Abandonment details
+   * @param {string} details.actor - Address of the operator
+   * @param {string} [details.reason] - Why the submission was abandoned
+   * @returns {Promise<Object|null>} - The abandoned submission, or null if it is not failed
+   */
+  async abandon(jobId, { actor, reason }) {
+    const job = jobQueue.abandon(jobId, { actor, reason: reason || null });
+    if (!job) return null;
+
+    await removeUploads(submissionUploads(job.payload));
+
+    const orphanedCids = [this.getOrphanedCid(job), ...this.getOrphanedEvidenceCids(job)].filter(Boolean);
+    for (const orphanedCid of orphanedCids) {
+      try {
+        await ipfsService.unpinFromIPFS(orphanedCid);
+        jobQueue.journal(jobId, 'ipfs', 'unpinned', { cid: orphanedCid });
+      } catch (error) {
+        console.error(`Error unpinning orphaned CID ${orphanedCid}:`, error);
+        jobQueue.journal(jobId, 'ipfs', 'unpin-failed', { cid: orphanedCid, error: error.message });
+      }
+    }
+
+    return this.getSubmission(jobId);
+  }
+
+  /**
+   * CID pinned by a submission that never reached the contract
+   * @param {Object} job - Job from jobQueue.getJob()
+   * @returns {string|null}
+   */
+  getOrphanedCid(job) {
+    const ipfs = job.stages.find(stage => stage.name === 'ipfs');
+    const createFIR = job.stages.find(stage => stage.name === 'createFIR');
+
+    if (ipfs?.status !== STAGE_STATUS.COMPLETED || createFIR?.status === STAGE_STATUS.COMPLETED) {
+      return null;
+    }
+    return ipfs.result?.cid || null;
+  }
+
+  /**
+   * Complaint media and evidence attachments pinned by a submission that never reached the contract
+   * @param {Object} job - Job from jobQueue.getJob()
+   * @returns {string[]}
+   */
+  getOrphanedEvidenceCids(job) {
+    const createFIR = job.stages.find(stage => stage.name === 'createFIR');
+    if (createFIR?.status === STAGE_STATUS.COMPLETED) {
+      return [];
+    }
+
+    const pinned = stageName => {
+      const stage = job.stages.find(entry => entry.name === stageName);
+      return stage?.status === STAGE_STATUS.COMPLETED ? stage.result : null;
+    };
+    const media = pinned('media');
+    return [media?.image, media?.audio, ...(pinned('evidence') || [])].filter(Boolean).map(item => item.cid);
+  }
+
+  /**
+   * Summarise a job for the admin API
+   * @param {Object} job - Job from jobQueue.getJob()
+   * @returns {Object}
+   */
+  describe(job) {
+    const failedStage = job.stages.find(stage => stage.status === STAGE_STATUS.FAILED);
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      victimAddress: job.payload.victimAddress,
+      attempts: job.attempts,
+      failedStage: failedStage ? failedStage.name : null,
+      error: job.error,
+      errorCode: job.errorCode,
+      stages: job.stages,
+      orphanedCid: this.getOrphanedCid(job),
+      orphanedEvidenceCids: this.getOrphanedEvidenceCids(job),
+      nextRetryAt: this.getNextRetryAt(job),
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+const recoveryService = new RecoveryService();
+
+module.exports = recoveryService;
+module.exports.SUBMISSION_STATES = SUBMISSION_STATES;
@@ -0,0 +1,270 @@
+const { ethers } = require('ethers');
+const database = require('./database');
+const blockchainService = require('./blockchain');
+const eventBus = require('./eventBus');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('./errors');
+
+// How an assignment was made: by staff, by matching the incident location, or by a station transfer
+const ASSIGNMENT_KINDS = ['assigned', 'routed', 'transferred'];
+
+/**
+ * Registry of police stations and their investigating officers, and the
+ * assignment of FIRs to them. Assignments are append-only: every reassignment
+ * adds a row, and the latest row per FIR is the current one.
+ */
+class StationService {
+  /**
+   * Register a police station
+   * @param {{code: string, name: string, district?: string}} station - Validated station
+   * @returns {Object} - The station
+   * @throws {ConflictError} STATION_EXISTS if the code is taken
+   */
+  createStation({ code, name, district }) {
+    const db = database.getConnection();
+    if (db.prepare('SELECT 1 FROM stations WHERE code = ?').get(code)) {
+      throw new ConflictError('STATION_EXISTS', [`Station ${code} already exists`]);
+    }
+
+    db.prepare('INSERT INTO stations (code, name, district, created_at) VALUES (?, ?, ?, ?)')
+      .run(code, name, district || null, new Date().toISOString());
+    return this.getStation(code);
+  }
+
+  /**
+   * Get a police station with its officers
+   * @param {string} code - Station code
+   * @returns {Object}
+   * @throws {NotFoundError} STATION_NOT_FOUND
+   */
+  getStation(code) {
+    const db = database.getConnection();
+    const row = db.prepare('SELECT * FROM stations WHERE code = ?').get(code);
+    if (!row) throw new NotFoundError('STATION_NOT_FOUND');
+
+    const officers = db.prepare('SELECT * FROM officers WHERE station_code = ? ORDER BY name').all(code);
+    return { ...this.rowToStation(row), officers: officers.map(officer => this.rowToOfficer(officer)) };
+  }
+
+  /**
+   * List every police station with its officers
+   * @returns {Object[]}
+   */
+  listStations() {
+    const db = database.getConnection();
+    const officers = db.prepare('SELECT * FROM officers ORDER BY name').all();
+
+    return db.prepare('SELECT * FROM stations ORDER BY code').all().map(row => ({
+      ...this.rowToStation(row),
+      officers: officers.filter(officer => officer.station_code === row.code).map(officer => this.rowToOfficer(officer))
+    }));
+  }
+
+  /**
+   * Register an officer or move them to another station. The wallet must hold
+   * GOV_ROLE, since assigned officers act on FIRs with it.
+   * @param {string} address - Officer's wallet address
+   * @param {{name: string, rank?: string, stationCode: string}} officer - Validated officer details
+   * @returns {Promise<Object>} - The officer
+   */
+  async saveOfficer(address, { name, rank, stationCode }) {
+    const officer = ethers.getAddress(address);
+    this.getStation(stationCode);
+    if (!await blockchainService.hasRole(officer, 'GOV_ROLE')) {
+      throw new ValidationError([`${officer} does not hold GOV_ROLE`], 'OFFICER_NOT_GOV_STAFF');
+    }
+
+    database.getConnection().prepare(`
+      INSERT INTO officers (address, name, rank, station_code, updated_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (address) DO UPDATE SET
+        name = excluded.name, rank = excluded.rank, station_code = excluded.station_code, updated_at = excluded.updated_at
+    `).run(officer, name, rank || null, stationCode, new Date().toISOString());
+
+    return this.getOfficer(officer);
+  }
+
+  /**
+   * Get a registered officer
+   * @param {string} address - Officer's wallet address
+   * @returns {Object}
+   * @throws {NotFoundError} OFFICER_NOT_FOUND
+   */
+  getOfficer(address) {
+    const row = database.getConnection().prepare('SELECT * FROM officers WHERE address = ?').get(address);
+    if (!row) throw new NotFoundError('OFFICER_NOT_FOUND');
+    return this.rowToOfficer(row);
+  }
+
+  /**
+   * Assign or reassign a FIR to a station and optionally one of its officers
+   * @param {number} firId - FIR ID (must exist on-chain)
+   * @param {{stationCode: string, officer?: string, reason?: string}} assignment - Validated assignment
+   * @param {string} assignedBy - Wallet of the staff member making the assignment
+   * @param {string} [kind] - One of ASSIGNMENT_KINDS
+   * @returns {{assignment: Object, previous: Object|null}}
+   */
+  assign(firId, { stationCode, officer, reason }, assignedBy, kind = 'assigned') {
+    const station = this.getStation(stationCode);
+    const posted = officer && station.officers.find(candidate => candidate.address.toLowerCase() === officer.toLowerCase());
+    if (officer && !posted) {
+      throw new ValidationError([`${officer} is not posted at ${stationCode}`], 'OFFICER_NOT_AT_STATION');
+    }
+
+    const db = database.getConnection();
+    const previous = this.getAssignment(firId);
+
+    const assignmentId = db.transaction(() => {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO fir_assignments (fir_id, station_code, officer, reason, assigned_by, assigned_at, kind)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(firId, stationCode, posted ? posted.address : null, reason || null, assignedBy, new Date().toISOString(), kind);
+
+      db.prepare(`
+        INSERT INTO fir_current_assignments (fir_id, assignment_id, station_code, officer) VALUES (?, ?, ?, ?)
+        ON CONFLICT (fir_id) DO UPDATE SET
+          assignment_id = excluded.assignment_id, station_code = excluded.station_code, officer = excluded.officer
+      `).run(firId, lastInsertRowid, stationCode, posted ? posted.address : null);
+      return lastInsertRowid;
+    })();
+
+    const assignment = this.getAssignment(firId);
+    eventBus.emit('fir-event', { key: `assignment:${assignmentId}`, name: 'FIRAssigned', firId, args: assignment, source: 'backend' });
+    return { assignment, previous };
+  }
+
+  /**
+   * Move a FIR to another station's jurisdiction. The receiving station picks the officer.
+   * @param {number} firId - FIR ID (must exist on-chain)
+   * @param {{stationCode: string, reason: string}} transfer - Validated transfer
+   * @param {string} transferredBy - Wallet of the staff member making the transfer
+   * @returns {{assignment: Object, previous: Object|null}}
+   * @throws {ConflictError} INVALID_STATE if the FIR is already at that station
+   */
+  transfer(firId, { stationCode, reason }, transferredBy) {
+    if (this.getAssignment(firId)?.stationCode === stationCode) {
+      throw new ConflictError('INVALID_STATE', [`FIR ${firId} is already with ${stationCode}`]);
+    }
+    return this.assign(firId, { stationCode, reason }, transferredBy, 'transferred');
+  }
+
+  /**
+   * Station whose FIRs a session is limited to: the station an officer is posted
+   * at. Admins and gov staff without a posting (e.g. a control room triaging
+   * unrouted FIRs) are not limited, and neither are wallets that are not officers.
+   * @param {{address: string, roles: string[]}} auth - Authenticated session
+   * @returns {string|null} - Station code, or null for no limit
+   */
+  jurisdictionOf(auth) {
+    if (!auth.roles.includes('GOV_ROLE') || auth.roles.includes('DEFAULT_ADMIN_ROLE')) return null;
+
+    const row = database.getConnection().prepare('SELECT station_code FROM officers WHERE address = ?').get(auth.address);
+    return row ? row.station_code : null;
+  }
+
+  /**
+   * Whether a FIR is within a session's jurisdiction: assigned to the station
+   * the officer is posted at, or any FIR for sessions without a jurisdiction
+   * @param {{address: string, roles: string[]}} auth - Authenticated session
+   * @param {number} firId - FIR ID
+   * @returns {boolean}
+   */
+  withinJurisdiction(auth, firId) {
+    const stationCode = this.jurisdictionOf(auth);
+    return !stationCode || this.getAssignment(firId)?.stationCode === stationCode;
+  }
+
+  /**
+   * Require a FIR to be within a session's jurisdiction
+   * @param {{address: string, roles: string[]}} auth - Authenticated session
+   * @param {number} firId - FIR ID
+   * @throws {ForbiddenError} OUTSIDE_JURISDICTION
+   */
+  checkJurisdiction(auth, firId) {
+    if (!this.withinJurisdiction(auth, firId)) {
+      throw new ForbiddenError('OUTSIDE_JURISDICTION', [`FIR ${firId} is not assigned to ${this.jurisdictionOf(auth)}`]);
+    }
+  }
+
+  /**
+   * Session to open a FIR's documents with. Gov staff outside the FIR's
+   * jurisdiction lose their gov access and read it like any other wallet, so
+   * only FIRs they filed themselves still open.
+   * @param {{address: string, roles: string[]}} auth - Authenticated session
+   * @param {number} firId - FIR ID
+   * @returns {{address: string, roles: string[]}}
+   */
+  readerFor(auth, firId) {
+    if (this.withinJurisdiction(auth, firId)) return auth;
+    return { ...auth, roles: auth.roles.filter(role => role !== 'GOV_ROLE') };
+  }
+
+  /**
+   * Current assignment of a FIR
+   * @param {number} firId - FIR ID
+   * @returns {Object|null}
+   */
+  getAssignment(firId) {
+    const row = database.getConnection().prepare(`
+      SELECT a.*, s.name AS station_name, o.name AS officer_name
+      FROM fir_current_assignments c
+      JOIN fir_assignments a ON a.id = c.assignment_id
+      JOIN stations s ON s.code = a.station_code
+      LEFT JOIN officers o ON o.address = a.officer
+      WHERE c.fir_id = ?
+    `).get(firId);
+    return row ? this.rowToAssignment(row) : null;
+  }
+
+  /**
+   * Every assignment of a FIR, oldest first
+   * @param {number} firId - FIR ID
+   * @returns {Object[]}
+   */
+  getAssignmentHistory(firId) {
+    return database.getConnection().prepare(`
+      SELECT a.*, s.name AS station_name, o.name AS officer_name
+      FROM fir_assignments a
+      JOIN stations s ON s.code = a.station_code
+      LEFT JOIN officers o ON o.address = a.officer
+      WHERE a.fir_id = ?
+      ORDER BY a.id
+    `).all(firId).map(row => this.rowToAssignment(row));
+  }
+
+  rowToStation(row) {
+    return {
+      code: row.code,
+      name: row.name,
+      district: row.district,
+      createdAt: row.created_at
+    };
+  }
+
+  rowToOfficer(row) {
+    return {
+      address: row.address,
+      name: row.name,
+      rank: row.rank,
+      stationCode: row.station_code,
+      updatedAt: row.updated_at
+    };
+  }
+
+  rowToAssignment(row) {
+    return {
+      firId: row.fir_id,
+      stationCode: row.station_code,
+      stationName: row.station_name,
+      officer: row.officer,
+      officerName: row.officer_name,
+      reason: row.reason,
+      assignedBy: row.assigned_by,
+      assignedAt: row.assigned_at,
+      kind: row.kind
+    };
+  }
+}
+
+const stationService = new StationService();
+
+module.exports = stationService;
+module.exports.ASSIGNMENT_KINDS = ASSIGNMENT_KINDS;
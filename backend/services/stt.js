@@ -2,6 +2,17 @@ const speech = require('@google-cloud/speech');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const path = require('path');
+const { STTError, wrapError } = require('./errors');
+const metricsService = require('./metrics');
+const { isLocalMode } = require('./adapters');
+
+// Statements the local stub picks from, so a given recording always transcribes the same way
+const LOCAL_STUB_TRANSCRIPTS = [
+  'My mobile phone was stolen at the bus stand near the market yesterday evening around seven pm.',
+  'Someone broke into my house last night and took jewellery and cash from the bedroom cupboard.',
+  'I was threatened and assaulted by my neighbour over a parking dispute this morning.',
+  'An unknown person called pretending to be from the bank and withdrew money from my account.'
+];
 
 class STTService {
   constructor() {
@@ -11,7 +22,9 @@ class STTService {
 
   async initialize() {
     try {
-      if (this.googleCredentials && await this.fileExists(this.googleCredentials)) {
+      if (isLocalMode()) {
+        console.log('✅ STT service initialized (deterministic local stub)');
+      } else if (this.googleCredentials && await this.fileExists(this.googleCredentials)) {
         // Initialize Google Cloud Speech client
         this.client = new speech.SpeechClient({
           keyFilename: this.googleCredentials
@@ -36,15 +49,25 @@ class STTService {
     try {
       console.log(`🎤 Starting speech-to-text for audio: ${audioPath}`);
       
-      if (this.client) {
-        return await this.transcribeWithGoogleCloud(audioPath);
+      let result;
+      if (isLocalMode()) {
+        result = await this.transcribeWithLocalStub(audioPath);
+      } else if (this.client) {
+        result = await this.transcribeWithGoogleCloud(audioPath);
       } else {
-        return await this.transcribeWithFallback(audioPath);
+        result = await this.transcribeWithFallback(audioPath);
       }
+
+      metricsService.countTranscription(result.provider);
+      return result;
       
     } catch (error) {
       console.error('❌ Speech-to-text failed:', error);
-      throw error;
+      // gRPC INVALID_ARGUMENT: the encoding or sample rate does not match the audio
+      if (error.code === 3) {
+        throw new STTError('STT_UNSUPPORTED_AUDIO', error.message, { cause: error });
+      }
+      throw wrapError(error, STTError, 'STT_FAILED');
     }
   }
 
@@ -85,7 +108,7 @@ class STTService {
       const [response] = await this.client.recognize(request);
       
       if (!response.results || response.results.length === 0) {
-        throw new Error('No transcription results received');
+        throw new STTError('STT_NO_SPEECH', 'No transcription results received');
       }
 
       // Combine all results
@@ -159,6 +182,27 @@ class STTService {
     }
   }
 
+  /**
+   * Deterministic transcription for DEFIR_MODE=local: LOCAL_STT_TEXT if set,
+   * otherwise one of a few canned statements chosen by the audio hash
+   * @param {string} audioPath - Path to the audio file
+   * @returns {Promise<{text: string, confidence: number, audioHash: string}>}
+   */
+  async transcribeWithLocalStub(audioPath) {
+    const audioHash = await this.calculateAudioHash(audioPath);
+    const text = process.env.LOCAL_STT_TEXT ||
+      LOCAL_STUB_TRANSCRIPTS[parseInt(audioHash.slice(0, 8), 16) % LOCAL_STUB_TRANSCRIPTS.length];
+
+    console.log('🧪 Using local STT stub');
+
+    return {
+      text,
+      confidence: 100,
+      audioHash,
+      provider: 'local-stub'
+    };
+  }
+
   /**
    * Detect audio format from file extension and metadata
    * @param {string} audioPath - Path to the audio file
@@ -257,7 +301,7 @@ class STTService {
       const [response] = await this.client.recognize(request);
 
       if (!response.results || response.results.length === 0) {
-        throw new Error('No transcription results received');
+        throw new STTError('STT_NO_SPEECH', 'No transcription results received');
       }
 
       let fullText = '';
@@ -356,6 +400,25 @@ class STTService {
     ];
   }
 
+  /**
+   * Report the active transcription provider
+   * @returns {Promise<{provider: string, degraded?: string}>}
+   */
+  async healthCheck() {
+    if (isLocalMode()) {
+      return { provider: 'local-stub' };
+    }
+
+    if (this.client) {
+      return { provider: 'google-cloud' };
+    }
+
+    return {
+      provider: 'fallback',
+      degraded: 'Google Cloud credentials not configured; transcriptions are mocked'
+    };
+  }
+
   /**
    * Cleanup STT service
    */
@@ -0,0 +1,424 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const database = require('./database');
+const eventBus = require('./eventBus');
+const { NotFoundError } = require('./errors');
+
+const WEBHOOK_EVENTS = [
+  'fir.created',
+  'fir.verified',
+  'fir.rejected',
+  'fir.status_changed',
+  'fir.assigned',
+  'fir.amended'
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+/**
+ * Webhook event type and payload data for a FIR event, or null if partners are
+ * not sent it. Payloads carry identifiers, codes and hashes only: no complaint
+ * text, decision free text or victim details.
+ * @param {Object} event - Event from the 'fir-event' channel
+ * @returns {{type: string, data: Object}|null}
+ */
+function toWebhookEvent({ name, firId, args }) {
+  switch (name) {
+    case 'FIRCreated':
+      return {
+        type: 'fir.created',
+        data: { firId, ipfsCid: args.ipfsCid, similarityScore: args.similarityScore, timestamp: args.timestamp }
+      };
+    case 'FIRDecision':
+      return {
+        type: args.verified ? 'fir.verified' : 'fir.rejected',
+        data: { firId, reasonCode: args.reasonCode, reasonHash: args.reasonHash, decidedAt: args.decidedAt, txHash: args.txHash }
+      };
+    case 'FIRStatusChanged':
+      return {
+        type: 'fir.status_changed',
+        data: { firId, fromStatus: args.fromStatus, toStatus: args.toStatus, timestamp: args.timestamp }
+      };
+    case 'FIRAssigned':
+      return {
+        type: 'fir.assigned',
+        data: { firId, stationCode: args.stationCode, stationName: args.stationName, officer: args.officer, kind: args.kind, assignedAt: args.assignedAt }
+      };
+    case 'FIRAmended':
+      return {
+        type: 'fir.amended',
+        data: { firId, version: args.version, cid: args.cid, previousCid: args.previousCid, txHash: args.txHash }
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Signature header value for a delivery: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`.
+ * Receivers recompute the HMAC with their secret and reject stale timestamps.
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string}
+ */
+function signPayload(secret, body, timestamp) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Outbound webhooks for partner systems. FIR events from the event bus are
+ * queued as one delivery per subscribed webhook and POSTed as signed JSON. Failed
+ * deliveries are retried with exponential backoff; after WEBHOOK_MAX_ATTEMPTS they
+ * are dead-lettered until an admin replays them. Each webhook's deliveries go out
+ * in order, independently of the others, so a slow partner only delays itself.
+ */
+class WebhookService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.baseDelayMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+    // Due deliveries taken per webhook in one run
+    this.batchSize = 20;
+    this.timer = null;
+    this.stopped = false;
+    // Webhook ID -> run sending its due deliveries
+    this.sending = new Map();
+    this.onEvent = event => {
+      try {
+        if (this.enqueue(event) > 0) this.deliverDue();
+      } catch (error) {
+        console.error(`Error queueing webhooks for ${event.name} ${event.key}:`, error);
+      }
+    };
+  }
+
+  async initialize() {
+    try {
+      eventBus.on('fir-event', this.onEvent);
+      this.timer = setInterval(() => this.deliverDue(), this.intervalMs);
+      this.timer.unref();
+
+      console.log('✅ Webhook service initialized');
+      console.log(`🪝 Retries: up to ${this.maxAttempts} attempts, base delay ${this.baseDelayMs}ms`);
+
+    } catch (error) {
+      console.error('❌ Failed to initialize webhook service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a webhook. The signing secret is generated here and only returned
+   * on creation and rotation.
+   * @param {{url: string, events: string[], description?: string}} webhook - Validated webhook
+   * @param {string} createdBy - Admin wallet
+   * @returns {{webhook: Object, secret: string}}
+   */
+  createWebhook({ url, events, description }, createdBy) {
+    const secret = this.generateSecret();
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = database.getConnection().prepare(`
+      INSERT INTO webhooks (url, description, events, secret, active, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+    `).run(url, description || null, JSON.stringify(events), secret, createdBy, now, now);
+
+    return { webhook: this.getWebhook(Number(lastInsertRowid)), secret };
+  }
+
+  /**
+   * Change a webhook's URL, events, description or whether it is active
+   * @param {number} id - Webhook ID
+   * @param {{url?: string, events?: string[], description?: string, active?: boolean}} changes - Validated changes
+   * @returns {Object} - The webhook
+   */
+  updateWebhook(id, { url, events, description, active }) {
+    const current = this.getWebhook(id);
+    database.getConnection().prepare(`
+      UPDATE webhooks SET url = ?, events = ?, description = ?, active = ?, updated_at = ? WHERE id = ?
+    `).run(
+      url ?? current.url,
+      JSON.stringify(events ?? current.events),
+      description === undefined ? current.description : description,
+      (active ?? current.active) ? 1 : 0,
+      new Date().toISOString(),
+      id
+    );
+    return this.getWebhook(id);
+  }
+
+  /**
+   * Replace a webhook's signing secret
+   * @param {number} id - Webhook ID
+   * @returns {{webhook: Object, secret: string}}
+   */
+  rotateSecret(id) {
+    this.getWebhook(id);
+    const secret = this.generateSecret();
+    database.getConnection().prepare('UPDATE webhooks SET secret = ?, updated_at = ? WHERE id = ?')
+      .run(secret, new Date().toISOString(), id);
+    return { webhook: this.getWebhook(id), secret };
+  }
+
+  /**
+   * Remove a webhook and its deliveries
+   * @param {number} id - Webhook ID
+   * @throws {NotFoundError} WEBHOOK_NOT_FOUND
+   */
+  deleteWebhook(id) {
+    const { changes } = database.getConnection().prepare('DELETE FROM webhooks WHERE id = ?').run(id);
+    if (changes === 0) throw new NotFoundError('WEBHOOK_NOT_FOUND');
+  }
+
+  /**
+   * Get a webhook, without its secret
+   * @param {number} id - Webhook ID
+   * @returns {Object}
+   * @throws {NotFoundError} WEBHOOK_NOT_FOUND
+   */
+  getWebhook(id) {
+    const row = database.getConnection().prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+    if (!row) throw new NotFoundError('WEBHOOK_NOT_FOUND');
+    return this.rowToWebhook(row);
+  }
+
+  /**
+   * Every registered webhook with its delivery counts
+   * @returns {Object[]}
+   */
+  listWebhooks() {
+    const db = database.getConnection();
+    const counts = db.prepare(
+      'SELECT webhook_id, status, COUNT(*) AS count FROM webhook_deliveries GROUP BY webhook_id, status'
+    ).all();
+
+    return db.prepare('SELECT * FROM webhooks ORDER BY id').all().map(row => ({
+      ...this.rowToWebhook(row),
+      deliveries: Object.fromEntries(DELIVERY_STATUSES.map(status => [
+        status,
+        counts.find(count => count.webhook_id === row.id && count.status === status)?.count || 0
+      ]))
+    }));
+  }
+
+  /**
+   * Queue a FIR event for every active webhook subscribed to its type. An event
+   * published again is not queued twice.
+   * @param {Object} event - Event from the 'fir-event' channel
+   * @returns {number} - Deliveries queued
+   */
+  enqueue(event) {
+    const webhookEvent = toWebhookEvent(event);
+    if (!webhookEvent) return 0;
+
+    const db = database.getConnection();
+    const now = new Date().toISOString();
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO webhook_deliveries (webhook_id, event_key, event_type, fir_id, payload, status, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+    `);
+
+    let queued = 0;
+    for (const webhook of db.prepare('SELECT id, events FROM webhooks WHERE active = 1').all()) {
+      if (!JSON.parse(webhook.events).includes(webhookEvent.type)) continue;
+
+      const payload = JSON.stringify({ id: event.key, type: webhookEvent.type, createdAt: now, data: webhookEvent.data });
+      queued += insert.run(webhook.id, event.key, webhookEvent.type, event.firId, payload, now, now).changes;
+    }
+    return queued;
+  }
+
+  /**
+   * Start sending the due deliveries of every webhook that is not already being
+   * sent to. Webhooks are sent to concurrently, each one's deliveries in order.
+   * @returns {Promise<void>} - Settles when every run in progress has finished
+   */
+  deliverDue() {
+    try {
+      const due = database.getConnection().prepare(`
+        SELECT * FROM (
+          SELECT d.*, w.url, w.secret, ROW_NUMBER() OVER (PARTITION BY d.webhook_id ORDER BY d.id) AS position
+          FROM webhook_deliveries d
+          JOIN webhooks w ON w.id = d.webhook_id
+          WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+        )
+        WHERE position <= ?
+        ORDER BY webhook_id, id
+      `).all(new Date().toISOString(), this.batchSize);
+
+      const byWebhook = new Map();
+      for (const delivery of due) {
+        // A run in progress picks up the rest on the next poll
+        if (this.sending.has(delivery.webhook_id)) continue;
+        if (!byWebhook.has(delivery.webhook_id)) byWebhook.set(delivery.webhook_id, []);
+        byWebhook.get(delivery.webhook_id).push(delivery);
+      }
+
+      for (const [webhookId, deliveries] of byWebhook) {
+        this.sending.set(webhookId, this.sendAll(deliveries)
+          .catch(error => console.error(`Error delivering to webhook ${webhookId}:`, error))
+          .finally(() => this.sending.delete(webhookId)));
+      }
+    } catch (error) {
+      console.error('Error delivering webhooks:', error);
+    }
+
+    return Promise.all(this.sending.values()).then(() => {});
+  }
+
+  /**
+   * Send one webhook's deliveries in order
+   * @param {Object[]} deliveries - webhook_deliveries rows joined with the webhook's url and secret
+   */
+  async sendAll(deliveries) {
+    for (const delivery of deliveries) {
+      // Left pending for the next start
+      if (this.stopped) break;
+      await this.send(delivery);
+    }
+  }
+
+  /**
+   * POST one delivery and record the outcome. Any 2xx response counts as delivered.
+   * @param {Object} delivery - webhook_deliveries row joined with the webhook's url and secret
+   */
+  async send(delivery) {
+    const db = database.getConnection();
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let error = null;
+    // `timeout` only bounds waiting on the socket; this bounds the whole request, DNS and body included
+    const deadline = AbortSignal.timeout(this.timeoutMs);
+
+    try {
+      const response = await axios.post(delivery.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'De-FIR-Webhooks/1.0',
+          'X-DeFIR-Event': delivery.event_type,
+          'X-DeFIR-Delivery': String(delivery.id),
+          'X-DeFIR-Signature': signPayload(delivery.secret, delivery.payload, Math.floor(Date.now() / 1000))
+        },
+        timeout: this.timeoutMs,
+        signal: deadline,
+        maxRedirects: 0,
+        // The payload is already JSON; send it byte for byte as signed
+        transformRequest: [data => data],
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (requestError) {
+      error = deadline.aborted ? `Timed out after ${this.timeoutMs}ms` : requestError.code || requestError.message;
+    }
+
+    if (!error) {
+      db.prepare(`
+        UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL,
+          next_attempt_at = NULL, delivered_at = ? WHERE id = ?
+      `).run(attempts, statusCode, new Date().toISOString(), delivery.id);
+      return;
+    }
+
+    const dead = attempts >= this.maxAttempts;
+    const nextAttemptAt = dead ? null : new Date(Date.now() + this.baseDelayMs * 2 ** (attempts - 1)).toISOString();
+    db.prepare(`
+      UPDATE webhook_deliveries SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?
+      WHERE id = ?
+    `).run(dead ? 'dead' : 'pending', attempts, statusCode, error, nextAttemptAt, delivery.id);
+
+    if (dead) {
+      console.warn(`⚠️ Webhook delivery ${delivery.id} (${delivery.event_type} to ${delivery.url}) dead-lettered after ${attempts} attempts: ${error}`);
+    }
+  }
+
+  /**
+   * List deliveries, newest first; status 'dead' is the dead-letter list
+   * @param {{status?: string, webhookId?: number, limit: number, offset: number}} query - Validated query
+   * @returns {{deliveries: Object[], total: number}}
+   */
+  listDeliveries({ status, webhookId, limit, offset }) {
+    const conditions = [];
+    const params = [];
+    if (status) { conditions.push('status = ?'); params.push(status); }
+    if (webhookId) { conditions.push('webhook_id = ?'); params.push(webhookId); }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const db = database.getConnection();
+    const rows = db.prepare(`SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`).get(...params);
+
+    return { deliveries: rows.map(row => this.rowToDelivery(row)), total };
+  }
+
+  /**
+   * Send a delivery again, whatever its status, with a fresh attempt budget
+   * @param {number} id - Delivery ID
+   * @returns {Object} - The delivery, queued
+   * @throws {NotFoundError} WEBHOOK_DELIVERY_NOT_FOUND
+   */
+  replay(id) {
+    const db = database.getConnection();
+    const { changes } = db.prepare(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL WHERE id = ?
+    `).run(new Date().toISOString(), id);
+    if (changes === 0) throw new NotFoundError('WEBHOOK_DELIVERY_NOT_FOUND');
+
+    this.deliverDue();
+    return this.rowToDelivery(db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id));
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  rowToWebhook(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      description: row.description,
+      events: JSON.parse(row.events),
+      active: row.active === 1,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  rowToDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      eventType: row.event_type,
+      firId: row.fir_id,
+      payload: JSON.parse(row.payload),
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastStatusCode: row.last_status_code,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+
+  stop() {
+    this.stopped = true;
+    eventBus.off('fir-event', this.onEvent);
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return Promise.all(this.sending.values()).then(() => {});
+  }
+}
+
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports.signPayload = signPayload;
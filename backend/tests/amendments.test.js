@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.DEFIR_MODE = 'local';
+process.env.LOCAL_IPFS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'defir-amendments-'));
+
+const blockchainService = require('../services/blockchain');
+const ipfsService = require('../services/ipfs');
+const encryptionService = require('../services/encryption');
+const { fileAmendment, getHistory } = require('../services/amendments');
+
+const ALICE = '0x00000000000000000000000000000000000000A1';
+const BOB = '0x00000000000000000000000000000000000000B2';
+const alice = { address: ALICE, roles: ['VICTIM_ROLE'] };
+
+describe('FIR amendments', () => {
+  let fir;
+  let original;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await encryptionService.initialize();
+    await ipfsService.initialize();
+    await blockchainService.initialize();
+
+    original = { victimAddress: ALICE, ocrText: 'My wallet was taken at the station' };
+    const { cid } = await ipfsService.uploadToIPFS(encryptionService.encryptDocument(original, ALICE));
+    const { firId } = await blockchainService.createFIR(cid, 40, ALICE);
+    fir = await blockchainService.getFIR(firId);
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.LOCAL_IPFS_DIR, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('chains each amendment to the version before it', async () => {
+    const first = await fileAmendment(fir, original, { statement: 'It was a brown leather wallet' }, alice);
+    const second = await fileAmendment(fir, original, {
+      statement: 'It also held my licence',
+      items: [{ description: 'Driving licence', quantity: 1 }]
+    }, alice);
+
+    expect(first).toMatchObject({ version: 1, previousCid: fir.ipfsCid });
+    expect(second).toMatchObject({ version: 2, previousCid: first.cid });
+
+    const history = await getHistory(fir, alice);
+    expect(history.map(({ version, type, cid, previousCid, linked }) => ({ version, type, cid, previousCid, linked }))).toEqual([
+      { version: 0, type: 'original', cid: fir.ipfsCid, previousCid: null, linked: true },
+      { version: 1, type: 'amendment', cid: first.cid, previousCid: fir.ipfsCid, linked: true },
+      { version: 2, type: 'amendment', cid: second.cid, previousCid: first.cid, linked: true }
+    ]);
+    expect(history[2]).toMatchObject({ statement: 'It also held my licence', items: [{ description: 'Driving licence', quantity: 1 }] });
+  });
+
+  test('lets only the victim amend', async () => {
+    await expect(fileAmendment(fir, original, { statement: 'Not mine' }, { address: BOB, roles: ['GOV_ROLE'] }))
+      .rejects.toMatchObject({ code: 'FORBIDDEN' });
+  });
+
+  test('refuses an amendment that does not follow the latest version', async () => {
+    const { cid } = await ipfsService.uploadToIPFS(encryptionService.encryptDocument({ statement: 'Forked' }, ALICE));
+
+    await expect(blockchainService.amendFIR(fir.id, fir.ipfsCid, cid)).rejects.toMatchObject({ code: 'CONTRACT_STALE_AMENDMENT' });
+    expect(await blockchainService.getAmendments(fir.id)).toHaveLength(2);
+  });
+});
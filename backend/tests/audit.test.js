@@ -0,0 +1,80 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const blockchainService = require('../services/blockchain');
+const auditService = require('../services/audit');
+
+const OFFICER = '0x00000000000000000000000000000000000000C1';
+
+describe('hash-chained audit log', () => {
+  // Stands in for FIRRegistry's audit anchor
+  const chain = { sequence: 0, headHash: null };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(blockchainService, 'anchorAuditHead').mockImplementation(async (sequence, headHash) => {
+      Object.assign(chain, { sequence, headHash });
+      return { txHash: `0xtx${sequence}`, blockNumber: sequence };
+    });
+    jest.spyOn(blockchainService, 'getAuditAnchor').mockImplementation(async () => ({ ...chain }));
+    await database.initialize();
+
+    auditService.record({ action: 'fir.verify', actor: OFFICER, resource: 'fir:1', status: 200, details: { verified: true } });
+    auditService.record({ action: 'fir.verify', actor: OFFICER, resource: 'fir:2', status: 200, details: { verified: false } });
+    auditService.record({ action: 'submission.abandon', actor: OFFICER, resource: 'job:abc', status: 200 });
+  });
+
+  afterAll(async () => {
+    await auditService.stop();
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('links each entry to the one before it', () => {
+    const { entries, total } = auditService.list();
+
+    expect(total).toBe(3);
+    expect(entries.map(entry => entry.seq)).toEqual([3, 2, 1]);
+    expect(entries[0].prevHash).toBe(entries[1].hash);
+    expect(entries[2].prevHash).toBe('0'.repeat(64));
+    expect(auditService.list({ action: 'fir.verify', actor: OFFICER.toLowerCase() }).total).toBe(2);
+  });
+
+  test('anchors the head once, sharing concurrent calls', async () => {
+    const [first, second] = await Promise.all([auditService.anchor(), auditService.anchor()]);
+
+    expect(first).toBe(second);
+    expect(first).toMatchObject({ seq: 3, headHash: auditService.getHead().hash, txHash: '0xtx3' });
+    expect(blockchainService.anchorAuditHead).toHaveBeenCalledTimes(1);
+    expect(await auditService.anchor()).toBeNull();
+
+    const report = await auditService.verify();
+    expect(report).toMatchObject({ valid: true, checked: 3, failures: [], anchors: { checked: 1 } });
+  });
+
+  test('detects an entry edited in place', async () => {
+    const db = database.getConnection();
+    const { details } = db.prepare('SELECT details FROM audit_log WHERE seq = 2').get();
+    db.prepare('UPDATE audit_log SET details = ? WHERE seq = 2').run(JSON.stringify({ verified: true }));
+
+    try {
+      const report = await auditService.verify();
+      expect(report.valid).toBe(false);
+      expect(report.failures).toEqual([{ seq: 2, reason: 'entry contents do not match its hash' }]);
+    } finally {
+      db.prepare('UPDATE audit_log SET details = ? WHERE seq = 2').run(details);
+    }
+  });
+
+  test('detects entries deleted from the end after they were anchored', async () => {
+    database.getConnection().prepare('DELETE FROM audit_log WHERE seq = 3').run();
+
+    const report = await auditService.verify();
+
+    expect(report.valid).toBe(false);
+    expect(report.failures).toEqual([
+      { seq: 3, reason: 'does not match the anchor in tx 0xtx3' },
+      { seq: 3, reason: 'anchored on-chain but missing from the log' }
+    ]);
+  });
+});
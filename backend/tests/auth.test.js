@@ -0,0 +1,73 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.SIWE_DOMAIN = 'localhost';
+
+const { ethers } = require('ethers');
+const { SiweMessage } = require('siwe');
+const database = require('../services/database');
+const blockchainService = require('../services/blockchain');
+const authService = require('../services/auth');
+
+const siweMessage = (wallet, nonce, domain = 'localhost') => new SiweMessage({
+  domain,
+  address: wallet.address,
+  statement: 'Sign in to De-FIR',
+  uri: `http://${domain}`,
+  version: '1',
+  chainId: 1,
+  nonce
+}).prepareMessage();
+
+describe('Sign-In-With-Ethereum sessions', () => {
+  const victim = ethers.Wallet.createRandom();
+  const other = ethers.Wallet.createRandom();
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(blockchainService, 'hasRole').mockImplementation(async (address, role) =>
+      address === victim.address && role === 'VICTIM_ROLE');
+    await database.initialize();
+    await authService.initialize();
+  });
+
+  afterAll(async () => {
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('issues a session carrying the wallet\'s contract roles', async () => {
+    const message = siweMessage(victim, authService.issueNonce().nonce);
+    const session = await authService.login(message, await victim.signMessage(message));
+
+    expect(session).toMatchObject({ address: victim.address, roles: ['VICTIM_ROLE'] });
+    expect(new Date(session.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(authService.verifyToken(session.token)).toEqual({ address: victim.address, roles: ['VICTIM_ROLE'] });
+  });
+
+  test('accepts each nonce once', async () => {
+    const message = siweMessage(victim, authService.issueNonce().nonce);
+    const signature = await victim.signMessage(message);
+    await authService.login(message, signature);
+
+    await expect(authService.login(message, signature)).rejects.toThrow('Nonce is invalid, expired or already used');
+    await expect(authService.login(siweMessage(victim, 'neverIssued123'), signature)).rejects.toThrow('Nonce is invalid');
+  });
+
+  test('rejects a message for another domain or signed by another wallet', async () => {
+    const foreign = siweMessage(victim, authService.issueNonce().nonce, 'evil.example');
+    await expect(authService.login(foreign, await victim.signMessage(foreign))).rejects.toThrow('Invalid SIWE signature');
+
+    const message = siweMessage(victim, authService.issueNonce().nonce);
+    await expect(authService.login(message, await other.signMessage(message))).rejects.toThrow('Invalid SIWE signature');
+  });
+
+  test('rejects a token that was tampered with', async () => {
+    const message = siweMessage(other, authService.issueNonce().nonce);
+    const { token } = await authService.login(message, await other.signMessage(message));
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: other.address, roles: ['GOV_ROLE'] })).toString('base64url');
+
+    expect(authService.verifyToken(token).roles).toEqual([]);
+    expect(() => authService.verifyToken(`${header}.${forged}.${signature}`)).toThrow('Invalid session token');
+  });
+});
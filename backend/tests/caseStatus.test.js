@@ -0,0 +1,42 @@
+const { CASE_STATUSES, CASE_ACTIONS, canTransition, availableActions } = require('../services/caseStatus');
+
+describe('case lifecycle', () => {
+  test('every action moves between known statuses', () => {
+    for (const { from, to } of Object.values(CASE_ACTIONS)) {
+      expect(CASE_STATUSES).toContain(to);
+      from.forEach(status => expect(CASE_STATUSES).toContain(status));
+    }
+  });
+
+  test.each([
+    ['REGISTERED', 'UNDER_INVESTIGATION'],
+    ['REGISTERED', 'TRANSFERRED'],
+    ['UNDER_INVESTIGATION', 'CHARGESHEET_FILED'],
+    ['UNDER_INVESTIGATION', 'CLOSED_UNDETECTED'],
+    ['UNDER_INVESTIGATION', 'TRANSFERRED'],
+    ['CLOSED_UNDETECTED', 'UNDER_INVESTIGATION']
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  test.each([
+    ['REGISTERED', 'CHARGESHEET_FILED'],
+    ['REGISTERED', 'CLOSED_UNDETECTED'],
+    ['REGISTERED', 'REGISTERED'],
+    ['CHARGESHEET_FILED', 'UNDER_INVESTIGATION'],
+    ['CLOSED_UNDETECTED', 'CHARGESHEET_FILED'],
+    ['TRANSFERRED', 'UNDER_INVESTIGATION'],
+    ['UNDER_INVESTIGATION', 'REGISTERED'],
+    ['UNKNOWN', 'UNDER_INVESTIGATION']
+  ])('rejects %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  test('lists the actions open to each status', () => {
+    expect(availableActions('REGISTERED')).toEqual(['investigate', 'transfer']);
+    expect(availableActions('UNDER_INVESTIGATION')).toEqual(['file-chargesheet', 'close', 'transfer']);
+    expect(availableActions('CLOSED_UNDETECTED')).toEqual(['reopen']);
+    expect(availableActions('CHARGESHEET_FILED')).toEqual([]);
+    expect(availableActions('TRANSFERRED')).toEqual([]);
+  });
+});
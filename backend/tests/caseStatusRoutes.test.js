@@ -0,0 +1,58 @@
+const { ethers } = require('ethers');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+describe('case lifecycle endpoints', () => {
+  const victim = ethers.Wallet.createRandom();
+  const officer = ethers.Wallet.createRandom();
+  let server;
+  let victimToken;
+  let officerToken;
+  let firId;
+
+  beforeAll(async () => {
+    server = await startLocalServer({ victims: [victim.address], govStaff: [officer.address] });
+    victimToken = await server.signIn(victim);
+    officerToken = await server.signIn(officer);
+
+    const { body } = await server.request('POST', '/api/submitFIR', { token: victimToken, body: firForm(victim.address) });
+    const job = await waitForJob(server.request, victimToken, body.jobId);
+    firId = job.result.firId;
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  const status = async () => (await server.request('GET', `/api/firs/${firId}`, { token: officerToken })).body.fir.status;
+
+  test('refuses an action whose from list does not hold the current status', async () => {
+    const { status: code, body } = await server.request('POST', `/api/firs/${firId}/reopen`, { token: officerToken });
+
+    expect(code).toBe(409);
+    expect(body.code).toBe('INVALID_STATUS_TRANSITION');
+    expect(await status()).toBe('REGISTERED');
+  });
+
+  test('requires a gov session', async () => {
+    const { status: code } = await server.request('POST', `/api/firs/${firId}/investigate`, { token: victimToken });
+
+    expect(code).toBe(403);
+    expect(await status()).toBe('REGISTERED');
+  });
+
+  test('moves the case through investigate, close and reopen', async () => {
+    for (const [action, from, to] of [
+      ['investigate', 'REGISTERED', 'UNDER_INVESTIGATION'],
+      ['close', 'UNDER_INVESTIGATION', 'CLOSED_UNDETECTED'],
+      ['reopen', 'CLOSED_UNDETECTED', 'UNDER_INVESTIGATION']
+    ]) {
+      const { status: code, body } = await server.request('POST', `/api/firs/${firId}/${action}`, { token: officerToken });
+
+      expect(code).toBe(200);
+      expect(body).toMatchObject({ firId, previousStatus: from, status: to });
+    }
+    expect(await status()).toBe('UNDER_INVESTIGATION');
+  });
+});
@@ -0,0 +1,69 @@
+const { ethers } = require('ethers');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+const STATEMENT = 'A caller posing as my bank took 12000 rupees through a link they sent';
+
+describe('verify and reject endpoint', () => {
+  const victim = ethers.Wallet.createRandom();
+  const officer = ethers.Wallet.createRandom();
+  let server;
+  let tokens;
+  let firId;
+
+  const fir = async () => (await server.request('GET', `/api/firs/${firId}`, { token: tokens.officer })).body.fir;
+
+  beforeAll(async () => {
+    // Identical statements meet the similarity threshold, so the pipeline auto-verifies the FIR
+    server = await startLocalServer({
+      victims: [victim.address],
+      govStaff: [officer.address],
+      env: { LOCAL_OCR_TEXT: STATEMENT, LOCAL_STT_TEXT: STATEMENT }
+    });
+    tokens = { victim: await server.signIn(victim), officer: await server.signIn(officer) };
+
+    const { body } = await server.request('POST', '/api/submitFIR', { token: tokens.victim, body: firForm(victim.address) });
+    firId = (await waitForJob(server.request, tokens.victim, body.jobId)).result.firId;
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('records the pipeline\'s auto-verification as a decision', async () => {
+    expect(await fir()).toMatchObject({
+      verified: true,
+      decision: { verified: true, reasonCode: 'AUTO_SIMILARITY', decidedBy: null, intact: true }
+    });
+  });
+
+  test('requires a reason code and text from gov staff', async () => {
+    const decision = { verified: false, reasonCode: 'INSUFFICIENT_DETAIL', reason: 'No time of incident given' };
+
+    expect((await server.request('POST', `/api/firs/${firId}/verify`, { token: tokens.officer, body: { verified: false } })).status).toBe(400);
+    expect((await server.request('POST', `/api/firs/${firId}/verify`, { token: tokens.victim, body: decision })).status).toBe(403);
+    expect((await fir()).verified).toBe(true);
+  });
+
+  test('rejects a FIR with the reason and its on-chain hash', async () => {
+    const { status, body } = await server.request('POST', `/api/firs/${firId}/verify`, {
+      token: tokens.officer,
+      body: { verified: false, reasonCode: 'INSUFFICIENT_DETAIL', reason: 'No time of incident given' }
+    });
+
+    expect(status).toBe(200);
+    expect(body.reasonHash).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(await fir()).toMatchObject({
+      verified: false,
+      decision: {
+        verified: false,
+        reasonCode: 'INSUFFICIENT_DETAIL',
+        reason: 'No time of incident given',
+        decidedBy: officer.address,
+        reasonHash: body.reasonHash,
+        intact: true
+      }
+    });
+  });
+});
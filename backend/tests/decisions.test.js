@@ -0,0 +1,79 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.DEFIR_MODE = 'local';
+
+const database = require('../services/database');
+const blockchainService = require('../services/blockchain');
+const decisionService = require('../services/decisions');
+const { schemas } = require('../middleware/validation');
+const { DECISION_REASONS, AUTO_VERIFY_REASON, decisionHash } = require('../services/decisions');
+
+describe('decision reasons', () => {
+  const validate = body => schemas.verification.validate(body, { abortEarly: false });
+
+  test.each(DECISION_REASONS.verify)('accepts verify reason %s', reasonCode => {
+    expect(validate({ verified: true, reasonCode, reason: 'Statements match' }).error).toBeUndefined();
+  });
+
+  test.each(DECISION_REASONS.reject)('accepts reject reason %s', reasonCode => {
+    expect(validate({ verified: false, reasonCode, reason: 'Statements differ' }).error).toBeUndefined();
+  });
+
+  test('rejects a reason code that belongs to the other decision', () => {
+    expect(validate({ verified: true, reasonCode: 'NOT_COGNIZABLE', reason: 'x' }).error.message)
+      .toContain('Reason code is not valid for this decision');
+    expect(validate({ verified: false, reasonCode: 'IDENTITY_CONFIRMED', reason: 'x' }).error.message)
+      .toContain('Reason code is not valid for this decision');
+  });
+
+  test('requires a reason code and a non-empty reason of at most 500 characters', () => {
+    expect(validate({ verified: true, reason: 'x' }).error.message).toContain('Reason code is required');
+    expect(validate({ verified: true, reasonCode: 'OTHER' }).error).toBeDefined();
+    expect(validate({ verified: true, reasonCode: 'OTHER', reason: '   ' }).error).toBeDefined();
+    expect(validate({ verified: true, reasonCode: 'OTHER', reason: 'x'.repeat(501) }).error).toBeDefined();
+    expect(validate({ verified: true, reasonCode: 'OTHER', reason: 'x'.repeat(500) }).error).toBeUndefined();
+  });
+
+  test('hashes a decision record deterministically', () => {
+    const decision = {
+      firId: 7,
+      verified: false,
+      reasonCode: 'INSUFFICIENT_DETAIL',
+      reason: 'No time of incident given',
+      decidedBy: '0x0000000000000000000000000000000000000001',
+      decidedAt: '2026-01-01T00:00:00.000Z'
+    };
+
+    expect(decisionHash(decision)).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(decisionHash({ ...decision })).toBe(decisionHash(decision));
+    expect(decisionHash({ ...decision, reason: 'Edited later' })).not.toBe(decisionHash(decision));
+  });
+});
+
+describe('decisions on the local chain', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initialize();
+    await blockchainService.initialize();
+  });
+
+  afterAll(async () => {
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('a FIR starts unverified and an auto-verification emits one FIRVerified with its reason hash', async () => {
+    const { firId, blockNumber } = await blockchainService.createFIR('bafy-decision-test', 95, blockchainService.wallet.address);
+    expect((await blockchainService.getFIR(firId)).verified).toBe(false);
+
+    const decision = await decisionService.decide(firId, {
+      verified: true,
+      reasonCode: AUTO_VERIFY_REASON,
+      reason: 'Statement similarity score 95 met the auto-verification threshold'
+    }, null);
+
+    const events = await blockchainService.getFIREvents(blockNumber, await blockchainService.getBlockNumber());
+    expect(events.filter(event => event.name === 'FIRVerified').map(event => event.args))
+      .toEqual([{ verified: true, verifiedBy: blockchainService.govWallet.address, reasonHash: decision.reasonHash }]);
+    expect(decisionService.getDecision(firId)).toMatchObject({ reasonCode: AUTO_VERIFY_REASON, intact: true });
+  });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+const STATEMENT = 'Someone withdrew 25000 rupees from my account after a fake KYC call';
+
+describe('FIR document access', () => {
+  const victim = ethers.Wallet.createRandom();
+  const other = ethers.Wallet.createRandom();
+  const officer = ethers.Wallet.createRandom();
+  let server;
+  let tokens;
+  let firId;
+
+  beforeAll(async () => {
+    server = await startLocalServer({
+      victims: [victim.address, other.address],
+      govStaff: [officer.address],
+      env: { LOCAL_OCR_TEXT: STATEMENT }
+    });
+    tokens = {
+      victim: await server.signIn(victim),
+      other: await server.signIn(other),
+      officer: await server.signIn(officer)
+    };
+
+    const { body } = await server.request('POST', '/api/submitFIR', { token: tokens.victim, body: firForm(victim.address) });
+    firId = (await waitForJob(server.request, tokens.victim, body.jobId)).result.firId;
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('pins only ciphertext', () => {
+    const directory = path.join(server.dataDir, 'ipfs');
+    const blocks = fs.readdirSync(directory).map(name => fs.readFileSync(path.join(directory, name), 'utf8'));
+
+    expect(blocks.length).toBeGreaterThan(0);
+    expect(blocks.some(block => block.includes(STATEMENT) || block.includes(victim.address))).toBe(false);
+  });
+
+  test('opens the document for the victim it was sealed for and for gov staff', async () => {
+    for (const token of [tokens.victim, tokens.officer]) {
+      const { status, body } = await server.request('GET', `/api/firs/${firId}`, { token });
+
+      expect(status).toBe(200);
+      expect(body.fir.ocrText).toBe(STATEMENT);
+    }
+  });
+
+  test('refuses any other wallet', async () => {
+    const { status, body } = await server.request('GET', `/api/firs/${firId}`, { token: tokens.other });
+
+    expect(status).toBe(403);
+    expect(body.code).toBe('FIR_ACCESS_DENIED');
+  });
+});
@@ -0,0 +1,66 @@
+process.env.FIR_ENCRYPTION_SECRET = `0x${'11'.repeat(32)}`;
+process.env.FIR_GOV_KEYS = `gov-1:0x${'22'.repeat(32)}`;
+
+const encryptionService = require('../services/encryption');
+
+const VICTIM = '0x8ba1f109551bD432803012645Ac136ddd64DBA72';
+const OTHER = '0x0000000000000000000000000000000000000002';
+const document = { complaint: 'My phone was stolen', imageHash: 'ab'.repeat(32) };
+
+describe('FIR document encryption', () => {
+  let envelope;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await encryptionService.initialize();
+    envelope = encryptionService.encryptDocument(document, VICTIM);
+  });
+
+  afterAll(() => jest.restoreAllMocks());
+
+  test('pins an envelope without the plaintext or the victim', () => {
+    expect(encryptionService.isEnvelope(envelope)).toBe(true);
+    expect(JSON.stringify(envelope)).not.toContain('stolen');
+    expect(JSON.stringify(envelope).toLowerCase()).not.toContain(VICTIM.slice(2).toLowerCase());
+    expect(envelope.recipients.map(({ type, kid }) => [type, kid])).toEqual([['gov', 'gov-1']]);
+  });
+
+  test('decrypts for the victim, whatever the address case', () => {
+    expect(encryptionService.decryptDocument(envelope, { address: VICTIM, roles: [] })).toEqual(document);
+    expect(encryptionService.decryptDocument(envelope, { address: VICTIM.toLowerCase(), roles: [] })).toEqual(document);
+  });
+
+  test('decrypts for government staff', () => {
+    expect(encryptionService.decryptDocument(envelope, { address: OTHER, roles: ['GOV_ROLE'] })).toEqual(document);
+  });
+
+  test('denies other wallets and anonymous readers', () => {
+    expect(() => encryptionService.decryptDocument(envelope, { address: OTHER, roles: [] }))
+      .toThrow(expect.objectContaining({ code: 'FIR_ACCESS_DENIED' }));
+    expect(() => encryptionService.decryptDocument(envelope, null))
+      .toThrow(expect.objectContaining({ code: 'FIR_ACCESS_DENIED' }));
+  });
+
+  test('leaves a document filed without a victim to government staff', () => {
+    const govOnly = encryptionService.encryptDocument(document, null);
+    expect(encryptionService.decryptDocument(govOnly, { address: OTHER, roles: ['GOV_ROLE'] })).toEqual(document);
+    expect(() => encryptionService.decryptDocument(govOnly, { address: VICTIM, roles: [] }))
+      .toThrow(expect.objectContaining({ code: 'FIR_ACCESS_DENIED' }));
+  });
+
+  test('cannot be opened without a configured gov key', () => {
+    const foreign = { ...envelope, recipients: envelope.recipients.map(entry => ({ ...entry, kid: 'retired' })) };
+
+    expect(() => encryptionService.decryptDocument(foreign, { address: VICTIM, roles: [] }))
+      .toThrow(expect.objectContaining({ code: 'FIR_DECRYPTION_FAILED' }));
+  });
+
+  test('fails when the ciphertext has been altered', () => {
+    const ciphertext = Buffer.from(envelope.ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+    const tampered = { ...envelope, ciphertext: ciphertext.toString('base64') };
+
+    expect(() => encryptionService.decryptDocument(tampered, { address: VICTIM, roles: [] }))
+      .toThrow(expect.objectContaining({ code: 'FIR_DECRYPTION_FAILED' }));
+  });
+});
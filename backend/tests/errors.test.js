@@ -0,0 +1,66 @@
+const { ethers } = require('ethers');
+const { AppError, ValidationError, BlockchainError, wrapError, isRetryable } = require('../services/errors');
+const blockchainService = require('../services/blockchain');
+
+const ACCOUNT = '0x00000000000000000000000000000000000000A1';
+const GOV_ROLE = ethers.keccak256(ethers.toUtf8Bytes('GOV_ROLE'));
+
+const revert = reason => Object.assign(new Error(`execution reverted: "${reason}"`), { code: 'CALL_EXCEPTION', reason });
+
+describe('coded errors', () => {
+  test('answer clients with the user message and keep internal detail out', () => {
+    const error = new BlockchainError('CHAIN_UNAVAILABLE', 'connect ECONNREFUSED 127.0.0.1:8545');
+
+    expect(error).toMatchObject({ code: 'CHAIN_UNAVAILABLE', status: 503, retryable: true });
+    expect(error.toJSON()).toEqual({
+      error: 'The blockchain network is unreachable; try again shortly',
+      code: 'CHAIN_UNAVAILABLE',
+      retryable: true
+    });
+    expect(error.toJSON(true).details).toEqual(['connect ECONNREFUSED 127.0.0.1:8545']);
+  });
+
+  test('carry validation messages as details', () => {
+    expect(new ValidationError(['Limit must be at least 1']).toJSON()).toMatchObject({
+      code: 'VALIDATION_FAILED',
+      details: ['Limit must be at least 1']
+    });
+  });
+
+  test('fall back to INTERNAL_ERROR for unknown codes and wrap plain errors once', () => {
+    expect(new AppError('NO_SUCH_CODE')).toMatchObject({ code: 'INTERNAL_ERROR', status: 500 });
+
+    const cause = new Error('socket hang up');
+    const wrapped = wrapError(cause, BlockchainError, 'CHAIN_UNAVAILABLE');
+    expect(wrapped).toMatchObject({ code: 'CHAIN_UNAVAILABLE', cause });
+    expect(wrapError(wrapped, BlockchainError, 'CONTRACT_REVERTED')).toBe(wrapped);
+
+    expect(isRetryable('OCR_NO_TEXT')).toBe(false);
+    expect(isRetryable('IPFS_UNAVAILABLE')).toBe(true);
+  });
+});
+
+describe('contract revert decoding', () => {
+  test('names the missing role', () => {
+    const error = blockchainService.toError(revert(`AccessControl: account ${ACCOUNT.toLowerCase()} is missing role ${GOV_ROLE}`));
+
+    expect(error).toMatchObject({ code: 'CONTRACT_MISSING_ROLE', status: 403, details: [`${ACCOUNT.toLowerCase()} is missing GOV_ROLE`] });
+  });
+
+  test('maps FIRRegistry require messages to their codes', () => {
+    expect(blockchainService.toError(revert('FIR does not exist')).code).toBe('CONTRACT_FIR_NOT_FOUND');
+    expect(blockchainService.toError(revert('IPFS CID cannot be empty')).code).toBe('CONTRACT_INVALID_CID');
+    expect(blockchainService.toError(revert('Similarity score cannot exceed 100')).code).toBe('CONTRACT_INVALID_SCORE');
+    expect(blockchainService.toError(revert('something new')))
+      .toMatchObject({ code: 'CONTRACT_REVERTED', message: 'Contract reverted: something new' });
+  });
+
+  test('blames the node for provider failures', () => {
+    const funds = Object.assign(new Error('insufficient funds for gas'), { code: 'INSUFFICIENT_FUNDS' });
+    const nonce = Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+
+    expect(blockchainService.toError(funds)).toMatchObject({ code: 'CHAIN_INSUFFICIENT_FUNDS', retryable: true });
+    expect(blockchainService.toError(nonce).code).toBe('CHAIN_NONCE_CONFLICT');
+    expect(blockchainService.toError(new Error('fetch failed')).code).toBe('CHAIN_UNAVAILABLE');
+  });
+});
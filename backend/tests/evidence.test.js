@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EVIDENCE_TYPES, MAX_EVIDENCE_FILES, evidenceTypeOf, checkEvidenceLimits, describeEvidence } = require('../services/evidence');
+
+const MB = 1024 * 1024;
+
+const upload = (mimetype, size = 1024, originalname = 'file') => ({ mimetype, size, originalname });
+
+describe('evidence attachments', () => {
+  test('sorts MIME types into evidence types', () => {
+    expect(evidenceTypeOf('image/png')).toBe('image');
+    expect(evidenceTypeOf('application/pdf')).toBe('document');
+    expect(evidenceTypeOf('audio/ogg')).toBe('audio');
+    expect(evidenceTypeOf('video/quicktime')).toBe('video');
+    expect(evidenceTypeOf('application/x-msdownload')).toBeNull();
+  });
+
+  test('accepts files within every per-type limit', () => {
+    const files = [upload('image/jpeg', 10 * MB), upload('application/pdf'), upload('video/mp4', 100 * MB)];
+
+    expect(checkEvidenceLimits(files)).toBeNull();
+    expect(checkEvidenceLimits([])).toBeNull();
+  });
+
+  test('reports the first file that breaks a limit', () => {
+    expect(checkEvidenceLimits([upload('image/png'), upload('text/html', 10, 'page.html')]))
+      .toEqual({ code: 'UNSUPPORTED_FILE_TYPE', message: 'Unsupported evidence file type: text/html' });
+
+    expect(checkEvidenceLimits([upload('application/pdf', 20 * MB + 1, 'statement.pdf')]))
+      .toEqual({ code: 'FILE_TOO_LARGE', message: 'Evidence document statement.pdf exceeds the 20MB limit' });
+
+    const videos = Array.from({ length: EVIDENCE_TYPES.video.maxCount + 1 }, () => upload('video/webm'));
+    expect(checkEvidenceLimits(videos))
+      .toEqual({ code: 'TOO_MANY_FILES', message: `At most ${EVIDENCE_TYPES.video.maxCount} evidence video files may be attached` });
+
+    const images = Array.from({ length: MAX_EVIDENCE_FILES + 1 }, () => upload('image/png'));
+    expect(checkEvidenceLimits(images).code).toBe('TOO_MANY_FILES');
+  });
+
+  test('describes each upload with its type, size and SHA-256', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'defir-evidence-'));
+    const filePath = path.join(directory, 'receipt.pdf');
+    fs.writeFileSync(filePath, '%PDF-1.4 receipt');
+
+    try {
+      const [described] = await describeEvidence([{ path: filePath, mimetype: 'application/pdf', size: 16 }]);
+
+      expect(described).toEqual({
+        path: filePath,
+        mimeType: 'application/pdf',
+        type: 'document',
+        size: 16,
+        hash: crypto.createHash('sha256').update('%PDF-1.4 receipt').digest('hex')
+      });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+const IMAGE = 'pixels of the complaint image';
+const RECEIPT = '%PDF-1.4 bank transfer receipt';
+
+describe('evidence integrity check endpoint', () => {
+  const victim = ethers.Wallet.createRandom();
+  const other = ethers.Wallet.createRandom();
+  let server;
+  let tokens;
+  let firId;
+
+  const check = (content, token) => {
+    const form = new FormData();
+    form.append('file', new Blob([content]), 'copy.bin');
+    return server.request('POST', `/api/firs/${firId}/verify-evidence`, { token, body: form });
+  };
+
+  beforeAll(async () => {
+    server = await startLocalServer({ victims: [victim.address, other.address] });
+    tokens = { victim: await server.signIn(victim), other: await server.signIn(other) };
+
+    const form = firForm(victim.address, { image: IMAGE });
+    form.append('evidence[]', new Blob([RECEIPT], { type: 'application/pdf' }), 'receipt.pdf');
+    const { body } = await server.request('POST', '/api/submitFIR', { token: tokens.victim, body: form });
+    firId = (await waitForJob(server.request, tokens.victim, body.jobId)).result.firId;
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('matches a copy of the complaint image or an evidence file and checks the document CID', async () => {
+    const image = await check(IMAGE, tokens.victim);
+    expect(image.status).toBe(200);
+    expect(image.body).toMatchObject({
+      match: true,
+      matches: [expect.objectContaining({ kind: 'image' })],
+      file: { size: IMAGE.length, hash: crypto.createHash('sha256').update(IMAGE).digest('hex') },
+      document: { cidMatches: true }
+    });
+
+    const receipt = await check(RECEIPT, tokens.victim);
+    expect(receipt.body.matches).toEqual([expect.objectContaining({ kind: 'evidence', mimeType: 'application/pdf' })]);
+  });
+
+  test('reports a file that was altered', async () => {
+    const { body } = await check(`${IMAGE}.`, tokens.victim);
+
+    expect(body).toMatchObject({ match: false, matches: [] });
+  });
+
+  test('refuses wallets that cannot read the FIR', async () => {
+    expect((await check(IMAGE, tokens.other)).status).toBe(403);
+  });
+});
@@ -0,0 +1,79 @@
+const { ethers } = require('ethers');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+describe('FIR read endpoints', () => {
+  const victim = ethers.Wallet.createRandom();
+  const other = ethers.Wallet.createRandom();
+  let server;
+  let victimToken;
+  let otherToken;
+  let firId;
+  let jobId;
+
+  beforeAll(async () => {
+    server = await startLocalServer({ victims: [victim.address, other.address] });
+    victimToken = await server.signIn(victim);
+    otherToken = await server.signIn(other);
+
+    const { body } = await server.request('POST', '/api/submitFIR', { token: victimToken, body: firForm(victim.address) });
+    jobId = body.jobId;
+    firId = (await waitForJob(server.request, victimToken, jobId)).result.firId;
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('names the submitting wallet as the victim, not the relayer', async () => {
+    const { status, body } = await server.request('GET', `/api/firs/${firId}`, { token: victimToken });
+
+    expect(status).toBe(200);
+    expect(body.fir.victim).toBe(victim.address);
+  });
+
+  test('lists a victim\'s FIRs by the wallet that submitted them', async () => {
+    // The index catches up with the chain on its next poll
+    let firs = [];
+    for (let attempt = 0; attempt < 50 && firs.length === 0; attempt++) {
+      ({ body: { firs } } = await server.request('GET', `/api/victim/${victim.address}/firs`, { token: victimToken }));
+      if (firs.length === 0) await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    expect(firs).toEqual([firId]);
+    expect((await server.request('GET', `/api/victim/${other.address}/firs`, { token: otherToken })).body.firs).toEqual([]);
+  });
+
+  test('only serves a victim\'s list to that wallet', async () => {
+    const { status } = await server.request('GET', `/api/victim/${victim.address}/firs`, { token: otherToken });
+
+    expect(status).toBe(403);
+  });
+
+  test('replays a finished job\'s events over SSE, after Last-Event-ID when given', async () => {
+    const stream = async (headers = {}) => {
+      // What EventSource sends: no Authorization header, so the token rides in the query
+      const response = await fetch(`${server.baseUrl}/api/jobs/${jobId}/events?access_token=${victimToken}`, {
+        headers: { Accept: 'text/event-stream', ...headers }
+      });
+      expect(response.headers.get('content-type')).toContain('text/event-stream');
+      // The stream ends once the job's final event is sent
+      return (await response.text()).split('\n\n').filter(Boolean).map(block =>
+        Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])));
+    };
+
+    const events = await stream();
+    expect(events[events.length - 1].event).toBe('job-completed');
+    expect(JSON.parse(events[events.length - 1].data).result.firId).toBe(firId);
+
+    const resumed = await stream({ 'Last-Event-ID': events[0].id });
+    expect(resumed.map(event => event.id)).toEqual(events.slice(1).map(event => event.id));
+  });
+
+  test('keeps a job\'s events from other wallets', async () => {
+    const { status } = await server.request('GET', `/api/jobs/${jobId}/events`, { token: otherToken });
+
+    expect(status).toBe(403);
+  });
+});
@@ -0,0 +1,83 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.HEALTH_CHECK_TIMEOUT_MS = '50';
+
+const database = require('../services/database');
+const blockchainService = require('../services/blockchain');
+const ipfsService = require('../services/ipfs');
+const ocrService = require('../services/ocr');
+const sttService = require('../services/stt');
+const mlService = require('../services/ml');
+const healthService = require('../services/health');
+const { COMPONENT_STATUS } = require('../services/health');
+
+describe('readiness checks', () => {
+  let probes;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initialize();
+  });
+
+  beforeEach(() => {
+    healthService.lastReport = null;
+    probes = [
+      jest.spyOn(blockchainService, 'healthCheck').mockResolvedValue({ blockNumber: 12 }),
+      jest.spyOn(ipfsService, 'getNodeInfo').mockResolvedValue({ id: 'local' }),
+      jest.spyOn(ocrService, 'healthCheck').mockResolvedValue({ languages: ['eng'] }),
+      jest.spyOn(sttService, 'healthCheck').mockResolvedValue({ provider: 'google-cloud' }),
+      jest.spyOn(mlService, 'healthCheck').mockResolvedValue({ method: 'python-ml' })
+    ];
+  });
+
+  afterEach(() => {
+    probes.forEach(probe => probe.mockRestore());
+  });
+
+  afterAll(async () => {
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('is ready when every dependency answers', async () => {
+    const report = await healthService.checkReadiness();
+
+    expect(report).toMatchObject({ ready: true, status: 'ready' });
+    expect(Object.keys(report.components)).toEqual(['blockchain', 'ipfs', 'ocr', 'database', 'stt', 'similarity']);
+    expect(report.components.blockchain).toMatchObject({ status: COMPONENT_STATUS.UP, critical: true, details: { blockNumber: 12 } });
+    expect(healthService.checkLiveness().status).toBe('alive');
+  });
+
+  test('only degrades when a component with a fallback fails or reports itself degraded', async () => {
+    sttService.healthCheck.mockRejectedValue(new Error('credentials missing'));
+    mlService.healthCheck.mockResolvedValue({ degraded: 'python unavailable, using nlp fallback', method: 'nlp-fallback' });
+
+    const report = await healthService.checkReadiness();
+
+    expect(report).toMatchObject({ ready: true, status: 'degraded' });
+    expect(report.components.stt).toMatchObject({ status: COMPONENT_STATUS.DEGRADED, error: 'credentials missing' });
+    expect(report.components.similarity).toMatchObject({
+      status: COMPONENT_STATUS.DEGRADED,
+      reason: 'python unavailable, using nlp fallback',
+      details: { method: 'nlp-fallback' }
+    });
+  });
+
+  test('is not ready when a critical component fails or hangs', async () => {
+    ipfsService.getNodeInfo.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    blockchainService.healthCheck.mockReturnValue(new Promise(() => {}));
+
+    const report = await healthService.checkReadiness();
+
+    expect(report).toMatchObject({ ready: false, status: 'not_ready' });
+    expect(report.components.ipfs.status).toBe(COMPONENT_STATUS.DOWN);
+    expect(report.components.blockchain).toMatchObject({ status: COMPONENT_STATUS.DOWN, error: 'blockchain check timed out after 50ms' });
+  });
+
+  test('shares one round of probes between concurrent and recent callers', async () => {
+    const [first, second] = await Promise.all([healthService.checkReadiness(), healthService.checkReadiness()]);
+
+    expect(first).toBe(second);
+    expect(await healthService.checkReadiness()).toBe(first);
+    expect(blockchainService.healthCheck).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,170 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { SiweMessage } = require('siwe');
+
+const SERVER_PATH = path.join(__dirname, '../../server.js');
+const READY_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Find a free TCP port on localhost
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the backend in DEFIR_MODE=local as a child process with its own
+ * database, IPFS store and outbox, and wait until it reports ready.
+ * @param {Object} options
+ * @param {string[]} [options.victims] - Wallets granted VICTIM_ROLE
+ * @param {string[]} [options.govStaff] - Wallets granted GOV_ROLE
+ * @param {Object} [options.env] - Extra environment variables
+ * @returns {Promise<{baseUrl: string, dataDir: string, request: Function, signIn: Function, stop: Function}>}
+ */
+async function startLocalServer({ victims = [], govStaff = [], env = {} } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defir-server-'));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  let output = '';
+
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: path.dirname(SERVER_PATH),
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      DEFIR_MODE: 'local',
+      PORT: String(port),
+      JWT_SECRET: 'test-secret',
+      SIWE_DOMAIN: 'localhost',
+      DATABASE_PATH: path.join(dataDir, 'defir.db'),
+      LOCAL_IPFS_DIR: path.join(dataDir, 'ipfs'),
+      LOCAL_OUTBOX_DIR: path.join(dataDir, 'outbox'),
+      LOCAL_VICTIM_ADDRESSES: victims.join(','),
+      LOCAL_GOV_ADDRESSES: govStaff.join(','),
+      INDEXER_POLL_INTERVAL_MS: '200',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const request = async (method, url, { token, body, headers = {} } = {}) => {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const response = await fetch(baseUrl + url, init);
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+  };
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  const deadline = Date.now() + READY_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`Server exited during startup:\n${output}`);
+    }
+    try {
+      if ((await request('GET', '/health/ready')).status === 200) break;
+    } catch {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      await stop();
+      throw new Error(`Server was not ready within ${READY_TIMEOUT_MS} ms:\n${output}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  /**
+   * Sign in with a SIWE message signed by the wallet
+   * @param {import('ethers').Wallet} wallet
+   * @returns {Promise<string>} - Session token
+   */
+  const signIn = async (wallet) => {
+    const { body: { nonce, domain } } = await request('GET', '/api/auth/nonce');
+    const message = new SiweMessage({
+      domain,
+      address: wallet.address,
+      statement: 'Sign in to De-FIR',
+      uri: `http://${domain}`,
+      version: '1',
+      chainId: 1,
+      nonce
+    }).prepareMessage();
+    const signature = await wallet.signMessage(message);
+
+    const { status, body } = await request('POST', '/api/auth/login', { body: { message, signature, address: wallet.address } });
+    if (status !== 200) {
+      throw new Error(`Sign-in failed: ${JSON.stringify(body)}`);
+    }
+    return body.token;
+  };
+
+  return { baseUrl, dataDir, request, signIn, stop, output: () => output };
+}
+
+/**
+ * Build the multipart body of a FIR submission from small in-memory files
+ * @param {string} victimAddress - Submitting wallet
+ * @param {Object} [options]
+ * @param {string} [options.image] - Contents of the complaint image
+ * @param {string} [options.audio] - Contents of the audio statement
+ * @returns {FormData}
+ */
+function firForm(victimAddress, { image = 'complaint image', audio = 'audio statement' } = {}) {
+  const form = new FormData();
+  form.append('victimAddress', victimAddress);
+  form.append('image', new Blob([image], { type: 'image/png' }), 'complaint.png');
+  form.append('audio', new Blob([audio], { type: 'audio/wav' }), 'statement.wav');
+  return form;
+}
+
+/**
+ * Poll a submission job until it leaves the queue
+ * @param {Function} request - Request function of a started server
+ * @param {string} token - Session token of the victim or gov staff
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - The job once completed, failed or abandoned
+ */
+async function waitForJob(request, token, jobId) {
+  const deadline = Date.now() + READY_TIMEOUT_MS;
+  for (;;) {
+    const { body: { job } } = await request('GET', `/api/jobs/${jobId}`, { token });
+    if (['completed', 'failed', 'abandoned'].includes(job.status)) return job;
+    if (Date.now() > deadline) throw new Error(`Job ${jobId} still ${job.status}`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+module.exports = {
+  startLocalServer,
+  firForm,
+  waitForJob
+};
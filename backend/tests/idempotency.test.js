@@ -0,0 +1,71 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const jobQueue = require('../services/jobQueue');
+const idempotencyService = require('../services/idempotency');
+
+const ALICE = '0x00000000000000000000000000000000000000A1';
+const BOB = '0x00000000000000000000000000000000000000B2';
+
+describe('submission idempotency', () => {
+  let jobId;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initialize();
+    jobQueue.registerHandler('test', { stages: [], run: async () => null });
+    jobId = jobQueue.enqueue('test', {}).id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('derives the natural key from the evidence and a case-insensitive victim', () => {
+    const key = idempotencyService.naturalKey('img', 'aud', ALICE, ['e1', 'e2']);
+
+    expect(idempotencyService.naturalKey('img', 'aud', ALICE.toLowerCase(), ['e2', 'e1'])).toBe(key);
+    expect(idempotencyService.naturalKey('img', 'aud', BOB, ['e1', 'e2'])).not.toBe(key);
+    expect(idempotencyService.naturalKey('img', 'aud', ALICE)).not.toBe(key);
+  });
+
+  describe('lookups', () => {
+    const aliceKey = idempotencyService.naturalKey('img', 'aud', ALICE);
+
+    beforeAll(() => {
+      idempotencyService.recordSubmission({ naturalKey: aliceKey, idempotencyKey: 'key-1', victimAddress: ALICE, jobId });
+    });
+
+    test('finds a repeat by client key or natural key', () => {
+      expect(idempotencyService.findSubmission({ idempotencyKey: 'key-1', naturalKey: aliceKey, victimAddress: ALICE }))
+        .toMatchObject({ jobId, conflict: false });
+      expect(idempotencyService.findSubmission({ naturalKey: aliceKey, victimAddress: ALICE }))
+        .toMatchObject({ jobId, conflict: false });
+    });
+
+    test('flags a client key the same wallet used for different evidence', () => {
+      const otherEvidence = idempotencyService.naturalKey('img2', 'aud', ALICE);
+
+      expect(idempotencyService.findSubmission({ idempotencyKey: 'key-1', naturalKey: otherEvidence, victimAddress: ALICE.toLowerCase() }))
+        .toMatchObject({ jobId, conflict: true });
+    });
+
+    test('does not reveal client keys used by another wallet', () => {
+      const bobKey = idempotencyService.naturalKey('img', 'aud', BOB);
+
+      expect(idempotencyService.findSubmission({ idempotencyKey: 'key-1', naturalKey: bobKey, victimAddress: BOB })).toBeNull();
+    });
+
+    test('lets another wallet record the same client key', () => {
+      const bobKey = idempotencyService.naturalKey('img', 'aud', BOB);
+      idempotencyService.recordSubmission({ naturalKey: bobKey, idempotencyKey: 'key-1', victimAddress: BOB, jobId });
+
+      expect(idempotencyService.findSubmission({ idempotencyKey: 'key-1', naturalKey: bobKey, victimAddress: BOB }))
+        .toMatchObject({ jobId, naturalKey: bobKey, conflict: false });
+      expect(() => idempotencyService.recordSubmission({
+        naturalKey: idempotencyService.naturalKey('img3', 'aud', BOB), idempotencyKey: 'key-1', victimAddress: BOB, jobId
+      })).toThrow(/UNIQUE/);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const blockchainService = require('../services/blockchain');
+const firIndexer = require('../services/indexer');
+
+const RELAYER = '0x00000000000000000000000000000000000000F0';
+const ALICE = '0x00000000000000000000000000000000000000A1';
+const OFFICER = '0x00000000000000000000000000000000000000C3';
+
+// A chain the test edits block by block; each block is {hash, events}
+let blocks = [];
+
+function block(tag, events = []) {
+  const number = blocks.length;
+  const hash = `0x${tag}${number}`;
+  blocks.push({
+    hash,
+    events: events.map((event, logIndex) => ({ ...event, blockNumber: number, blockHash: hash, logIndex, txHash: `0xtx-${tag}${number}-${logIndex}` }))
+  });
+}
+
+const created = (firId, ipfsCid) => ({
+  name: 'FIRCreated',
+  firId,
+  args: { victim: RELAYER, ipfsCid, timestamp: '1700000000', similarityScore: '80' }
+});
+const verified = (firId) => ({ name: 'FIRVerified', firId, args: { verified: true, verifiedBy: OFFICER } });
+
+const fir = (id) => firIndexer.listFIRs({ limit: 100 }).firs.find(item => item.id === id);
+
+describe('FIR indexer', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await database.initialize();
+
+    jest.spyOn(blockchainService, 'getBlockNumber').mockImplementation(async () => blocks.length - 1);
+    jest.spyOn(blockchainService, 'getBlockHash').mockImplementation(async number => blocks[number]?.hash ?? null);
+    jest.spyOn(blockchainService, 'getFIREvents').mockImplementation(async (fromBlock, toBlock) =>
+      blocks.slice(fromBlock, toBlock + 1).flatMap(entry => entry.events));
+  });
+
+  afterAll(async () => {
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('indexes events and files FIRs under the wallet that submitted them', async () => {
+    firIndexer.recordSubmission('cid-1', ALICE);
+    block('a');
+    block('a', [created(1, 'cid-1'), created(2, 'cid-2')]);
+    block('a', [verified(1)]);
+
+    await firIndexer.sync();
+
+    expect(firIndexer.getIndexedBlock()).toBe(2);
+    expect(fir(1)).toMatchObject({ victim: ALICE, ipfsCid: 'cid-1', verified: true, verifiedBy: OFFICER });
+    // Created outside the submission pipeline: only the transaction sender is known
+    expect(fir(2)).toMatchObject({ victim: RELAYER, verified: false });
+    expect(firIndexer.listFIRs({ victim: ALICE.toLowerCase() }).firs.map(item => item.id)).toEqual([1]);
+  });
+
+  test('rolls back blocks a reorganisation replaced', async () => {
+    blocks = blocks.slice(0, 2);
+    block('b');
+    block('b', [verified(2)]);
+
+    await firIndexer.sync();
+
+    expect(firIndexer.getIndexedBlock()).toBe(3);
+    expect(fir(1)).toMatchObject({ victim: ALICE, verified: false });
+    expect(fir(2)).toMatchObject({ verified: true });
+  });
+
+  test('re-indexes from scratch after a reorganisation deeper than its checkpoints', async () => {
+    blocks = [];
+    block('c');
+    block('c', [created(1, 'cid-1')]);
+
+    await firIndexer.sync();
+
+    expect(firIndexer.getIndexedBlock()).toBe(1);
+    expect(firIndexer.listFIRs().firs).toEqual([expect.objectContaining({ id: 1, victim: ALICE, verified: false })]);
+  });
+});
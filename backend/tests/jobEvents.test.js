@@ -0,0 +1,60 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const eventBus = require('../services/eventBus');
+const jobQueue = require('../services/jobQueue');
+
+describe('job events', () => {
+  const live = [];
+  const onJobEvent = event => live.push(event);
+  let jobId;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initialize();
+
+    jobQueue.registerHandler('events', {
+      stages: [],
+      run: async (payload, { emit }) => {
+        emit('ocr-started', { stage: 'ocr' });
+        emit('ocr-progress', { stage: 'ocr', progress: 0.5 });
+        emit('ocr-completed', { stage: 'ocr', confidence: 90 });
+        return { done: true };
+      }
+    });
+    eventBus.on('job-event', onJobEvent);
+
+    jobId = jobQueue.enqueue('events', {}).id;
+    while (!live.some(event => event.jobId === jobId && event.type === 'job-completed')) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  });
+
+  afterAll(async () => {
+    eventBus.off('job-event', onJobEvent);
+    await jobQueue.stop();
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('broadcasts every event live, ending with the outcome', () => {
+    expect(live.filter(event => event.jobId === jobId).map(event => event.type))
+      .toEqual(['ocr-started', 'ocr-progress', 'ocr-completed', 'job-completed']);
+    expect(live.find(event => event.type === 'job-completed').data).toEqual({ result: { done: true } });
+  });
+
+  test('stores all but progress ticks for replay', () => {
+    const stored = jobQueue.getEvents(jobId);
+
+    expect(stored.map(event => event.type)).toEqual(['ocr-started', 'ocr-completed', 'job-completed']);
+    expect(stored.map(event => event.id)).toEqual(live.filter(event => event.id !== null).map(event => event.id));
+    expect(live.find(event => event.type === 'ocr-progress').id).toBeNull();
+  });
+
+  test('replays only the events after a Last-Event-ID', () => {
+    const [first, ...rest] = jobQueue.getEvents(jobId);
+
+    expect(jobQueue.getEvents(jobId, first.id)).toEqual(rest);
+    expect(jobQueue.getEvents(jobId, rest[rest.length - 1].id)).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const jobQueue = require('../services/jobQueue');
+const { JOB_STATUS, STAGE_STATUS } = require('../services/jobQueue');
+
+const calls = [];
+let failAt = null;
+
+// Resolves once the job has left the queue
+async function settled(jobId) {
+  for (;;) {
+    const job = jobQueue.getJob(jobId);
+    if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('job queue', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await database.initialize();
+
+    jobQueue.registerHandler('test', {
+      stages: ['first', 'second', 'third'],
+      run: async (payload, { runStage }) => {
+        const results = [];
+        for (const name of ['first', 'second', 'third']) {
+          results.push(await runStage(name, async () => {
+            calls.push(name);
+            if (failAt === name) throw new Error(`${name} broke`);
+            return `${name}:${payload.value}`;
+          }));
+        }
+        return { results };
+      }
+    });
+  });
+
+  beforeEach(() => {
+    calls.length = 0;
+    failAt = null;
+  });
+
+  afterAll(async () => {
+    await jobQueue.stop();
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('runs the stages in order and stores their results', async () => {
+    const queued = jobQueue.enqueue('test', { value: 1 });
+    expect(queued.status).toBe(JOB_STATUS.QUEUED);
+
+    const job = await settled(queued.id);
+
+    expect(calls).toEqual(['first', 'second', 'third']);
+    expect(job.status).toBe(JOB_STATUS.COMPLETED);
+    expect(job.attempts).toBe(1);
+    expect(job.result).toEqual({ results: ['first:1', 'second:1', 'third:1'] });
+    expect(job.stages.map(stage => [stage.name, stage.status, stage.result])).toEqual([
+      ['first', STAGE_STATUS.COMPLETED, 'first:1'],
+      ['second', STAGE_STATUS.COMPLETED, 'second:1'],
+      ['third', STAGE_STATUS.COMPLETED, 'third:1']
+    ]);
+  });
+
+  test('fails the job at the failing stage and leaves the rest pending', async () => {
+    failAt = 'second';
+    const job = await settled(jobQueue.enqueue('test', { value: 2 }).id);
+
+    expect(job.status).toBe(JOB_STATUS.FAILED);
+    expect(job.error).toBeTruthy();
+    expect(job.stages.map(stage => stage.status)).toEqual([STAGE_STATUS.COMPLETED, STAGE_STATUS.FAILED, STAGE_STATUS.PENDING]);
+  });
+
+  test('picks up jobs a previous process left running without repeating completed stages', async () => {
+    failAt = 'second';
+    const { id } = jobQueue.enqueue('test', { value: 3 });
+    await settled(id);
+
+    // What a crash in the middle of the second stage leaves behind
+    database.getConnection().prepare('UPDATE jobs SET status = ? WHERE id = ?').run(JOB_STATUS.RUNNING, id);
+    failAt = null;
+    calls.length = 0;
+    await jobQueue.initialize();
+
+    const job = await settled(id);
+    expect(calls).toEqual(['second', 'third']);
+    expect(job.status).toBe(JOB_STATUS.COMPLETED);
+    expect(job.attempts).toBe(2);
+    expect(job.result).toEqual({ results: ['first:3', 'second:3', 'third:3'] });
+  });
+
+  describe('requeue and abandon', () => {
+    let jobId;
+
+    beforeEach(async () => {
+      failAt = 'second';
+      jobId = jobQueue.enqueue('test', { value: 4 }).id;
+      await settled(jobId);
+      failAt = null;
+      calls.length = 0;
+    });
+
+    test('resumes a failed job from the failed stage with the merged payload', async () => {
+      const requeued = jobQueue.requeue(jobId, { payload: { value: 5 }, reason: 'manual' });
+      expect(requeued.status).toBe(JOB_STATUS.QUEUED);
+
+      const job = await settled(jobId);
+      expect(calls).toEqual(['second', 'third']);
+      expect(job.result).toEqual({ results: ['first:4', 'second:5', 'third:5'] });
+      expect(jobQueue.getJournal(jobId).map(entry => entry.outcome)).toContain('requeued');
+    });
+
+    test('re-runs completed stages named in resetStages', async () => {
+      jobQueue.requeue(jobId, { payload: { value: 6 }, resetStages: ['first'] });
+
+      const job = await settled(jobId);
+      expect(calls).toEqual(['first', 'second', 'third']);
+      expect(job.result).toEqual({ results: ['first:6', 'second:6', 'third:6'] });
+    });
+
+    test('only abandons failed jobs and only requeues abandoned ones when asked to', async () => {
+      expect(jobQueue.abandon(jobId, { reason: 'duplicate' }).status).toBe(JOB_STATUS.ABANDONED);
+      expect(jobQueue.abandon(jobId, {})).toBeNull();
+      expect(jobQueue.requeue(jobId)).toBeNull();
+
+      jobQueue.requeue(jobId, { from: [JOB_STATUS.FAILED, JOB_STATUS.ABANDONED] });
+      const job = await settled(jobId);
+      expect(job.status).toBe(JOB_STATUS.COMPLETED);
+      expect(jobQueue.abandon(jobId, {})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+// The local chain's deployer, which holds DEFAULT_ADMIN_ROLE
+const ADMIN = new ethers.Wallet(ethers.id('defir-local:gov'));
+
+describe('station routing and officer jurisdiction', () => {
+  const victim = ethers.Wallet.createRandom();
+  const shivajinagar = ethers.Wallet.createRandom();
+  const deccan = ethers.Wallet.createRandom();
+  let server;
+  let tokens;
+  let firs;
+
+  const submit = async (location, image) => {
+    const form = firForm(victim.address, { image });
+    for (const [name, value] of Object.entries(location)) form.append(name, String(value));
+
+    const { body } = await server.request('POST', '/api/submitFIR', { token: tokens.victim, body: form });
+    return (await waitForJob(server.request, tokens.victim, body.jobId)).result;
+  };
+
+  beforeAll(async () => {
+    server = await startLocalServer({
+      victims: [victim.address],
+      govStaff: [shivajinagar.address, deccan.address],
+      env: { JURISDICTIONS_PATH: path.join(__dirname, '../docs/jurisdictions.example.geojson') }
+    });
+    tokens = {
+      admin: await server.signIn(ADMIN),
+      victim: await server.signIn(victim),
+      shivajinagar: await server.signIn(shivajinagar),
+      deccan: await server.signIn(deccan)
+    };
+
+    for (const [code, name, officer] of [
+      ['PS-SHIVAJINAGAR', 'Shivajinagar Police Station', shivajinagar],
+      ['PS-DECCAN', 'Deccan Gymkhana Police Station', deccan]
+    ]) {
+      await server.request('POST', '/api/stations', { token: tokens.admin, body: { code, name } });
+      await server.request('PUT', `/api/officers/${officer.address}`, { token: tokens.admin, body: { name: `Officer at ${code}`, stationCode: code } });
+    }
+
+    firs = {
+      byLocation: await submit({ latitude: 18.53, longitude: 73.85 }, 'image by location'),
+      byPincode: await submit({ pincode: '411004' }, 'image by pincode'),
+      unrouted: await submit({ pincode: '110001' }, 'image without a station')
+    };
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('routes a FIR by the incident location, then by pincode', () => {
+    expect(firs.byLocation.stationCode).toBe('PS-SHIVAJINAGAR');
+    expect(firs.byPincode.stationCode).toBe('PS-DECCAN');
+    expect(firs.unrouted.stationCode).toBeNull();
+  });
+
+  test('lists only the FIRs of the officer\'s station', async () => {
+    const { body } = await server.request('GET', '/api/firs', { token: tokens.shivajinagar });
+
+    expect(body.firs.map(fir => fir.id)).toEqual([firs.byLocation.firId]);
+  });
+
+  test('keeps officers to their station\'s FIRs', async () => {
+    const outside = await server.request('POST', `/api/firs/${firs.byPincode.firId}/investigate`, { token: tokens.shivajinagar });
+    expect(outside.status).toBe(403);
+    expect(outside.body.code).toBe('OUTSIDE_JURISDICTION');
+
+    expect((await server.request('GET', `/api/firs/${firs.byPincode.firId}`, { token: tokens.shivajinagar })).status).toBe(403);
+    expect((await server.request('POST', `/api/firs/${firs.byPincode.firId}/investigate`, { token: tokens.deccan })).status).toBe(200);
+  });
+});
@@ -0,0 +1,104 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const stationService = require('../services/stations');
+const jurisdictionService = require('../services/jurisdictions');
+
+// A 10x10 square around the origin with a 2x2 hole in the middle
+const CENTRAL = [
+  [[-5, -5], [5, -5], [5, 5], [-5, 5], [-5, -5]],
+  [[-1, -1], [1, -1], [1, 1], [-1, 1], [-1, -1]]
+];
+const square = (x, y) => [[[x, y], [x + 2, y], [x + 2, y + 2], [x, y + 2], [x, y]]];
+
+const geojson = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { stationCode: 'central', pincodes: ['110001'] },
+      geometry: { type: 'Polygon', coordinates: CENTRAL }
+    },
+    {
+      type: 'Feature',
+      properties: { stationCode: 'HARBOUR', pincodes: ['400001', '110001'] },
+      geometry: { type: 'MultiPolygon', coordinates: [square(-0.5, -0.5), square(20, 20)] }
+    },
+    {
+      type: 'Feature',
+      properties: { stationCode: 'UNREGISTERED', pincodes: ['560001'] },
+      geometry: { type: 'Polygon', coordinates: square(30, 30) }
+    },
+    {
+      type: 'Feature',
+      properties: { stationCode: 'RURAL', pincodes: ['600001'] },
+      geometry: null
+    }
+  ]
+};
+
+describe('jurisdiction matching', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await database.initialize();
+    stationService.createStation({ code: 'CENTRAL', name: 'Central' });
+    stationService.createStation({ code: 'HARBOUR', name: 'Harbour' });
+    stationService.createStation({ code: 'RURAL', name: 'Rural' });
+    jurisdictionService.load(geojson);
+  });
+
+  afterAll(async () => {
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('matches coordinates inside a polygon', () => {
+    expect(jurisdictionService.match({ latitude: 3, longitude: -4 }))
+      .toEqual({ stationCode: 'CENTRAL', matchedBy: 'coordinates' });
+  });
+
+  test('passes over a polygon whose hole holds the point', () => {
+    expect(jurisdictionService.match({ latitude: 0, longitude: 0 }))
+      .toEqual({ stationCode: 'HARBOUR', matchedBy: 'coordinates' });
+  });
+
+  test('matches any polygon of a MultiPolygon', () => {
+    expect(jurisdictionService.match({ latitude: 21, longitude: 21 }))
+      .toEqual({ stationCode: 'HARBOUR', matchedBy: 'coordinates' });
+  });
+
+  test('falls back to the pincode, the first station listing it claiming it', () => {
+    expect(jurisdictionService.match({ latitude: 50, longitude: 50, pincode: '400001' }))
+      .toEqual({ stationCode: 'HARBOUR', matchedBy: 'pincode' });
+    expect(jurisdictionService.match({ pincode: '110001' }))
+      .toEqual({ stationCode: 'CENTRAL', matchedBy: 'pincode' });
+    expect(jurisdictionService.match({ pincode: '600001' }))
+      .toEqual({ stationCode: 'RURAL', matchedBy: 'pincode' });
+  });
+
+  test('reads the last pincode in the address', () => {
+    expect(jurisdictionService.match({ address: 'Flat 4, Plot 110001 Road, Mumbai 400001' }))
+      .toEqual({ stationCode: 'HARBOUR', matchedBy: 'address' });
+  });
+
+  test('skips stations that are not registered', () => {
+    expect(jurisdictionService.match({ latitude: 31, longitude: 31 })).toBeNull();
+    expect(jurisdictionService.match({ pincode: '560001' })).toBeNull();
+  });
+
+  test('returns null without a location or a match', () => {
+    expect(jurisdictionService.match(null)).toBeNull();
+    expect(jurisdictionService.match({ latitude: 100, longitude: 100, pincode: '999999', address: 'Nowhere' })).toBeNull();
+  });
+
+  test('rejects files that are not usable jurisdictions', () => {
+    expect(() => jurisdictionService.load({ type: 'Feature' })).toThrow('FeatureCollection');
+    expect(() => jurisdictionService.load({ type: 'FeatureCollection', features: [{ properties: {} }] }))
+      .toThrow('has no properties.stationCode');
+    expect(() => jurisdictionService.load({
+      type: 'FeatureCollection',
+      features: [{ properties: { stationCode: 'X' }, geometry: { type: 'Point', coordinates: [0, 0] } }]
+    })).toThrow('unsupported geometry Point');
+  });
+});
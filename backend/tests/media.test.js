@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { text } = require('stream/consumers');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defir-media-'));
+process.env.DEFIR_MODE = 'local';
+process.env.LOCAL_IPFS_DIR = path.join(storeDir, 'ipfs');
+
+const encryptionService = require('../services/encryption');
+const ipfsService = require('../services/ipfs');
+const { hashFile, pinMedia, openMedia, listMedia } = require('../services/evidence');
+
+const STATEMENT = 'Audio statement recorded at the station';
+
+describe('complaint media on IPFS', () => {
+  let item;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await encryptionService.initialize();
+    await ipfsService.initialize();
+
+    const filePath = path.join(storeDir, 'statement.txt');
+    fs.writeFileSync(filePath, STATEMENT);
+    item = { path: filePath, hash: await hashFile(filePath), mimeType: 'text/plain' };
+  });
+
+  afterAll(async () => {
+    encryptionService.mediaEncryption = true;
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('pins media encrypted and streams back the original', async () => {
+    const pinned = await pinMedia(item);
+
+    expect(pinned).toMatchObject({ hash: item.hash, mimeType: 'text/plain', size: STATEMENT.length });
+    expect(pinned.encryption).toMatchObject({ alg: 'A256GCM' });
+    expect(await text(await ipfsService.fetchStream(pinned.cid))).not.toContain(STATEMENT);
+    expect(await text(await openMedia(pinned))).toBe(STATEMENT);
+  });
+
+  test('re-pinning the same file yields the same CID', async () => {
+    const first = await pinMedia(item);
+    const second = await pinMedia(item);
+    expect(second.cid).toBe(first.cid);
+  });
+
+  test('fails the stream when the content does not authenticate', async () => {
+    const pinned = await pinMedia(item);
+    const tag = Buffer.from(pinned.encryption.tag, 'base64');
+    tag[0] ^= 1;
+
+    const stream = await openMedia({ ...pinned, encryption: { ...pinned.encryption, tag: tag.toString('base64') } });
+    await expect(text(stream)).rejects.toThrow();
+  });
+
+  test('pins plaintext when media encryption is off', async () => {
+    encryptionService.mediaEncryption = false;
+    const pinned = await pinMedia(item);
+    encryptionService.mediaEncryption = true;
+
+    expect(pinned.encryption).toBeNull();
+    expect(await text(await ipfsService.fetchStream(pinned.cid))).toBe(STATEMENT);
+    expect(await text(await openMedia(pinned))).toBe(STATEMENT);
+  });
+
+  test('lists the image, audio and evidence a document references', () => {
+    const image = { cid: 'cid-image', hash: 'aa', mimeType: 'image/png' };
+    const evidence = { cid: 'cid-evidence', hash: 'cc', mimeType: 'application/pdf', type: 'document' };
+
+    expect(listMedia({ imageHash: 'aa', audioHash: 'bb', media: { image }, evidence: [evidence] })).toEqual([image, evidence]);
+    expect(listMedia({ imageHash: 'aa' })).toEqual([]);
+  });
+});
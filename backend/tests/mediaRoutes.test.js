@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+const IMAGE = 'pixels of the complaint image';
+const AUDIO = 'samples of the audio statement';
+
+describe('FIR media endpoint', () => {
+  const victim = ethers.Wallet.createRandom();
+  const other = ethers.Wallet.createRandom();
+  const officer = ethers.Wallet.createRandom();
+  let server;
+  let tokens;
+  let firId;
+  let media;
+
+  const download = (url, token) => fetch(server.baseUrl + url, { headers: { Authorization: `Bearer ${token}` } });
+
+  beforeAll(async () => {
+    server = await startLocalServer({ victims: [victim.address, other.address], govStaff: [officer.address] });
+    tokens = {
+      victim: await server.signIn(victim),
+      other: await server.signIn(other),
+      officer: await server.signIn(officer)
+    };
+
+    const { body } = await server.request('POST', '/api/submitFIR', {
+      token: tokens.victim,
+      body: firForm(victim.address, { image: IMAGE, audio: AUDIO })
+    });
+    ({ firId, media } = (await waitForJob(server.request, tokens.victim, body.jobId)).result);
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('pins the originals encrypted', () => {
+    const directory = path.join(server.dataDir, 'ipfs');
+    const blocks = fs.readdirSync(directory).map(name => fs.readFileSync(path.join(directory, name), 'utf8'));
+
+    expect(blocks.some(block => block.includes(IMAGE) || block.includes(AUDIO))).toBe(false);
+  });
+
+  test('streams the decrypted original with its recorded hash', async () => {
+    for (const [kind, content, token] of [['image', IMAGE, tokens.victim], ['audio', AUDIO, tokens.officer]]) {
+      const response = await download(`/api/firs/${firId}/media/${media[kind].cid}`, token);
+
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe(content);
+      expect(response.headers.get('x-content-sha256')).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+    }
+  });
+
+  test('refuses wallets that cannot read the FIR', async () => {
+    const response = await download(`/api/firs/${firId}/media/${media.image.cid}`, tokens.other);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('only serves CIDs the FIR document lists', async () => {
+    const { status, body } = await server.request('GET', `/api/firs/${firId}/media/${media.image.cid.replace(/.$/, 'a')}`, { token: tokens.victim });
+
+    expect(status).toBe(404);
+    expect(body.code).toBe('MEDIA_NOT_FOUND');
+  });
+});
@@ -0,0 +1,69 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const jobQueue = require('../services/jobQueue');
+const metricsService = require('../services/metrics');
+const { OCRError } = require('../services/errors');
+
+// Value of a series in the exposition text, or undefined if it is absent
+function sample(text, series) {
+  const line = text.split('\n').find(row => row.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('Prometheus metrics', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await database.initialize();
+
+    jobQueue.registerHandler('metered', {
+      stages: ['ocr', 'similarity'],
+      run: async (payload, { runStage }) => {
+        await runStage('similarity', async () => 80);
+        await runStage('ocr', async () => { throw new OCRError('OCR_NO_TEXT'); });
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await jobQueue.stop();
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('times every job stage and counts failures by error code', async () => {
+    const { id } = jobQueue.enqueue('metered', {});
+    while (jobQueue.getJob(id).status !== 'failed') {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const text = await metricsService.render();
+    expect(sample(text, 'defir_pipeline_stage_duration_seconds_count{job_type="metered",stage="similarity",outcome="succeeded"}')).toBe(1);
+    expect(sample(text, 'defir_pipeline_stage_duration_seconds_count{job_type="metered",stage="ocr",outcome="failed"}')).toBe(1);
+    expect(sample(text, 'defir_pipeline_stage_failures_total{job_type="metered",stage="ocr",code="OCR_NO_TEXT"}')).toBe(1);
+  });
+
+  test('records confirmation time and gas of contract transactions', async () => {
+    metricsService.observeTransaction('createFIR', 2, { status: 1, gasUsed: 120000n });
+    metricsService.observeTransaction('setVerification', 1, { status: 0, gasUsed: 40000n });
+
+    const text = await metricsService.render();
+    expect(sample(text, 'defir_tx_confirmation_seconds_count{operation="createFIR",status="success"}')).toBe(1);
+    expect(sample(text, 'defir_tx_confirmation_seconds_count{operation="setVerification",status="failed"}')).toBe(1);
+    expect(sample(text, 'defir_tx_gas_used_sum{operation="createFIR"}')).toBe(120000);
+  });
+
+  test('reports the share of indexed FIRs that are verified', async () => {
+    const insert = database.getConnection().prepare(`
+      INSERT INTO firs (id, victim, ipfs_cid, timestamp, similarity_score, verified, block_number, tx_hash)
+      VALUES (?, '0x00000000000000000000000000000000000000A1', 'bafy', 0, 90, ?, 1, '0x')
+    `);
+    [1, 0, 0, 0].forEach((verified, index) => insert.run(index + 1, verified));
+
+    const text = await metricsService.render();
+    expect(sample(text, 'defir_firs{verified="true"}')).toBe(1);
+    expect(sample(text, 'defir_firs{verified="false"}')).toBe(3);
+    expect(sample(text, 'defir_firs_verified_ratio')).toBe(0.25);
+  });
+});
@@ -0,0 +1,67 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const { noteMessage } = require('../services/notes');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+describe('case notes endpoints', () => {
+  const victim = ethers.Wallet.createRandom();
+  const officer = ethers.Wallet.createRandom();
+  let server;
+  let tokens;
+  let firId;
+
+  const post = async (wallet, token, visibility, body) => {
+    const signedAt = new Date().toISOString();
+    const signature = await wallet.signMessage(noteMessage({ firId, visibility, signedAt, body }));
+    return server.request('POST', `/api/firs/${firId}/notes`, { token, body: { body, visibility, signedAt, signature } });
+  };
+  const list = async (token) => (await server.request('GET', `/api/firs/${firId}/notes`, { token })).body;
+
+  beforeAll(async () => {
+    server = await startLocalServer({ victims: [victim.address], govStaff: [officer.address] });
+    tokens = { victim: await server.signIn(victim), officer: await server.signIn(officer) };
+
+    const { body } = await server.request('POST', '/api/submitFIR', { token: tokens.victim, body: firForm(victim.address) });
+    firId = (await waitForJob(server.request, tokens.victim, body.jobId)).result.firId;
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('chains signed notes and hides internal ones from the complainant', async () => {
+    expect((await post(officer, tokens.officer, 'internal', 'Bank asked to freeze the account')).status).toBe(201);
+    expect((await post(victim, tokens.victim, 'shared', 'The caller rang again today')).status).toBe(201);
+    expect((await post(officer, tokens.officer, 'shared', 'Statement recorded')).status).toBe(201);
+
+    const thread = await list(tokens.officer);
+    expect(thread.complete).toBe(true);
+    expect(thread.notes.map(note => [note.visibility, note.signatureValid, note.linked])).toEqual([
+      ['internal', true, true],
+      ['shared', true, true],
+      ['shared', true, true]
+    ]);
+
+    const shared = await list(tokens.victim);
+    expect(shared.notes.map(note => note.body)).toEqual(['The caller rang again today', 'Statement recorded']);
+  });
+
+  test('refuses an internal note from the complainant and a signature from another wallet', async () => {
+    expect((await post(victim, tokens.victim, 'internal', 'Private')).body.code).toBe('FORBIDDEN');
+    expect((await post(officer, tokens.victim, 'shared', 'Forged')).body.code).toBe('NOTE_SIGNATURE_INVALID');
+  });
+
+  test('detects notes dropped from the end of the thread', async () => {
+    const db = new Database(path.join(server.dataDir, 'defir.db'));
+    db.prepare('DELETE FROM fir_notes WHERE id = (SELECT MAX(id) FROM fir_notes)').run();
+    db.close();
+
+    const thread = await list(tokens.officer);
+    expect(thread.notes).toHaveLength(2);
+    expect(thread.notes.every(note => note.linked)).toBe(true);
+    expect(thread.complete).toBe(false);
+  });
+});
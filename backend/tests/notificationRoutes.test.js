@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+describe('victim notification endpoints', () => {
+  const victim = ethers.Wallet.createRandom();
+  const other = ethers.Wallet.createRandom();
+  let server;
+  let tokens;
+  let firId;
+  let registered;
+
+  beforeAll(async () => {
+    server = await startLocalServer({ victims: [victim.address, other.address] });
+    tokens = { victim: await server.signIn(victim), other: await server.signIn(other) };
+
+    const { status } = await server.request('PUT', '/api/notifications/preferences', {
+      token: tokens.victim,
+      body: { language: 'hi', channels: { inApp: true, email: true, sms: false }, email: 'victim@example.com' }
+    });
+    expect(status).toBe(200);
+
+    const { body } = await server.request('POST', '/api/submitFIR', { token: tokens.victim, body: firForm(victim.address) });
+    firId = (await waitForJob(server.request, tokens.victim, body.jobId)).result.firId;
+
+    // FIRCreated reaches the notifier once the indexer picks it up
+    const deadline = Date.now() + 20 * 1000;
+    while (!registered && Date.now() < deadline) {
+      const { body: { notifications } } = await server.request('GET', '/api/notifications', { token: tokens.victim });
+      registered = notifications.find(item => item.firId === firId && item.type === 'registered');
+      if (!registered) await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('tells the victim in their language on every channel they chose', () => {
+    expect(registered).toMatchObject({ language: 'hi', subject: `एफआईआर ${firId} दर्ज हुई`, readAt: null });
+
+    const directory = path.join(server.dataDir, 'outbox', 'email');
+    const emails = fs.readdirSync(directory).map(name => fs.readFileSync(path.join(directory, name), 'utf8'));
+    expect(emails.some(email => email.includes('To: victim@example.com') && email.includes(`एफआईआर ${firId} दर्ज हुई`))).toBe(true);
+  });
+
+  test('marks a notification read for its recipient only', async () => {
+    expect((await server.request('POST', `/api/notifications/${registered.id}/read`, { token: tokens.other })).status).toBe(404);
+
+    const { status, body } = await server.request('POST', `/api/notifications/${registered.id}/read`, { token: tokens.victim });
+    expect(status).toBe(200);
+    expect(body.notification.readAt).toBeTruthy();
+
+    const unread = await server.request('GET', '/api/notifications?unreadOnly=true', { token: tokens.victim });
+    expect(unread.body.notifications.map(item => item.id)).not.toContain(registered.id);
+  });
+
+  test('keeps other wallets\' notifications apart', async () => {
+    const { body } = await server.request('GET', '/api/notifications', { token: tokens.other });
+
+    expect(body.notifications).toEqual([]);
+  });
+
+  test('requires an address for the email channel', async () => {
+    const { status } = await server.request('PUT', '/api/notifications/preferences', {
+      token: tokens.other,
+      body: { language: 'en', channels: { inApp: true, email: true, sms: false } }
+    });
+
+    expect(status).toBe(400);
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const jobQueue = require('../services/jobQueue');
+const recoveryService = require('../services/recovery');
+const { FIR_SUBMISSION_JOB } = require('../services/firPipeline');
+
+const { JOB_STATUS } = jobQueue;
+const STAGES = ['ocr', 'ipfs', 'createFIR', 'setVerification'];
+
+const calls = [];
+let failAt = null;
+
+async function settled(jobId) {
+  for (;;) {
+    const job = jobQueue.getJob(jobId);
+    if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('submission recovery', () => {
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defir-recovery-'));
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await database.initialize();
+
+    // Stand-in for the FIR pipeline: each stage records that it ran
+    jobQueue.registerHandler(FIR_SUBMISSION_JOB, {
+      stages: STAGES,
+      run: async (payload, { runStage }) => {
+        for (const name of STAGES) {
+          await runStage(name, async () => {
+            calls.push(name);
+            if (failAt === name) throw new Error(`${name} failed`);
+            return name === 'ipfs' ? { cid: `cid-${payload.imagePath}` } : null;
+          });
+        }
+        return { firId: 1 };
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await jobQueue.stop();
+    await database.close();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  // A submission that failed at `stage`, with its upload on disk
+  async function failedSubmission(stage) {
+    const imagePath = path.join(uploadDir, `${stage}-${Date.now()}.png`);
+    fs.writeFileSync(imagePath, 'image');
+    failAt = stage;
+    const { id } = jobQueue.enqueue(FIR_SUBMISSION_JOB, { victimAddress: '0x01', imagePath });
+    await settled(id);
+    failAt = null;
+    calls.length = 0;
+    return id;
+  }
+
+  test('a resubmission resumes a failed submission from the failed stage', async () => {
+    const id = await failedSubmission('createFIR');
+
+    expect(recoveryService.resubmit(id, { imagePath: 'fresh.png' })).toMatchObject({ status: JOB_STATUS.QUEUED });
+    expect((await settled(id)).status).toBe(JOB_STATUS.COMPLETED);
+    expect(calls).toEqual(['createFIR', 'setVerification']);
+  });
+
+  test('abandoning releases the upload and the pin of a FIR that never reached the contract', async () => {
+    const id = await failedSubmission('createFIR');
+    const { imagePath } = jobQueue.getJob(id).payload;
+
+    const submission = await recoveryService.abandon(id, { actor: '0xadmin', reason: 'stuck' });
+
+    expect(submission.status).toBe(JOB_STATUS.ABANDONED);
+    expect(submission.orphanedCid).toBe(`cid-${imagePath}`);
+    expect(fs.existsSync(imagePath)).toBe(false);
+    expect(recoveryService.retry(id, '0xadmin')).toBeNull();
+    expect(recoveryService.listSubmissions({ state: 'abandoned' }).submissions.map(item => item.jobId)).toContain(id);
+  });
+
+  test('a resubmission starts an abandoned submission over if it never reached the contract', async () => {
+    const id = await failedSubmission('createFIR');
+    await recoveryService.abandon(id, { actor: '0xadmin' });
+
+    recoveryService.resubmit(id, { imagePath: 'fresh.png' });
+    const job = await settled(id);
+
+    expect(job.status).toBe(JOB_STATUS.COMPLETED);
+    expect(calls).toEqual(STAGES);
+    expect(job.stages.find(stage => stage.name === 'ipfs').result).toEqual({ cid: 'cid-fresh.png' });
+  });
+
+  test('a resubmission resumes an abandoned submission that already created its FIR', async () => {
+    const id = await failedSubmission('setVerification');
+    await recoveryService.abandon(id, { actor: '0xadmin' });
+
+    recoveryService.resubmit(id, { imagePath: 'fresh.png' });
+
+    expect((await settled(id)).status).toBe(JOB_STATUS.COMPLETED);
+    expect(calls).toEqual(['setVerification']);
+  });
+
+  test('a resubmission leaves completed submissions alone', async () => {
+    const { id } = jobQueue.enqueue(FIR_SUBMISSION_JOB, { victimAddress: '0x01' });
+    await settled(id);
+
+    expect(recoveryService.resubmit(id, { imagePath: 'fresh.png' })).toBeNull();
+  });
+});
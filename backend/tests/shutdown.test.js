@@ -0,0 +1,74 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../services/database');
+const jobQueue = require('../services/jobQueue');
+const healthService = require('../services/health');
+const { JOB_STATUS } = require('../services/jobQueue');
+const { FIR_SUBMISSION_JOB, removeStrayUploads } = require('../services/firPipeline');
+
+describe('graceful shutdown', () => {
+  let release;
+  let uploadDir;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await database.initialize();
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'defir-uploads-'));
+
+    jobQueue.registerHandler('slow', {
+      stages: ['wait'],
+      run: (payload, { runStage }) => runStage('wait', () => new Promise(resolve => { release = resolve; }))
+    });
+    // Submissions only need to be queued here; the stopped queue never runs them
+    jobQueue.registerHandler(FIR_SUBMISSION_JOB, { stages: [], run: async () => {} });
+  });
+
+  afterAll(async () => {
+    release?.();
+    await jobQueue.stop();
+    await database.close();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('waits for running jobs up to the timeout and claims nothing new', async () => {
+    const running = jobQueue.enqueue('slow', {});
+    while (!release) await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await jobQueue.stop({ timeoutMs: 20 })).toBe(false);
+    expect(jobQueue.getJob(running.id).status).toBe(JOB_STATUS.RUNNING);
+
+    const waiting = jobQueue.enqueue('slow', {});
+    const drained = jobQueue.stop();
+    release();
+
+    expect(await drained).toBe(true);
+    expect(jobQueue.getJob(running.id).status).toBe(JOB_STATUS.COMPLETED);
+    expect(jobQueue.getJob(waiting.id).status).toBe(JOB_STATUS.QUEUED);
+  });
+
+  test('removes only uploads that no unfinished submission needs', async () => {
+    const upload = name => {
+      const filePath = path.join(uploadDir, name);
+      fs.writeFileSync(filePath, name);
+      return filePath;
+    };
+    jobQueue.enqueue(FIR_SUBMISSION_JOB, { imagePath: upload('queued-image'), audioPath: upload('queued-audio') });
+    upload('rejected-request');
+    upload('ocr-intermediate.png');
+
+    expect(await removeStrayUploads(uploadDir)).toBe(2);
+    expect(fs.readdirSync(uploadDir).sort()).toEqual(['queued-audio', 'queued-image']);
+    expect(await removeStrayUploads(path.join(uploadDir, 'missing'))).toBe(0);
+  });
+
+  test('reports not ready once shutdown begins', async () => {
+    healthService.markShuttingDown();
+
+    expect(await healthService.checkReadiness()).toMatchObject({ ready: false, status: 'shutting_down', components: {} });
+  });
+});
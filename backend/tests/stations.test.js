@@ -0,0 +1,73 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const blockchainService = require('../services/blockchain');
+const stationService = require('../services/stations');
+
+const ADMIN = '0x0000000000000000000000000000000000000001';
+const SHARMA = '0x00000000000000000000000000000000000000C1';
+const IYER = '0x00000000000000000000000000000000000000C2';
+const CIVILIAN = '0x00000000000000000000000000000000000000D1';
+
+describe('station registry and FIR assignment', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(blockchainService, 'hasRole').mockImplementation(async address => address !== CIVILIAN);
+    await database.initialize();
+
+    stationService.createStation({ code: 'CENTRAL', name: 'Central', district: 'City' });
+    stationService.createStation({ code: 'HARBOUR', name: 'Harbour' });
+    await stationService.saveOfficer(SHARMA, { name: 'A. Sharma', rank: 'SI', stationCode: 'CENTRAL' });
+    await stationService.saveOfficer(IYER, { name: 'R. Iyer', stationCode: 'HARBOUR' });
+  });
+
+  afterAll(async () => {
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  test('lists stations with the officers posted at each', () => {
+    expect(stationService.listStations().map(station => [station.code, station.officers.map(officer => officer.name)])).toEqual([
+      ['CENTRAL', ['A. Sharma']],
+      ['HARBOUR', ['R. Iyer']]
+    ]);
+    expect(() => stationService.createStation({ code: 'CENTRAL', name: 'Again' })).toThrow(expect.objectContaining({ code: 'STATION_EXISTS' }));
+  });
+
+  test('only registers officers that hold GOV_ROLE at a known station', async () => {
+    await expect(stationService.saveOfficer(CIVILIAN, { name: 'Not staff', stationCode: 'CENTRAL' }))
+      .rejects.toMatchObject({ code: 'OFFICER_NOT_GOV_STAFF' });
+    await expect(stationService.saveOfficer(SHARMA, { name: 'A. Sharma', stationCode: 'NOWHERE' }))
+      .rejects.toMatchObject({ code: 'STATION_NOT_FOUND' });
+  });
+
+  test('keeps every assignment and serves the latest as current', () => {
+    const first = stationService.assign(1, { stationCode: 'CENTRAL', officer: SHARMA.toLowerCase() }, ADMIN);
+    expect(first.previous).toBeNull();
+    expect(first.assignment).toMatchObject({ stationCode: 'CENTRAL', officer: SHARMA, officerName: 'A. Sharma', assignedBy: ADMIN });
+
+    const second = stationService.assign(1, { stationCode: 'HARBOUR', reason: 'Incident was at the docks' }, ADMIN);
+    expect(second.previous).toMatchObject({ stationCode: 'CENTRAL', officer: SHARMA });
+    expect(stationService.getAssignment(1)).toMatchObject({ stationCode: 'HARBOUR', officer: null, reason: 'Incident was at the docks' });
+
+    expect(stationService.getAssignmentHistory(1).map(({ stationCode, officer }) => [stationCode, officer])).toEqual([
+      ['CENTRAL', SHARMA],
+      ['HARBOUR', null]
+    ]);
+    expect(stationService.getAssignment(2)).toBeNull();
+    expect(stationService.getAssignmentHistory(2)).toEqual([]);
+  });
+
+  test('refuses an officer who is not posted at the station', () => {
+    expect(() => stationService.assign(1, { stationCode: 'HARBOUR', officer: SHARMA }, ADMIN))
+      .toThrow(expect.objectContaining({ code: 'OFFICER_NOT_AT_STATION' }));
+    expect(stationService.getAssignmentHistory(1)).toHaveLength(2);
+  });
+
+  test('keeps earlier assignments when an officer moves station', async () => {
+    await stationService.saveOfficer(SHARMA, { name: 'A. Sharma', rank: 'SI', stationCode: 'HARBOUR' });
+
+    expect(stationService.getAssignmentHistory(1)[0]).toMatchObject({ stationCode: 'CENTRAL', officer: SHARMA });
+    expect(stationService.getStation('CENTRAL').officers).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+const { schemas } = require('../middleware/validation');
+const { buildOpenAPIDocument } = require('../docs/openapi');
+
+const VICTIM = '0x00000000000000000000000000000000000000A1';
+
+describe('request schemas', () => {
+  test('fills listing defaults and rejects inverted ranges', () => {
+    expect(schemas.firQuery.validate({}).value).toMatchObject({ limit: 10, offset: 0, sortBy: 'timestamp', sortOrder: 'desc' });
+
+    const scores = schemas.firQuery.validate({ minScore: '80', maxScore: '20' });
+    expect(scores.error.details.map(detail => detail.message)).toEqual(['Maximum score must be between minScore and 100']);
+
+    const dates = schemas.firQuery.validate({ fromDate: '2024-02-01', toDate: '2024-01-01' });
+    expect(dates.error.details.map(detail => detail.message)).toEqual(['To date must not be before from date']);
+  });
+
+  test('reports every problem with a submission at once', () => {
+    const { error } = schemas.firSubmission.validate({ victimAddress: 'not-a-wallet', description: 'x'.repeat(2001) }, { abortEarly: false });
+
+    expect(error.details.map(detail => detail.message)).toEqual(expect.arrayContaining([
+      'Victim address must be a valid Ethereum address'
+    ]));
+    expect(error.details).toHaveLength(2);
+    expect(schemas.firSubmission.validate({ victimAddress: VICTIM }).error).toBeUndefined();
+  });
+});
+
+describe('OpenAPI document', () => {
+  const document = buildOpenAPIDocument();
+
+  test('describes query parameters with the limits the validators enforce', () => {
+    const limit = document.paths['/api/firs'].get.parameters.find(parameter => parameter.name === 'limit');
+
+    expect(limit).toMatchObject({ in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } });
+    expect(document.paths['/api/firs/{id}'].get.parameters[0]).toMatchObject({ name: 'id', in: 'path', required: true });
+  });
+
+  test('describes the submission form, its files and the Idempotency-Key header', () => {
+    const operation = document.paths['/api/submitFIR'].post;
+    const form = operation.requestBody.content['multipart/form-data'].schema;
+
+    expect(form.properties.image).toEqual({ type: 'string', format: 'binary' });
+    expect(form.required).toEqual(expect.arrayContaining(['victimAddress', 'image', 'audio']));
+    expect(operation.parameters).toEqual(expect.arrayContaining([expect.objectContaining({ name: 'idempotency-key', in: 'header' })]));
+    expect(operation.security).toEqual([{ bearerAuth: [] }]);
+    expect(Object.keys(operation.responses)).toEqual(expect.arrayContaining(['202', '400', '401', '422']));
+  });
+
+  test('lists the roles a protected route requires', () => {
+    const verify = document.paths['/api/firs/{id}/verify'].post;
+
+    expect(verify.responses[403].description).toContain('GOV_ROLE');
+    expect(verify.responses[400].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+  });
+});
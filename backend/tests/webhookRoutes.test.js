@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const http = require('http');
+const { ethers } = require('ethers');
+const { startLocalServer, firForm, waitForJob } = require('./helpers/localServer');
+
+jest.setTimeout(60 * 1000);
+
+// The local chain's deployer, which holds DEFAULT_ADMIN_ROLE
+const ADMIN = new ethers.Wallet(ethers.id('defir-local:gov'));
+
+async function until(check) {
+  const deadline = Date.now() + 20 * 1000;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+describe('webhook admin endpoints', () => {
+  const victim = ethers.Wallet.createRandom();
+  let receiver;
+  let receiverUrl;
+  let received = [];
+  let failing = false;
+  let server;
+  let tokens;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = failing ? 503 : 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    server = await startLocalServer({
+      victims: [victim.address],
+      env: { WEBHOOK_POLL_INTERVAL_MS: '100', WEBHOOK_MAX_ATTEMPTS: '1' }
+    });
+    tokens = { admin: await server.signIn(ADMIN), victim: await server.signIn(victim) };
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  const submit = async () => {
+    const { body } = await server.request('POST', '/api/submitFIR', {
+      token: tokens.victim,
+      body: firForm(victim.address, { image: crypto.randomUUID() })
+    });
+    return (await waitForJob(server.request, tokens.victim, body.jobId)).result.firId;
+  };
+
+  test('only admins manage webhooks, and only for known events', async () => {
+    const webhook = { url: receiverUrl, events: ['fir.created'] };
+
+    expect((await server.request('POST', '/api/admin/webhooks', { token: tokens.victim, body: webhook })).status).toBe(403);
+    expect((await server.request('POST', '/api/admin/webhooks', { token: tokens.admin, body: { ...webhook, events: ['fir.deleted'] } })).status).toBe(400);
+  });
+
+  test('delivers signed FIR events to a registered webhook', async () => {
+    const { status, body: { webhook, secret } } = await server.request('POST', '/api/admin/webhooks', {
+      token: tokens.admin,
+      body: { url: receiverUrl, events: ['fir.created'], description: 'Partner' }
+    });
+    expect(status).toBe(201);
+    expect(secret).toBeTruthy();
+
+    const firId = await submit();
+    const delivery = await until(() => received.find(item => JSON.parse(item.body).data.firId === firId));
+
+    const { t, v1 } = Object.fromEntries(delivery.headers['x-defir-signature'].split(',').map(part => part.split('=')));
+    expect(v1).toBe(crypto.createHmac('sha256', secret).update(`${t}.${delivery.body}`).digest('hex'));
+    expect(delivery.headers['x-defir-event']).toBe('fir.created');
+
+    const { body: { webhooks } } = await server.request('GET', '/api/admin/webhooks', { token: tokens.admin });
+    expect(webhooks.find(item => item.id === webhook.id).deliveries.delivered).toBeGreaterThan(0);
+  });
+
+  test('dead-letters a delivery the partner refuses and replays it on request', async () => {
+    failing = true;
+    received = [];
+    const firId = await submit();
+
+    const dead = await until(async () => {
+      const { body: { deliveries } } = await server.request('GET', '/api/admin/webhook-deliveries?status=dead', { token: tokens.admin });
+      return deliveries.find(item => item.firId === firId);
+    });
+    expect(dead).toMatchObject({ eventType: 'fir.created', attempts: 1, lastStatusCode: 503 });
+
+    failing = false;
+    const { status } = await server.request('POST', `/api/admin/webhook-deliveries/${dead.id}/replay`, { token: tokens.admin });
+    expect(status).toBe(200);
+
+    const delivered = await until(async () => {
+      const { body: { deliveries } } = await server.request('GET', '/api/admin/webhook-deliveries?status=delivered', { token: tokens.admin });
+      return deliveries.find(item => item.id === dead.id);
+    });
+    expect(delivered.attempts).toBe(1);
+  });
+});
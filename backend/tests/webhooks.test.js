@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../services/database');
+const webhookService = require('../services/webhooks');
+const { signPayload } = require('../services/webhooks');
+
+const ADMIN = '0x0000000000000000000000000000000000000001';
+
+// What a receiver does with the X-DeFIR-Signature header
+function verifySignature(secret, body, header) {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+describe('webhook signatures', () => {
+  test('signs the timestamp and body with HMAC-SHA256', () => {
+    const body = '{"id":"evt-1","type":"fir.created"}';
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+    expect(signPayload('whsec_test', body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  test('changes with the secret, the body and the timestamp', () => {
+    const signature = signPayload('whsec_test', '{}', 1700000000);
+
+    expect(signPayload('whsec_other', '{}', 1700000000)).not.toBe(signature);
+    expect(signPayload('whsec_test', '{ }', 1700000000)).not.toBe(signature);
+    expect(signPayload('whsec_test', '{}', 1700000001)).not.toBe(signature);
+  });
+
+  describe('delivery', () => {
+    let server;
+    let received;
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      await database.initialize();
+
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await webhookService.stop();
+      await new Promise(resolve => server.close(resolve));
+      await database.close();
+      jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+      received = [];
+    });
+
+    test('sends a body the receiver can verify with its secret', async () => {
+      const { webhook, secret } = webhookService.createWebhook({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        events: ['fir.created']
+      }, ADMIN);
+
+      webhookService.enqueue({ name: 'FIRCreated', key: 'FIRCreated:1', firId: 1, args: { ipfsCid: 'cid-1', similarityScore: 91, timestamp: 1700000000 } });
+      await webhookService.deliverDue();
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body }] = received;
+      expect(headers['x-defir-event']).toBe('fir.created');
+      expect(JSON.parse(body)).toMatchObject({ id: 'FIRCreated:1', type: 'fir.created', data: { firId: 1, ipfsCid: 'cid-1' } });
+      expect(verifySignature(secret, body, headers['x-defir-signature'])).toBe(true);
+      expect(verifySignature('whsec_wrong', body, headers['x-defir-signature'])).toBe(false);
+
+      webhookService.deleteWebhook(webhook.id);
+    });
+  });
+});
@@ -16,6 +16,15 @@ contract FIRRegistry is AccessControl {
     bytes32 public constant VICTIM_ROLE = keccak256("VICTIM_ROLE");
     bytes32 public constant GOV_ROLE = keccak256("GOV_ROLE");
     
+    // Case lifecycle; see isTransitionAllowed for the permitted moves
+    enum CaseStatus {
+        Registered,
+        UnderInvestigation,
+        ChargesheetFiled,
+        ClosedUndetected,
+        Transferred
+    }
+    
     // FIR structure
     struct FIR {
         uint256 id;
@@ -25,12 +34,26 @@ contract FIRRegistry is AccessControl {
         bool verified;
         bool exists;
         uint256 similarityScore; // 0-100 (multiplied by 100 for integer storage)
+        CaseStatus status;
+        uint256 statusUpdatedAt;
+    }
+    
+    // Supplementary statement filed after the FIR; each one links to the version before it
+    struct Amendment {
+        string ipfsCid;
+        uint256 timestamp;
+        address amendedBy;
     }
     
     // State variables
     Counters.Counter private _firCounter;
     mapping(uint256 => FIR) public firs;
     mapping(address => uint256[]) public victimFIRs;
+    mapping(uint256 => Amendment[]) private firAmendments;
+    
+    // Latest anchored head of the off-chain audit log
+    uint256 public auditSequence;
+    bytes32 public auditHeadHash;
     
     // Events
     event FIRCreated(
@@ -44,7 +67,31 @@ contract FIRRegistry is AccessControl {
     event FIRVerified(
         uint256 indexed id,
         bool verified,
-        address indexed verifiedBy
+        address indexed verifiedBy,
+        bytes32 reasonHash
+    );
+    
+    event FIRStatusChanged(
+        uint256 indexed id,
+        CaseStatus fromStatus,
+        CaseStatus toStatus,
+        address indexed changedBy,
+        uint256 timestamp
+    );
+    
+    event FIRAmended(
+        uint256 indexed id,
+        uint256 indexed version,
+        string ipfsCid,
+        string previousCid,
+        address indexed amendedBy,
+        uint256 timestamp
+    );
+    
+    event AuditAnchored(
+        uint256 indexed sequence,
+        bytes32 headHash,
+        address indexed anchoredBy
     );
     
     // Modifiers
@@ -59,7 +106,8 @@ contract FIRRegistry is AccessControl {
     }
     
     /**
-     * @dev Create a new FIR with IPFS CID
+     * @dev Create a new FIR with IPFS CID. It starts unverified; verification,
+     * including auto-verification, is a setVerification decision with a reason.
      * @param _ipfsCid IPFS content identifier for the FIR data
      * @param _similarityScore OCR-STT similarity score (0-100)
      */
@@ -79,20 +127,17 @@ contract FIRRegistry is AccessControl {
             victim: msg.sender,
             ipfsCid: _ipfsCid,
             timestamp: block.timestamp,
-            verified: _similarityScore >= 75, // Auto-verify if similarity >= 75%
+            verified: false,
             exists: true,
-            similarityScore: _similarityScore
+            similarityScore: _similarityScore,
+            status: CaseStatus.Registered,
+            statusUpdatedAt: block.timestamp
         });
         
         victimFIRs[msg.sender].push(newId);
         
         emit FIRCreated(newId, msg.sender, _ipfsCid, block.timestamp, _similarityScore);
         
-        // Auto-verify if similarity score is high enough
-        if (_similarityScore >= 75) {
-            emit FIRVerified(newId, true, msg.sender);
-        }
-        
         return newId;
     }
     
@@ -100,16 +145,108 @@ contract FIRRegistry is AccessControl {
      * @dev Set verification status of a FIR (only government staff)
      * @param _id FIR ID
      * @param _verified Verification status
+     * @param _reasonHash keccak256 of the decision's reason record, which is kept off-chain
      */
-    function setVerification(uint256 _id, bool _verified) 
+    function setVerification(uint256 _id, bool _verified, bytes32 _reasonHash) 
         external 
         onlyRole(GOV_ROLE) 
         onlyValidFIR(_id) 
     {
+        require(_reasonHash != bytes32(0), "Decision reason required");
         FIR storage fir = firs[_id];
         fir.verified = _verified;
         
-        emit FIRVerified(_id, _verified, msg.sender);
+        emit FIRVerified(_id, _verified, msg.sender, _reasonHash);
+    }
+    
+    /**
+     * @dev Move a FIR to a new lifecycle status (only government staff)
+     * @param _id FIR ID
+     * @param _status New status; must be reachable from the current one
+     */
+    function updateStatus(uint256 _id, CaseStatus _status)
+        external
+        onlyRole(GOV_ROLE)
+        onlyValidFIR(_id)
+    {
+        FIR storage fir = firs[_id];
+        CaseStatus previous = fir.status;
+        require(isTransitionAllowed(previous, _status), "Status transition not allowed");
+        
+        fir.status = _status;
+        fir.statusUpdatedAt = block.timestamp;
+        
+        emit FIRStatusChanged(_id, previous, _status, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Whether the case lifecycle permits a transition. Chargesheet filed and
+     * transferred are final; a case closed as undetected can be reopened.
+     * @param _from Current status
+     * @param _to Requested status
+     * @return True if the transition is allowed
+     */
+    function isTransitionAllowed(CaseStatus _from, CaseStatus _to) public pure returns (bool) {
+        if (_from == CaseStatus.Registered) {
+            return _to == CaseStatus.UnderInvestigation || _to == CaseStatus.Transferred;
+        }
+        if (_from == CaseStatus.UnderInvestigation) {
+            return _to == CaseStatus.ChargesheetFiled
+                || _to == CaseStatus.ClosedUndetected
+                || _to == CaseStatus.Transferred;
+        }
+        if (_from == CaseStatus.ClosedUndetected) {
+            return _to == CaseStatus.UnderInvestigation;
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Record an amendment to a FIR (only the victim account that filed it)
+     * @param _id FIR ID
+     * @param _previousCid CID of the latest version, which the amendment document points to
+     * @param _ipfsCid IPFS content identifier of the amendment document
+     * @return Version number of the amendment (the original filing is version 0)
+     */
+    function amendFIR(uint256 _id, string memory _previousCid, string memory _ipfsCid)
+        external
+        onlyRole(VICTIM_ROLE)
+        onlyValidFIR(_id)
+        returns (uint256)
+    {
+        require(bytes(_ipfsCid).length > 0, "IPFS CID cannot be empty");
+        require(firs[_id].victim == msg.sender, "Only the filing victim can amend this FIR");
+        
+        string memory latestCid = _latestCid(_id);
+        require(
+            keccak256(bytes(_previousCid)) == keccak256(bytes(latestCid)),
+            "Amendment must follow the latest version"
+        );
+        
+        firAmendments[_id].push(Amendment({
+            ipfsCid: _ipfsCid,
+            timestamp: block.timestamp,
+            amendedBy: msg.sender
+        }));
+        uint256 version = firAmendments[_id].length;
+        
+        emit FIRAmended(_id, version, _ipfsCid, latestCid, msg.sender, block.timestamp);
+        
+        return version;
+    }
+    
+    /**
+     * @dev Get the amendments of a FIR, oldest first
+     * @param _id FIR ID
+     * @return Array of Amendment structs
+     */
+    function getAmendments(uint256 _id)
+        external
+        view
+        onlyValidFIR(_id)
+        returns (Amendment[] memory)
+    {
+        return firAmendments[_id];
     }
     
     /**
@@ -191,6 +328,25 @@ contract FIRRegistry is AccessControl {
         return result;
     }
     
+    /**
+     * @dev Anchor the head of the off-chain audit log (only government staff)
+     * @param _sequence Sequence number of the log entry
+     * @param _headHash Hash of that entry, which chains every earlier entry
+     */
+    function anchorAuditHead(uint256 _sequence, bytes32 _headHash) external onlyRole(GOV_ROLE) {
+        require(_sequence > auditSequence, "Audit sequence must increase");
+        
+        auditSequence = _sequence;
+        auditHeadHash = _headHash;
+        
+        emit AuditAnchored(_sequence, _headHash, msg.sender);
+    }
+    
+    function _latestCid(uint256 _id) private view returns (string memory) {
+        uint256 count = firAmendments[_id].length;
+        return count == 0 ? firs[_id].ipfsCid : firAmendments[_id][count - 1].ipfsCid;
+    }
+    
     /**
      * @dev Grant victim role to an address (only admin)
      * @param _victim Address to grant victim role
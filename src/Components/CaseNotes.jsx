@@ -0,0 +1,171 @@
+import React, { useCallback, useEffect, useState } from "react";
+import styled from "styled-components";
+import { useToast } from "./Toast.jsx";
+import Spinner from "./Spinner.jsx";
+import { authFetch, signWithWallet } from "../auth.js";
+
+// Must match noteMessage() in backend/services/notes.js
+const buildNoteMessage = ({ firId, visibility, signedAt, body }) =>
+  [
+    "De-FIR case note",
+    `FIR: ${firId}`,
+    `Visibility: ${visibility}`,
+    `Signed at: ${signedAt}`,
+    "",
+    body,
+  ].join("\n");
+
+/**
+ * Signed notes thread of a FIR. Gov staff may post internal notes; the
+ * complainant only sees and posts notes shared with them.
+ */
+const CaseNotes = ({ firId, canPostInternal = false }) => {
+  const [notes, setNotes] = useState([]);
+  const [complete, setComplete] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [posting, setPosting] = useState(false);
+  const [body, setBody] = useState("");
+  const [visibility, setVisibility] = useState(canPostInternal ? "internal" : "shared");
+  const toast = useToast();
+
+  const loadNotes = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await authFetch(`/api/firs/${firId}/notes`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to load notes");
+      setNotes(data.notes || []);
+      setComplete(data.complete !== false);
+    } catch (err) {
+      toast.show(err.message || "Failed to load notes", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [firId, toast]);
+
+  useEffect(() => {
+    loadNotes();
+  }, [loadNotes]);
+
+  const postNote = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setPosting(true);
+    try {
+      const signedAt = new Date().toISOString();
+      const signature = await signWithWallet(buildNoteMessage({ firId, visibility, signedAt, body }));
+      const res = await authFetch(`/api/firs/${firId}/notes`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ body, visibility, signedAt, signature }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to post note");
+      setNotes((prev) => [...prev, data.note]);
+      setBody("");
+      toast.show("Note signed and posted", "success", 2000);
+    } catch (err) {
+      toast.show(err.message || "Failed to post note", "error");
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <Wrapper>
+      {loading ? (
+        <Spinner label="Loading notes" />
+      ) : notes.length === 0 ? (
+        <p>No notes yet.</p>
+      ) : (
+        <List>
+          {notes.map((note) => (
+            <Note key={note.cid} $internal={note.visibility === "internal"}>
+              <Meta>
+                {note.authorRole === "gov" ? "Officer" : "Complainant"} {note.author} ·{" "}
+                {new Date(note.signedAt).toLocaleString()} · {note.visibility === "internal" ? "Internal" : "Shared with complainant"}
+                {(!note.signatureValid || !note.linked) && <Warning> · integrity check failed</Warning>}
+              </Meta>
+              <Body>{note.body}</Body>
+            </Note>
+          ))}
+        </List>
+      )}
+      {!loading && !complete && <Warning>Notes recorded after the last one shown are missing.</Warning>}
+
+      <Form onSubmit={postNote}>
+        <textarea
+          rows={3}
+          maxLength={5000}
+          placeholder="Add a note"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+        />
+        <Row>
+          {canPostInternal && (
+            <select value={visibility} onChange={(e) => setVisibility(e.target.value)}>
+              <option value="internal">Internal</option>
+              <option value="shared">Shared with complainant</option>
+            </select>
+          )}
+          <button type="submit" disabled={posting || !body.trim()}>
+            {posting ? <Spinner label="Signing" /> : "Sign & post"}
+          </button>
+        </Row>
+      </Form>
+    </Wrapper>
+  );
+};
+
+export default CaseNotes;
+
+const Wrapper = styled.div`
+  margin-top: 8px;
+`;
+
+const List = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0 0 12px;
+`;
+
+const Note = styled.li`
+  border-left: 3px solid ${(props) => (props.$internal ? "#999" : "#2a7")};
+  padding: 6px 10px;
+  margin-bottom: 8px;
+  background: #fff;
+`;
+
+const Meta = styled.div`
+  font-size: 12px;
+  color: #666;
+  word-break: break-all;
+`;
+
+const Warning = styled.span`
+  color: #b10000;
+`;
+
+const Body = styled.p`
+  margin: 4px 0 0;
+  white-space: pre-wrap;
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+
+  textarea {
+    padding: 8px;
+    border: 1px solid #ccc;
+    border-radius: 6px;
+    font: inherit;
+  }
+`;
+
+const Row = styled.div`
+  display: flex;
+  gap: 8px;
+  select, button { padding: 6px 10px; }
+`;
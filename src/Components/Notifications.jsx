@@ -0,0 +1,213 @@
+import React, { useState } from "react";
+import styled from "styled-components";
+import { useToast } from "./Toast.jsx";
+import Spinner from "./Spinner.jsx";
+import { authFetch } from "../auth.js";
+
+const CHANNEL_LABELS = {
+  inApp: "In the app",
+  email: "Email",
+  sms: "SMS",
+};
+
+const LANGUAGE_LABELS = {
+  en: "English",
+  hi: "हिन्दी",
+};
+
+/**
+ * The signed-in victim's in-app notifications and their delivery preferences
+ * (language, channels opted into and the contact details they need).
+ */
+const Notifications = () => {
+  const [loaded, setLoaded] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [preferences, setPreferences] = useState(null);
+  const [languages, setLanguages] = useState([]);
+  const [availableChannels, setAvailableChannels] = useState([]);
+  const toast = useToast();
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const [listRes, prefRes] = await Promise.all([
+        authFetch("/api/notifications?limit=50"),
+        authFetch("/api/notifications/preferences"),
+      ]);
+      const [list, prefs] = await Promise.all([listRes.json(), prefRes.json()]);
+      if (!listRes.ok) throw new Error(list.error || "Failed to load notifications");
+      if (!prefRes.ok) throw new Error(prefs.error || "Failed to load preferences");
+      setNotifications(list.notifications || []);
+      setUnread(list.unread || 0);
+      setPreferences({ ...prefs.preferences, email: prefs.preferences.email || "", phone: prefs.preferences.phone || "" });
+      setLanguages(prefs.languages || []);
+      setAvailableChannels(prefs.availableChannels || []);
+      setLoaded(true);
+    } catch (err) {
+      toast.show(err.message || "Failed to load notifications", "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const markRead = async (id) => {
+    try {
+      const res = await authFetch(`/api/notifications/${id}/read`, { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to mark as read");
+      setNotifications((prev) => prev.map((n) => (n.id === id ? data.notification : n)));
+      setUnread((count) => Math.max(0, count - 1));
+    } catch (err) {
+      toast.show(err.message || "Failed to mark as read", "error");
+    }
+  };
+
+  const savePreferences = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const { language, channels, email, phone } = preferences;
+      const res = await authFetch("/api/notifications/preferences", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ language, channels, email, phone }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.details?.[0] || data.error || "Failed to save preferences");
+      setPreferences({ ...data.preferences, email: data.preferences.email || "", phone: data.preferences.phone || "" });
+      toast.show("Notification preferences saved", "success", 2000);
+    } catch (err) {
+      toast.show(err.message || "Failed to save preferences", "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setChannel = (channel, enabled) =>
+    setPreferences((prev) => ({ ...prev, channels: { ...prev.channels, [channel]: enabled } }));
+
+  if (!loaded) {
+    return (
+      <button type="button" onClick={load} disabled={loading}>
+        {loading ? <Spinner label="Loading" /> : "Show my notifications"}
+      </button>
+    );
+  }
+
+  return (
+    <Wrapper>
+      <p>{unread > 0 ? `${unread} unread` : "No unread notifications"}</p>
+      {notifications.length > 0 && (
+        <List>
+          {notifications.map((n) => (
+            <Item key={n.id} $unread={!n.readAt}>
+              <b>{n.subject}</b>
+              <Body>{n.body}</Body>
+              <Meta>
+                {new Date(n.createdAt).toLocaleString()}
+                {!n.readAt && (
+                  <button type="button" onClick={() => markRead(n.id)}>Mark as read</button>
+                )}
+              </Meta>
+            </Item>
+          ))}
+        </List>
+      )}
+
+      <Form onSubmit={savePreferences}>
+        <h4>Notify me</h4>
+        <label>
+          Language{" "}
+          <select
+            value={preferences.language}
+            onChange={(e) => setPreferences((prev) => ({ ...prev, language: e.target.value }))}
+          >
+            {languages.map((code) => (
+              <option key={code} value={code}>{LANGUAGE_LABELS[code] || code}</option>
+            ))}
+          </select>
+        </label>
+        {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+          <label key={channel}>
+            <input
+              type="checkbox"
+              checked={preferences.channels[channel]}
+              disabled={!availableChannels.includes(channel)}
+              onChange={(e) => setChannel(channel, e.target.checked)}
+            />{" "}
+            {label}
+            {!availableChannels.includes(channel) && " (not available)"}
+          </label>
+        ))}
+        {preferences.channels.email && (
+          <input
+            type="email"
+            placeholder="Email address"
+            value={preferences.email}
+            onChange={(e) => setPreferences((prev) => ({ ...prev, email: e.target.value }))}
+            required
+          />
+        )}
+        {preferences.channels.sms && (
+          <input
+            type="tel"
+            placeholder="+919876543210"
+            value={preferences.phone}
+            onChange={(e) => setPreferences((prev) => ({ ...prev, phone: e.target.value.trim() }))}
+            required
+          />
+        )}
+        <button type="submit" disabled={saving}>{saving ? <Spinner label="Saving" /> : "Save preferences"}</button>
+      </Form>
+    </Wrapper>
+  );
+};
+
+export default Notifications;
+
+const Wrapper = styled.div`
+  margin-bottom: 20px;
+`;
+
+const List = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0 0 16px;
+`;
+
+const Item = styled.li`
+  border-left: 3px solid ${(props) => (props.$unread ? "#2a7" : "#ccc")};
+  padding: 6px 10px;
+  margin-bottom: 8px;
+  background: #fff;
+`;
+
+const Body = styled.p`
+  margin: 4px 0;
+  white-space: pre-wrap;
+`;
+
+const Meta = styled.div`
+  font-size: 12px;
+  color: #666;
+  display: flex;
+  gap: 8px;
+  align-items: center;
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  max-width: 360px;
+
+  h4 { margin: 0; }
+  input[type="email"], input[type="tel"], select {
+    padding: 8px;
+    border: 1px solid #ccc;
+    border-radius: 6px;
+  }
+`;
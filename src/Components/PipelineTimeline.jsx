@@ -0,0 +1,156 @@
+import React from "react";
+import styled from "styled-components";
+
+// Pipeline steps in the order the backend runs them
+const STEPS = [
+  { key: "ocr", label: "Reading complaint image (OCR)" },
+  { key: "stt", label: "Transcribing voice statement" },
+  { key: "similarity", label: "Comparing statement with complaint" },
+  { key: "media", label: "Pinning original image and audio to IPFS" },
+  { key: "evidence", label: "Pinning evidence attachments to IPFS" },
+  { key: "ipfs", label: "Pinning FIR document to IPFS" },
+  { key: "createFIR", label: "Registering FIR on blockchain" },
+  { key: "route", label: "Assigning police station by incident location" },
+  { key: "setVerification", label: "Recording verification on blockchain" },
+];
+
+const EVENT_STAGE = {
+  "ocr-started": "ocr",
+  "ocr-progress": "ocr",
+  "stt-done": "stt",
+  "similarity-computed": "similarity",
+  "media-pinned": "media",
+  "evidence-pinned": "evidence",
+  "ipfs-pinned": "ipfs",
+  "fir-routed": "route",
+};
+
+const describe = (type, data) => {
+  switch (type) {
+    case "ocr-progress":
+      return `${data.progress}% recognised`;
+    case "stt-done":
+      return `Transcribed via ${data.provider}`;
+    case "similarity-computed":
+      return `Similarity score ${data.score}%`;
+    case "media-pinned":
+      return data.encrypted ? "Image and audio pinned encrypted" : "Image and audio pinned";
+    case "evidence-pinned":
+      return `${data.count} attachment${data.count === 1 ? "" : "s"} pinned`;
+    case "ipfs-pinned":
+      return `CID ${data.cid}`;
+    case "fir-routed":
+      return `Assigned to ${data.stationCode} (matched by ${data.matchedBy})`;
+    case "tx-submitted":
+      return `Tx ${data.txHash} submitted`;
+    case "tx-confirmed":
+      return `Tx ${data.txHash} confirmed in block ${data.blockNumber}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Derive the state of each pipeline step from the stage events received so far
+ */
+const buildTimeline = (events) => {
+  const steps = STEPS.map((step) => ({ ...step, state: "pending", detail: null, time: null }));
+  const indexOf = (key) => steps.findIndex((step) => step.key === key);
+
+  const mark = (key, state, detail, time) => {
+    const index = indexOf(key);
+    if (index === -1) return;
+    // Reaching a step implies every earlier step has finished
+    steps.slice(0, index).forEach((step) => {
+      if (step.state === "pending" || step.state === "active") step.state = "done";
+    });
+    steps[index] = {
+      ...steps[index],
+      state,
+      detail: detail ?? steps[index].detail,
+      time: time ?? steps[index].time,
+    };
+  };
+
+  events.forEach(({ type, data }) => {
+    const detail = describe(type, data);
+    switch (type) {
+      case "ocr-started":
+      case "ocr-progress":
+        mark("ocr", data.progress === 100 ? "done" : "active", detail, data.timestamp);
+        break;
+      case "tx-submitted":
+        mark(data.stage, "active", detail, data.timestamp);
+        break;
+      case "tx-confirmed":
+        mark(data.stage, "done", detail, data.timestamp);
+        break;
+      case "job-completed":
+        steps.forEach((step) => {
+          if (step.state === "active") step.state = "done";
+          if (step.state === "pending") step.state = "skipped";
+        });
+        break;
+      case "job-failed":
+        if (data.stage) mark(data.stage, "failed", data.error, data.timestamp);
+        break;
+      default:
+        if (EVENT_STAGE[type]) mark(EVENT_STAGE[type], "done", detail, data.timestamp);
+    }
+  });
+
+  return steps;
+};
+
+const ICONS = { pending: "○", active: "◔", done: "●", failed: "✕", skipped: "–" };
+
+const PipelineTimeline = ({ events }) => (
+  <List>
+    {buildTimeline(events).map((step) => (
+      <Step key={step.key} data-state={step.state}>
+        <Icon>{ICONS[step.state]}</Icon>
+        <div>
+          <b>{step.label}</b>
+          {step.detail && <Detail>{step.detail}</Detail>}
+          {step.time && <Time>{new Date(step.time).toLocaleTimeString()}</Time>}
+        </div>
+      </Step>
+    ))}
+  </List>
+);
+
+export default PipelineTimeline;
+
+const List = styled.ol`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  border-left: 2px solid #eee;
+`;
+
+const Step = styled.li`
+  display: flex;
+  gap: 10px;
+  padding: 8px 12px;
+  color: #999;
+  &[data-state="active"] { color: #b08200; }
+  &[data-state="done"] { color: #137333; }
+  &[data-state="failed"] { color: #b00020; }
+  b { color: inherit; }
+`;
+
+const Icon = styled.span`
+  width: 16px;
+  text-align: center;
+`;
+
+const Detail = styled.div`
+  font-size: 0.9em;
+  color: #444;
+  word-break: break-all;
+`;
+
+const Time = styled.div`
+  font-size: 0.8em;
+  color: #888;
+`;
@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from "react";
-import axios from "axios";
 import styled, { createGlobalStyle } from "styled-components";
+import { authFetch, openWithSession } from "../auth";
 
 // ✅ Global fix: make whole body white
 const GlobalStyle = createGlobalStyle`
@@ -16,16 +16,19 @@ const GlobalStyle = createGlobalStyle`
 const FIRLogs = () => {
   const [firs, setFIRs] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
 
   useEffect(() => {
     const fetchFIRs = async () => {
       try {
-        const base = import.meta.env.VITE_API_BASE_URL || "http://localhost:5000";
-        const response = await axios.get(`${base}/api/firs`);
-        const list = Array.isArray(response.data?.firs) ? response.data.firs : [];
-        setFIRs(list);
+        // Staff see every FIR (officers their station's); victims see their own
+        const res = await authFetch("/api/firs");
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.details?.[0] || data.error || "Failed to load FIRs");
+        setFIRs(Array.isArray(data.firs) ? data.firs : []);
       } catch (err) {
         console.error("Error fetching FIRs:", err);
+        setError(err.message);
         setFIRs([]);
       } finally {
         setLoading(false);
@@ -45,11 +48,12 @@ const FIRLogs = () => {
           ) : firs.length === 0 ? (
             <>
               <h2>FIR Logs</h2>
-              <p>No FIRs found.</p>
+              <p>{error || "No FIRs found."}</p>
             </>
           ) : (
             <>
               <h2>FIR Logs</h2>
+              {error && <p>{error}</p>}
               <Table>
                 <thead>
                   <tr>
@@ -62,13 +66,9 @@ const FIRLogs = () => {
                     <tr key={index}>
                       <td>{fir.id ?? fir.firId}</td>
                       <td>
-                        <a
-                          href={fir.gatewayUrl}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                        >
-                          Open in IPFS
-                        </a>
+                        <button onClick={() => openWithSession(`/api/firs/${fir.id}`).catch((err) => setError(err.message))}>
+                          Open
+                        </button>
                       </td>
                     </tr>
                   ))}
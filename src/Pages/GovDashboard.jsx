@@ -1,48 +1,105 @@
-import React, { useEffect, useState } from "react";
+import React, { Fragment, useCallback, useEffect, useState } from "react";
 import styled from "styled-components";
 import { useToast } from "../Components/Toast.jsx";
+import CaseNotes from "../Components/CaseNotes.jsx";
+import { authFetch, ensureSession, openWithSession } from "../auth.js";
+import { STATUS_LABELS, ACTION_LABELS, describeStatus } from "../caseStatus.js";
+import { VERIFY_REASONS, REJECT_REASONS } from "../decisions.js";
+
+// "pending" lists unverified FIRs and "mine" the caller's caseload; every other filter is a case status
+const PENDING = "pending";
+const MINE = "mine";
 
 const GovDashboard = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [pending, setPending] = useState([]);
+  const [filter, setFilter] = useState(PENDING);
   const [actioningId, setActioningId] = useState(null);
+  const [stations, setStations] = useState([]);
+  // Station/officer picked per FIR row, as "STATION" or "STATION|0xofficer"
+  const [targets, setTargets] = useState({});
+  const [notesId, setNotesId] = useState(null);
+  // Verify/reject form being filled in: { id, verified, reasonCode, reason }
+  const [decision, setDecision] = useState(null);
+  // Station transfer form being filled in: { id, stationCode, reason }
+  const [transfer, setTransfer] = useState(null);
+  // Station code the signed-in officer is limited to, or null
+  const [jurisdiction, setJurisdiction] = useState(null);
   const toast = useToast();
 
-  const loadPending = async () => {
+  const loadStations = useCallback(async () => {
+    try {
+      const res = await authFetch("/api/stations");
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to load stations");
+      setStations(data.stations || []);
+    } catch (err) {
+      toast.show(err.message || "Failed to load stations", "error");
+    }
+  }, [toast]);
+
+  const stationName = (code) => stations.find((s) => s.code === code)?.name || code;
+
+  const describeAssignment = (assignment) => {
+    if (!assignment) return "Unassigned";
+    const station = stations.find((s) => s.code === assignment.stationCode);
+    const officer = station?.officers.find((o) => o.address.toLowerCase() === assignment.officer?.toLowerCase());
+    const place = station ? station.name : assignment.stationCode;
+    return assignment.officer ? `${place} · ${officer ? officer.name : assignment.officer}` : place;
+  };
+
+  const loadPending = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
-      const base = import.meta.env.VITE_API_BASE_URL || "http://localhost:5000";
-      const res = await fetch(`${base}/api/firs?verified=false&limit=25&offset=0`);
+      let query = "verified=false";
+      if (filter === MINE) {
+        const session = await ensureSession();
+        query = `assignedTo=${session.address}&sortBy=statusUpdatedAt&sortOrder=asc`;
+      } else if (filter !== PENDING) {
+        query = `status=${filter}&sortBy=statusUpdatedAt&sortOrder=asc`;
+      }
+      const res = await authFetch(`/api/firs?${query}&limit=25&offset=0`);
       const data = await res.json();
       if (!res.ok) throw new Error(data.error || "Failed to load FIRs");
       setPending(data.firs || []);
-      toast.show("Pending FIRs loaded", "success", 2000);
+      setJurisdiction(data.jurisdiction || null);
+      toast.show("FIRs loaded", "success", 2000);
     } catch (err) {
       setError(err.message);
       toast.show(err.message || "Failed to load FIRs", "error");
     } finally {
       setLoading(false);
     }
-  };
+  }, [filter, toast]);
 
   useEffect(() => {
     loadPending();
-  }, []);
+  }, [loadPending]);
+
+  useEffect(() => {
+    loadStations();
+  }, [loadStations]);
 
-  const takeAction = async (id, verified) => {
+  const startDecision = (id, verified) => {
+    setDecision({ id, verified, reasonCode: "", reason: "" });
+  };
+
+  const takeAction = async (e) => {
+    e.preventDefault();
+    const { id, verified, reasonCode, reason } = decision;
     setActioningId(id);
     setError(null);
     try {
-      const base = import.meta.env.VITE_API_BASE_URL || "http://localhost:5000";
-      const res = await fetch(`${base}/api/firs/${id}/verify`, {
+      const res = await authFetch(`/api/firs/${id}/verify`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ verified })
+        body: JSON.stringify({ verified, reasonCode, reason })
       });
       const data = await res.json();
       if (!res.ok) throw new Error(data.error || "Action failed");
+      setDecision(null);
       await loadPending();
       toast.show(verified ? "FIR verified" : "FIR rejected", "success");
     } catch (err) {
@@ -53,12 +110,90 @@ const GovDashboard = () => {
     }
   };
 
+  const changeStatus = async (id, action) => {
+    setActioningId(id);
+    setError(null);
+    try {
+      const res = await authFetch(`/api/firs/${id}/${action}`, { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Action failed");
+      await loadPending();
+      toast.show(`FIR ${id} is now ${STATUS_LABELS[data.status].toLowerCase()}`, "success");
+    } catch (err) {
+      setError(err.message);
+      toast.show(err.message || "Action failed", "error");
+    } finally {
+      setActioningId(null);
+    }
+  };
+
+  const assign = async (id) => {
+    const [stationCode, officer] = (targets[id] || "").split("|");
+    if (!stationCode) return;
+    setActioningId(id);
+    setError(null);
+    try {
+      const res = await authFetch(`/api/firs/${id}/assignment`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(officer ? { stationCode, officer } : { stationCode })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Assignment failed");
+      await loadPending();
+      toast.show(`FIR ${id} assigned to ${describeAssignment(data.assignment)}`, "success");
+    } catch (err) {
+      setError(err.message);
+      toast.show(err.message || "Assignment failed", "error");
+    } finally {
+      setActioningId(null);
+    }
+  };
+
+  const transferStation = async (e) => {
+    e.preventDefault();
+    const { id, stationCode, reason } = transfer;
+    setActioningId(id);
+    setError(null);
+    try {
+      const res = await authFetch(`/api/firs/${id}/station-transfer`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ stationCode, reason })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Transfer failed");
+      setTransfer(null);
+      await loadPending();
+      toast.show(`FIR ${id} transferred to ${stationName(data.assignment.stationCode)}`, "success");
+    } catch (err) {
+      setError(err.message);
+      toast.show(err.message || "Transfer failed", "error");
+    } finally {
+      setActioningId(null);
+    }
+  };
+
+  // Officers assign within their own station and transfer to others
+  const assignable = jurisdiction ? stations.filter((station) => station.code === jurisdiction) : stations;
+
   return (
     <Wrapper>
       <h2>Government Dashboard</h2>
+      {jurisdiction && <p>Showing FIRs of {stationName(jurisdiction)}</p>}
+      <Filter>
+        Show{" "}
+        <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+          <option value={PENDING}>Pending verification</option>
+          <option value={MINE}>Assigned to me</option>
+          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+            <option key={status} value={status}>{label}</option>
+          ))}
+        </select>
+      </Filter>
       {error && <ErrorBox>{error}</ErrorBox>}
       {loading ? (
-        <p><span style={{marginRight:8}}></span>Loading pending FIRs...</p>
+        <p><span style={{marginRight:8}}></span>Loading FIRs...</p>
       ) : (
         <Table>
           <thead>
@@ -66,24 +201,152 @@ const GovDashboard = () => {
               <th>ID</th>
               <th>Victim</th>
               <th>Similarity</th>
+              <th>Status</th>
+              <th>Assigned to</th>
               <th>IPFS</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody>
             {pending.map((fir) => (
-              <tr key={fir.id}>
-                <td>{fir.id}</td>
-                <td>{fir.victim}</td>
-                <td>{fir.similarityScore}</td>
-                <td>
-                  <a href={fir.gatewayUrl} target="_blank" rel="noreferrer">Open</a>
-                </td>
-                <td>
-                  <button disabled={actioningId===fir.id} onClick={() => takeAction(fir.id, true)}>Verify</button>
-                  <button disabled={actioningId===fir.id} onClick={() => takeAction(fir.id, false)}>Reject</button>
-                </td>
-              </tr>
+              <Fragment key={fir.id}>
+                <tr>
+                  <td>{fir.id}</td>
+                  <td>{fir.victim}</td>
+                  <td>{fir.similarityScore}</td>
+                  <td>{describeStatus(fir)}</td>
+                  <td>
+                    {describeAssignment(fir.assignment)}
+                    {assignable.length > 0 && (
+                      <Assign>
+                        <select
+                          value={targets[fir.id] || ""}
+                          onChange={(e) => setTargets((prev) => ({ ...prev, [fir.id]: e.target.value }))}
+                        >
+                          <option value="">Choose…</option>
+                          {assignable.map((station) => (
+                            <optgroup key={station.code} label={station.name}>
+                              <option value={station.code}>{station.name} (no officer)</option>
+                              {station.officers.map((officer) => (
+                                <option key={officer.address} value={`${station.code}|${officer.address}`}>
+                                  {officer.rank ? `${officer.rank} ` : ""}{officer.name}
+                                </option>
+                              ))}
+                            </optgroup>
+                          ))}
+                        </select>
+                        <button disabled={actioningId===fir.id || !targets[fir.id]} onClick={() => assign(fir.id)}>
+                          {fir.assignment ? "Reassign" : "Assign"}
+                        </button>
+                      </Assign>
+                    )}
+                  </td>
+                  <td>
+                    <button onClick={() => openWithSession(`/api/firs/${fir.id}`).catch((err) => toast.show(err.message, "error"))}>
+                      Open
+                    </button>
+                  </td>
+                  <td>
+                    {filter === PENDING && (
+                      <>
+                        <button disabled={actioningId===fir.id} onClick={() => startDecision(fir.id, true)}>Verify</button>
+                        <button disabled={actioningId===fir.id} onClick={() => startDecision(fir.id, false)}>Reject</button>
+                      </>
+                    )}
+                    {fir.actions.map((action) => (
+                      <button key={action} disabled={actioningId===fir.id} onClick={() => changeStatus(fir.id, action)}>
+                        {ACTION_LABELS[action] || action}
+                      </button>
+                    ))}
+                    {stations.length > 1 && (
+                      <button
+                        disabled={actioningId===fir.id}
+                        onClick={() => setTransfer({ id: fir.id, stationCode: "", reason: "" })}
+                      >
+                        Transfer station
+                      </button>
+                    )}
+                    <button onClick={() => setNotesId(notesId === fir.id ? null : fir.id)}>
+                      {notesId === fir.id ? "Hide notes" : "Notes"}
+                    </button>
+                  </td>
+                </tr>
+                {decision?.id === fir.id && (
+                  <tr>
+                    <td colSpan={7}>
+                      <Decision onSubmit={takeAction}>
+                        <b>{decision.verified ? "Verify" : "Reject"} FIR {fir.id}</b>
+                        <select
+                          value={decision.reasonCode}
+                          onChange={(e) => setDecision((prev) => ({ ...prev, reasonCode: e.target.value }))}
+                          required
+                        >
+                          <option value="">Reason…</option>
+                          {Object.entries(decision.verified ? VERIFY_REASONS : REJECT_REASONS).map(([code, label]) => (
+                            <option key={code} value={code}>{label}</option>
+                          ))}
+                        </select>
+                        <textarea
+                          rows={2}
+                          maxLength={500}
+                          placeholder={decision.verified ? "Why is this FIR verified?" : "Explain the rejection to the complainant"}
+                          value={decision.reason}
+                          onChange={(e) => setDecision((prev) => ({ ...prev, reason: e.target.value }))}
+                          required
+                        />
+                        <div>
+                          <button type="submit" disabled={actioningId===fir.id || !decision.reasonCode || !decision.reason.trim()}>
+                            Confirm
+                          </button>
+                          <button type="button" onClick={() => setDecision(null)}>Cancel</button>
+                        </div>
+                      </Decision>
+                    </td>
+                  </tr>
+                )}
+                {transfer?.id === fir.id && (
+                  <tr>
+                    <td colSpan={7}>
+                      <Decision onSubmit={transferStation}>
+                        <b>Transfer FIR {fir.id} to another station</b>
+                        <select
+                          value={transfer.stationCode}
+                          onChange={(e) => setTransfer((prev) => ({ ...prev, stationCode: e.target.value }))}
+                          required
+                        >
+                          <option value="">Station…</option>
+                          {stations
+                            .filter((station) => station.code !== fir.assignment?.stationCode)
+                            .map((station) => (
+                              <option key={station.code} value={station.code}>{station.name}</option>
+                            ))}
+                        </select>
+                        <textarea
+                          rows={2}
+                          maxLength={500}
+                          placeholder="Why does this FIR belong to that station?"
+                          value={transfer.reason}
+                          onChange={(e) => setTransfer((prev) => ({ ...prev, reason: e.target.value }))}
+                          required
+                        />
+                        <div>
+                          <button type="submit" disabled={actioningId===fir.id || !transfer.stationCode || !transfer.reason.trim()}>
+                            Transfer
+                          </button>
+                          <button type="button" onClick={() => setTransfer(null)}>Cancel</button>
+                        </div>
+                      </Decision>
+                    </td>
+                  </tr>
+                )}
+                {notesId === fir.id && (
+                  <tr>
+                    <td colSpan={7}>
+                      <CaseNotes firId={fir.id} canPostInternal />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
             ))}
           </tbody>
         </Table>
@@ -108,167 +371,24 @@ const Table = styled.table`
   button { margin-right: 8px; padding: 6px 10px; }
 `;
 
-const ErrorBox = styled.div`
-  background: #ffe5e5;
-  color: #b10000;
-  border: 1px solid #ffcccc;
-  padding: 12px;
-  border-radius: 6px;
+const Filter = styled.label`
+  display: block;
   margin-bottom: 12px;
+  select { padding: 6px 10px; }
 `;
 
-import React, { useEffect, useState } from "react";
-import styled from "styled-components";
-
-const GovDashboard = () => {
-  const [firs, setFirs] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [filter, setFilter] = useState("pending");
-
-  const fetchFIRs = async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const verifiedParam = filter === "pending" ? "false" : filter === "verified" ? "true" : undefined;
-      const url = verifiedParam ? `http://localhost:5000/api/firs?verified=${verifiedParam}` : `http://localhost:5000/api/firs`;
-      const res = await fetch(url);
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.error || "Failed to load FIRs");
-      setFirs(Array.isArray(data.firs) ? data.firs : data);
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  useEffect(() => {
-    fetchFIRs();
-  }, [filter]);
-
-  const verifyFIR = async (id, verified) => {
-    try {
-      setLoading(true);
-      setError(null);
-      const res = await fetch(`http://localhost:5000/api/firs/${id}/verify`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ verified })
-      });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.error || "Verification failed");
-      await fetchFIRs();
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  return (
-    <Wrapper>
-      <Header>
-        <h2>Government Dashboard</h2>
-        <Filters>
-          <button onClick={() => setFilter("pending")} className={filter === "pending" ? "active" : ""}>Pending</button>
-          <button onClick={() => setFilter("verified")} className={filter === "verified" ? "active" : ""}>Verified</button>
-          <button onClick={() => setFilter("all")} className={filter === "all" ? "active" : ""}>All</button>
-        </Filters>
-      </Header>
-
-      {error && <ErrorBox>{error}</ErrorBox>}
-      {loading && <p>Loading...</p>}
-
-      <Table>
-        <thead>
-          <tr>
-            <th>ID</th>
-            <th>Victim</th>
-            <th>Similarity</th>
-            <th>Verified</th>
-            <th>IPFS</th>
-            <th>Actions</th>
-          </tr>
-        </thead>
-        <tbody>
-          {firs.map((fir, idx) => (
-            <tr key={idx}>
-              <td>{fir.id || fir.firId}</td>
-              <td>{fir.victim}</td>
-              <td>{fir.similarityScore}</td>
-              <td>{String(fir.verified)}</td>
-              <td>{fir.gatewayUrl ? <a href={fir.gatewayUrl} target="_blank" rel="noreferrer">Open</a> : '-'}</td>
-              <td>
-                {!fir.verified && (
-                  <>
-                    <button onClick={() => verifyFIR(fir.id || fir.firId, true)}>Approve</button>
-                    <button onClick={() => verifyFIR(fir.id || fir.firId, false)}>Reject</button>
-                  </>
-                )}
-              </td>
-            </tr>
-          ))}
-        </tbody>
-      </Table>
-    </Wrapper>
-  );
-};
-
-export default GovDashboard;
-
-const Wrapper = styled.div`
-  max-width: 1100px;
-  margin: 0 auto;
-  padding: 20px;
-`;
-
-const Header = styled.div`
+const Assign = styled.div`
   display: flex;
-  justify-content: space-between;
-  align-items: center;
-  margin-bottom: 16px;
+  gap: 6px;
+  margin-top: 6px;
+  select { padding: 4px; max-width: 180px; }
 `;
 
-const Filters = styled.div`
+const Decision = styled.form`
   display: flex;
-  gap: 8px;
-  button {
-    padding: 8px 12px;
-    border: 1px solid #ddd;
-    background: #fff;
-    border-radius: 6px;
-    cursor: pointer;
-  }
-  .active {
-    background: #111;
-    color: #fff;
-  }
-`;
-
-const Table = styled.table`
-  width: 100%;
-  border-collapse: collapse;
-  th, td {
-    padding: 10px;
-    border-bottom: 1px solid #eee;
-    text-align: left;
-  }
-  th {
-    background: #f7f7f7;
-  }
-  button {
-    margin-right: 8px;
-    padding: 6px 10px;
-    border: none;
-    background: #0a7;
-    color: #fff;
-    border-radius: 6px;
-    cursor: pointer;
-  }
-  button:last-child {
-    background: #a00;
-  }
+  flex-direction: column;
+  gap: 6px;
+  select, textarea { padding: 6px; font: inherit; }
 `;
 
 const ErrorBox = styled.div`
@@ -279,5 +399,3 @@ const ErrorBox = styled.div`
   border-radius: 6px;
   margin-bottom: 12px;
 `;
-
-
@@ -2,20 +2,146 @@ import React, { useState } from "react";
 import { useToast } from "../Components/Toast.jsx";
 import styled from "styled-components";
 import Spinner from "../Components/Spinner.jsx";
+import PipelineTimeline from "../Components/PipelineTimeline.jsx";
+import CaseNotes from "../Components/CaseNotes.jsx";
+import Notifications from "../Components/Notifications.jsx";
+import { apiBase, authFetch, ensureSession, getSession, openWithSession } from "../auth.js";
+import { describeStatus } from "../caseStatus.js";
+import { describeReason } from "../decisions.js";
+
+const JOB_POLL_INTERVAL = 2000;
+
+const PIPELINE_EVENTS = [
+  "ocr-started",
+  "ocr-progress",
+  "stt-done",
+  "similarity-computed",
+  "media-pinned",
+  "evidence-pinned",
+  "ipfs-pinned",
+  "tx-submitted",
+  "tx-confirmed",
+  "job-completed",
+  "job-failed",
+  "job-abandoned",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const VictimDashboard = () => {
   const [imageFile, setImageFile] = useState(null);
   const [audioFile, setAudioFile] = useState(null);
-  const [victimAddress, setVictimAddress] = useState("");
+  const [evidenceFiles, setEvidenceFiles] = useState([]);
+  // Where the incident happened; routes the FIR to the police station covering it
+  const [location, setLocation] = useState({ address: "", pincode: "", coords: null });
+  const [locating, setLocating] = useState(false);
+  const [victimAddress, setVictimAddress] = useState(getSession()?.address || "");
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
+  const [job, setJob] = useState(null);
+  const [events, setEvents] = useState([]);
+  // Reused when the same submission is retried so the backend files it only once
+  const [idempotencyKey, setIdempotencyKey] = useState(null);
   const [error, setError] = useState(null);
+  const [trackId, setTrackId] = useState("");
+  const [tracked, setTracked] = useState(null);
+  const [tracking, setTracking] = useState(false);
   const toast = useToast();
 
+  const openDocument = (path) =>
+    openWithSession(path).catch((err) => toast.show(err.message || "Failed to open", "error"));
+
+  const trackFIR = async (e) => {
+    e.preventDefault();
+    setTracking(true);
+    setTracked(null);
+    try {
+      const res = await authFetch(`/api/firs/${trackId}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to load FIR");
+      setTracked(data.fir);
+    } catch (err) {
+      toast.show(err.message || "Failed to load FIR", "error");
+    } finally {
+      setTracking(false);
+    }
+  };
+
+  const waitForJob = async (jobId) => {
+    for (;;) {
+      const res = await authFetch(`/api/jobs/${jobId}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to fetch submission status");
+      setJob(data.job);
+      if (data.job.status === "completed") return data.job.result;
+      if (data.job.status === "failed") throw new Error(data.job.error || "Submission failed");
+      if (data.job.status === "abandoned") throw new Error("Submission was abandoned");
+      await sleep(JOB_POLL_INTERVAL);
+    }
+  };
+
+  // Follow the job's stage events; fall back to polling if the stream drops
+  const watchJob = (jobId, token) =>
+    new Promise((resolve, reject) => {
+      // EventSource cannot send an Authorization header
+      const source = new EventSource(`${apiBase()}/api/jobs/${jobId}/events?access_token=${encodeURIComponent(token)}`);
+
+      PIPELINE_EVENTS.forEach((type) => {
+        source.addEventListener(type, (e) => {
+          const data = JSON.parse(e.data);
+          setEvents((prev) => {
+            // Only the latest progress reading is worth keeping
+            const rest = type === "ocr-progress" ? prev.filter((ev) => ev.type !== type) : prev;
+            return [...rest, { type, data }];
+          });
+          if (type === "job-completed") {
+            source.close();
+            resolve(data.result);
+          }
+          if (type === "job-failed") {
+            source.close();
+            reject(new Error(data.error || "Submission failed"));
+          }
+          if (type === "job-abandoned") {
+            source.close();
+            reject(new Error(data.reason || "Submission was abandoned"));
+          }
+        });
+      });
+
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          waitForJob(jobId).then(resolve, reject);
+        }
+      };
+    });
+
+  const attachCurrentPosition = () => {
+    if (!navigator.geolocation) {
+      toast.show("This browser cannot share its location", "warning");
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setLocation((prev) => ({ ...prev, coords: { latitude: coords.latitude, longitude: coords.longitude } }));
+        setIdempotencyKey(null);
+        setLocating(false);
+      },
+      (err) => {
+        toast.show(err.message || "Could not get your location", "error");
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
     setResult(null);
+    setJob(null);
+    setEvents([]);
 
     if (!imageFile || !audioFile || !victimAddress) {
       setError("Please provide image, audio and victim wallet address.");
@@ -25,20 +151,47 @@ const VictimDashboard = () => {
 
     try {
       setLoading(true);
+      const session = await ensureSession();
+      if (session.address.toLowerCase() !== victimAddress.toLowerCase()) {
+        throw new Error(`Signed in as ${session.address}; FIRs can only be filed for your own wallet`);
+      }
+
+      const key = idempotencyKey || crypto.randomUUID();
+      setIdempotencyKey(key);
+
       const formData = new FormData();
       formData.append("image", imageFile);
       formData.append("audio", audioFile);
+      evidenceFiles.forEach((file) => formData.append("evidence[]", file));
       formData.append("victimAddress", victimAddress);
+      if (location.address.trim()) formData.append("location", location.address.trim());
+      if (location.pincode.trim()) formData.append("pincode", location.pincode.trim());
+      if (location.coords) {
+        formData.append("latitude", String(location.coords.latitude));
+        formData.append("longitude", String(location.coords.longitude));
+      }
 
-      const base = import.meta.env.VITE_API_BASE_URL || "http://localhost:5000";
-      const res = await fetch(`${base}/api/submitFIR`, {
+      const res = await authFetch("/api/submitFIR", {
         method: "POST",
+        headers: { "Idempotency-Key": key },
         body: formData,
       });
 
       const data = await res.json();
       if (!res.ok) throw new Error(data.error || "Submission failed");
-      setResult(data);
+      if (data.duplicate) toast.show("This FIR was already submitted", "info", 2000);
+      else toast.show("FIR queued for processing", "info", 2000);
+      setJob({ id: data.jobId, status: data.status });
+
+      let submission = data.result;
+      if (data.status !== "completed") {
+        submission = typeof EventSource === "undefined"
+          ? await waitForJob(data.jobId)
+          : await watchJob(data.jobId, session.token);
+      }
+      setResult(submission);
+      if (submission?.firId) setTrackId(String(submission.firId));
+      setIdempotencyKey(null);
       toast.show("FIR submitted successfully", "success");
     } catch (err) {
       setError(err.message);
@@ -64,29 +217,134 @@ const VictimDashboard = () => {
         </label>
         <label>
           Complaint Image (handwritten or scanned)
-          <input type="file" accept="image/*" onChange={(e) => setImageFile(e.target.files[0])} required />
+          <input type="file" accept="image/*" onChange={(e) => { setImageFile(e.target.files[0]); setIdempotencyKey(null); }} required />
         </label>
         <label>
           Voice Recording (statement)
-          <input type="file" accept="audio/*" onChange={(e) => setAudioFile(e.target.files[0])} required />
+          <input type="file" accept="audio/*" onChange={(e) => { setAudioFile(e.target.files[0]); setIdempotencyKey(null); }} required />
+        </label>
+        <label>
+          Supporting Evidence (optional: photos, PDFs, audio, video)
+          <input
+            type="file"
+            multiple
+            accept="image/*,application/pdf,audio/*,video/mp4,video/webm,video/quicktime"
+            onChange={(e) => { setEvidenceFiles(Array.from(e.target.files)); setIdempotencyKey(null); }}
+          />
         </label>
-        <button type="submit" disabled={loading}>{loading ? <Spinner label="Submitting" /> : "Submit FIR"}</button>
+        <label>
+          Incident Location (optional)
+          <input
+            type="text"
+            placeholder="Street, area, city"
+            maxLength={500}
+            value={location.address}
+            onChange={(e) => setLocation((prev) => ({ ...prev, address: e.target.value }))}
+          />
+        </label>
+        <label>
+          Pincode (optional)
+          <input
+            type="text"
+            inputMode="numeric"
+            placeholder="411001"
+            pattern="[1-9][0-9]{5}"
+            value={location.pincode}
+            onChange={(e) => setLocation((prev) => ({ ...prev, pincode: e.target.value }))}
+          />
+        </label>
+        <Locate>
+          <button type="button" onClick={attachCurrentPosition} disabled={locating}>
+            {locating ? <Spinner label="Locating" /> : "Use my current location"}
+          </button>
+          {location.coords && (
+            <>
+              <span>{location.coords.latitude.toFixed(5)}, {location.coords.longitude.toFixed(5)}</span>
+              <button type="button" onClick={() => setLocation((prev) => ({ ...prev, coords: null }))}>Clear</button>
+            </>
+          )}
+        </Locate>
+        <button type="submit" disabled={loading}>{loading ? <Spinner label={job ? "Processing" : "Submitting"} /> : "Submit FIR"}</button>
       </Form>
 
       {error && <ErrorBox>{error}</ErrorBox>}
 
+      {job && (
+        <ResultBox>
+          <h3>Processing</h3>
+          <p><b>Job:</b> {job.id}</p>
+          <PipelineTimeline events={events} />
+        </ResultBox>
+      )}
+
       {result && (
         <ResultBox>
           <h3>Submission Result</h3>
           <p><b>Verified:</b> {String(result.verified)}</p>
           <p><b>Similarity Score:</b> {result.similarityScore}</p>
+          <p><b>Police Station:</b> {result.stationCode || "To be assigned by the control room"}</p>
           <p><b>CID:</b> {result.cid}</p>
           <p><b>Tx Hash:</b> {result.txHash}</p>
           <p><b>OCR Text:</b> {result.ocrText}</p>
           <p><b>STT Text:</b> {result.sttText}</p>
-          {result.gatewayUrl && (
-            <p><a href={result.gatewayUrl} target="_blank" rel="noreferrer">Open on IPFS</a></p>
+          {result.evidence?.length > 0 && (
+            <>
+              <p><b>Evidence:</b></p>
+              <ul>
+                {result.evidence.map((item) => (
+                  <li key={item.cid}>{item.type} ({item.mimeType}): {item.cid}</li>
+                ))}
+              </ul>
+            </>
           )}
+          <p>
+            <button onClick={() => openDocument(`/api/firs/${result.firId}`)}>Open FIR</button>
+            {result.media && ["image", "audio"].map((kind) => (
+              <button key={kind} onClick={() => openDocument(`/api/firs/${result.firId}/media/${result.media[kind].cid}`)}>
+                Open {kind}
+              </button>
+            ))}
+          </p>
+        </ResultBox>
+      )}
+
+      <h3>Notifications</h3>
+      <Notifications />
+
+      <h3>Track a FIR</h3>
+      <Form onSubmit={trackFIR}>
+        <label>
+          FIR ID
+          <input
+            type="text"
+            inputMode="numeric"
+            placeholder="1"
+            value={trackId}
+            onChange={(e) => setTrackId(e.target.value.trim())}
+            required
+          />
+        </label>
+        <button type="submit" disabled={tracking}>{tracking ? <Spinner label="Loading" /> : "Check status"}</button>
+      </Form>
+
+      {tracked && (
+        <ResultBox>
+          <h3>FIR {tracked.id}</h3>
+          <p><b>Status:</b> {describeStatus(tracked)}</p>
+          <p><b>Filed:</b> {new Date(Number(tracked.timestamp) * 1000).toLocaleString()}</p>
+          <p><b>Verified:</b> {String(tracked.verified)}</p>
+          {tracked.decision && !tracked.decision.verified && (
+            <Rejection>
+              <p><b>Rejected:</b> {describeReason(tracked.decision)}</p>
+              <p>{tracked.decision.reason}</p>
+              <small>Decided {new Date(tracked.decision.decidedAt).toLocaleString()} · reason hash {tracked.decision.reasonHash}</small>
+            </Rejection>
+          )}
+          {tracked.history?.length > 1 && (
+            <p><b>Amendments:</b> {tracked.history.length - 1}</p>
+          )}
+          <h4>Messages from the investigating officers</h4>
+          <CaseNotes firId={tracked.id} />
         </ResultBox>
       )}
     </Wrapper>
@@ -123,6 +381,13 @@ const Form = styled.form`
   }
 `;
 
+const Locate = styled.div`
+  display: flex;
+  gap: 8px;
+  align-items: center;
+  font-size: 14px;
+`;
+
 const ResultBox = styled.div`
   background: #fafafa;
   border: 1px solid #eee;
@@ -130,6 +395,14 @@ const ResultBox = styled.div`
   padding: 16px;
 `;
 
+const Rejection = styled.div`
+  border-left: 3px solid #b10000;
+  padding: 4px 10px;
+  margin-bottom: 12px;
+  p { margin: 4px 0; }
+  small { color: #666; word-break: break-all; }
+`;
+
 const ErrorBox = styled.div`
   background: #ffe5e5;
   color: #b10000;
@@ -0,0 +1,111 @@
+import { ethers } from "ethers";
+
+// Sign-In-With-Ethereum session handling for the backend API
+
+const STORAGE_KEY = "defir.session";
+
+export const apiBase = () => import.meta.env.VITE_API_BASE_URL || "http://localhost:5000";
+
+export const getSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    if (session && new Date(session.expiresAt) > new Date()) return session;
+  } catch {
+    // Corrupt entries are treated as signed out
+  }
+  return null;
+};
+
+export const signOut = () => sessionStorage.removeItem(STORAGE_KEY);
+
+const buildSiweMessage = ({ domain, address, uri, chainId, nonce }) =>
+  [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Sign in to De-FIR.",
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+  ].join("\n");
+
+export const signIn = async () => {
+  if (!window.ethereum) throw new Error("A browser wallet is required to sign in");
+
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner();
+  const address = await signer.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  const nonceRes = await fetch(`${apiBase()}/api/auth/nonce`);
+  const nonceData = await nonceRes.json();
+  if (!nonceRes.ok) throw new Error(nonceData.error || "Failed to start sign in");
+
+  const message = buildSiweMessage({
+    domain: nonceData.domain || window.location.host,
+    address,
+    uri: window.location.origin,
+    chainId: chainId.toString(),
+    nonce: nonceData.nonce,
+  });
+  const signature = await signer.signMessage(message);
+
+  const res = await fetch(`${apiBase()}/api/auth/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ message, signature, address }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.details?.[0] || data.error || "Sign in failed");
+
+  const session = { token: data.token, address: data.address, roles: data.roles, expiresAt: data.expiresAt };
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
+
+export const ensureSession = async () => getSession() || signIn();
+
+/**
+ * Sign a message with the browser wallet (EIP-191 personal_sign)
+ */
+export const signWithWallet = async (message) => {
+  if (!window.ethereum) throw new Error("A browser wallet is required to sign");
+  const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+  return signer.signMessage(message);
+};
+
+/**
+ * fetch() against the backend with the session token attached, signing in first if needed
+ */
+export const authFetch = async (path, options = {}) => {
+  const session = await ensureSession();
+  const res = await fetch(`${apiBase()}${path}`, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${session.token}` },
+  });
+  if (res.status === 401) signOut();
+  return res;
+};
+
+/**
+ * Open a backend resource in a new tab. Documents and media are only served
+ * decrypted to a session, so the response is fetched here and shown as a blob.
+ */
+export const openWithSession = async (path) => {
+  // Opened before the request so popup blockers still see the click
+  const tab = window.open("", "_blank");
+  try {
+    const res = await authFetch(path);
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || "Failed to open");
+    }
+    tab.location = URL.createObjectURL(await res.blob());
+  } catch (err) {
+    tab?.close();
+    throw err;
+  }
+};
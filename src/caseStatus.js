@@ -0,0 +1,31 @@
+// Case lifecycle labels, matching backend/services/caseStatus.js
+
+export const STATUS_LABELS = {
+  REGISTERED: "Registered",
+  UNDER_INVESTIGATION: "Under investigation",
+  CHARGESHEET_FILED: "Chargesheet filed",
+  CLOSED_UNDETECTED: "Closed – undetected",
+  TRANSFERRED: "Transferred",
+};
+
+export const ACTION_LABELS = {
+  investigate: "Investigate",
+  "file-chargesheet": "File chargesheet",
+  close: "Close (undetected)",
+  reopen: "Reopen",
+  transfer: "Transfer",
+};
+
+// How long a case has been in its status, from the on-chain timestamp in seconds
+export const timeInStatus = (statusUpdatedAt, now = Date.now()) => {
+  const seconds = Math.max(0, Math.floor(now / 1000) - Number(statusUpdatedAt));
+  const days = Math.floor(seconds / 86400);
+  if (days > 0) return `${days} day${days === 1 ? "" : "s"}`;
+  const hours = Math.floor(seconds / 3600);
+  if (hours > 0) return `${hours} hour${hours === 1 ? "" : "s"}`;
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes} minute${minutes === 1 ? "" : "s"}` : "less than a minute";
+};
+
+export const describeStatus = (fir) =>
+  `${STATUS_LABELS[fir.status] || fir.status} · for ${timeInStatus(fir.statusUpdatedAt)}`;
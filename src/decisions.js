@@ -0,0 +1,25 @@
+// Verify/reject reason codes, matching backend/services/decisions.js
+
+export const VERIFY_REASONS = {
+  STATEMENTS_CONSISTENT: "Written and spoken statements are consistent",
+  EVIDENCE_CORROBORATES: "Evidence corroborates the complaint",
+  IDENTITY_CONFIRMED: "Complainant identity confirmed",
+  OTHER: "Other",
+};
+
+export const REJECT_REASONS = {
+  STATEMENTS_INCONSISTENT: "Written and spoken statements do not match",
+  INSUFFICIENT_DETAIL: "Not enough detail to register the complaint",
+  NOT_COGNIZABLE: "Not a cognizable offence",
+  DUPLICATE_COMPLAINT: "Duplicate of an earlier complaint",
+  OUTSIDE_JURISDICTION: "Outside this jurisdiction",
+  OTHER: "Other",
+};
+
+const AUTO_REASONS = {
+  AUTO_SIMILARITY: "Verified automatically from the statement similarity score",
+};
+
+export const describeReason = (decision) =>
+  (decision.verified ? { ...VERIFY_REASONS, ...AUTO_REASONS } : REJECT_REASONS)[decision.reasonCode] ||
+  decision.reasonCode;